@@ -35,7 +35,7 @@ const tenantSchema = new mongoose.Schema({
     speed: { type: Number, default: 1.5 },
     minAgentsAvailable: { type: Number, default: 2 },
     autoDelete: { type: Boolean, default: false },
-    sortOrder: { type: String, enum: ['oldest', 'fewest'], default: 'oldest' },
+    sortOrder: { type: String, enum: ['oldest', 'fewest', 'score'], default: 'oldest' },
     didDistribution: { type: String, enum: ['even', 'local'], default: 'even' }
   }
 });
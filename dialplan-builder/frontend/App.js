@@ -632,6 +632,7 @@ const DialerSystem = () => {
             >
               <option value="oldest">Oldest to Newest</option>
               <option value="fewest">Fewest Calls First</option>
+              <option value="score">Highest Lead Score First</option>
             </select>
           </div>
           <div className="flex items-center">
@@ -774,6 +775,7 @@ const DialerSystem = () => {
                 >
                   <option value="oldest">Oldest to Newest</option>
                   <option value="fewest">Fewest Calls First</option>
+                  <option value="score">Highest Lead Score First</option>
                 </select>
               </div>
               <div className="flex items-center">
@@ -668,6 +668,7 @@ const DialerSystem = () => {
             >
               <option value="oldest">Oldest to Newest</option>
               <option value="fewest">Fewest Calls First</option>
+              <option value="score">Highest Lead Score First</option>
             </select>
           </div>
           <div className="flex items-center">
@@ -810,6 +811,7 @@ const DialerSystem = () => {
                 >
                   <option value="oldest">Oldest to Newest</option>
                   <option value="fewest">Fewest Calls First</option>
+                  <option value="score">Highest Lead Score First</option>
                 </select>
               </div>
               <div className="flex items-center">
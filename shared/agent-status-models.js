@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+// shared/agent-status-models.js
+// Result of the most recent agent-availability fetch per tenant ingroup, written by the worker
+
+module.exports = function(sequelize) {
+  if (sequelize.models.AgentStatusCheck) {
+    return { AgentStatusCheck: sequelize.models.AgentStatusCheck };
+  }
+
+  const AgentStatusCheck = sequelize.define('AgentStatusCheck', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    ingroup: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    healthy: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    agentsLoggedIn: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    agentsWaiting: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    callsWaiting: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    consecutiveFailures: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastSuccessAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'AgentStatusChecks',
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenantId', 'ingroup']
+      }
+    ]
+  });
+
+  return { AgentStatusCheck };
+};
@@ -0,0 +1,163 @@
+// shared/agent-status-providers.js
+// Agent-availability providers for the dialer. Each provider returns the same shape and throws on failure -
+// callers must never substitute made-up numbers for a failed fetch
+
+const axios = require('axios');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+
+/**
+ * Vicidial/Ytel-style non-agent API (function=in_group_status, CSV output)
+ */
+class CsvApiAgentStatusProvider {
+  constructor(options = {}) {
+    this.name = 'csv_api';
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  async getStatus(tenant, ingroup) {
+    const { url: apiUrl, user, password: pass } = tenant.apiConfig || {};
+
+    if (!apiUrl) {
+      throw new Error('Missing API URL in tenant.apiConfig.url');
+    }
+
+    // Extract subdomain (e.g. "btr")
+    let subdomain;
+    try {
+      subdomain = new URL(apiUrl).hostname.split('.')[0];
+    } catch (err) {
+      throw new Error('Invalid API URL format');
+    }
+
+    const response = await axios.get(apiUrl, {
+      timeout: this.timeoutMs,
+      params: {
+        source: subdomain,
+        user,
+        pass,
+        stage: 'csv',
+        function: 'in_group_status',
+        header: 'YES',
+        in_groups: ingroup
+      }
+    });
+
+    if (typeof response.data !== 'string' || /^ERROR/i.test(response.data.trim())) {
+      throw new Error(`Agent status API returned an error: ${String(response.data).trim().substring(0, 200)}`);
+    }
+
+    // CSV → JSON
+    const rows = [];
+    await new Promise((resolve, reject) => {
+      Readable.from(response.data)
+        .pipe(csv())
+        .on('data', row => rows.push(row))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    const row = rows.find(r => r.ingroup === ingroup) || rows[0];
+    if (!row) {
+      throw new Error(`Agent status API returned no rows for ingroup ${ingroup}`);
+    }
+
+    return {
+      ingroup: row.ingroup || ingroup,
+      agents_logged_in: parseInt(row.agents_logged_in, 10) || 0,
+      agents_waiting: parseInt(row.agents_waiting, 10) || 0,
+      total_calls: parseInt(row.total_calls, 10) || 0,
+      calls_waiting: parseInt(row.calls_waiting, 10) || 0,
+      source: subdomain
+    };
+  }
+}
+
+// QueueMember Status values (AST_DEVICE_*) for members that can take calls at all
+const QUEUE_MEMBER_UNAVAILABLE = ['4', '5'];  // invalid, unavailable
+const QUEUE_MEMBER_IDLE = '1';               // not in use
+
+/**
+ * Asterisk app_queue status over the shared AMI connection (QueueStatus action)
+ */
+class AmiQueueAgentStatusProvider {
+  constructor(options = {}) {
+    this.name = 'ami_queue';
+    this.amiPool = options.amiPool;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  async getStatus(tenant, ingroup) {
+    if (!this.amiPool) {
+      throw new Error('AMI queue provider needs an AMI connection pool');
+    }
+    if (!tenant.amiConfig || !tenant.amiConfig.host) {
+      throw new Error('Missing AMI configuration for queue status');
+    }
+
+    const events = await this.amiPool.sendListAction(
+      tenant.amiConfig,
+      { Action: 'QueueStatus', Queue: ingroup },
+      'QueueStatusComplete',
+      this.timeoutMs
+    );
+
+    const params = events.find(event => event.Event === 'QueueParams' && event.Queue === ingroup);
+    if (!params) {
+      throw new Error(`Queue ${ingroup} not found on PBX`);
+    }
+
+    const members = events.filter(event => event.Event === 'QueueMember' && event.Queue === ingroup);
+    const loggedIn = members.filter(member => !QUEUE_MEMBER_UNAVAILABLE.includes(String(member.Status)));
+    const waiting = loggedIn.filter(member => String(member.Status) === QUEUE_MEMBER_IDLE && String(member.Paused) !== '1');
+
+    return {
+      ingroup,
+      agents_logged_in: loggedIn.length,
+      agents_waiting: waiting.length,
+      total_calls: parseInt(params.Completed, 10) || 0,
+      calls_waiting: parseInt(params.Calls, 10) || 0,
+      source: 'asterisk'
+    };
+  }
+}
+
+/**
+ * Fixed agent counts from config, for testing or sites without a status API
+ */
+class StaticAgentStatusProvider {
+  constructor(options = {}) {
+    this.name = 'static';
+    this.config = options.config || {};
+  }
+
+  async getStatus(tenant, ingroup) {
+    const agentsWaiting = parseInt(this.config.agentsWaiting, 10);
+
+    if (isNaN(agentsWaiting)) {
+      throw new Error('Static agent status provider needs agentStatus.static.agentsWaiting');
+    }
+
+    return {
+      ingroup,
+      agents_logged_in: parseInt(this.config.agentsLoggedIn, 10) || agentsWaiting,
+      agents_waiting: agentsWaiting,
+      total_calls: 0,
+      calls_waiting: 0,
+      source: 'static'
+    };
+  }
+}
+
+const PROVIDERS = {
+  csv_api: CsvApiAgentStatusProvider,
+  ami_queue: AmiQueueAgentStatusProvider,
+  static: StaticAgentStatusProvider
+};
+
+module.exports = {
+  PROVIDERS,
+  CsvApiAgentStatusProvider,
+  AmiQueueAgentStatusProvider,
+  StaticAgentStatusProvider
+};
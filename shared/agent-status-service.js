@@ -0,0 +1,143 @@
+// shared/agent-status-service.js
+// Picks the agent-availability provider for a tenant/campaign and records the health of every fetch
+
+const { PROVIDERS } = require('./agent-status-providers');
+
+const DEFAULT_PROVIDER = 'csv_api';
+
+class AgentStatusService {
+  constructor(models, options = {}) {
+    this.models = models;
+    this.amiPool = options.amiPool || null;
+  }
+
+  /**
+   * Resolve provider settings from a dialer config (tenant or campaign)
+   */
+  getConfig(dialerConfig = {}) {
+    const config = dialerConfig.agentStatus || {};
+
+    return {
+      provider: config.provider || DEFAULT_PROVIDER,
+      timeoutMs: config.timeoutMs || 10000,
+      static: config.static || {}
+    };
+  }
+
+  createProvider(config) {
+    const Provider = PROVIDERS[config.provider];
+
+    if (!Provider) {
+      throw new Error(`Unknown agent status provider "${config.provider}"`);
+    }
+
+    return new Provider({
+      amiPool: this.amiPool,
+      timeoutMs: config.timeoutMs,
+      config: config.static
+    });
+  }
+
+  /**
+   * Fetch agent availability for an ingroup. Failures are recorded and rethrown so the caller stops dialing
+   */
+  async getAgentStatus(tenant, ingroup, dialerConfig = tenant.dialerConfig) {
+    const config = this.getConfig(dialerConfig || {});
+
+    if (!ingroup) {
+      throw new Error('Missing ingroup for agent status');
+    }
+
+    try {
+      const provider = this.createProvider(config);
+      console.log(`Fetching agent status for ingroup ${ingroup} via ${provider.name}`);
+
+      const status = await provider.getStatus(tenant, ingroup);
+      await this.recordCheck(tenant.id, ingroup, config.provider, { status });
+
+      return {
+        provider: config.provider,
+        ingroups: ingroup,
+        data: [status]
+      };
+    } catch (error) {
+      console.error(`Agent status fetch failed for ingroup ${ingroup} (${config.provider}): ${error.message}`);
+      await this.recordCheck(tenant.id, ingroup, config.provider, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Upsert the latest check for the tenant ingroup
+   */
+  async recordCheck(tenantId, ingroup, provider, { status = null, error = null }) {
+    if (!this.models.AgentStatusCheck) return;
+
+    try {
+      const [check] = await this.models.AgentStatusCheck.findOrCreate({
+        where: { tenantId: tenantId.toString(), ingroup },
+        defaults: { provider }
+      });
+
+      const now = new Date();
+
+      if (error) {
+        await check.update({
+          provider,
+          healthy: false,
+          error: error.message,
+          consecutiveFailures: check.consecutiveFailures + 1,
+          lastCheckedAt: now
+        });
+      } else {
+        await check.update({
+          provider,
+          healthy: true,
+          error: null,
+          agentsLoggedIn: status.agents_logged_in,
+          agentsWaiting: status.agents_waiting,
+          callsWaiting: status.calls_waiting,
+          consecutiveFailures: 0,
+          lastCheckedAt: now,
+          lastSuccessAt: now
+        });
+      }
+    } catch (recordError) {
+      // Health bookkeeping must not change the outcome of the fetch itself
+      console.error('Error recording agent status check:', recordError);
+    }
+  }
+
+  /**
+   * Latest check per ingroup for a tenant
+   */
+  async getHealth(tenantId) {
+    try {
+      const checks = await this.models.AgentStatusCheck.findAll({
+        where: { tenantId: tenantId.toString() },
+        order: [['ingroup', 'ASC']]
+      });
+
+      return {
+        healthy: checks.length > 0 && checks.every(check => check.healthy),
+        checks: checks.map(check => ({
+          ingroup: check.ingroup,
+          provider: check.provider,
+          healthy: check.healthy,
+          error: check.error,
+          agentsLoggedIn: check.agentsLoggedIn,
+          agentsWaiting: check.agentsWaiting,
+          callsWaiting: check.callsWaiting,
+          consecutiveFailures: check.consecutiveFailures,
+          lastCheckedAt: check.lastCheckedAt,
+          lastSuccessAt: check.lastSuccessAt
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting agent status health:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AgentStatusService;
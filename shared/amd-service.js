@@ -0,0 +1,70 @@
+// shared/amd-service.js
+// Answering-machine detection call options: dialplan variables going out, AMDSTATUS coming back
+
+// AMDSTATUS values set by app_amd
+const AMD_STATUSES = {
+  MACHINE: 'machine',
+  HUMAN: 'human',
+  NOTSURE: 'notsure',
+  HANGUP: 'hangup'
+};
+
+const DEFAULT_AMD = {
+  enabled: false,
+  voicemailRecordingId: null   // recording played to answering machines before hanging up
+};
+
+class AmdService {
+  constructor(models = {}) {
+    this.models = models;
+  }
+
+  /**
+   * Resolve AMD settings from a dialer config (tenant or campaign)
+   */
+  getConfig(dialerConfig = {}) {
+    return {
+      ...DEFAULT_AMD,
+      ...(dialerConfig.amd || {})
+    };
+  }
+
+  /**
+   * Map an AMDSTATUS channel variable to the outcome stored on CallLog
+   */
+  normalizeStatus(value) {
+    return AMD_STATUSES[(value || '').toUpperCase()] || null;
+  }
+
+  /**
+   * Dialplan variables for an originate: AMD=yes|no, plus the voicemail file to drop on a machine
+   */
+  async buildDialplanVariables(config, tenantId) {
+    let variables = `AMD=${config.enabled ? 'yes' : 'no'}`;
+
+    if (!config.enabled || !config.voicemailRecordingId || !this.models.Recording) {
+      return variables;
+    }
+
+    try {
+      const recording = await this.models.Recording.findOne({
+        where: {
+          id: config.voicemailRecordingId,
+          tenantId: tenantId.toString()
+        }
+      });
+
+      if (recording && recording.fileName) {
+        variables += `,voicemail_file=${recording.fileName}`;
+      } else {
+        console.warn(`Voicemail recording ${config.voicemailRecordingId} not found for tenant ${tenantId}`);
+      }
+    } catch (error) {
+      console.error(`Could not load voicemail recording: ${error.message}`);
+    }
+
+    return variables;
+  }
+}
+
+module.exports = AmdService;
@@ -0,0 +1,479 @@
+// shared/ami-connection-pool.js
+// Long-lived AMI connections (one per PBX) and call-state tracking from AMI events into CallLog
+
+const AmiClient = require('asterisk-ami-client');
+const AmdService = require('./amd-service');
+
+// Channel variable set on every originated call so events can be tied back to the CallLog row
+const CALL_LOG_VARIABLE = 'call_log_id';
+
+// OriginateResponse Reason codes
+const ORIGINATE_REASONS = {
+  0: 'failed',
+  1: 'no_answer',
+  3: 'no_answer',
+  5: 'busy',
+  8: 'failed'
+};
+
+// Q.850 hangup causes for calls that never answered
+const UNANSWERED_CAUSES = {
+  16: 'no_answer',
+  17: 'busy',
+  18: 'no_answer',
+  19: 'no_answer',
+  21: 'busy'
+};
+
+const DIAL_STATUSES = {
+  ANSWER: 'answered',
+  BUSY: 'busy',
+  NOANSWER: 'no_answer',
+  CANCEL: 'no_answer',
+  CONGESTION: 'failed',
+  CHANUNAVAIL: 'failed'
+};
+
+const MAX_EVENT_TRAIL = 25;
+
+class AmiConnectionPool {
+  constructor(models, options = {}) {
+    this.models = models;
+    this.onCallEnded = options.onCallEnded || null;
+    this.connections = new Map();   // pbxKey -> { client, connecting, reconnecting }
+    this.calls = new Map();         // callLogId -> call state
+    this.channelIndex = new Map();  // uniqueid / linkedid -> callLogId
+    this.actionIndex = new Map();   // originate ActionID -> callLogId
+    this.listActions = new Map();   // ActionID -> pending list action collecting its events
+    this.amdService = new AmdService();
+  }
+
+  /**
+   * Connections are shared by every tenant pointing at the same PBX
+   */
+  getPbxKey(amiConfig) {
+    return `${amiConfig.host}:${amiConfig.port}:${amiConfig.username}`;
+  }
+
+  /**
+   * Get a connected client for the PBX, connecting (or reconnecting) when needed
+   */
+  async getConnection(amiConfig) {
+    if (!amiConfig || !amiConfig.host) {
+      throw new Error('Missing AMI configuration');
+    }
+
+    const key = this.getPbxKey(amiConfig);
+    let entry = this.connections.get(key);
+
+    if (entry && entry.client.isConnected) {
+      return entry.client;
+    }
+
+    if (entry && entry.connecting) {
+      return entry.connecting;
+    }
+
+    // The client is already retrying on its own after a dropped connection
+    if (entry && entry.reconnecting) {
+      throw new Error(`AMI connection to ${key} is reconnecting`);
+    }
+
+    if (!entry) {
+      const client = new AmiClient({
+        reconnect: true,
+        maxAttemptsCount: 30,
+        attemptsDelay: 5000,
+        keepAlive: true,
+        keepAliveDelay: 30000,
+        emitEventsByTypes: false
+      });
+
+      client.on('event', event => this.handleEvent(event).catch(error => {
+        console.error(`Error handling AMI ${event.Event} event:`, error);
+      }));
+      client.on('connect', () => {
+        entry.reconnecting = false;
+      });
+      client.on('disconnect', () => console.warn(`⚠️ AMI disconnected from ${key}`));
+      client.on('reconnection', () => {
+        entry.reconnecting = true;
+        console.log(`🔄 Reconnecting AMI to ${key}`);
+      });
+      client.on('internalError', error => console.error(`AMI error on ${key}: ${error.message}`));
+
+      entry = { client, connecting: null, reconnecting: false };
+      this.connections.set(key, entry);
+    }
+
+    entry.connecting = entry.client.connect(amiConfig.username, amiConfig.password, {
+      host: amiConfig.host,
+      port: parseInt(amiConfig.port, 10)
+    })
+      .then(() => {
+        console.log(`✅ AMI connected to ${key}`);
+        return entry.client;
+      })
+      .finally(() => {
+        entry.connecting = null;
+      });
+
+    return entry.connecting;
+  }
+
+  /**
+   * Send an Originate over the shared connection and start tracking the call
+   */
+  async originate(amiConfig, action, callLogId) {
+    const client = await this.getConnection(amiConfig);
+
+    const actionId = `calllog-${callLogId}-${Date.now()}`;
+    this.trackCall(callLogId, actionId);
+
+    try {
+      const response = await client.action({ ...action, ActionID: actionId }, true);
+
+      if (response && response.Response === 'Error') {
+        throw new Error(response.Message || 'Originate rejected');
+      }
+
+      return response;
+    } catch (error) {
+      await this.finishCall(callLogId, { status: 'failed', hangupCause: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send an action whose results arrive as a list of events (QueueStatus, CoreShowChannels...)
+   * and resolve with those events once the completion event is seen
+   */
+  async sendListAction(amiConfig, action, completeEvent, timeoutMs = 10000) {
+    const client = await this.getConnection(amiConfig);
+    const actionId = `list-${action.Action}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+    const collected = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.listActions.delete(actionId);
+        reject(new Error(`${action.Action} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.listActions.set(actionId, { events: [], completeEvent, resolve, reject, timer });
+    });
+
+    try {
+      const response = await client.action({ ...action, ActionID: actionId }, true);
+
+      if (response && response.Response === 'Error') {
+        throw new Error(response.Message || `${action.Action} rejected`);
+      }
+    } catch (error) {
+      const pending = this.listActions.get(actionId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.listActions.delete(actionId);
+      }
+      throw error;
+    }
+
+    return collected;
+  }
+
+  collectListEvent(event) {
+    const pending = this.listActions.get(event.ActionID);
+    if (!pending) return false;
+
+    if (event.Event === pending.completeEvent) {
+      clearTimeout(pending.timer);
+      this.listActions.delete(event.ActionID);
+      pending.resolve(pending.events);
+    } else {
+      pending.events.push(event);
+    }
+
+    return true;
+  }
+
+  trackCall(callLogId, actionId) {
+    this.calls.set(callLogId, {
+      callLogId,
+      uniqueid: null,
+      originatedAt: new Date(),
+      ringingAt: null,
+      answeredAt: null,
+      bridgedAt: null,
+      transferStatus: null,
+      amdStatus: null,
+      status: 'initiated',
+      events: []
+    });
+    this.actionIndex.set(actionId, callLogId);
+  }
+
+  /**
+   * Find the tracked call an event belongs to
+   */
+  resolveCall(event) {
+    const keys = [event.Uniqueid, event.Linkedid, event.DestUniqueid, event.DestLinkedid];
+
+    let callLogId = event.ActionID ? this.actionIndex.get(event.ActionID) : undefined;
+    for (const key of keys) {
+      if (callLogId) break;
+      if (key) callLogId = this.channelIndex.get(key);
+    }
+
+    return callLogId ? this.calls.get(callLogId) : null;
+  }
+
+  indexChannel(call, event) {
+    if (!call.uniqueid && event.Uniqueid) {
+      call.uniqueid = event.Uniqueid;
+    }
+    if (event.Uniqueid) this.channelIndex.set(event.Uniqueid, call.callLogId);
+    if (event.Linkedid) this.channelIndex.set(event.Linkedid, call.callLogId);
+  }
+
+  /**
+   * Dispatch AMI events that affect call state
+   */
+  async handleEvent(event) {
+    const type = event.Event;
+
+    if (event.ActionID && this.collectListEvent(event)) {
+      return;
+    }
+
+    if (type === 'VarSet') {
+      const variable = (event.Variable || '').replace(/^_+/, '');
+
+      if (variable === CALL_LOG_VARIABLE) {
+        const call = this.calls.get(parseInt(event.Value, 10));
+        if (call) this.indexChannel(call, event);
+      } else if (variable === 'AMDSTATUS' || variable === 'AMDCAUSE') {
+        await this.handleAmdVariable(variable, event);
+      }
+      return;
+    }
+
+    if (!['OriginateResponse', 'Newstate', 'DialEnd', 'BridgeEnter', 'Hangup'].includes(type)) {
+      return;
+    }
+
+    const call = this.resolveCall(event);
+    if (!call) return;
+
+    call.events.push({
+      event: type,
+      uniqueid: event.Uniqueid,
+      state: event.ChannelStateDesc || event.DialStatus || event.Response || event['Cause-txt'],
+      at: new Date().toISOString()
+    });
+    if (call.events.length > MAX_EVENT_TRAIL) {
+      call.events.shift();
+    }
+
+    const isLeadChannel = !call.uniqueid || event.Uniqueid === call.uniqueid;
+
+    switch (type) {
+      case 'OriginateResponse':
+        this.indexChannel(call, event);
+        if (event.Response === 'Failure') {
+          await this.finishCall(call.callLogId, {
+            status: ORIGINATE_REASONS[event.Reason] || 'failed',
+            hangupCause: `Originate failed (reason ${event.Reason})`
+          });
+        }
+        return;
+
+      case 'Newstate':
+        if (!isLeadChannel) return;
+
+        if ((event.ChannelState === '4' || event.ChannelState === '5') && !call.ringingAt) {
+          call.ringingAt = new Date();
+          await this.updateCall(call, { status: 'ringing' });
+        } else if (event.ChannelState === '6' && !call.answeredAt) {
+          call.answeredAt = new Date();
+          await this.updateCall(call, {
+            status: 'answered',
+            ringDuration: this.secondsBetween(call.ringingAt || call.originatedAt, call.answeredAt)
+          });
+        }
+        return;
+
+      case 'DialEnd': {
+        const dialStatus = DIAL_STATUSES[event.DialStatus];
+
+        if (event.DestUniqueid && event.DestUniqueid === call.uniqueid) {
+          // The lead leg itself was dialed from the dialplan
+          if (dialStatus && dialStatus !== 'answered') {
+            await this.updateCall(call, { status: dialStatus });
+          }
+        } else if (dialStatus === 'answered' && !call.bridgedAt) {
+          // The transfer leg picked up
+          call.bridgedAt = new Date();
+          await this.updateCall(call, { status: 'transferred' });
+        } else if (dialStatus && !call.bridgedAt) {
+          // The buyer did not take it (simultaneous groups also cancel the numbers that lost the race)
+          call.transferStatus = dialStatus;
+        }
+        return;
+      }
+
+      case 'BridgeEnter':
+        if (parseInt(event.BridgeNumChannels, 10) >= 2 && call.answeredAt && !call.bridgedAt) {
+          call.bridgedAt = new Date();
+          await this.updateCall(call, { status: 'transferred' });
+        }
+        return;
+
+      case 'Hangup':
+        if (!isLeadChannel) return;
+        await this.finishCall(call.callLogId, {
+          hangupCause: event['Cause-txt'] || event.Cause,
+          causeCode: parseInt(event.Cause, 10)
+        });
+        return;
+
+      default:
+        return;
+    }
+  }
+
+  /**
+   * Record the answering-machine detection result set by the dialplan on the lead channel
+   */
+  async handleAmdVariable(variable, event) {
+    const call = this.resolveCall(event);
+    if (!call) return;
+
+    if (variable === 'AMDSTATUS') {
+      call.amdStatus = this.amdService.normalizeStatus(event.Value);
+      await this.updateCall(call, { amdStatus: call.amdStatus });
+      console.log(`🤖 AMD result for call ${call.callLogId}: ${call.amdStatus || event.Value}`);
+    } else {
+      await this.updateCall(call, { amdCause: event.Value });
+    }
+  }
+
+  /**
+   * Write the current state to the CallLog row
+   */
+  async updateCall(call, fields) {
+    call.status = fields.status || call.status;
+
+    await this.models.CallLog.update({
+      ...fields,
+      lastStatusUpdate: new Date(),
+      amiData: {
+        uniqueid: call.uniqueid,
+        events: call.events
+      }
+    }, {
+      where: { id: call.callLogId }
+    });
+  }
+
+  /**
+   * Close out a call: final status, durations and hangup cause
+   */
+  async finishCall(callLogId, { status, hangupCause, causeCode } = {}) {
+    const call = this.calls.get(callLogId);
+    if (!call) return;
+
+    const endTime = new Date();
+    let finalStatus = status;
+
+    if (!finalStatus) {
+      if (call.bridgedAt) {
+        finalStatus = 'transferred';
+      } else if (call.amdStatus === 'machine') {
+        // Answered by a machine; any voicemail drop happened in the dialplan
+        finalStatus = 'voicemail';
+      } else if (call.answeredAt) {
+        // Answered but never reached an agent
+        finalStatus = 'answered';
+      } else {
+        finalStatus = UNANSWERED_CAUSES[causeCode] || 'failed';
+      }
+    }
+
+    const fields = {
+      status: finalStatus,
+      endTime,
+      duration: this.secondsBetween(call.originatedAt, endTime),
+      talkDuration: call.answeredAt ? this.secondsBetween(call.answeredAt, endTime) : 0,
+      hangupCause: hangupCause || null,
+      amdStatus: call.amdStatus || null
+    };
+
+    if (call.ringingAt && !call.answeredAt) {
+      fields.ringDuration = this.secondsBetween(call.ringingAt, endTime);
+    }
+
+    await this.updateCall(call, fields);
+    this.forgetCall(callLogId);
+
+    console.log(`📴 Call ${callLogId} ended: ${finalStatus}, talk ${fields.talkDuration}s, cause ${fields.hangupCause}`);
+
+    // The transfer leg lasts from the bridge until the lead channel hangs up
+    const transfer = {
+      transferStatus: call.bridgedAt ? 'accepted' : call.transferStatus,
+      transferDuration: call.bridgedAt ? this.secondsBetween(call.bridgedAt, endTime) : 0,
+      transferredAt: call.bridgedAt
+    };
+
+    if (this.onCallEnded) {
+      try {
+        await this.onCallEnded(callLogId, finalStatus, { ...fields, ...transfer });
+      } catch (error) {
+        console.error(`Error in call-ended handler for call ${callLogId}:`, error);
+      }
+    }
+  }
+
+  forgetCall(callLogId) {
+    this.calls.delete(callLogId);
+
+    for (const [key, id] of this.channelIndex) {
+      if (id === callLogId) this.channelIndex.delete(key);
+    }
+    for (const [key, id] of this.actionIndex) {
+      if (id === callLogId) this.actionIndex.delete(key);
+    }
+  }
+
+  /**
+   * Drop in-memory state for calls whose Hangup never arrived (e.g. lost during a reconnect)
+   */
+  pruneStaleCalls(maxAgeMs = 2 * 60 * 60 * 1000) {
+    const cutoff = Date.now() - maxAgeMs;
+    let pruned = 0;
+
+    for (const [callLogId, call] of this.calls) {
+      if (call.originatedAt.getTime() < cutoff) {
+        this.forgetCall(callLogId);
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  isTracking(callLogId) {
+    return this.calls.has(callLogId);
+  }
+
+  getStatus() {
+    return Array.from(this.connections.entries()).map(([key, entry]) => ({
+      pbx: key,
+      connected: !!entry.client.isConnected,
+      lastEvent: entry.client.lastEvent ? entry.client.lastEvent.Event : null
+    }));
+  }
+
+  secondsBetween(start, end) {
+    return Math.max(Math.round((end - start) / 1000), 0);
+  }
+}
+
+module.exports = AmiConnectionPool;
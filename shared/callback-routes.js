@@ -0,0 +1,46 @@
+const express = require('express');
+const CallbackService = require('./callback-service');
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const models = require('./lead-models')(sequelize);
+  const service = new CallbackService({ ...models, Tenant: sequelize.models.Tenant });
+
+  // Callback queue: view=due (default), upcoming or missed
+  router.get('/callbacks', authenticateToken, async (req, res) => {
+    try {
+      const data = await service.getQueue(req.user.tenantId, req.query);
+      res.json(data);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Schedule or move a callback
+  router.post('/leads/:id/callback', authenticateToken, async (req, res) => {
+    try {
+      const lead = await service.scheduleCallback(req.params.id, req.user.tenantId, req.body);
+      res.json({
+        message: 'Callback scheduled',
+        leadId: lead.id,
+        scheduledCallback: lead.scheduledCallback,
+        assignedTo: lead.assignedTo
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Cancel a callback
+  router.delete('/leads/:id/callback', authenticateToken, async (req, res) => {
+    try {
+      await service.cancelCallback(req.params.id, req.user.tenantId);
+      res.json({ message: 'Callback cancelled', leadId: parseInt(req.params.id, 10) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+  return router;
+};
@@ -0,0 +1,316 @@
+// shared/callback-service.js
+// Scheduled callbacks: due-callback selection for the dialer, agent routing and missed-callback rescheduling
+
+const { Op } = require('sequelize');
+const CallingWindowService = require('./calling-window-service');
+
+const DEFAULT_CALLBACKS = {
+  enabled: true,
+  routeToAssignedAgent: false,
+  agentExtensions: {},       // assignedTo -> extension; numeric assignedTo values are used as-is
+  missedAfterMinutes: 30,    // due this long without being dialed counts as missed
+  rescheduleMinutes: 60,
+  maxReschedules: 3          // after this many misses the lead goes back to the regular dialer pool
+};
+
+// Outcomes that mean the callback reached someone
+const REACHED_OUTCOMES = ['answered', 'transferred', 'completed', 'connected'];
+
+class CallbackService {
+  constructor(models) {
+    this.models = models;
+    this.callingWindowService = new CallingWindowService(models);
+  }
+
+  /**
+   * Resolve callback settings from a dialer config (tenant or campaign)
+   */
+  getConfig(dialerConfig = {}) {
+    const config = dialerConfig.callbacks || {};
+
+    return {
+      ...DEFAULT_CALLBACKS,
+      ...config,
+      agentExtensions: { ...DEFAULT_CALLBACKS.agentExtensions, ...(config.agentExtensions || {}) }
+    };
+  }
+
+  /**
+   * Schedule (or move) a callback for a lead
+   */
+  async scheduleCallback(leadId, tenantId, { scheduledCallback, assignedTo, notes } = {}) {
+    try {
+      const callbackTime = new Date(scheduledCallback);
+      if (!scheduledCallback || isNaN(callbackTime.getTime())) {
+        throw new Error('A valid scheduledCallback time is required');
+      }
+
+      const lead = await this.models.Lead.findOne({
+        where: { id: leadId, tenantId: tenantId.toString() }
+      });
+
+      if (!lead) {
+        throw new Error('Lead not found');
+      }
+
+      if (lead.status === 'dnc') {
+        throw new Error('Cannot schedule a callback for a DNC lead');
+      }
+
+      const additionalData = { ...(lead.additionalData || {}) };
+      additionalData.callback = {
+        requestedFor: callbackTime.toISOString(),
+        missedCount: 0,
+        notes: notes || null
+      };
+
+      const updates = {
+        status: 'callback',
+        scheduledCallback: callbackTime,
+        additionalData
+      };
+      if (assignedTo !== undefined) {
+        updates.assignedTo = assignedTo;
+      }
+
+      await lead.update(updates);
+      console.log(`📅 Scheduled callback for lead ${lead.id} at ${callbackTime.toISOString()}`);
+
+      return lead;
+    } catch (error) {
+      console.error('Error scheduling callback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending callback and return the lead to the regular dialer pool
+   */
+  async cancelCallback(leadId, tenantId) {
+    try {
+      const lead = await this.models.Lead.findOne({
+        where: { id: leadId, tenantId: tenantId.toString(), status: 'callback' }
+      });
+
+      if (!lead) {
+        throw new Error('Callback not found');
+      }
+
+      const additionalData = { ...(lead.additionalData || {}) };
+      delete additionalData.callback;
+
+      await lead.update({ status: 'pending', scheduledCallback: null, additionalData });
+      return lead;
+    } catch (error) {
+      console.error('Error cancelling callback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Callback queue for a tenant: due, upcoming or missed
+   */
+  async getQueue(tenantId, { view = 'due', page = 1, limit = 50 } = {}) {
+    try {
+      const now = new Date();
+      const where = {
+        tenantId: tenantId.toString(),
+        status: 'callback'
+      };
+      let order = [['scheduledCallback', 'ASC']];
+
+      if (view === 'due') {
+        where.scheduledCallback = { [Op.lte]: now };
+      } else if (view === 'upcoming') {
+        where.scheduledCallback = { [Op.gt]: now };
+      } else if (view === 'missed') {
+        // Includes callbacks already released back to the dialer pool
+        delete where.status;
+        where['additionalData.callback.missedCount'] = { [Op.gt]: 0 };
+        order = [['updatedAt', 'DESC']];
+      } else {
+        throw new Error('view must be one of due, upcoming or missed');
+      }
+
+      const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
+      const { count, rows } = await this.models.Lead.findAndCountAll({
+        where,
+        order,
+        limit: parseInt(limit, 10),
+        offset
+      });
+
+      return {
+        callbacks: rows.map(lead => ({
+          leadId: lead.id,
+          name: lead.name,
+          phone: lead.phone,
+          brand: lead.brand,
+          assignedTo: lead.assignedTo,
+          scheduledCallback: lead.scheduledCallback,
+          ...((lead.additionalData && lead.additionalData.callback) || {})
+        })),
+        totalCount: count,
+        page: parseInt(page, 10),
+        totalPages: Math.ceil(count / parseInt(limit, 10))
+      };
+    } catch (error) {
+      console.error('Error getting callback queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Due callbacks for a dialer cycle, oldest first
+   */
+  async getDueCallbacks(tenant, extraWhere = {}, limit = 10) {
+    try {
+      return await this.models.Lead.findAll({
+        where: {
+          ...extraWhere,
+          tenantId: tenant.id.toString(),
+          status: 'callback',
+          scheduledCallback: { [Op.lte]: new Date() }
+        },
+        order: [['scheduledCallback', 'ASC']],
+        limit
+      });
+    } catch (error) {
+      console.error('Error getting due callbacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agent extension to route a callback to, or null to use the campaign ingroup
+   */
+  getAgentExtension(lead, config) {
+    if (!config.routeToAssignedAgent || !lead.assignedTo) {
+      return null;
+    }
+
+    const mapped = config.agentExtensions[lead.assignedTo];
+    if (mapped) {
+      return mapped.toString();
+    }
+
+    return /^\d+$/.test(lead.assignedTo) ? lead.assignedTo : null;
+  }
+
+  /**
+   * Remember which call is working the callback; clearing scheduledCallback keeps it out of the due queue while in flight
+   */
+  async markDialed(lead, callLogId, agentExtension = null) {
+    const additionalData = { ...(lead.additionalData || {}) };
+    additionalData.callback = {
+      ...(additionalData.callback || {}),
+      dueAt: lead.scheduledCallback,
+      callLogId,
+      dialedAt: new Date().toISOString(),
+      routedTo: agentExtension
+    };
+
+    await lead.update({ scheduledCallback: null, additionalData });
+  }
+
+  /**
+   * Close out a callback call: clear it when reached, otherwise reschedule it as missed
+   */
+  async handleCallOutcome(callLogId, outcome) {
+    try {
+      const call = await this.models.CallLog.findByPk(callLogId);
+      if (!call || !call.leadId) return false;
+
+      const lead = await this.models.Lead.findByPk(call.leadId);
+      const callback = lead && lead.additionalData && lead.additionalData.callback;
+      if (!callback || callback.callLogId !== call.id) return false;
+
+      const additionalData = { ...lead.additionalData };
+
+      if (REACHED_OUTCOMES.includes(outcome)) {
+        delete additionalData.callback;
+        await lead.update({ additionalData });
+        console.log(`✅ Callback completed for lead ${lead.id}`);
+        return true;
+      }
+
+      const tenant = await this.models.Tenant.findByPk(call.tenantId);
+      await this.rescheduleMissed(lead, tenant, `call ${outcome}`);
+      return true;
+    } catch (error) {
+      console.error('Error handling callback outcome:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reschedule callbacks that stayed due too long without being dialed
+   */
+  async rescheduleMissedCallbacks(tenant) {
+    try {
+      const config = this.getConfig(tenant.dialerConfig || {});
+      if (!config.enabled) return 0;
+
+      const cutoff = new Date(Date.now() - config.missedAfterMinutes * 60 * 1000);
+      const overdue = await this.models.Lead.findAll({
+        where: {
+          tenantId: tenant.id.toString(),
+          status: 'callback',
+          scheduledCallback: { [Op.lt]: cutoff }
+        }
+      });
+
+      for (const lead of overdue) {
+        await this.rescheduleMissed(lead, tenant, 'not dialed in time');
+      }
+
+      return overdue.length;
+    } catch (error) {
+      console.error('Error rescheduling missed callbacks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a missed callback to the lead's next allowed calling time, or release it to the dialer pool
+   */
+  async rescheduleMissed(lead, tenant, reason) {
+    const config = this.getConfig((tenant && tenant.dialerConfig) || {});
+    const callback = { ...((lead.additionalData && lead.additionalData.callback) || {}) };
+
+    callback.missedCount = (callback.missedCount || 0) + 1;
+    callback.lastMissedAt = new Date().toISOString();
+    callback.lastMissedReason = reason;
+    delete callback.callLogId;
+
+    const additionalData = { ...(lead.additionalData || {}), callback };
+
+    if (callback.missedCount > config.maxReschedules) {
+      await lead.update({ status: 'pending', scheduledCallback: null, additionalData });
+      console.log(`↩️ Callback for lead ${lead.id} missed ${callback.missedCount} times, returned to dialer pool`);
+      return null;
+    }
+
+    const earliest = new Date(Date.now() + config.rescheduleMinutes * 60 * 1000);
+    const nextTime = (tenant && this.callingWindowService.getNextAllowedTime(lead, tenant, earliest)) || earliest;
+
+    await lead.update({ status: 'callback', scheduledCallback: nextTime, additionalData });
+    console.log(`📅 Callback for lead ${lead.id} missed (${reason}), rescheduled to ${nextTime.toISOString()}`);
+
+    return nextTime;
+  }
+
+  /**
+   * Move a due callback to a later time without counting it as missed, e.g. when the contact policy holds the lead
+   */
+  async postpone(lead, tenant, earliest, reason) {
+    const nextTime = (tenant && this.callingWindowService.getNextAllowedTime(lead, tenant, earliest)) || earliest;
+
+    await lead.update({ scheduledCallback: nextTime });
+    console.log(`📅 Callback for lead ${lead.id} postponed to ${nextTime.toISOString()} (${reason})`);
+
+    return nextTime;
+  }
+}
+
+module.exports = CallbackService;
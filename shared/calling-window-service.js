@@ -0,0 +1,316 @@
+// shared/calling-window-service.js
+// Decides whether a lead may be called right now in the lead's own local time
+
+const moment = require('moment-timezone');
+const { Op, literal, where } = require('sequelize');
+const {
+  FEDERAL_WINDOW,
+  STATE_BY_AREA_CODE,
+  STATE_TIMEZONES,
+  AREA_CODE_TIMEZONES,
+  ZIP_PREFIX_RANGES,
+  ZIP_PREFIX_TIMEZONES,
+  STATE_CALLING_RULES
+} = require('./calling-window-rules');
+
+// Every zone the built-in tables can resolve a lead to
+const KNOWN_TIMEZONES = [...new Set([
+  ...Object.values(STATE_TIMEZONES),
+  ...Object.values(AREA_CODE_TIMEZONES).reduce((all, zones) => all.concat(zones), []),
+  ...Object.values(ZIP_PREFIX_TIMEZONES).reduce((all, zones) => all.concat(zones), [])
+])];
+
+// Area code of Lead.phone in SQL, matching the parsing in resolveLeadLocation
+const AREA_CODE_SQL = `(CASE
+  WHEN length(regexp_replace("phone", '\\D', '', 'g')) = 11 AND left(regexp_replace("phone", '\\D', '', 'g'), 1) = '1'
+    THEN substr(regexp_replace("phone", '\\D', '', 'g'), 2, 3)
+  WHEN length(regexp_replace("phone", '\\D', '', 'g')) = 10
+    THEN left(regexp_replace("phone", '\\D', '', 'g'), 3)
+END)`;
+
+const DID_STATE_TTL = 10 * 60 * 1000;
+
+class CallingWindowService {
+  constructor(models = {}) {
+    this.models = models;
+    this.didStates = new Map();
+  }
+
+  /**
+   * Cache the area code to state mapping of the tenant's DIDs. It fills in area codes the built-in
+   * table does not know, e.g. new overlays
+   */
+  async loadDidStates(tenant) {
+    const cached = this.didStates.get(String(tenant.id));
+    if (cached && Date.now() - cached.loadedAt < DID_STATE_TTL) {
+      return cached.states;
+    }
+
+    const states = {};
+    if (this.models.DID) {
+      try {
+        const dids = await this.models.DID.findAll({
+          where: { tenantId: tenant.id.toString(), state: { [Op.ne]: null } },
+          attributes: ['areaCode', 'phoneNumber', 'state']
+        });
+
+        for (const did of dids) {
+          const state = (did.state || '').toString().trim().toUpperCase();
+          const digits = (did.phoneNumber || '').replace(/\D/g, '');
+          const national = digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+          const areaCode = parseInt(did.areaCode || (national.length === 10 ? national.substring(0, 3) : ''), 10);
+          if (areaCode && STATE_TIMEZONES[state] && !STATE_BY_AREA_CODE[areaCode]) {
+            states[areaCode] = state;
+          }
+        }
+      } catch (error) {
+        console.error(`Error loading DID states for tenant ${tenant.id}:`, error.message);
+      }
+    }
+
+    this.didStates.set(String(tenant.id), { states, loadedAt: Date.now() });
+    return states;
+  }
+
+  getAreaCodeState(areaCode, tenant) {
+    if (!areaCode) return null;
+    if (STATE_BY_AREA_CODE[areaCode]) return STATE_BY_AREA_CODE[areaCode];
+
+    const cached = tenant ? this.didStates.get(String(tenant.id)) : null;
+    return cached ? cached.states[areaCode] || null : null;
+  }
+
+  /**
+   * Resolve calling-window settings from the tenant dialer config
+   */
+  getConfig(tenant) {
+    const config = (tenant && tenant.dialerConfig && tenant.dialerConfig.callingWindows) || {};
+
+    return {
+      enabled: config.enabled !== false,
+      defaultWindow: config.defaultWindow || FEDERAL_WINDOW,
+      stateRules: { ...STATE_CALLING_RULES, ...(config.stateRules || {}) },
+      holidays: config.holidays || [],
+      blockUnknownTimezone: config.blockUnknownTimezone === true
+    };
+  }
+
+  /**
+   * Work out the lead's state and time zone(s). With the tenant, area codes of its DIDs
+   * loaded by loadDidStates are known too
+   */
+  resolveLeadLocation(lead, tenant = null) {
+    const additionalData = lead.additionalData || {};
+    const digits = (lead.phone || '').replace(/\D/g, '');
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+    const areaCode = national.length === 10 ? parseInt(national.substring(0, 3), 10) : null;
+
+    const zip = (additionalData.zip || additionalData.zipCode || additionalData.zip_code ||
+      additionalData.postalCode || additionalData.postal_code || '').toString().trim();
+    const zipPrefix = /^\d{5}/.test(zip) ? parseInt(zip.substring(0, 3), 10) : null;
+
+    let state = (additionalData.state || additionalData.State || '').toString().trim().toUpperCase();
+    if (!STATE_TIMEZONES[state]) {
+      state = null;
+    }
+
+    const zipState = zipPrefix !== null ? this.getStateFromZipPrefix(zipPrefix) : null;
+    const areaCodeState = this.getAreaCodeState(areaCode, tenant);
+    state = state || zipState || areaCodeState;
+
+    // An explicit zone on the lead always wins
+    if (lead.timezone && moment.tz.zone(lead.timezone)) {
+      return { state, timezones: [lead.timezone], source: 'lead' };
+    }
+
+    if (zipState) {
+      return {
+        state,
+        timezones: ZIP_PREFIX_TIMEZONES[zipPrefix] || [STATE_TIMEZONES[zipState]],
+        source: 'zip'
+      };
+    }
+
+    if (areaCodeState) {
+      return {
+        state,
+        timezones: AREA_CODE_TIMEZONES[areaCode] || [STATE_TIMEZONES[areaCodeState]],
+        source: 'area_code'
+      };
+    }
+
+    if (state) {
+      return { state, timezones: [STATE_TIMEZONES[state]], source: 'state' };
+    }
+
+    return { state: null, timezones: [], source: 'unknown' };
+  }
+
+  /**
+   * Map a 3-digit ZIP prefix to its state
+   */
+  getStateFromZipPrefix(prefix) {
+    const range = ZIP_PREFIX_RANGES.find(([start, end]) => prefix >= start && prefix <= end);
+    return range ? range[2] : null;
+  }
+
+  /**
+   * Check whether a lead can be called at the given moment
+   */
+  canCallLead(lead, tenant, at = new Date()) {
+    const config = this.getConfig(tenant);
+    const location = this.resolveLeadLocation(lead, tenant);
+
+    if (!config.enabled) {
+      return { allowed: true, ...location };
+    }
+
+    let timezones = location.timezones;
+    if (timezones.length === 0) {
+      if (config.blockUnknownTimezone) {
+        return { allowed: false, reason: 'Unable to determine lead time zone', ...location };
+      }
+      timezones = [tenant.timezone || 'America/Los_Angeles'];
+    }
+
+    const rule = location.state ? config.stateRules[location.state] : null;
+
+    // Every candidate zone has to be inside the window for the call to go out
+    for (const timezone of timezones) {
+      const localTime = moment(at).tz(timezone);
+      const blocked = this.checkLocalTime(localTime, rule, config);
+
+      if (blocked) {
+        return {
+          allowed: false,
+          reason: blocked,
+          ...location,
+          timezones,
+          localTime: localTime.format('YYYY-MM-DD HH:mm z')
+        };
+      }
+    }
+
+    return { allowed: true, ...location, timezones };
+  }
+
+  /**
+   * Returns a reason string when the local time is blocked, otherwise null
+   */
+  checkLocalTime(localTime, rule, config) {
+    const date = localTime.format('YYYY-MM-DD');
+    const dayOfWeek = localTime.format('dddd').toLowerCase();
+
+    if (config.holidays.includes(date)) {
+      return `Tenant holiday ${date}`;
+    }
+
+    if (rule && rule.noHolidays && this.isFederalHoliday(localTime)) {
+      return `State holiday ${date}`;
+    }
+
+    let window = config.defaultWindow;
+    if (rule) {
+      if (rule.days && Object.prototype.hasOwnProperty.call(rule.days, dayOfWeek)) {
+        if (!rule.days[dayOfWeek]) {
+          return `No calls allowed on ${dayOfWeek}`;
+        }
+        window = rule.days[dayOfWeek];
+      } else if (rule.start && rule.end) {
+        window = rule;
+      }
+    }
+
+    const currentTime = localTime.format('HH:mm');
+    if (currentTime < window.start || currentTime >= window.end) {
+      return `Local time ${currentTime} is outside calling window (${window.start}-${window.end})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a date against the US federal holiday calendar
+   */
+  isFederalHoliday(localTime) {
+    const month = localTime.month();
+    const day = localTime.date();
+    const weekday = localTime.day();
+    const weekOfMonth = Math.ceil(day / 7);
+    const isLastWeek = day + 7 > localTime.daysInMonth();
+
+    const fixed = [[0, 1], [5, 19], [6, 4], [10, 11], [11, 25]];
+    if (fixed.some(([m, d]) => m === month && d === day)) {
+      return true;
+    }
+
+    if (weekday === 1) {
+      if (month === 0 && weekOfMonth === 3) return true;   // Martin Luther King Jr. Day
+      if (month === 1 && weekOfMonth === 3) return true;   // Presidents' Day
+      if (month === 4 && isLastWeek) return true;          // Memorial Day
+      if (month === 8 && weekOfMonth === 1) return true;   // Labor Day
+      if (month === 9 && weekOfMonth === 2) return true;   // Columbus Day
+    }
+
+    // Thanksgiving
+    return weekday === 4 && month === 10 && weekOfMonth === 4;
+  }
+
+  /**
+   * Lead query condition that leaves out leads whose resolved zone is outside the default window right
+   * now, so the dialer does not keep fetching them. Leads whose location only the ZIP, the state field
+   * or an unknown zone can settle are kept; canCallLead still makes the final decision for every lead
+   */
+  buildLeadWhere(tenant, at = new Date()) {
+    const config = this.getConfig(tenant);
+    if (!config.enabled) return {};
+
+    const openZones = KNOWN_TIMEZONES.filter(timezone =>
+      !this.checkLocalTime(moment(at).tz(timezone), null, config));
+
+    const didStates = (this.didStates.get(String(tenant.id)) || {}).states || {};
+    const areaCodeStates = { ...didStates, ...STATE_BY_AREA_CODE };
+    const areaCodeZones = {};
+    for (const code of Object.keys(areaCodeStates)) {
+      const zones = AREA_CODE_TIMEZONES[code] || [STATE_TIMEZONES[areaCodeStates[code]]].filter(Boolean);
+      if (zones.length > 0) areaCodeZones[code] = zones;
+    }
+    const knownAreaCodes = Object.keys(areaCodeZones);
+    const openAreaCodes = knownAreaCodes.filter(code => areaCodeZones[code].every(zone => openZones.includes(zone)));
+
+    const areaCode = literal(AREA_CODE_SQL);
+    const noTimezone = { [Op.or]: [{ timezone: null }, { timezone: '' }] };
+
+    return {
+      [Op.or]: [
+        { timezone: { [Op.in]: openZones.length > 0 ? openZones : [''] } },
+        { timezone: { [Op.notIn]: KNOWN_TIMEZONES.concat(['']) } },
+        { [Op.and]: [noTimezone, where(areaCode, { [Op.in]: openAreaCodes.length > 0 ? openAreaCodes : [''] })] },
+        { [Op.and]: [noTimezone, where(areaCode, { [Op.or]: [{ [Op.is]: null }, { [Op.notIn]: knownAreaCodes }] })] },
+        { [Op.and]: [noTimezone, literal(`jsonb_exists_any("additionalData", array['zip', 'zipCode', 'zip_code', 'postalCode', 'postal_code', 'state', 'State'])`)] }
+      ]
+    };
+  }
+
+  /**
+   * Find the next moment the lead can be called, checking in 15 minute steps for up to a week
+   */
+  getNextAllowedTime(lead, tenant, from = new Date()) {
+    const candidate = moment(from).startOf('minute');
+    const remainder = candidate.minute() % 15;
+    if (remainder !== 0) {
+      candidate.add(15 - remainder, 'minutes');
+    }
+
+    for (let i = 0; i < 7 * 24 * 4; i++) {
+      if (this.canCallLead(lead, tenant, candidate.toDate()).allowed) {
+        return candidate.toDate();
+      }
+      candidate.add(15, 'minutes');
+    }
+
+    return null;
+  }
+}
+
+module.exports = CallingWindowService;
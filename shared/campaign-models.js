@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+
+// shared/campaign-models.js
+// Dialer campaigns - several independently paced dialer queues inside one tenant
+
+module.exports = function(sequelize) {
+  if (sequelize.models.DialerCampaign) {
+    return { DialerCampaign: sequelize.models.DialerCampaign };
+  }
+
+  const DialerCampaign = sequelize.define('DialerCampaign', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'paused', 'archived'),
+      defaultValue: 'paused'
+    },
+    // Which leads the campaign dials: { brands: [], sources: [], tags: [], stageIds: [] }
+    leadFilter: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    ingroup: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Fallback when no transfer group applies; may be left empty when transferGroupId is set
+    transferNumber: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Route transfers through this TransferGroup instead of matching one by lead brand and ingroup
+    transferGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Falls back to tenant.amiConfig.context
+    amiContext: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Overrides merged over tenant.dialerConfig (speed, pacingMode, pacing, sortOrder, didDistribution...)
+    dialerConfig: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    // Same shape as tenant.schedule; null uses the tenant schedule
+    schedule: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    // DID ids the campaign may call from; empty uses every active tenant DID
+    didIds: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    // Lower numbers are dialed first each cycle
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    pausedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'DialerCampaigns',
+    indexes: [
+      {
+        fields: ['tenantId']
+      },
+      {
+        fields: ['tenantId', 'status']
+      }
+    ]
+  });
+
+  return { DialerCampaign };
+};
@@ -0,0 +1,81 @@
+const express = require('express');
+const CampaignService = require('./campaign-service');
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const models = require('./campaign-models')(sequelize);
+  const service = new CampaignService({ ...models, DID: sequelize.models.DID, TransferGroup: sequelize.models.TransferGroup });
+
+  // List campaigns
+  router.get('/dialer/campaigns', authenticateToken, async (req, res) => {
+    try {
+      const campaigns = await service.listCampaigns(req.user.tenantId, req.query);
+      res.json(campaigns);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Get a campaign
+  router.get('/dialer/campaigns/:id', authenticateToken, async (req, res) => {
+    try {
+      const campaign = await service.getCampaign(req.params.id, req.user.tenantId);
+      res.json(campaign);
+    } catch (err) {
+      res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  // Create a campaign
+  router.post('/dialer/campaigns', authenticateToken, async (req, res) => {
+    try {
+      const campaign = await service.createCampaign(req.user.tenantId, req.body);
+      res.status(201).json(campaign);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Update a campaign
+  router.put('/dialer/campaigns/:id', authenticateToken, async (req, res) => {
+    try {
+      const campaign = await service.updateCampaign(req.params.id, req.user.tenantId, req.body);
+      res.json(campaign);
+    } catch (err) {
+      res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  // Archive a campaign
+  router.delete('/dialer/campaigns/:id', authenticateToken, async (req, res) => {
+    try {
+      await service.deleteCampaign(req.params.id, req.user.tenantId);
+      res.json({ message: 'Campaign archived successfully' });
+    } catch (err) {
+      res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  // Start dialing
+  router.post('/dialer/campaigns/:id/start', authenticateToken, async (req, res) => {
+    try {
+      const campaign = await service.startCampaign(req.params.id, req.user.tenantId);
+      res.json(campaign);
+    } catch (err) {
+      res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  // Pause dialing
+  router.post('/dialer/campaigns/:id/pause', authenticateToken, async (req, res) => {
+    try {
+      const campaign = await service.pauseCampaign(req.params.id, req.user.tenantId);
+      res.json(campaign);
+    } catch (err) {
+      res.status(err.message === 'Campaign not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+  return models;
+};
@@ -0,0 +1,327 @@
+// shared/campaign-service.js
+// Dialer campaign CRUD, start/pause controls and the per-campaign settings the worker dials with
+
+const { Op } = require('sequelize');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'leadFilter', 'ingroup', 'transferNumber', 'transferGroupId', 'amiContext',
+  'dialerConfig', 'schedule', 'didIds', 'priority'
+];
+
+class CampaignService {
+  constructor(models) {
+    this.models = models;
+  }
+
+  /**
+   * Validate campaign fields before create/update
+   */
+  async validateCampaign(tenantId, data, existing = null) {
+    const merged = { ...(existing ? existing.toJSON() : {}), ...data };
+
+    if (!merged.name) {
+      throw new Error('Campaign name is required');
+    }
+    if (!merged.ingroup) {
+      throw new Error('Campaign ingroup is required');
+    }
+    if (!merged.transferNumber && !merged.transferGroupId) {
+      throw new Error('Campaign transfer number or transfer group is required');
+    }
+
+    if (merged.transferGroupId && this.models.TransferGroup) {
+      const group = await this.models.TransferGroup.findOne({
+        where: { id: merged.transferGroupId, tenantId: tenantId.toString() }
+      });
+
+      if (!group) {
+        throw new Error('Transfer group does not belong to this tenant');
+      }
+    }
+
+    const filter = merged.leadFilter || {};
+    for (const key of ['brands', 'sources', 'tags', 'stageIds']) {
+      if (filter[key] !== undefined && !Array.isArray(filter[key])) {
+        throw new Error(`leadFilter.${key} must be an array`);
+      }
+    }
+
+    if (merged.didIds && merged.didIds.length > 0) {
+      if (!Array.isArray(merged.didIds)) {
+        throw new Error('didIds must be an array');
+      }
+
+      const didCount = await this.models.DID.count({
+        where: {
+          id: { [Op.in]: merged.didIds },
+          tenantId: tenantId.toString()
+        }
+      });
+
+      if (didCount !== merged.didIds.length) {
+        throw new Error('One or more DIDs do not belong to this tenant');
+      }
+    }
+  }
+
+  /**
+   * Create a new campaign (paused until started)
+   */
+  async createCampaign(tenantId, data) {
+    try {
+      const fields = this.pickEditable(data);
+      await this.validateCampaign(tenantId, fields);
+
+      const campaign = await this.models.DialerCampaign.create({
+        ...fields,
+        tenantId: tenantId.toString(),
+        status: 'paused'
+      });
+
+      console.log(`✅ Created dialer campaign "${campaign.name}" for tenant ${tenantId}`);
+      return campaign;
+    } catch (error) {
+      console.error('Error creating dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single campaign
+   */
+  async getCampaign(campaignId, tenantId) {
+    try {
+      const campaign = await this.models.DialerCampaign.findOne({
+        where: {
+          id: campaignId,
+          tenantId: tenantId.toString()
+        }
+      });
+
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+
+      return campaign;
+    } catch (error) {
+      console.error('Error getting dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List campaigns for a tenant
+   */
+  async listCampaigns(tenantId, options = {}) {
+    try {
+      const where = { tenantId: tenantId.toString() };
+
+      if (options.status) {
+        where.status = options.status;
+      } else {
+        where.status = { [Op.ne]: 'archived' };
+      }
+
+      return await this.models.DialerCampaign.findAll({
+        where,
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+      });
+    } catch (error) {
+      console.error('Error listing dialer campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a campaign
+   */
+  async updateCampaign(campaignId, tenantId, data) {
+    try {
+      const campaign = await this.getCampaign(campaignId, tenantId);
+      const fields = this.pickEditable(data);
+
+      await this.validateCampaign(tenantId, fields, campaign);
+      await campaign.update(fields);
+
+      console.log(`✅ Updated dialer campaign "${campaign.name}" for tenant ${tenantId}`);
+      return campaign;
+    } catch (error) {
+      console.error('Error updating dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a campaign; archived campaigns are kept so a tenant with campaigns never falls back to the tenant-level queue
+   */
+  async deleteCampaign(campaignId, tenantId) {
+    try {
+      const campaign = await this.getCampaign(campaignId, tenantId);
+      await campaign.update({ status: 'archived', pausedAt: new Date() });
+
+      console.log(`✅ Archived dialer campaign "${campaign.name}" for tenant ${tenantId}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start dialing a campaign on the next worker cycle
+   */
+  async startCampaign(campaignId, tenantId) {
+    try {
+      const campaign = await this.getCampaign(campaignId, tenantId);
+
+      if (campaign.status === 'archived') {
+        throw new Error('Archived campaigns cannot be started');
+      }
+
+      await campaign.update({ status: 'active', startedAt: new Date() });
+      console.log(`▶️ Started dialer campaign "${campaign.name}" for tenant ${tenantId}`);
+
+      return campaign;
+    } catch (error) {
+      console.error('Error starting dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop dialing a campaign; calls already in flight are not affected
+   */
+  async pauseCampaign(campaignId, tenantId) {
+    try {
+      const campaign = await this.getCampaign(campaignId, tenantId);
+
+      if (campaign.status !== 'active') {
+        throw new Error('Campaign is not active');
+      }
+
+      await campaign.update({ status: 'paused', pausedAt: new Date() });
+      console.log(`⏸️ Paused dialer campaign "${campaign.name}" for tenant ${tenantId}`);
+
+      return campaign;
+    } catch (error) {
+      console.error('Error pausing dialer campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Campaigns the worker should dial for a tenant. A tenant with no campaigns at all
+   * keeps dialing from its tenant-level config as a single implicit campaign.
+   * Campaigns with nowhere to transfer a call are left out
+   */
+  async getDialableCampaigns(tenant) {
+    try {
+      const campaigns = await this.models.DialerCampaign.findAll({
+        where: { tenantId: tenant.id.toString() },
+        order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+      });
+
+      const resolved = campaigns.length === 0
+        ? [this.buildDefaultCampaign(tenant)]
+        : campaigns
+          .filter(campaign => campaign.status === 'active')
+          .map(campaign => this.resolveSettings(tenant, campaign));
+
+      // Without a campaign number or group, calls can still route through the tenant's brand/ingroup groups
+      const needsGroup = resolved.some(campaign => !campaign.transferNumber && !campaign.transferGroupId);
+      const hasGroups = needsGroup && this.models.TransferGroup
+        ? await this.models.TransferGroup.count({ where: { tenantId: tenant.id.toString(), isActive: true } }) > 0
+        : false;
+
+      return resolved.filter(campaign => {
+        if (campaign.transferNumber || campaign.transferGroupId || hasGroups) {
+          return true;
+        }
+
+        console.log(`⚠️ Skipping dialer campaign "${campaign.name}" for tenant ${tenant.id}: no transfer number or transfer group configured`);
+        return false;
+      });
+    } catch (error) {
+      console.error('Error loading dialer campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Effective settings for a campaign, with tenant values filling the gaps
+   */
+  resolveSettings(tenant, campaign) {
+    const tenantConfig = tenant.dialerConfig || {};
+    const campaignConfig = campaign.dialerConfig || {};
+
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      isDefault: false,
+      ingroup: campaign.ingroup,
+      transferNumber: campaign.transferNumber || tenantConfig.transferNumber || null,
+      transferGroupId: campaign.transferGroupId || null,
+      amiContext: campaign.amiContext || (tenant.amiConfig && tenant.amiConfig.context),
+      dialerConfig: {
+        ...tenantConfig,
+        ...campaignConfig,
+        pacing: { ...(tenantConfig.pacing || {}), ...(campaignConfig.pacing || {}) }
+      },
+      schedule: campaign.schedule || tenant.schedule,
+      didIds: campaign.didIds || [],
+      leadFilter: campaign.leadFilter || {}
+    };
+  }
+
+  /**
+   * Implicit campaign built from the tenant config
+   */
+  buildDefaultCampaign(tenant) {
+    const dialerConfig = tenant.dialerConfig || {};
+
+    return {
+      id: null,
+      name: 'default',
+      isDefault: true,
+      ingroup: tenant.apiConfig && tenant.apiConfig.ingroup,
+      transferNumber: dialerConfig.transferNumber || null,
+      transferGroupId: dialerConfig.transferGroupId || null,
+      amiContext: tenant.amiConfig && tenant.amiConfig.context,
+      dialerConfig,
+      schedule: tenant.schedule,
+      didIds: [],
+      leadFilter: {}
+    };
+  }
+
+  /**
+   * Lead query conditions for a campaign's lead filter
+   */
+  buildLeadWhere(leadFilter = {}) {
+    const where = {};
+
+    if (leadFilter.brands && leadFilter.brands.length > 0) {
+      where.brand = { [Op.in]: leadFilter.brands };
+    }
+    if (leadFilter.sources && leadFilter.sources.length > 0) {
+      where.source = { [Op.in]: leadFilter.sources };
+    }
+    if (leadFilter.tags && leadFilter.tags.length > 0) {
+      where.tags = { [Op.overlap]: leadFilter.tags };
+    }
+    if (leadFilter.stageIds && leadFilter.stageIds.length > 0) {
+      where.stageId = { [Op.in]: leadFilter.stageIds };
+    }
+
+    return where;
+  }
+
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) fields[key] = data[key];
+      return fields;
+    }, {});
+  }
+}
+
+module.exports = CampaignService;
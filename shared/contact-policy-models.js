@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+
+// shared/contact-policy-models.js
+// Outbound touches per phone number, counted by the tenant contact policy, and the SMS sends it held back
+
+module.exports = function(sequelize) {
+  if (sequelize.models.ContactTouch) {
+    return {
+      ContactTouch: sequelize.models.ContactTouch,
+      DeferredMessage: sequelize.models.DeferredMessage
+    };
+  }
+
+  const ContactTouch = sequelize.define('ContactTouch', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Stored normalized as E.164
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    channel: {
+      type: DataTypes.ENUM('call', 'sms'),
+      allowNull: false
+    },
+    // Which send path made the touch, e.g. dialer, journey, twilio, meera, sms_blaster
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'ContactTouches',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['tenantId', 'phoneNumber', 'createdAt']
+      },
+      {
+        fields: ['leadId']
+      }
+    ]
+  });
+
+  const DeferredMessage = sequelize.define('DeferredMessage', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.ENUM('twilio', 'meera'),
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // The sendSms options, replayed as they were when the send was held back
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    sendAfter: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      // processing: claimed by one server process for sending
+      type: DataTypes.ENUM('pending', 'processing', 'sent', 'failed', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    smsMessageId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    errorMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'DeferredMessages',
+    indexes: [
+      {
+        fields: ['status', 'sendAfter']
+      },
+      {
+        fields: ['tenantId', 'phoneNumber']
+      }
+    ]
+  });
+
+  return { ContactTouch, DeferredMessage };
+};
@@ -0,0 +1,87 @@
+const express = require('express');
+const ContactPolicyService = require('./contact-policy-service');
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const models = require('./contact-policy-models')(sequelize);
+  const service = new ContactPolicyService({ ...models, Tenant: sequelize.models.Tenant, sequelize });
+
+  // Current contact policy, with defaults filled in
+  router.get('/contact-policy', authenticateToken, async (req, res) => {
+    try {
+      const tenant = await sequelize.models.Tenant.findByPk(req.user.tenantId);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+
+      res.json({ policy: service.getConfig(tenant) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Update the contact policy. Fields left out keep their current value
+  router.put('/contact-policy', authenticateToken, async (req, res) => {
+    try {
+      service.validateConfig(req.body);
+
+      const tenant = await sequelize.models.Tenant.findByPk(req.user.tenantId);
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+
+      const dialerConfig = tenant.dialerConfig || {};
+      await tenant.update({
+        dialerConfig: {
+          ...dialerConfig,
+          contactPolicy: { ...(dialerConfig.contactPolicy || {}), ...req.body }
+        }
+      });
+
+      res.json({ message: 'Contact policy updated', policy: service.getConfig(tenant) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Check whether a number can be called or texted now
+  router.get('/contact-policy/check/:phone', authenticateToken, async (req, res) => {
+    try {
+      const channel = req.query.channel || 'call';
+      if (!['call', 'sms'].includes(channel)) {
+        return res.status(400).json({ error: 'channel must be call or sms' });
+      }
+
+      const decision = await service.check(req.user.tenantId, req.params.phone, channel);
+      const phoneNumber = service.leadIntakeService.normalizePhone(req.params.phone) || req.params.phone;
+      res.json({ phoneNumber, channel, ...decision });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // SMS held back by the policy
+  router.get('/contact-policy/deferred', authenticateToken, async (req, res) => {
+    try {
+      const data = await service.listDeferred(req.user.tenantId, req.query);
+      res.json(data);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Cancel a held-back SMS
+  router.delete('/contact-policy/deferred/:id', authenticateToken, async (req, res) => {
+    try {
+      const message = await service.cancelDeferred(req.params.id, req.user.tenantId);
+      res.json({ message: 'Deferred SMS cancelled', id: message.id });
+    } catch (err) {
+      const status = err.message === 'Deferred message not found' ? 404 : 400;
+      res.status(status).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+
+  return { router, service, models };
+};
@@ -0,0 +1,424 @@
+// shared/contact-policy-service.js
+// Tenant contact policy: per-lead caps on calls and texts and a minimum gap between touches, checked before
+// every outbound call and SMS. Touches are counted per phone number, so every send path shares one budget
+
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+const LeadIntakeService = require('./lead-intake-service');
+
+// Caps in dialerConfig.contactPolicy: the channel each one counts (null for both) and its period.
+// Days are tenant-local calendar days; weeks are the last 7 days
+const LIMITS = [
+  { field: 'maxTouchesPerDay', channel: null, period: 'day' },
+  { field: 'maxTouchesPerWeek', channel: null, period: 'week' },
+  { field: 'maxCallsPerDay', channel: 'call', period: 'day' },
+  { field: 'maxCallsPerWeek', channel: 'call', period: 'week' },
+  { field: 'maxSmsPerDay', channel: 'sms', period: 'day' },
+  { field: 'maxSmsPerWeek', channel: 'sms', period: 'week' }
+];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  maxTouchesPerDay: null,
+  maxTouchesPerWeek: null,
+  maxCallsPerDay: null,
+  maxCallsPerWeek: null,
+  maxSmsPerDay: null,
+  maxSmsPerWeek: null,
+  minMinutesBetweenTouches: null
+};
+
+const CHANNEL_LABELS = { call: 'call', sms: 'SMS' };
+
+class ContactPolicyService {
+  constructor(models) {
+    this.models = models;
+
+    // Callers pass whatever models they already hold; pull the touch log off the shared
+    // sequelize instance when it was not included
+    const sequelize = models.sequelize || (models.Lead && models.Lead.sequelize);
+    if ((!models.ContactTouch || !models.DeferredMessage) && sequelize) {
+      const policyModels = require('./contact-policy-models')(sequelize);
+      this.ContactTouch = models.ContactTouch || policyModels.ContactTouch;
+      this.DeferredMessage = models.DeferredMessage || policyModels.DeferredMessage;
+    } else {
+      this.ContactTouch = models.ContactTouch;
+      this.DeferredMessage = models.DeferredMessage;
+    }
+    this.sequelize = sequelize || (this.ContactTouch && this.ContactTouch.sequelize);
+
+    this.leadIntakeService = new LeadIntakeService({});
+  }
+
+  /**
+   * Resolve the contact policy from the tenant dialer config
+   */
+  getConfig(tenant) {
+    const config = (tenant && tenant.dialerConfig && tenant.dialerConfig.contactPolicy) || {};
+
+    return {
+      ...DEFAULT_POLICY,
+      ...config,
+      enabled: config.enabled !== false
+    };
+  }
+
+  /**
+   * Throw on unknown fields or caps that are not positive whole numbers
+   */
+  validateConfig(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      throw new Error('Contact policy must be an object');
+    }
+
+    for (const [field, value] of Object.entries(policy)) {
+      if (!(field in DEFAULT_POLICY)) {
+        throw new Error(`Unknown contact policy field: ${field}. Use ${Object.keys(DEFAULT_POLICY).join(', ')}`);
+      }
+      if (field === 'enabled') {
+        if (typeof value !== 'boolean') {
+          throw new Error('enabled must be true or false');
+        }
+      } else if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`${field} must be a positive whole number or null`);
+      }
+    }
+  }
+
+  hasRules(config) {
+    return LIMITS.some(limit => config[limit.field]) || !!config.minMinutesBetweenTouches;
+  }
+
+  /**
+   * The sms-blaster has no Tenant model, so fall back to reading the tenant row directly
+   */
+  async resolveTenant(tenant) {
+    if (!tenant) return null;
+    if (typeof tenant === 'object') return tenant;
+
+    const Tenant = this.models.Tenant || (this.sequelize && this.sequelize.models.Tenant);
+    if (Tenant) {
+      return Tenant.findByPk(tenant);
+    }
+
+    const rows = await this.sequelize.query(
+      'SELECT id, timezone, "dialerConfig" FROM "Tenants" WHERE id = :id',
+      { replacements: { id: tenant }, type: this.sequelize.QueryTypes.SELECT }
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Check whether the tenant's policy allows another call or SMS to a number at the given moment.
+   * Takes a tenant or a tenant id. Blocked checks carry the reason and the next moment the touch is allowed.
+   * A check that is followed by a send should go through reserve instead
+   */
+  async check(tenant, phoneNumber, channel, at = new Date(), transaction = null) {
+    try {
+      const resolved = await this.resolveTenant(tenant);
+      const config = this.getConfig(resolved);
+      const phone = this.leadIntakeService.normalizePhone(phoneNumber);
+
+      if (!resolved || !config.enabled || !this.hasRules(config) || !phone) {
+        return { allowed: true };
+      }
+
+      const now = moment(at);
+      const dayStart = now.clone().tz(resolved.timezone || 'America/Los_Angeles').startOf('day');
+      const weekStart = now.clone().subtract(7, 'days');
+
+      const touches = await this.ContactTouch.findAll({
+        where: {
+          tenantId: resolved.id.toString(),
+          phoneNumber: phone,
+          createdAt: { [Op.gt]: weekStart.toDate(), [Op.lte]: now.toDate() }
+        },
+        attributes: ['channel', 'createdAt'],
+        order: [['createdAt', 'ASC']],
+        transaction
+      });
+
+      const blocks = [];
+
+      for (const limit of LIMITS) {
+        const max = config[limit.field];
+        if (!max || (limit.channel && limit.channel !== channel)) continue;
+
+        const counted = touches.filter(touch => (!limit.channel || touch.channel === limit.channel) &&
+          (limit.period === 'week' || new Date(touch.createdAt) >= dayStart.toDate()));
+        if (counted.length < max) continue;
+
+        // A day cap lifts at the next local midnight; a week cap once enough touches are 7 days old
+        const until = limit.period === 'day'
+          ? dayStart.clone().add(1, 'day')
+          : moment(counted[counted.length - max].createdAt).add(7, 'days');
+
+        blocks.push({
+          rule: limit.field,
+          reason: `${limit.period === 'day' ? 'Daily' : 'Weekly'} ${CHANNEL_LABELS[limit.channel] || 'touch'} limit of ${max} reached`,
+          until
+        });
+      }
+
+      const lastTouch = touches[touches.length - 1];
+      if (config.minMinutesBetweenTouches && lastTouch) {
+        const until = moment(lastTouch.createdAt).add(config.minMinutesBetweenTouches, 'minutes');
+        if (until.isAfter(now)) {
+          blocks.push({
+            rule: 'minMinutesBetweenTouches',
+            reason: `Last touch ${now.diff(moment(lastTouch.createdAt), 'minutes')} minutes ago, minimum gap is ${config.minMinutesBetweenTouches}`,
+            until
+          });
+        }
+      }
+
+      if (blocks.length === 0) {
+        return { allowed: true };
+      }
+
+      const nextAllowedAt = moment.max(blocks.map(block => block.until)).toDate();
+
+      return {
+        allowed: false,
+        reason: blocks.map(block => block.reason).join('; '),
+        rules: blocks.map(block => block.rule),
+        nextAllowedAt
+      };
+    } catch (error) {
+      console.error('Error checking contact policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the policy and count the touch in one step, before the call or SMS goes out. The check and the
+   * insert hold a transaction-level advisory lock on the tenant and number, so concurrent sends to one
+   * number are counted one at a time instead of all passing the check before any touch is recorded.
+   * Touches are counted even while the policy is off, so turning it on takes recent contact into account.
+   * Returns the check result with the recorded touch; release the touch if the send does not happen
+   */
+  async reserve(tenant, phoneNumber, { channel, source, leadId = null, metadata = {} }) {
+    const phone = this.leadIntakeService.normalizePhone(phoneNumber);
+    const tenantId = tenant && (typeof tenant === 'object' ? tenant.id : tenant);
+    if (!tenantId || !phone) {
+      return { allowed: true, touch: null };
+    }
+
+    try {
+      const resolved = await this.resolveTenant(tenant);
+
+      return await this.sequelize.transaction(async transaction => {
+        await this.sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+          replacements: { key: `contact-policy:${tenantId}:${phone}` },
+          transaction
+        });
+
+        const decision = await this.check(resolved, phone, channel, new Date(), transaction);
+        if (!decision.allowed) {
+          return { ...decision, touch: null };
+        }
+
+        const touch = await this.ContactTouch.create({
+          tenantId: tenantId.toString(),
+          phoneNumber: phone,
+          leadId,
+          channel,
+          source,
+          metadata
+        }, { transaction });
+
+        return { ...decision, touch };
+      });
+    } catch (error) {
+      console.error('Error reserving contact touch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add what the send produced (call log, SMS message) to a reserved touch
+   */
+  async confirm(touch, metadata = {}) {
+    if (!touch) return;
+
+    try {
+      await touch.update({ metadata: { ...(touch.metadata || {}), ...metadata } });
+    } catch (error) {
+      console.error('Error confirming contact touch:', error);
+    }
+  }
+
+  /**
+   * Drop a reserved touch whose call or SMS did not go out, so it does not count toward the caps
+   */
+  async release(touch) {
+    if (!touch) return;
+
+    try {
+      await touch.destroy();
+    } catch (error) {
+      console.error('Error releasing contact touch:', error);
+    }
+  }
+
+  /**
+   * Queue an SMS the policy held back, to be sent by processDeferredMessages once the number is clear.
+   * A send that was already queued (options.deferredMessageId) is pushed back instead of queued again
+   */
+  async deferSms(tenantId, provider, options, decision) {
+    const { deferredMessageId, ...sendOptions } = options;
+
+    try {
+      let message = deferredMessageId ? await this.DeferredMessage.findByPk(deferredMessageId) : null;
+
+      if (message) {
+        await message.update({
+          status: 'pending',
+          sendAfter: decision.nextAllowedAt,
+          reason: decision.reason,
+          attempts: message.attempts + 1
+        });
+      } else {
+        message = await this.DeferredMessage.create({
+          tenantId: tenantId.toString(),
+          phoneNumber: this.leadIntakeService.normalizePhone(options.to) || options.to,
+          leadId: options.leadId || null,
+          provider,
+          source: (options.metadata && options.metadata.source) || provider,
+          options: sendOptions,
+          sendAfter: decision.nextAllowedAt,
+          reason: decision.reason
+        });
+      }
+
+      console.log(`⏳ Deferred SMS to ${options.to} until ${decision.nextAllowedAt.toISOString()} (${decision.reason})`);
+
+      return {
+        success: false,
+        deferred: true,
+        deferredMessageId: message.id,
+        sendAfter: decision.nextAllowedAt,
+        reason: decision.reason
+      };
+    } catch (error) {
+      console.error('Error deferring SMS:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send queued SMS whose time has come through the provider services ({ twilio, meera }). Every server
+   * process runs this, so each message is claimed first and only the process that claimed it sends it
+   */
+  async processDeferredMessages(senders, limit = 100) {
+    const due = await this.DeferredMessage.findAll({
+      where: {
+        status: 'pending',
+        sendAfter: { [Op.lte]: new Date() }
+      },
+      order: [['sendAfter', 'ASC']],
+      limit
+    });
+
+    let sent = 0;
+    for (const message of due) {
+      const sender = senders[message.provider];
+      if (!sender) continue;
+
+      const [claimed] = await this.DeferredMessage.update(
+        { status: 'processing' },
+        { where: { id: message.id, status: 'pending' } }
+      );
+      if (claimed === 0) continue;
+
+      try {
+        const result = await sender.sendSms(message.tenantId, {
+          ...message.options,
+          deferredMessageId: message.id
+        });
+
+        // Still capped; sendSms has already pushed it back and returned it to pending
+        if (result && result.deferred) continue;
+
+        await message.update({
+          status: 'sent',
+          sentAt: new Date(),
+          smsMessageId: result ? result.messageId : null,
+          attempts: message.attempts + 1
+        });
+        sent++;
+      } catch (error) {
+        await message.update({
+          status: 'failed',
+          errorMessage: error.message,
+          attempts: message.attempts + 1
+        });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * List queued SMS for a tenant
+   */
+  async listDeferred(tenantId, options = {}) {
+    try {
+      const { page = 1, limit = 50, status, leadId, phone } = options;
+      const where = { tenantId: tenantId.toString() };
+
+      if (status) {
+        where.status = status;
+      }
+
+      if (leadId) {
+        where.leadId = leadId;
+      }
+
+      if (phone) {
+        where.phoneNumber = this.leadIntakeService.normalizePhone(phone) || phone;
+      }
+
+      const { count, rows } = await this.DeferredMessage.findAndCountAll({
+        where,
+        order: [['sendAfter', 'ASC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      return {
+        messages: rows,
+        totalCount: count,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / parseInt(limit))
+      };
+    } catch (error) {
+      console.error('Error listing deferred SMS:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a queued SMS before it is sent
+   */
+  async cancelDeferred(id, tenantId) {
+    const message = await this.DeferredMessage.findOne({
+      where: { id, tenantId: tenantId.toString() }
+    });
+
+    if (!message) {
+      throw new Error('Deferred message not found');
+    }
+    if (message.status !== 'pending') {
+      throw new Error(`Deferred message is already ${message.status}`);
+    }
+
+    await message.update({ status: 'cancelled' });
+    return message;
+  }
+}
+
+ContactPolicyService.LIMITS = LIMITS.map(limit => limit.field);
+ContactPolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = ContactPolicyService;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+
+// shared/did-quarantine-models.js
+// One row per time a DID was pulled from rotation for a collapsed answer rate
+
+module.exports = function(sequelize) {
+  if (sequelize.models.DidQuarantine) {
+    return { DidQuarantine: sequelize.models.DidQuarantine };
+  }
+
+  const DidQuarantine = sequelize.define('DidQuarantine', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    didId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    healthScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    answerRate: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    tenantAnswerRate: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    callsSampled: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    quarantinedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    releaseAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    releasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    releasedBy: {
+      type: DataTypes.STRING,  // 'auto' when the quarantine expired, otherwise the user who released it
+      allowNull: true
+    }
+  }, {
+    tableName: 'DidQuarantines',
+    indexes: [
+      {
+        fields: ['tenantId', 'didId']
+      },
+      {
+        fields: ['releasedAt']
+      }
+    ]
+  });
+
+  return { DidQuarantine };
+};
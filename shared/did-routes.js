@@ -6,7 +6,8 @@ const DIDService = require('./did-service');
 module.exports = function(app, sequelize, authenticateToken) {
   const router = express.Router();
   const models = require('./lead-models')(sequelize);
-  const didService = new DIDService({ ...models, sequelize });
+  const { DidQuarantine } = require('./did-quarantine-models')(sequelize);
+  const didService = new DIDService({ ...models, DidQuarantine, Tenant: sequelize.models.Tenant, sequelize });
 
   // ===== DID CRUD OPERATIONS =====
 
@@ -152,6 +153,25 @@ module.exports = function(app, sequelize, authenticateToken) {
     }
   });
 
+  // Put a quarantined DID back into rotation early
+  router.post('/dids/:id/release-quarantine', authenticateToken, async (req, res) => {
+    try {
+      const did = await didService.releaseQuarantine(
+        req.params.id,
+        req.user.tenantId,
+        req.user.username || String(req.user.id)
+      );
+
+      res.json({
+        message: 'DID released from quarantine',
+        did
+      });
+    } catch (error) {
+      console.error('Error releasing DID quarantine:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   // ===== DID ANALYTICS AND REPORTING =====
 
   // Get DID usage statistics
@@ -400,6 +420,7 @@ module.exports = function(app, sequelize, authenticateToken) {
   console.log('📋 Available DID endpoints:');
   console.log('   📞 CRUD: GET/POST/PUT/DELETE /api/dids');
   console.log('   🎯 Distribution: POST /api/dids/next-available');
+  console.log('   🚫 Quarantine: POST /api/dids/:id/release-quarantine');
   console.log('   📊 Analytics: GET /api/dids/:id/stats');
   console.log('   📈 Reports: GET /api/dids/reports/performance');
   console.log('   📤 Bulk Import: POST /api/dids/bulk-import');
@@ -409,3 +430,4 @@ module.exports = function(app, sequelize, authenticateToken) {
     router,
     service: didService
   };
+};
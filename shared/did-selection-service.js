@@ -0,0 +1,397 @@
+// shared/did-selection-service.js
+// Picks the caller ID for an outbound call (dialer, journeys and the DID API all go through here)
+// and keeps DID health up to date, quarantining numbers whose answer rate collapses
+
+const { Op, fn, col, literal } = require('sequelize');
+const moment = require('moment-timezone');
+const CallingWindowService = require('./calling-window-service');
+const { STATE_BY_AREA_CODE, STATE_TIMEZONES } = require('./calling-window-rules');
+
+const DEFAULT_ROTATION = {
+  dailyCap: 150,           // calls per DID per day in the tenant time zone, 0 = no cap
+  cooldownSeconds: 60,     // minimum gap between two calls from the same DID
+  stateFallback: true,     // local mode: use a DID from the lead's state when no area code matches
+  health: {
+    enabled: true,
+    windowHours: 24,
+    minCalls: 25,          // calls a DID needs in the window before it gets a score
+    quarantineBelow: 40,   // health score (DID answer rate as a % of the tenant rate) that triggers quarantine
+    quarantineHours: 48
+  }
+};
+
+// Statuses where a person picked up; voicemail counts as unanswered since spam-flagged numbers get sent there
+const ANSWERED_STATUSES = ['answered', 'transferred', 'completed', 'connected'];
+const IN_FLIGHT_STATUSES = ['initiated', 'ringing'];
+
+class DidSelectionService {
+  constructor(models) {
+    this.models = models;
+    this.callingWindowService = new CallingWindowService(models);
+  }
+
+  /**
+   * Resolve rotation settings from a dialer config (tenant or campaign)
+   */
+  getConfig(dialerConfig = {}) {
+    const config = dialerConfig.didRotation || {};
+
+    return {
+      ...DEFAULT_ROTATION,
+      ...config,
+      distribution: dialerConfig.didDistribution || 'even',
+      health: { ...DEFAULT_ROTATION.health, ...(config.health || {}) }
+    };
+  }
+
+  /**
+   * Pick a DID for a lead. Returns { did, poolSize, skipped, match }; did is null when every DID
+   * in the pool is quarantined, capped for the day or cooling down
+   */
+  async selectDID(tenant, lead, options = {}) {
+    const {
+      campaign = null,
+      distributionMode = null,
+      areaCode = null,
+      state = null,
+      excludeIds = []
+    } = options;
+    const dialerConfig = options.dialerConfig || (campaign ? campaign.dialerConfig : tenant.dialerConfig) || {};
+    const config = this.getConfig(dialerConfig);
+    const mode = distributionMode || config.distribution;
+
+    const where = {
+      tenantId: tenant.id.toString(),
+      isActive: true
+    };
+
+    if (campaign && campaign.didIds && campaign.didIds.length > 0) {
+      where.id = { [Op.in]: campaign.didIds };
+    }
+    if (excludeIds.length > 0) {
+      where.id = { ...(where.id || {}), [Op.notIn]: excludeIds };
+    }
+
+    if (areaCode) where.areaCode = areaCode;
+    if (state) where.state = state;
+
+    const dids = await this.models.DID.findAll({ where });
+    const skipped = { quarantined: 0, dailyCap: 0, coolingDown: 0 };
+
+    if (dids.length === 0) {
+      return { did: null, poolSize: 0, skipped, match: null };
+    }
+
+    const now = new Date();
+    const callsToday = config.dailyCap > 0
+      ? await this.getCallCounts(tenant.id, this.getStartOfDay(tenant), dids.map(did => did.phoneNumber))
+      : {};
+
+    const eligible = dids.filter(did => {
+      if (this.isQuarantined(did, now)) {
+        skipped.quarantined++;
+        return false;
+      }
+      if (config.dailyCap > 0 && callsToday[did.phoneNumber] && callsToday[did.phoneNumber].calls >= config.dailyCap) {
+        skipped.dailyCap++;
+        return false;
+      }
+      if (config.cooldownSeconds > 0 && did.lastUsed &&
+          now - new Date(did.lastUsed) < config.cooldownSeconds * 1000) {
+        skipped.coolingDown++;
+        return false;
+      }
+      return true;
+    });
+
+    if (eligible.length === 0) {
+      return { did: null, poolSize: dids.length, skipped, match: null };
+    }
+
+    let candidates = eligible;
+    let match = 'any';
+
+    if ((mode === 'local' || mode === 'geographic') && lead && lead.phone) {
+      const leadAreaCode = this.extractAreaCode(lead.phone);
+      const local = eligible.filter(did => leadAreaCode && did.areaCode === leadAreaCode);
+
+      if (local.length > 0) {
+        candidates = local;
+        match = 'area_code';
+      } else if (config.stateFallback) {
+        const leadState = this.callingWindowService.resolveLeadLocation(lead).state;
+        const sameState = eligible.filter(did => leadState && this.getDIDState(did) === leadState);
+
+        if (sameState.length > 0) {
+          candidates = sameState;
+          match = 'state';
+        }
+      }
+    }
+
+    return {
+      did: this.pickByMode(candidates, mode),
+      poolSize: dids.length,
+      skipped,
+      match
+    };
+  }
+
+  /**
+   * Order candidates by distribution mode and take the first
+   */
+  pickByMode(dids, mode) {
+    const lastUsed = did => (did.lastUsed ? new Date(did.lastUsed).getTime() : 0);
+
+    switch (mode) {
+      case 'random':
+        return dids[Math.floor(Math.random() * dids.length)];
+      case 'round_robin':
+        return [...dids].sort((a, b) => lastUsed(a) - lastUsed(b))[0];
+      default:
+        // even, least_used, local and geographic all spread load by usage
+        return [...dids].sort((a, b) => (a.usageCount - b.usageCount) || (lastUsed(a) - lastUsed(b)))[0];
+    }
+  }
+
+  isQuarantined(did, at = new Date()) {
+    const quarantine = did.metadata && did.metadata.quarantine;
+    return Boolean(quarantine && new Date(quarantine.until) > at);
+  }
+
+  /**
+   * Two-letter state for a DID: its own state field, or the state of its area code
+   */
+  getDIDState(did) {
+    const state = (did.state || '').toString().trim().toUpperCase();
+    if (STATE_TIMEZONES[state]) {
+      return state;
+    }
+
+    return did.areaCode ? STATE_BY_AREA_CODE[parseInt(did.areaCode, 10)] || null : null;
+  }
+
+  extractAreaCode(phoneNumber) {
+    const digits = (phoneNumber || '').replace(/\D/g, '');
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+
+    return national.length === 10 ? national.substring(0, 3) : null;
+  }
+
+  getStartOfDay(tenant) {
+    return moment.tz(tenant.timezone || 'America/Los_Angeles').startOf('day').toDate();
+  }
+
+  /**
+   * Calls per caller ID since a point in time: { [phoneNumber]: { calls, ended, answered } }
+   */
+  async getCallCounts(tenantId, since, phoneNumbers = null) {
+    const where = {
+      tenantId: tenantId.toString(),
+      startTime: { [Op.gte]: since }
+    };
+    if (phoneNumbers) {
+      where.from = { [Op.in]: phoneNumbers };
+    }
+
+    const quote = statuses => statuses.map(status => `'${status}'`).join(', ');
+    const rows = await this.models.CallLog.findAll({
+      where,
+      attributes: [
+        'from',
+        [fn('COUNT', col('id')), 'calls'],
+        [fn('COUNT', literal(`CASE WHEN status::text NOT IN (${quote(IN_FLIGHT_STATUSES)}) THEN 1 END`)), 'ended'],
+        [fn('COUNT', literal(`CASE WHEN status::text IN (${quote(ANSWERED_STATUSES)}) THEN 1 END`)), 'answered']
+      ],
+      group: ['from'],
+      raw: true
+    });
+
+    return rows.reduce((counts, row) => {
+      counts[row.from] = {
+        calls: parseInt(row.calls, 10) || 0,
+        ended: parseInt(row.ended, 10) || 0,
+        answered: parseInt(row.answered, 10) || 0
+      };
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Health score 0-100: the DID's answer rate relative to the tenant's, null until it has enough calls
+   */
+  computeHealth(stats, tenantAnswerRate, healthConfig) {
+    const answerRate = stats.ended > 0 ? stats.answered / stats.ended : null;
+    let score = null;
+
+    if (answerRate !== null && stats.ended >= healthConfig.minCalls) {
+      // Without a tenant baseline there is nothing to compare against
+      score = tenantAnswerRate ? Math.min(100, Math.round((answerRate / tenantAnswerRate) * 100)) : 100;
+    }
+
+    return {
+      score,
+      answerRate: answerRate !== null ? Math.round(answerRate * 10000) / 10000 : null,
+      calls: stats.ended,
+      answered: stats.answered
+    };
+  }
+
+  /**
+   * Rescore every active DID for a tenant, quarantine collapsed ones and release expired quarantines
+   */
+  async refreshHealth(tenant) {
+    const result = { checked: 0, quarantined: 0, released: 0 };
+
+    try {
+      const config = this.getConfig(tenant.dialerConfig || {});
+      if (!config.health.enabled) return result;
+
+      const now = new Date();
+      const windowStart = new Date(now.getTime() - config.health.windowHours * 60 * 60 * 1000);
+
+      const dids = await this.models.DID.findAll({
+        where: { tenantId: tenant.id.toString(), isActive: true }
+      });
+      if (dids.length === 0) return result;
+
+      const counts = await this.getCallCounts(tenant.id, windowStart);
+      const totals = Object.values(counts).reduce((sum, stats) => ({
+        ended: sum.ended + stats.ended,
+        answered: sum.answered + stats.answered
+      }), { ended: 0, answered: 0 });
+      const tenantAnswerRate = totals.ended > 0 ? totals.answered / totals.ended : null;
+      const empty = { calls: 0, ended: 0, answered: 0 };
+
+      for (const did of dids) {
+        const metadata = { ...(did.metadata || {}) };
+
+        if (metadata.quarantine) {
+          if (new Date(metadata.quarantine.until) <= now) {
+            await this.releaseQuarantine(did, 'auto');
+            result.released++;
+          }
+          continue;
+        }
+
+        // A released DID is scored only on calls made since its release
+        let stats = counts[did.phoneNumber] || empty;
+        if (metadata.lastReleasedAt && new Date(metadata.lastReleasedAt) > windowStart) {
+          const sinceRelease = await this.getCallCounts(tenant.id, new Date(metadata.lastReleasedAt), [did.phoneNumber]);
+          stats = sinceRelease[did.phoneNumber] || empty;
+        }
+
+        const health = this.computeHealth(stats, tenantAnswerRate, config.health);
+        metadata.health = { ...health, checkedAt: now.toISOString() };
+        result.checked++;
+
+        if (health.score !== null && health.score < config.health.quarantineBelow) {
+          await this.quarantine(did, metadata, tenantAnswerRate, config.health);
+          result.quarantined++;
+        } else {
+          await did.update({ metadata });
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error refreshing DID health:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a DID out of rotation for quarantineHours and record it in the quarantine history
+   */
+  async quarantine(did, metadata, tenantAnswerRate, healthConfig) {
+    const now = new Date();
+    const until = new Date(now.getTime() + healthConfig.quarantineHours * 60 * 60 * 1000);
+    const { health } = metadata;
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    const reason = `Answer rate ${percent(health.answerRate)} vs tenant ${percent(tenantAnswerRate || 0)} over ${health.calls} calls`;
+
+    let record = null;
+    if (this.models.DidQuarantine) {
+      record = await this.models.DidQuarantine.create({
+        tenantId: did.tenantId,
+        didId: did.id,
+        phoneNumber: did.phoneNumber,
+        reason,
+        healthScore: health.score,
+        answerRate: health.answerRate,
+        tenantAnswerRate,
+        callsSampled: health.calls,
+        quarantinedAt: now,
+        releaseAt: until
+      });
+    }
+
+    await did.update({
+      metadata: {
+        ...metadata,
+        quarantine: {
+          id: record ? record.id : null,
+          since: now.toISOString(),
+          until: until.toISOString(),
+          reason,
+          healthScore: health.score
+        }
+      }
+    });
+
+    console.log(`🚫 Quarantined DID ${did.phoneNumber} until ${until.toISOString()}: ${reason}`);
+  }
+
+  /**
+   * Put a quarantined DID back into rotation
+   */
+  async releaseQuarantine(did, releasedBy) {
+    const metadata = { ...(did.metadata || {}) };
+    const quarantine = metadata.quarantine;
+
+    if (!quarantine) {
+      throw new Error('DID is not quarantined');
+    }
+
+    const now = new Date();
+    delete metadata.quarantine;
+    metadata.lastReleasedAt = now.toISOString();
+    metadata.health = null;
+
+    if (this.models.DidQuarantine) {
+      await this.models.DidQuarantine.update(
+        { releasedAt: now, releasedBy },
+        { where: { didId: did.id, releasedAt: null } }
+      );
+    }
+
+    await did.update({ metadata });
+    console.log(`✅ Released DID ${did.phoneNumber} from quarantine (${releasedBy})`);
+
+    return did;
+  }
+
+  /**
+   * Quarantine history per DID, newest first
+   */
+  async getQuarantineHistory(tenantId, didIds) {
+    if (!this.models.DidQuarantine || didIds.length === 0) {
+      return {};
+    }
+
+    const rows = await this.models.DidQuarantine.findAll({
+      where: {
+        tenantId: tenantId.toString(),
+        didId: { [Op.in]: didIds }
+      },
+      order: [['quarantinedAt', 'DESC']]
+    });
+
+    return rows.reduce((history, row) => {
+      (history[row.didId] = history[row.didId] || []).push(row.toJSON());
+      return history;
+    }, {});
+  }
+}
+
+module.exports = DidSelectionService;
@@ -1,8 +1,10 @@
 const { Op } = require('sequelize');
+const DidSelectionService = require('./did-selection-service');
 
 class DIDService {
   constructor(models) {
     this.models = models;
+    this.selectionService = new DidSelectionService(models);
   }
 
   /**
@@ -217,7 +219,7 @@ class DIDService {
   }
 
   /**
-   * Get next available DID using distribution algorithm
+   * Get next available DID using the shared rotation rules (caps, cooldowns, quarantine)
    */
   async getNextAvailableDID(tenantId, distributionMode = 'even', options = {}) {
     const { 
@@ -227,56 +229,43 @@ class DIDService {
       leadData = null 
     } = options;
 
-    // Build query for available DIDs
-    const where = {
-      tenantId,
-      isActive: true
-    };
-
-    if (areaCode) {
-      where.areaCode = areaCode;
-    }
-
-    if (state) {
-      where.state = state;
-    }
+    const tenant = (this.models.Tenant && await this.models.Tenant.findByPk(tenantId)) || { id: tenantId };
 
-    if (excludeIds.length > 0) {
-      where.id = { [Op.notIn]: excludeIds };
-    }
+    // leadData.state is matched the same way as a lead's additionalData.state
+    const lead = leadData ? {
+      phone: leadData.phone,
+      timezone: leadData.timezone,
+      additionalData: { state: leadData.state }
+    } : null;
 
-    const availableDIDs = await this.models.DID.findAll({
-      where,
-      order: this.getDistributionOrder(distributionMode)
+    const selection = await this.selectionService.selectDID(tenant, lead, {
+      distributionMode,
+      areaCode,
+      state,
+      excludeIds
     });
 
-    if (availableDIDs.length === 0) {
-      throw new Error('No available DIDs found for the specified criteria');
+    if (!selection.did) {
+      const { quarantined, dailyCap, coolingDown } = selection.skipped;
+      throw new Error(selection.poolSize === 0
+        ? 'No available DIDs found for the specified criteria'
+        : `No DIDs available right now (${quarantined} quarantined, ${dailyCap} at daily cap, ${coolingDown} cooling down)`);
     }
 
-    // Apply distribution algorithm
-    let selectedDID;
-    switch (distributionMode) {
-      case 'even':
-        selectedDID = this.selectDIDEvenDistribution(availableDIDs);
-        break;
-      case 'round_robin':
-        selectedDID = this.selectDIDRoundRobin(availableDIDs);
-        break;
-      case 'least_used':
-        selectedDID = this.selectDIDLeastUsed(availableDIDs);
-        break;
-      case 'random':
-        selectedDID = this.selectDIDRandom(availableDIDs);
-        break;
-      case 'geographic':
-        selectedDID = this.selectDIDGeographic(availableDIDs, leadData);
-        break;
-      default:
-        selectedDID = availableDIDs[0]; // Default to first available
-    }
+    return selection.did;
+  }
 
-    return selectedDID;
+  /**
+   * Release a quarantined DID back into rotation before its quarantine expires
+   */
+  async releaseQuarantine(didId, tenantId, releasedBy) {
+    try {
+      const did = await this.getDID(didId, tenantId);
+      return await this.selectionService.releaseQuarantine(did, releasedBy);
+    } catch (error) {
+      console.error('Error releasing DID quarantine:', error);
+      throw error;
+    }
   }
 
   /**
@@ -377,11 +366,18 @@ class DIDService {
       order: [['usageCount', 'DESC']]
     });
 
+    const quarantineHistory = await this.selectionService.getQuarantineHistory(tenantId, dids.map(did => did.id));
+
     const performanceData = await Promise.all(dids.map(async (did) => {
       const stats = await this.getDIDStats(did.id);
+      const metadata = did.metadata || {};
       return {
         ...did.toJSON(),
-        performance: stats
+        performance: stats,
+        health: metadata.health || null,
+        quarantined: this.selectionService.isQuarantined(did),
+        quarantine: metadata.quarantine || null,
+        quarantineHistory: quarantineHistory[did.id] || []
       };
     }));
 
@@ -392,6 +388,7 @@ class DIDService {
       summary: {
         totalDIDs: performanceData.length,
         activeDIDs: performanceData.filter(d => d.isActive).length,
+        quarantinedDIDs: performanceData.filter(d => d.quarantined).length,
         totalCalls: performanceData.reduce((sum, d) => sum + d.performance.totalCalls, 0),
         avgConversionRate: performanceData.length > 0 ? 
           (performanceData.reduce((sum, d) => sum + parseFloat(d.performance.conversionRate), 0) / performanceData.length).toFixed(2) : 0
@@ -399,90 +396,6 @@ class DIDService {
     };
   }
 
-  // ===== DISTRIBUTION ALGORITHMS =====
-
-  /**
-   * Select DID using even distribution (least used)
-   */
-  selectDIDEvenDistribution(dids) {
-    return dids.reduce((min, current) => 
-      current.usageCount < min.usageCount ? current : min
-    );
-  }
-
-  /**
-   * Select DID using round-robin distribution
-   */
-  selectDIDRoundRobin(dids) {
-    // Simple round-robin based on last used timestamp
-    return dids.sort((a, b) => {
-      if (!a.lastUsed) return -1;
-      if (!b.lastUsed) return 1;
-      return new Date(a.lastUsed) - new Date(b.lastUsed);
-    })[0];
-  }
-
-  /**
-   * Select DID with least usage
-   */
-  selectDIDLeastUsed(dids) {
-    return dids.sort((a, b) => a.usageCount - b.usageCount)[0];
-  }
-
-  /**
-   * Select random DID
-   */
-  selectDIDRandom(dids) {
-    return dids[Math.floor(Math.random() * dids.length)];
-  }
-
-  /**
-   * Select DID based on geographic matching
-   */
-  selectDIDGeographic(dids, leadData) {
-    if (!leadData || !leadData.phone) {
-      return this.selectDIDEvenDistribution(dids);
-    }
-
-    const leadAreaCode = this.extractAreaCode(leadData.phone);
-    
-    // First try to match area code
-    const matchingAreaCode = dids.filter(did => did.areaCode === leadAreaCode);
-    if (matchingAreaCode.length > 0) {
-      return this.selectDIDEvenDistribution(matchingAreaCode);
-    }
-
-    // Fallback to state matching if available
-    if (leadData.state) {
-      const matchingState = dids.filter(did => 
-        did.state && did.state.toLowerCase() === leadData.state.toLowerCase()
-      );
-      if (matchingState.length > 0) {
-        return this.selectDIDEvenDistribution(matchingState);
-      }
-    }
-
-    // Fallback to even distribution
-    return this.selectDIDEvenDistribution(dids);
-  }
-
-  /**
-   * Get distribution order based on mode
-   */
-  getDistributionOrder(mode) {
-    switch (mode) {
-      case 'even':
-      case 'least_used':
-        return [['usageCount', 'ASC']];
-      case 'round_robin':
-        return [['lastUsed', 'ASC NULLS FIRST']];
-      case 'random':
-        return [this.models.sequelize.fn('RANDOM')];
-      default:
-        return [['createdAt', 'ASC']];
-    }
-  }
-
   // ===== UTILITY METHODS =====
 
   /**
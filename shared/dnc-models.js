@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+// shared/dnc-models.js
+// Tenant Do-Not-Call registry and the audit trail of blocked sends
+
+module.exports = function(sequelize) {
+  if (sequelize.models.DncEntry) {
+    return {
+      DncEntry: sequelize.models.DncEntry,
+      DncBlockLog: sequelize.models.DncBlockLog
+    };
+  }
+
+  const DncEntry = sequelize.define('DncEntry', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Stored normalized as +1XXXXXXXXXX
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'import', 'sms_stop', 'lead_status', 'api'),
+      defaultValue: 'manual'
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    addedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'DncEntries',
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenantId', 'phoneNumber']
+      },
+      {
+        fields: ['phoneNumber']
+      }
+    ]
+  });
+
+  const DncBlockLog = sequelize.define('DncBlockLog', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    channel: {
+      type: DataTypes.ENUM('call', 'sms'),
+      allowNull: false
+    },
+    // Which send path was stopped, e.g. dialer, journey, twilio, meera, sms_blaster
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    dncEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    matchedBy: {
+      type: DataTypes.ENUM('registry', 'lead_status'),
+      defaultValue: 'registry'
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'DncBlockLogs',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['tenantId', 'createdAt']
+      },
+      {
+        fields: ['phoneNumber']
+      }
+    ]
+  });
+
+  return { DncEntry, DncBlockLog };
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const DncService = require('./dnc-service');
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const models = require('./dnc-models')(sequelize);
+  const service = new DncService({ ...models, Lead: sequelize.models.Lead, sequelize });
+
+  // List DNC entries
+  router.get('/dnc', authenticateToken, async (req, res) => {
+    try {
+      const data = await service.listEntries(req.user.tenantId, req.query);
+      res.json(data);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Check whether a single number is blocked
+  router.get('/dnc/check/:phone', authenticateToken, async (req, res) => {
+    try {
+      const block = await service.findBlock(req.user.tenantId, req.params.phone);
+      res.json({
+        phoneNumber: service.normalizePhoneNumber(req.params.phone),
+        blocked: !!block,
+        matchedBy: block ? block.matchedBy : null
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Add one or more numbers
+  router.post('/dnc', authenticateToken, async (req, res) => {
+    try {
+      const numbers = req.body.phoneNumbers || (req.body.phoneNumber ? [req.body.phoneNumber] : []);
+      if (numbers.length === 0) {
+        return res.status(400).json({ error: 'phoneNumber or phoneNumbers is required' });
+      }
+
+      const added = [];
+      for (const phoneNumber of numbers) {
+        const { entry, created } = await service.addNumber(req.user.tenantId, phoneNumber, {
+          source: req.body.source === 'api' ? 'api' : 'manual',
+          reason: req.body.reason,
+          expiresAt: req.body.expiresAt,
+          addedBy: req.user.username || String(req.user.id)
+        });
+        added.push({ phoneNumber: entry.phoneNumber, created });
+      }
+
+      res.status(201).json({ message: `${added.filter(a => a.created).length} numbers added to DNC list`, added });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Import numbers from CSV content
+  router.post('/dnc/import', authenticateToken, async (req, res) => {
+    try {
+      const result = await service.importCsv(req.user.tenantId, req.body.fileContent, {
+        reason: req.body.reason,
+        addedBy: req.user.username || String(req.user.id)
+      });
+      res.status(201).json(result);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Scrub existing leads against the DNC list (report only unless apply=true)
+  router.post('/dnc/scrub', authenticateToken, async (req, res) => {
+    try {
+      const report = await service.scrubLeads(req.user.tenantId, { apply: req.body.apply === true });
+      res.json(report);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Audit trail of blocked calls and messages
+  router.get('/dnc/blocks', authenticateToken, async (req, res) => {
+    try {
+      const data = await service.getBlockLog(req.user.tenantId, req.query);
+      res.json(data);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Remove a number
+  router.delete('/dnc/:phone', authenticateToken, async (req, res) => {
+    try {
+      await service.removeNumber(req.user.tenantId, req.params.phone);
+      res.json({ message: 'Number removed from DNC list', phoneNumber: service.normalizePhoneNumber(req.params.phone) });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+  return models;
+};
@@ -0,0 +1,434 @@
+// shared/dnc-service.js
+// Tenant Do-Not-Call registry: list management, import, scrubbing and send-time enforcement
+
+const { Op } = require('sequelize');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const LeadIntakeService = require('./lead-intake-service');
+
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+
+class DncService {
+  constructor(models) {
+    this.models = models;
+
+    // Callers pass whatever models they already hold; pull the registry off the
+    // shared sequelize instance when they were not included.
+    const sequelize = models.sequelize || (models.Lead && models.Lead.sequelize);
+    if ((!models.DncEntry || !models.DncBlockLog) && sequelize) {
+      const dncModels = require('./dnc-models')(sequelize);
+      this.DncEntry = models.DncEntry || dncModels.DncEntry;
+      this.DncBlockLog = models.DncBlockLog || dncModels.DncBlockLog;
+    } else {
+      this.DncEntry = models.DncEntry;
+      this.DncBlockLog = models.DncBlockLog;
+    }
+
+    // Phone normalization lives in lead intake, so the registry and Lead.phone cannot drift apart
+    this.leadIntakeService = new LeadIntakeService({});
+  }
+
+  /**
+   * Normalize a phone number to E.164, the same way lead intake stores Lead.phone
+   */
+  normalizePhoneNumber(phoneNumber) {
+    return this.leadIntakeService.normalizePhone(phoneNumber);
+  }
+
+  /**
+   * The formats a lead phone is commonly stored in, for matching against Lead.phone
+   */
+  getPhoneVariants(phoneNumber) {
+    const normalized = this.normalizePhoneNumber(phoneNumber);
+    return normalized ? this.leadIntakeService.getPhoneVariants(normalized) : [];
+  }
+
+  /**
+   * Check if a message is an opt-out keyword
+   */
+  isOptOutMessage(message) {
+    return OPT_OUT_KEYWORDS.includes((message || '').toUpperCase().trim());
+  }
+
+  /**
+   * Look up a number against the tenant's registry and any of its leads marked dnc
+   */
+  async findBlock(tenantId, phoneNumber) {
+    if (!tenantId) {
+      throw new Error('tenantId is required for a DNC lookup');
+    }
+
+    try {
+      const normalized = this.normalizePhoneNumber(phoneNumber);
+      if (!normalized) return null;
+
+      const entryWhere = {
+        tenantId: tenantId.toString(),
+        phoneNumber: normalized,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      };
+
+      const entry = await this.DncEntry.findOne({ where: entryWhere });
+      if (entry) {
+        return { matchedBy: 'registry', entry };
+      }
+
+      // A number DNC'd under one lead record blocks every other record with that number
+      if (this.models.Lead) {
+        const dncLead = await this.models.Lead.findOne({
+          where: {
+            tenantId: tenantId.toString(),
+            phone: { [Op.in]: this.getPhoneVariants(phoneNumber) },
+            status: 'dnc'
+          },
+          attributes: ['id', 'tenantId']
+        });
+
+        if (dncLead) {
+          return { matchedBy: 'lead_status', lead: dncLead };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error checking DNC registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a send against the DNC list and write an audit record when it is blocked
+   */
+  async checkAndRecord(tenantId, phoneNumber, { channel, source, leadId = null, metadata = {} }) {
+    const block = await this.findBlock(tenantId, phoneNumber);
+
+    if (!block) {
+      return { blocked: false };
+    }
+
+    try {
+      await this.DncBlockLog.create({
+        tenantId: tenantId.toString(),
+        phoneNumber: this.normalizePhoneNumber(phoneNumber),
+        channel,
+        source,
+        leadId,
+        dncEntryId: block.entry ? block.entry.id : null,
+        matchedBy: block.matchedBy,
+        metadata: {
+          ...metadata,
+          dncLeadId: block.lead ? block.lead.id : undefined
+        }
+      });
+    } catch (error) {
+      console.error('Error writing DNC block audit record:', error);
+    }
+
+    console.log(`🚫 Blocked ${channel} to ${phoneNumber} from ${source} (DNC ${block.matchedBy})`);
+
+    return {
+      blocked: true,
+      matchedBy: block.matchedBy,
+      entryId: block.entry ? block.entry.id : null
+    };
+  }
+
+  /**
+   * Add a number to the tenant DNC list
+   */
+  async addNumber(tenantId, phoneNumber, options = {}) {
+    try {
+      const normalized = this.normalizePhoneNumber(phoneNumber);
+      if (!normalized) {
+        throw new Error(`Invalid phone number: ${phoneNumber}`);
+      }
+
+      const [entry, created] = await this.DncEntry.findOrCreate({
+        where: {
+          tenantId: tenantId.toString(),
+          phoneNumber: normalized
+        },
+        defaults: {
+          source: options.source || 'manual',
+          reason: options.reason || null,
+          addedBy: options.addedBy || null,
+          expiresAt: options.expiresAt || null,
+          metadata: options.metadata || {}
+        }
+      });
+
+      // Re-adding an expired entry makes it permanent again
+      if (!created && entry.expiresAt && entry.expiresAt <= new Date()) {
+        await entry.update({
+          expiresAt: options.expiresAt || null,
+          source: options.source || entry.source,
+          reason: options.reason || entry.reason
+        });
+      }
+
+      if (created) {
+        console.log(`✅ Added ${normalized} to DNC list for tenant ${tenantId}`);
+      }
+
+      return { entry, created };
+    } catch (error) {
+      console.error('Error adding DNC number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a number from the tenant DNC list
+   */
+  async removeNumber(tenantId, phoneNumber) {
+    try {
+      const normalized = this.normalizePhoneNumber(phoneNumber);
+      if (!normalized) {
+        throw new Error(`Invalid phone number: ${phoneNumber}`);
+      }
+
+      const deleted = await this.DncEntry.destroy({
+        where: {
+          tenantId: tenantId.toString(),
+          phoneNumber: normalized
+        }
+      });
+
+      if (!deleted) {
+        throw new Error('DNC entry not found');
+      }
+
+      console.log(`✅ Removed ${normalized} from DNC list for tenant ${tenantId}`);
+      return true;
+    } catch (error) {
+      console.error('Error removing DNC number:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List DNC entries
+   */
+  async listEntries(tenantId, options = {}) {
+    try {
+      const { page = 1, limit = 50, search, source } = options;
+      const where = { tenantId: tenantId.toString() };
+
+      if (search) {
+        where.phoneNumber = { [Op.iLike]: `%${search.replace(/\D/g, '')}%` };
+      }
+
+      if (source) {
+        where.source = source;
+      }
+
+      const { count, rows } = await this.DncEntry.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      return {
+        entries: rows,
+        totalCount: count,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / parseInt(limit))
+      };
+    } catch (error) {
+      console.error('Error listing DNC entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import numbers from CSV content. The phone column may be named phone, phoneNumber,
+   * phone_number or number; otherwise the first column is used.
+   */
+  async importCsv(tenantId, fileContent, options = {}) {
+    try {
+      if (!fileContent) {
+        throw new Error('fileContent is required');
+      }
+
+      const rows = [];
+      await new Promise((resolve, reject) => {
+        Readable.from(fileContent)
+          .pipe(csv())
+          .on('data', row => rows.push(row))
+          .on('end', resolve)
+          .on('error', reject);
+      });
+
+      const results = { added: 0, duplicates: 0, invalid: [] };
+
+      for (const row of rows) {
+        const phone = row.phone || row.Phone || row.phoneNumber || row.PhoneNumber ||
+          row.phone_number || row.number || Object.values(row)[0];
+
+        const normalized = this.normalizePhoneNumber(phone);
+        if (!normalized) {
+          results.invalid.push(phone || '');
+          continue;
+        }
+
+        const { created } = await this.addNumber(tenantId, normalized, {
+          source: 'import',
+          reason: row.reason || options.reason || null,
+          addedBy: options.addedBy || null
+        });
+
+        if (created) {
+          results.added++;
+        } else {
+          results.duplicates++;
+        }
+      }
+
+      console.log(`✅ Imported ${results.added} DNC numbers for tenant ${tenantId}`);
+
+      return {
+        total: rows.length,
+        added: results.added,
+        duplicates: results.duplicates,
+        invalid: results.invalid.length,
+        invalidNumbers: results.invalid.slice(0, 100)
+      };
+    } catch (error) {
+      console.error('Error importing DNC list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report which existing leads match the DNC list. With apply=true matching leads are
+   * set to status dnc, and leads already marked dnc are added to the registry.
+   */
+  async scrubLeads(tenantId, options = {}) {
+    try {
+      const { apply = false, batchSize = 1000 } = options;
+      const tenant = tenantId.toString();
+
+      const entries = await this.DncEntry.findAll({
+        where: {
+          tenantId: tenant,
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
+        },
+        attributes: ['phoneNumber'],
+        raw: true
+      });
+      const dncNumbers = new Set(entries.map(entry => entry.phoneNumber));
+
+      const report = {
+        scannedLeads: 0,
+        matchedLeads: 0,
+        alreadyMarked: 0,
+        updatedLeads: 0,
+        registryAdded: 0,
+        matches: []
+      };
+
+      let lastId = 0;
+      for (;;) {
+        const leads = await this.models.Lead.findAll({
+          where: {
+            tenantId: tenant,
+            id: { [Op.gt]: lastId }
+          },
+          attributes: ['id', 'name', 'phone', 'status'],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        if (leads.length === 0) break;
+        lastId = leads[leads.length - 1].id;
+        report.scannedLeads += leads.length;
+
+        for (const lead of leads) {
+          const normalized = this.normalizePhoneNumber(lead.phone);
+          if (!normalized) continue;
+
+          if (lead.status === 'dnc') {
+            report.alreadyMarked++;
+
+            if (apply && !dncNumbers.has(normalized)) {
+              await this.addNumber(tenant, normalized, {
+                source: 'lead_status',
+                reason: `Lead ${lead.id} marked dnc`
+              });
+              dncNumbers.add(normalized);
+              report.registryAdded++;
+            }
+            continue;
+          }
+
+          if (!dncNumbers.has(normalized)) continue;
+
+          report.matchedLeads++;
+          if (report.matches.length < 500) {
+            report.matches.push({ leadId: lead.id, name: lead.name, phone: lead.phone, status: lead.status });
+          }
+
+          if (apply) {
+            await lead.update({ status: 'dnc' });
+            report.updatedLeads++;
+          }
+        }
+      }
+
+      console.log(`✅ DNC scrub for tenant ${tenantId}: ${report.matchedLeads} of ${report.scannedLeads} leads matched`);
+
+      return {
+        ...report,
+        applied: apply,
+        dncListSize: dncNumbers.size
+      };
+    } catch (error) {
+      console.error('Error scrubbing leads against DNC list:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List audit records for blocked sends
+   */
+  async getBlockLog(tenantId, options = {}) {
+    try {
+      const { page = 1, limit = 50, channel, source, startDate, endDate } = options;
+      const where = { tenantId: tenantId.toString() };
+
+      if (channel) where.channel = channel;
+      if (source) where.source = source;
+      if (startDate || endDate) {
+        where.createdAt = {};
+        if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+        if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+      }
+
+      const { count, rows } = await this.DncBlockLog.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (parseInt(page) - 1) * parseInt(limit)
+      });
+
+      return {
+        blocks: rows,
+        totalCount: count,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / parseInt(limit))
+      };
+    } catch (error) {
+      console.error('Error getting DNC block log:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DncService;
@@ -0,0 +1,98 @@
+// shared/event-bus.js
+// In-process event bus for lead activity. Every process (API server, worker) has its own bus, and events
+// are handled in the process that published them. Payloads always carry tenantId and leadId
+
+const { EventEmitter } = require('events');
+
+const EVENTS = {
+  LEAD_CREATED: 'lead.created',
+  LEAD_STATUS_CHANGED: 'lead.status_changed',
+  LEAD_TAGGED: 'lead.tagged',
+  SMS_RECEIVED: 'sms.received',
+  CALL_COMPLETED: 'call.completed',
+  STAGE_CHANGED: 'stage.changed'
+};
+
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+  }
+
+  /**
+   * Handlers run after the caller moves on; a failing handler is logged and never reaches the publisher
+   */
+  publish(event, payload = {}) {
+    if (!Object.values(EVENTS).includes(event)) {
+      console.error(`Unknown event published: ${event}`);
+      return;
+    }
+
+    const message = { ...payload, event, occurredAt: new Date() };
+    setImmediate(() => {
+      for (const listener of [...this.emitter.listeners(event), ...this.emitter.listeners('*')]) {
+        Promise.resolve()
+          .then(() => listener(message))
+          .catch(error => console.error(`Error handling ${event} event:`, error));
+      }
+    });
+  }
+
+  /**
+   * Listen for one event, or '*' for all of them. Returns a function that removes the listener
+   */
+  subscribe(event, handler) {
+    this.emitter.on(event, handler);
+    return () => this.emitter.off(event, handler);
+  }
+
+  /**
+   * Publish lead.status_changed and lead.tagged from a Lead model's single-record updates.
+   * Bulk Lead.update calls do not run these hooks
+   */
+  watchLeadModel(Lead) {
+    if (Lead.watchedByEventBus) return;
+    Lead.watchedByEventBus = true;
+
+    Lead.addHook('afterUpdate', 'eventBus', (lead, options) => {
+      const events = [];
+
+      if (lead.changed('status')) {
+        events.push([EVENTS.LEAD_STATUS_CHANGED, { from: lead.previous('status'), to: lead.status }]);
+      }
+
+      const added = [
+        ...addedTags(lead.previous('tags'), lead.tags, lead.changed('tags')),
+        ...addedTags((lead.previous('additionalData') || {}).tags, (lead.additionalData || {}).tags, lead.changed('additionalData'))
+      ];
+      if (added.length > 0) {
+        events.push([EVENTS.LEAD_TAGGED, { tags: [...new Set(added)] }]);
+      }
+
+      const publishAll = () => events.forEach(([event, data]) => this.publish(event, {
+        tenantId: lead.tenantId,
+        leadId: lead.id,
+        ...data
+      }));
+
+      if (events.length === 0) return;
+      if (options && options.transaction) {
+        options.transaction.afterCommit(publishAll);
+      } else {
+        publishAll();
+      }
+    });
+  }
+}
+
+function addedTags(previous, current, changed) {
+  if (!changed || !Array.isArray(current)) return [];
+  const before = Array.isArray(previous) ? previous : [];
+  return current.filter(tag => !before.includes(tag));
+}
+
+// One bus per process
+const eventBus = new EventBus();
+eventBus.EVENTS = EVENTS;
+
+module.exports = eventBus;
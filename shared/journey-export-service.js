@@ -0,0 +1,349 @@
+// shared/journey-export-service.js
+// Journeys as portable JSON. Steps are linked by key instead of id, and templates, recordings, transfer
+// groups and stages are referenced by name, so an export can be imported into another tenant
+
+const JourneyGraphService = require('./journey-graph-service');
+const JourneyGoalService = require('./journey-goal-service');
+const JourneyTriggerService = require('./journey-trigger-service');
+
+const FORMAT = 'journey';
+const FORMAT_VERSION = 1;
+
+const STEP_FIELDS = [
+  'name', 'description', 'stepOrder', 'actionType', 'actionConfig', 'delayType', 'delayConfig',
+  'conditions', 'isActive', 'isExitPoint', 'isDayEnd'
+];
+const EDGE_FIELDS = ['label', 'conditions', 'isDefault', 'priority'];
+
+// actionConfig ids that are exported as names, and the model they point at
+const REFERENCES = [
+  { idField: 'templateId', nameField: 'templateName', model: 'Template', label: 'template' },
+  { idField: 'recordingId', nameField: 'recordingName', model: 'Recording', label: 'recording' },
+  { idField: 'voicemailRecordingId', nameField: 'voicemailRecordingName', model: 'Recording', label: 'recording' },
+  { idField: 'transferGroupId', nameField: 'transferGroupName', model: 'TransferGroup', label: 'transfer group' }
+];
+
+class JourneyExportService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Journey.sequelize;
+    this.graphService = new JourneyGraphService(models);
+    this.goalService = new JourneyGoalService(models);
+    this.triggerService = new JourneyTriggerService(models);
+  }
+
+  getModel(name) {
+    return this.models[name] || this.sequelize.models[name] || null;
+  }
+
+  /**
+   * The draft of a journey, or one of its published versions, as portable JSON
+   */
+  async exportJourney(journeyId, tenantId, { version } = {}) {
+    const journey = await this.models.Journey.findOne({
+      where: { id: journeyId, tenantId: tenantId.toString() }
+    });
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    let versionId = null;
+    if (version && version !== 'draft') {
+      const record = await this.models.JourneyVersion.findOne({
+        where: { journeyId: journey.id, version: parseInt(version) }
+      });
+      if (!record) {
+        throw new Error('Journey version not found');
+      }
+      versionId = record.id;
+    }
+
+    const steps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId },
+      order: [['stepOrder', 'ASC'], ['id', 'ASC']]
+    });
+    const edges = await this.graphService.getEdges(journey.id, versionId);
+
+    const keys = {};
+    steps.forEach((step, index) => { keys[step.id] = `step-${index + 1}`; });
+
+    const exportedSteps = [];
+    for (const step of steps) {
+      const fields = this.pick(step, STEP_FIELDS);
+      exportedSteps.push({
+        key: keys[step.id],
+        ...fields,
+        actionConfig: await this.exportActionConfig(fields.actionConfig || {}, keys, tenantId)
+      });
+    }
+
+    const triggerCriteria = { ...(journey.triggerCriteria || {}) };
+    if (Array.isArray(triggerCriteria.triggerEvents)) {
+      triggerCriteria.triggerEvents = await Promise.all(triggerCriteria.triggerEvents
+        .map(trigger => this.exportStageIds(trigger, tenantId)));
+    }
+
+    return {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      journey: {
+        name: journey.name,
+        description: journey.description,
+        repeatDays: journey.repeatDays,
+        triggerCriteria,
+        goals: await Promise.all((journey.goals || []).map(goal => this.exportStageIds(goal, tenantId)))
+      },
+      steps: exportedSteps,
+      edges: edges.map(edge => ({
+        from: keys[edge.fromStepId],
+        to: keys[edge.toStepId],
+        ...this.pick(edge, EDGE_FIELDS)
+      }))
+    };
+  }
+
+  async exportActionConfig(config, keys, tenantId) {
+    const exported = { ...config };
+
+    for (const reference of REFERENCES) {
+      if (!exported[reference.idField]) continue;
+
+      const Model = this.getModel(reference.model);
+      const record = Model ? await Model.findOne({
+        where: { id: exported[reference.idField], tenantId: tenantId.toString() }
+      }) : null;
+      delete exported[reference.idField];
+      exported[reference.nameField] = record ? record.name : null;
+    }
+
+    if (Array.isArray(exported.variants)) {
+      exported.variants = exported.variants.map(({ toStepId, ...variant }) => ({
+        ...variant,
+        toStep: keys[toStepId] || null
+      }));
+    }
+
+    return exported;
+  }
+
+  /**
+   * Goals and trigger events point at stages by id; exports use the stage titles
+   */
+  async exportStageIds(entry, tenantId) {
+    if (!entry || typeof entry !== 'object' || !Array.isArray(entry.stageIds)) return entry;
+
+    const Stage = this.getModel('Stage');
+    const stages = Stage ? await Stage.findAll({
+      where: { id: entry.stageIds, tenantId: tenantId.toString() }
+    }) : [];
+
+    const { stageIds, ...rest } = entry;
+    return { ...rest, stages: stageIds.map(id => (stages.find(stage => stage.id === Number(id)) || {}).title || null) };
+  }
+
+  /**
+   * Create a journey from an export. It is created inactive with its steps as the draft. Fails with
+   * every problem found, before anything is saved, when a reference or the graph does not resolve
+   */
+  async importJourney(tenantId, data, { name } = {}) {
+    if (!data || data.format !== FORMAT) {
+      throw new Error(`Not a journey export: format must be "${FORMAT}"`);
+    }
+    if (data.formatVersion > FORMAT_VERSION) {
+      throw new Error(`Unsupported journey export version ${data.formatVersion}`);
+    }
+    if (!data.journey || !Array.isArray(data.steps) || data.steps.length === 0) {
+      throw new Error('Journey export needs a journey and at least one step');
+    }
+
+    const errors = [];
+    const keys = new Set();
+    for (const step of data.steps) {
+      if (!step.key) {
+        errors.push(`Step ${step.name || '(unnamed)'} has no key`);
+      } else if (keys.has(step.key)) {
+        errors.push(`Duplicate step key ${step.key}`);
+      }
+      keys.add(step.key);
+    }
+
+    const steps = [];
+    for (const step of data.steps) {
+      steps.push({
+        ...step,
+        actionConfig: await this.importActionConfig(step, tenantId, errors)
+      });
+    }
+
+    const triggerCriteria = { ...(data.journey.triggerCriteria || {}) };
+    if (Array.isArray(triggerCriteria.triggerEvents)) {
+      triggerCriteria.triggerEvents = await Promise.all(triggerCriteria.triggerEvents
+        .map(trigger => this.importStageNames(trigger, tenantId, errors)));
+    }
+    const goals = await Promise.all((data.journey.goals || [])
+      .map(goal => this.importStageNames(goal, tenantId, errors)));
+
+    for (const validate of [
+      () => this.triggerService.validateTriggerEvents(triggerCriteria.triggerEvents),
+      () => this.goalService.validateGoals(goals)
+    ]) {
+      try {
+        validate();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    // Validate the graph on stand-in ids before anything is created
+    const edges = Array.isArray(data.edges) ? data.edges : [];
+    const standInIds = {};
+    data.steps.forEach((step, index) => { standInIds[step.key] = index + 1; });
+    for (const edge of edges) {
+      if (!standInIds[edge.from] || !standInIds[edge.to]) {
+        errors.push(`Edge ${edge.from} -> ${edge.to} points at an unknown step key`);
+      }
+    }
+    if (errors.length === 0 && edges.length > 0) {
+      const standInSteps = steps.map(step => ({
+        ...step,
+        id: standInIds[step.key],
+        isActive: step.isActive !== false,
+        actionConfig: this.withVariantIds(step.actionConfig, standInIds)
+      }));
+      const validation = this.graphService.validateGraph(standInSteps, edges.map(edge => ({
+        ...this.pick(edge, EDGE_FIELDS),
+        fromStepId: standInIds[edge.from],
+        toStepId: standInIds[edge.to]
+      })));
+      errors.push(...validation.errors);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Journey export cannot be imported');
+      error.errors = errors;
+      throw error;
+    }
+
+    try {
+      const journey = await this.sequelize.transaction(async (transaction) => {
+        const journey = await this.models.Journey.create({
+          tenantId: tenantId.toString(),
+          name: name || data.journey.name,
+          description: data.journey.description || null,
+          repeatDays: data.journey.repeatDays || null,
+          triggerCriteria,
+          goals,
+          isActive: false
+        }, { transaction });
+
+        const stepIds = {};
+        const created = [];
+        for (const step of steps) {
+          const record = await this.models.JourneyStep.create({
+            ...this.pick(step, STEP_FIELDS),
+            journeyId: journey.id
+          }, { transaction });
+          stepIds[step.key] = record.id;
+          created.push(record);
+        }
+
+        for (const record of created) {
+          if (Array.isArray(record.actionConfig && record.actionConfig.variants)) {
+            await record.update({ actionConfig: this.withVariantIds(record.actionConfig, stepIds) }, { transaction });
+          }
+        }
+
+        if (edges.length > 0) {
+          await this.models.JourneyEdge.bulkCreate(edges.map(edge => ({
+            ...this.pick(edge, EDGE_FIELDS),
+            journeyId: journey.id,
+            fromStepId: stepIds[edge.from],
+            toStepId: stepIds[edge.to]
+          })), { transaction });
+        }
+
+        return journey;
+      });
+
+      console.log(`📥 Imported journey ${journey.id} (${journey.name}) with ${steps.length} steps`);
+      return journey;
+    } catch (error) {
+      console.error('Error importing journey:', error);
+      throw error;
+    }
+  }
+
+  async importActionConfig(step, tenantId, errors) {
+    const config = { ...(step.actionConfig || {}) };
+
+    for (const reference of REFERENCES) {
+      if (!(reference.nameField in config)) continue;
+
+      const refName = config[reference.nameField];
+      delete config[reference.nameField];
+      if (!refName) continue;
+
+      const Model = this.getModel(reference.model);
+      const where = { name: refName, tenantId: tenantId.toString() };
+      if (reference.model === 'Template' && ['sms', 'email'].includes(step.actionType)) {
+        where.type = step.actionType;
+      }
+      const record = Model ? await Model.findOne({ where }) : null;
+
+      if (record) {
+        config[reference.idField] = record.id;
+      } else {
+        errors.push(`Step ${step.key}: ${reference.label} "${refName}" not found`);
+      }
+    }
+
+    return config;
+  }
+
+  async importStageNames(entry, tenantId, errors) {
+    if (!entry || typeof entry !== 'object' || !Array.isArray(entry.stages)) return entry;
+
+    const Stage = this.getModel('Stage');
+    const stages = Stage ? await Stage.findAll({
+      where: { title: entry.stages, tenantId: tenantId.toString() }
+    }) : [];
+
+    const { stages: titles, ...rest } = entry;
+    const stageIds = [];
+    for (const title of titles) {
+      const stage = stages.find(s => s.title === title);
+      if (stage) {
+        stageIds.push(stage.id);
+      } else {
+        errors.push(`Stage "${title}" not found`);
+      }
+    }
+    return { ...rest, stageIds };
+  }
+
+  withVariantIds(config, stepIds) {
+    if (!config || !Array.isArray(config.variants)) return config;
+    return {
+      ...config,
+      variants: config.variants.map(({ toStep, ...variant }) => ({
+        ...variant,
+        toStepId: toStep !== undefined ? stepIds[toStep] : variant.toStepId
+      }))
+    };
+  }
+
+  pick(record, fields) {
+    const source = typeof record.get === 'function' ? record.get({ plain: true }) : record;
+    const picked = {};
+    for (const field of fields) {
+      if (source[field] !== undefined) picked[field] = source[field];
+    }
+    return picked;
+  }
+}
+
+JourneyExportService.FORMAT = FORMAT;
+JourneyExportService.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = JourneyExportService;
@@ -0,0 +1,219 @@
+// shared/journey-goal-service.js
+// Journey goals: conditions that end a lead's journey as completed as soon as they are met, such as the
+// lead converting or replying STOP. Checked on lead events and again before every step runs
+
+const { Op } = require('sequelize');
+const eventBus = require('./event-bus');
+
+const { EVENTS } = eventBus;
+
+// Goal types and the list fields each one requires
+const GOAL_TYPES = {
+  lead_status: ['statuses'],
+  stage: ['stageIds'],
+  tag: ['tags'],
+  transferred: [],
+  sms_reply: []
+};
+
+// Events that can change whether a goal is met
+const GOAL_EVENTS = [
+  EVENTS.LEAD_STATUS_CHANGED,
+  EVENTS.LEAD_TAGGED,
+  EVENTS.SMS_RECEIVED,
+  EVENTS.CALL_COMPLETED,
+  EVENTS.STAGE_CHANGED
+];
+
+class JourneyGoalService {
+  constructor(models, journeyService) {
+    this.models = models;
+    this.journeyService = journeyService;
+    const anyModel = models.Journey || models.LeadJourney || models.Lead;
+    this.sequelize = anyModel ? anyModel.sequelize : null;
+  }
+
+  getModel(name) {
+    return this.models[name] || (this.sequelize && this.sequelize.models[name]) || null;
+  }
+
+  /**
+   * Subscribe to the lead events that can meet a goal
+   */
+  attach(bus = eventBus) {
+    for (const event of GOAL_EVENTS) {
+      bus.subscribe(event, message => this.handleEvent(message));
+    }
+    console.log('🏁 Journey goals attached to the event bus');
+    return this;
+  }
+
+  /**
+   * Throw on malformed goals, so a journey cannot be saved with a goal that is never met
+   */
+  validateGoals(goals) {
+    if (goals === undefined || goals === null) return;
+    if (!Array.isArray(goals)) {
+      throw new Error('goals must be an array');
+    }
+
+    const names = new Set();
+    for (const goal of goals) {
+      if (!goal || !goal.name) {
+        throw new Error('Every goal needs a name');
+      }
+      if (names.has(goal.name)) {
+        throw new Error(`Duplicate goal name: ${goal.name}`);
+      }
+      names.add(goal.name);
+
+      const required = GOAL_TYPES[goal.type];
+      if (!required) {
+        throw new Error(`Goal ${goal.name} has unknown type ${goal.type}. Use ${Object.keys(GOAL_TYPES).join(', ')}`);
+      }
+      for (const field of required) {
+        if (!Array.isArray(goal[field]) || goal[field].length === 0) {
+          throw new Error(`Goal ${goal.name} needs a non-empty ${field} list`);
+        }
+      }
+      if (goal.contains !== undefined && typeof goal.contains !== 'string') {
+        throw new Error(`Goal ${goal.name} contains must be a string`);
+      }
+    }
+  }
+
+  /**
+   * First goal of the journey the lead has met since enrolling, or null
+   */
+  async findMetGoal(journey, leadJourney, lead) {
+    for (const goal of journey.goals || []) {
+      if (await this.isGoalMet(goal, leadJourney, lead)) {
+        return goal;
+      }
+    }
+    return null;
+  }
+
+  async isGoalMet(goal, leadJourney, lead) {
+    const since = new Date(leadJourney.startedAt);
+
+    switch (goal.type) {
+      case 'lead_status':
+        return goal.statuses.includes(lead.status);
+
+      case 'stage':
+        return lead.stageId !== null && lead.stageId !== undefined &&
+          goal.stageIds.map(Number).includes(Number(lead.stageId));
+
+      case 'tag': {
+        const tags = [
+          ...(Array.isArray(lead.tags) ? lead.tags : []),
+          ...((lead.additionalData && lead.additionalData.tags) || [])
+        ];
+        return goal.tags.some(tag => tags.includes(tag));
+      }
+
+      case 'transferred': {
+        const CallLog = this.getModel('CallLog');
+        if (!CallLog) return false;
+
+        return (await CallLog.count({
+          where: { leadId: lead.id, status: 'transferred', createdAt: { [Op.gte]: since } }
+        })) > 0;
+      }
+
+      case 'sms_reply': {
+        const SmsMessage = this.getModel('SmsMessage');
+        if (!SmsMessage) return false;
+
+        const where = { leadId: lead.id, direction: 'inbound', createdAt: { [Op.gte]: since } };
+        if (goal.contains) {
+          where.body = { [Op.iLike]: `%${goal.contains}%` };
+        }
+        return (await SmsMessage.count({ where })) > 0;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Cancel the lead journey's pending steps and complete it with the goal recorded
+   */
+  async completeWithGoal(leadJourney, goal, trigger) {
+    try {
+      const cancelled = await this.models.JourneyExecution.update(
+        { status: 'cancelled', result: { cancelledBy: 'goal', goal: goal.name } },
+        { where: { leadJourneyId: leadJourney.id, status: 'pending' } }
+      );
+
+      const reachedAt = new Date();
+      await leadJourney.update({
+        goalReached: goal.name,
+        goalReachedAt: reachedAt,
+        nextExecutionTime: null,
+        contextData: {
+          ...(leadJourney.contextData || {}),
+          goal: { name: goal.name, type: goal.type, trigger, reachedAt }
+        },
+        executionHistory: [
+          ...(leadJourney.executionHistory || []),
+          { action: 'goal', goal: goal.name, trigger, timestamp: reachedAt }
+        ]
+      });
+
+      await this.journeyService.endLeadJourney(leadJourney, 'completed');
+
+      console.log(`🏁 Lead ${leadJourney.leadId} reached goal "${goal.name}" in journey ${leadJourney.journeyId}, cancelled ${cancelled[0]} pending steps`);
+      return leadJourney;
+    } catch (error) {
+      console.error(`Error completing lead journey ${leadJourney.id} on goal ${goal.name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete every active or paused journey of the event's lead whose goal is now met
+   */
+  async handleEvent(message) {
+    const { event, tenantId, leadId } = message;
+    if (!tenantId || !leadId) return [];
+
+    try {
+      const leadJourneys = await this.models.LeadJourney.findAll({
+        where: {
+          leadId,
+          tenantId: tenantId.toString(),
+          status: { [Op.in]: ['active', 'paused'] }
+        },
+        include: [{ model: this.models.Journey, as: 'journey' }]
+      });
+
+      const withGoals = leadJourneys.filter(leadJourney =>
+        leadJourney.journey && (leadJourney.journey.goals || []).length > 0);
+      if (withGoals.length === 0) return [];
+
+      const lead = await this.models.Lead.findByPk(leadId);
+      if (!lead) return [];
+
+      const completed = [];
+      for (const leadJourney of withGoals) {
+        const goal = await this.findMetGoal(leadJourney.journey, leadJourney, lead);
+        if (goal) {
+          await this.completeWithGoal(leadJourney, goal, event);
+          completed.push(leadJourney.id);
+        }
+      }
+
+      return completed;
+    } catch (error) {
+      console.error(`Error evaluating journey goals for ${event} on lead ${leadId}:`, error);
+      throw error;
+    }
+  }
+}
+
+JourneyGoalService.GOAL_TYPES = Object.keys(GOAL_TYPES);
+
+module.exports = JourneyGoalService;
@@ -0,0 +1,601 @@
+// shared/journey-graph-service.js
+// Edge-based routing for journeys. A journey with edges is a graph: after a step runs, its outgoing edges
+// are tried in priority order and the first whose conditions match picks the next step, falling back to
+// the step's default edge. Journeys without edges keep moving by stepOrder. A split step with
+// actionConfig.variants is an A/B test: leads get a sticky weighted-random variant instead
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+
+const RULE_TYPES = ['call_outcome', 'sms_reply', 'tag', 'lead_field', 'time_elapsed'];
+const FIELD_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'contains', 'exists'];
+const SINCE_OPTIONS = ['last_action', 'enrollment'];
+
+// History entries that do not count as something happening to the lead
+const PASS_THROUGH_ACTIONS = ['split', 'merge', 'delay', 'transition'];
+
+class JourneyGraphService {
+  constructor(models) {
+    this.models = models;
+    const anyModel = models.Journey || models.JourneyStep || models.Lead;
+    this.sequelize = anyModel ? anyModel.sequelize : null;
+  }
+
+  /**
+   * A model by name, falling back to whatever is defined on the connection
+   */
+  getModel(name) {
+    return this.models[name] || (this.sequelize && this.sequelize.models[name]) || null;
+  }
+
+  /**
+   * Edges of the journey's draft, or of a published version
+   */
+  async getEdges(journeyId, versionId = null) {
+    const JourneyEdge = this.getModel('JourneyEdge');
+    if (!JourneyEdge) return [];
+
+    return JourneyEdge.findAll({
+      where: { journeyId, versionId },
+      order: [['fromStepId', 'ASC'], ['isDefault', 'ASC'], ['priority', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Draft steps and edges of a tenant's journey, with the validation result
+   */
+  async getGraph(journeyId, tenantId) {
+    const journey = await this.models.Journey.findOne({
+      where: { id: journeyId, tenantId: tenantId.toString() }
+    });
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    const steps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId: null },
+      order: [['stepOrder', 'ASC']]
+    });
+    const edges = await this.getEdges(journey.id);
+
+    return {
+      journeyId: journey.id,
+      steps,
+      edges,
+      validation: this.validateGraph(steps, edges)
+    };
+  }
+
+  /**
+   * Replace all draft edges of a journey. Nothing is saved when the graph has errors
+   */
+  async saveGraph(journeyId, tenantId, edges) {
+    if (!Array.isArray(edges)) {
+      throw new Error('edges must be an array');
+    }
+
+    const JourneyEdge = this.getModel('JourneyEdge');
+    const journey = await this.models.Journey.findOne({
+      where: { id: journeyId, tenantId: tenantId.toString() }
+    });
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    const steps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId: null },
+      order: [['stepOrder', 'ASC']]
+    });
+
+    const rows = edges.map(edge => ({
+      journeyId: journey.id,
+      fromStepId: parseInt(edge.fromStepId),
+      toStepId: parseInt(edge.toStepId),
+      label: edge.label || null,
+      conditions: edge.conditions || {},
+      isDefault: !!edge.isDefault,
+      priority: parseInt(edge.priority) || 0
+    }));
+
+    const validation = this.validateGraph(steps, rows);
+    if (!validation.valid) {
+      return { saved: false, validation };
+    }
+
+    await this.sequelize.transaction(async (transaction) => {
+      await JourneyEdge.destroy({ where: { journeyId: journey.id, versionId: null }, transaction });
+      if (rows.length > 0) {
+        await JourneyEdge.bulkCreate(rows, { transaction });
+      }
+    });
+
+    console.log(`🔀 Saved ${rows.length} edges for journey ${journey.id}`);
+
+    return {
+      saved: true,
+      journeyId: journey.id,
+      edges: await this.getEdges(journey.id),
+      validation
+    };
+  }
+
+  /**
+   * The first active step by stepOrder is where every lead enters the graph
+   */
+  getEntryStep(steps) {
+    return steps
+      .filter(step => step.isActive !== false)
+      .sort((a, b) => a.stepOrder - b.stepOrder)[0] || null;
+  }
+
+  /**
+   * Check edges against the journey's steps: unknown or inactive steps, default edges, rule shape,
+   * cycles and steps that cannot be reached from the entry step
+   */
+  validateGraph(steps, edges) {
+    const errors = [];
+    const warnings = [];
+    const stepsById = new Map(steps.map(step => [step.id, step]));
+    const activeSteps = steps.filter(step => step.isActive !== false);
+
+    if (edges.length === 0) {
+      for (const step of activeSteps.filter(s => s.actionType === 'split' || s.actionType === 'merge')) {
+        warnings.push({ stepId: step.id, message: `${step.actionType} step "${step.name}" does nothing without edges` });
+      }
+      return { valid: true, errors, warnings };
+    }
+
+    const abSplitIds = new Set(activeSteps.filter(step => this.isAbSplit(step)).map(step => step.id));
+    const outgoing = new Map();
+    const incoming = new Map();
+    edges.forEach((edge, index) => {
+      const ref = { edgeIndex: index, edgeId: edge.id };
+      const from = stepsById.get(edge.fromStepId);
+      const to = stepsById.get(edge.toStepId);
+
+      if (!from || !to) {
+        errors.push({ ...ref, message: 'Edge must connect two steps of this journey' });
+        return;
+      }
+      if (from.isActive === false || to.isActive === false) {
+        errors.push({ ...ref, message: `Edge from "${from.name}" to "${to.name}" uses an inactive step` });
+        return;
+      }
+      if (edge.isDefault && edge.conditions && Object.keys(edge.conditions).length > 0) {
+        errors.push({ ...ref, message: `Default edge from "${from.name}" cannot have conditions` });
+      }
+      if (abSplitIds.has(from.id)) {
+        if (edge.isDefault || (edge.conditions && Object.keys(edge.conditions).length > 0)) {
+          errors.push({ ...ref, message: `Edges from A/B split "${from.name}" cannot be default or have conditions` });
+        }
+      } else if (!edge.isDefault) {
+        for (const message of this.validateConditions(edge.conditions)) {
+          errors.push({ ...ref, message: `Edge from "${from.name}" to "${to.name}": ${message}` });
+        }
+      }
+
+      if (!outgoing.has(from.id)) outgoing.set(from.id, []);
+      outgoing.get(from.id).push(edge);
+      incoming.set(to.id, (incoming.get(to.id) || 0) + 1);
+    });
+
+    for (const step of activeSteps) {
+      const stepEdges = outgoing.get(step.id) || [];
+      const defaults = stepEdges.filter(edge => edge.isDefault);
+
+      if (abSplitIds.has(step.id)) {
+        errors.push(...this.validateVariants(step, stepEdges));
+        continue;
+      }
+
+      if (defaults.length > 1) {
+        errors.push({ stepId: step.id, message: `Step "${step.name}" has more than one default edge` });
+      }
+      if (stepEdges.length > defaults.length && defaults.length === 0) {
+        errors.push({ stepId: step.id, message: `Step "${step.name}" has conditional edges but no default edge` });
+      }
+      if (step.actionType === 'split' && stepEdges.length === 0) {
+        errors.push({ stepId: step.id, message: `Split step "${step.name}" has no outgoing edges` });
+      }
+      if (step.actionType === 'merge' && (incoming.get(step.id) || 0) < 2) {
+        warnings.push({ stepId: step.id, message: `Merge step "${step.name}" has fewer than two incoming edges` });
+      }
+    }
+
+    const cycle = this.findCycle(activeSteps, outgoing);
+    if (cycle) {
+      const names = cycle.map(id => `"${stepsById.get(id).name}"`).join(' -> ');
+      errors.push({ stepIds: cycle, message: `Edges form a cycle: ${names}` });
+    }
+
+    const entry = this.getEntryStep(steps);
+    if (entry) {
+      const reachable = new Set([entry.id]);
+      const queue = [entry.id];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        for (const edge of outgoing.get(id) || []) {
+          if (!reachable.has(edge.toStepId)) {
+            reachable.add(edge.toStepId);
+            queue.push(edge.toStepId);
+          }
+        }
+      }
+
+      for (const step of activeSteps.filter(s => !reachable.has(s.id))) {
+        errors.push({ stepId: step.id, message: `Step "${step.name}" cannot be reached from the first step "${entry.name}"` });
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * An A/B split needs two or more named, positively weighted variants, each with an edge to its step
+   */
+  validateVariants(step, stepEdges) {
+    const errors = [];
+    const variants = step.actionConfig.variants;
+    const names = new Set();
+
+    if (variants.length < 2) {
+      errors.push({ stepId: step.id, message: `A/B split "${step.name}" needs at least two variants` });
+    }
+    for (const variant of variants) {
+      if (!variant.name || names.has(variant.name)) {
+        errors.push({ stepId: step.id, message: `A/B split "${step.name}" needs a unique name for every variant` });
+      }
+      names.add(variant.name);
+
+      if (!(Number(variant.weight) > 0)) {
+        errors.push({ stepId: step.id, message: `Variant ${variant.name} of "${step.name}" needs a weight above 0` });
+      }
+      if (!stepEdges.some(edge => edge.toStepId === parseInt(variant.toStepId))) {
+        errors.push({ stepId: step.id, message: `Variant ${variant.name} of "${step.name}" has no edge to step ${variant.toStepId}` });
+      }
+    }
+    for (const edge of stepEdges) {
+      if (!variants.some(variant => parseInt(variant.toStepId) === edge.toStepId)) {
+        errors.push({ stepId: step.id, message: `Edge from A/B split "${step.name}" to step ${edge.toStepId} is not a variant` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Depth-first search; returns the step ids of the first cycle found, or null
+   */
+  findCycle(steps, outgoing) {
+    const state = new Map();
+    const path = [];
+
+    const visit = (id) => {
+      state.set(id, 'visiting');
+      path.push(id);
+
+      for (const edge of outgoing.get(id) || []) {
+        const next = edge.toStepId;
+        if (state.get(next) === 'visiting') {
+          return [...path.slice(path.indexOf(next)), next];
+        }
+        if (!state.has(next)) {
+          const cycle = visit(next);
+          if (cycle) return cycle;
+        }
+      }
+
+      path.pop();
+      state.set(id, 'done');
+      return null;
+    };
+
+    for (const step of steps) {
+      if (!state.has(step.id)) {
+        const cycle = visit(step.id);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Problems with an edge's conditions, as messages
+   */
+  validateConditions(conditions) {
+    if (!conditions || typeof conditions !== 'object') {
+      return ['conditions must be an object'];
+    }
+
+    const rules = conditions.rules || [];
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return ['a conditional edge needs at least one rule'];
+    }
+    if (conditions.match && !['all', 'any'].includes(conditions.match)) {
+      return ['match must be "all" or "any"'];
+    }
+
+    const messages = [];
+    for (const rule of rules) {
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        messages.push(`unknown rule type ${rule && rule.type}. Use ${RULE_TYPES.join(', ')}`);
+        continue;
+      }
+      if (rule.since && !SINCE_OPTIONS.includes(rule.since)) {
+        messages.push(`since must be one of ${SINCE_OPTIONS.join(', ')}`);
+      }
+
+      switch (rule.type) {
+        case 'call_outcome':
+          if (!Array.isArray(rule.outcomes) || rule.outcomes.length === 0) {
+            messages.push('call_outcome needs an outcomes list');
+          }
+          break;
+        case 'tag':
+          if (!rule.tag) messages.push('tag needs a tag');
+          break;
+        case 'lead_field':
+          if (!rule.field) messages.push('lead_field needs a field');
+          if (!FIELD_OPERATORS.includes(rule.operator || 'eq')) {
+            messages.push(`unknown operator ${rule.operator}. Use ${FIELD_OPERATORS.join(', ')}`);
+          }
+          break;
+        case 'time_elapsed':
+          if (!(rule.minutes || rule.hours || rule.days)) {
+            messages.push('time_elapsed needs minutes, hours or days');
+          }
+          break;
+        default:
+          break;
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Whether a journey's draft, or one of its published versions, is routed by edges
+   */
+  async isGraphJourney(journeyId, versionId = null) {
+    const JourneyEdge = this.getModel('JourneyEdge');
+    if (!JourneyEdge) return false;
+    return (await JourneyEdge.count({ where: { journeyId, versionId } })) > 0;
+  }
+
+  /**
+   * The edge a lead takes out of a step, or null at the end of a path. Edges into inactive steps are skipped
+   */
+  async chooseEdge(leadJourney, step, lead = null) {
+    const JourneyEdge = this.getModel('JourneyEdge');
+    const edges = await JourneyEdge.findAll({
+      where: { fromStepId: step.id },
+      include: [{
+        model: this.models.JourneyStep,
+        as: 'toStep',
+        where: { isActive: true }
+      }],
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+    if (edges.length === 0) return null;
+
+    if (this.isAbSplit(step)) {
+      const assignment = await this.assignVariant(leadJourney, step);
+      return edges.find(edge => edge.toStepId === assignment.toStepId) || null;
+    }
+
+    const conditional = edges.filter(edge => !edge.isDefault);
+    if (conditional.length > 0 && !lead) {
+      lead = await this.models.Lead.findByPk(leadJourney.leadId);
+    }
+
+    for (const edge of conditional) {
+      if (lead && await this.matchesConditions(edge.conditions, lead, leadJourney)) {
+        return edge;
+      }
+    }
+
+    return edges.find(edge => edge.isDefault) || null;
+  }
+
+  /**
+   * Options let a simulation evaluate on its own clock (now) and sample SMS replies (smsReplies)
+   */
+  async matchesConditions(conditions, lead, leadJourney, options = {}) {
+    const rules = (conditions && conditions.rules) || [];
+    if (rules.length === 0) return false;
+
+    for (const rule of rules) {
+      let matched;
+      try {
+        matched = await this.matchesRule(rule, lead, leadJourney, options);
+      } catch (error) {
+        console.error(`Error evaluating journey edge rule ${rule.type}:`, error);
+        matched = false;
+      }
+      if (rule.negate) matched = !matched;
+
+      if (conditions.match === 'any' && matched) return true;
+      if (conditions.match !== 'any' && !matched) return false;
+    }
+
+    return conditions.match !== 'any';
+  }
+
+  async matchesRule(rule, lead, leadJourney, options = {}) {
+    switch (rule.type) {
+      case 'call_outcome': {
+        const lastCall = this.getLastCall(leadJourney);
+        const outcome = lastCall ? lastCall.outcome : (leadJourney.contextData || {}).lastCallOutcome;
+        const amdStatus = lastCall ? lastCall.amdStatus : (leadJourney.contextData || {}).lastCallAmdStatus;
+        return rule.outcomes.includes(outcome) || (!!amdStatus && rule.outcomes.includes(amdStatus));
+      }
+
+      case 'sms_reply': {
+        if (options.smsReplies) {
+          return options.smsReplies.some(body => !rule.contains ||
+            body.toLowerCase().includes(rule.contains.toString().toLowerCase()));
+        }
+
+        const SmsMessage = this.getModel('SmsMessage');
+        if (!SmsMessage) return false;
+
+        const where = {
+          leadId: lead.id,
+          direction: 'inbound',
+          createdAt: { [Op.gte]: this.getSinceTime(rule.since, leadJourney) }
+        };
+        if (rule.contains) {
+          where.body = { [Op.iLike]: `%${rule.contains}%` };
+        }
+        return (await SmsMessage.count({ where })) > 0;
+      }
+
+      case 'tag': {
+        const tags = [
+          ...(Array.isArray(lead.tags) ? lead.tags : []),
+          ...((lead.additionalData && lead.additionalData.tags) || [])
+        ];
+        return tags.includes(rule.tag);
+      }
+
+      case 'lead_field':
+        return this.compareField(this.getFieldValue(lead, rule.field), rule.operator || 'eq', rule.value);
+
+      case 'time_elapsed': {
+        const due = moment(this.getSinceTime(rule.since, leadJourney))
+          .add(rule.minutes || 0, 'minutes')
+          .add(rule.hours || 0, 'hours')
+          .add(rule.days || 0, 'days');
+        return !due.isAfter(moment(options.now));
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Outcome of the last call step in the journey; undefined while the call is still going
+   */
+  getLastCall(leadJourney) {
+    const calls = (leadJourney.executionHistory || []).filter(entry => entry.action === 'call');
+    if (calls.length === 0) return null;
+
+    const result = calls[calls.length - 1].result || {};
+    return { outcome: result.outcome, amdStatus: result.amdStatus, callId: result.callId, timestamp: calls[calls.length - 1].timestamp };
+  }
+
+  /**
+   * Time rules count from enrollment or from the last step that did something to the lead
+   */
+  getSinceTime(since, leadJourney) {
+    if (since === 'enrollment') {
+      return new Date(leadJourney.startedAt);
+    }
+
+    const actions = (leadJourney.executionHistory || []).filter(entry => !PASS_THROUGH_ACTIONS.includes(entry.action));
+    if (actions.length > 0) {
+      return new Date(actions[actions.length - 1].timestamp);
+    }
+    return new Date(leadJourney.startedAt);
+  }
+
+  getFieldValue(lead, field) {
+    const source = typeof lead.get === 'function' ? lead.get({ plain: true }) : lead;
+    return field.split('.').reduce((obj, key) => (obj !== null && obj !== undefined ? obj[key] : undefined), source);
+  }
+
+  compareField(actual, operator, expected) {
+    switch (operator) {
+      case 'exists':
+        return actual !== null && actual !== undefined && actual !== '';
+      case 'eq':
+        return String(actual) === String(expected);
+      case 'neq':
+        return String(actual) !== String(expected);
+      case 'gt':
+        return Number(actual) > Number(expected);
+      case 'gte':
+        return Number(actual) >= Number(expected);
+      case 'lt':
+        return Number(actual) < Number(expected);
+      case 'lte':
+        return Number(actual) <= Number(expected);
+      case 'in':
+        return Array.isArray(expected) && expected.map(String).includes(String(actual));
+      case 'not_in':
+        return Array.isArray(expected) && !expected.map(String).includes(String(actual));
+      case 'contains':
+        if (Array.isArray(actual)) return actual.map(String).includes(String(expected));
+        return actual !== null && actual !== undefined &&
+          String(actual).toLowerCase().includes(String(expected).toLowerCase());
+      default:
+        return false;
+    }
+  }
+
+  isAbSplit(step) {
+    return step.actionType === 'split' && !!step.actionConfig &&
+      Array.isArray(step.actionConfig.variants) && step.actionConfig.variants.length > 0;
+  }
+
+  /**
+   * The lead's variant for an A/B split. Picked by weight on first visit and kept in
+   * contextData.abTests so the lead sees the same variant on repeat days and restarts
+   */
+  async assignVariant(leadJourney, step) {
+    const variants = step.actionConfig.variants;
+    const context = { ...(leadJourney.contextData || {}) };
+    const abTests = { ...(context.abTests || {}) };
+
+    const existing = abTests[step.id];
+    const kept = existing && variants.find(variant => variant.name === existing.variant);
+    if (kept) {
+      return { ...existing, toStepId: parseInt(kept.toStepId) };
+    }
+
+    const totalWeight = variants.reduce((sum, variant) => sum + (Number(variant.weight) || 0), 0);
+    let pick = Math.random() * totalWeight;
+    let chosen = variants[variants.length - 1];
+    for (const variant of variants) {
+      pick -= Number(variant.weight) || 0;
+      if (pick < 0) {
+        chosen = variant;
+        break;
+      }
+    }
+
+    abTests[step.id] = {
+      variant: chosen.name,
+      toStepId: parseInt(chosen.toStepId),
+      assignedAt: new Date().toISOString()
+    };
+    await leadJourney.update({ contextData: { ...context, abTests } });
+
+    console.log(`🧪 Lead journey ${leadJourney.id} assigned variant ${chosen.name} at split step ${step.id}`);
+    return abTests[step.id];
+  }
+
+  /**
+   * Whether a split step should wait: one of its edges checks a call outcome and the last call
+   * has not finished yet
+   */
+  async isWaitingForCall(step, leadJourney) {
+    const JourneyEdge = this.getModel('JourneyEdge');
+    if (!JourneyEdge) return false;
+
+    const edges = await JourneyEdge.findAll({ where: { fromStepId: step.id, isDefault: false } });
+    const needsOutcome = edges.some(edge => ((edge.conditions && edge.conditions.rules) || [])
+      .some(rule => rule.type === 'call_outcome'));
+    if (!needsOutcome) return false;
+
+    const lastCall = this.getLastCall(leadJourney);
+    if (!lastCall || !lastCall.callId || lastCall.outcome) return false;
+
+    const maxWait = (step.actionConfig && step.actionConfig.waitForCallMinutes) || 30;
+    return moment(lastCall.timestamp).add(maxWait, 'minutes').isAfter(moment());
+  }
+}
+
+JourneyGraphService.RULE_TYPES = RULE_TYPES;
+
+module.exports = JourneyGraphService;
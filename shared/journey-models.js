@@ -6,13 +6,16 @@ const { DataTypes } = require('sequelize');
 module.exports = (sequelize) => {
   // Check if models already exist to prevent duplicate declarations
   if (sequelize.models.Journey && sequelize.models.JourneyStep && 
-      sequelize.models.LeadJourney && sequelize.models.JourneyExecution) {
+      sequelize.models.LeadJourney && sequelize.models.JourneyExecution &&
+      sequelize.models.JourneyEdge && sequelize.models.JourneyVersion) {
     console.log('Journey models already initialized, returning existing models');
     return {
       Journey: sequelize.models.Journey,
       JourneyStep: sequelize.models.JourneyStep,
       LeadJourney: sequelize.models.LeadJourney,
-      JourneyExecution: sequelize.models.JourneyExecution
+      JourneyExecution: sequelize.models.JourneyExecution,
+      JourneyEdge: sequelize.models.JourneyEdge,
+      JourneyVersion: sequelize.models.JourneyVersion
     };
   }
 
@@ -59,6 +62,16 @@ module.exports = (sequelize) => {
         sources: [],
         autoEnroll: false
       }
+    },
+    // Goals that complete a lead's journey as soon as one is met: [{ name, type, ... }]
+    goals: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    // Version new enrollments are pinned to; null enrolls on the draft steps
+    publishedVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
     tableName: 'Journeys',
@@ -106,7 +119,9 @@ module.exports = (sequelize) => {
         'status_change',
         'tag_update',
         'webhook',
-        'delay'
+        'delay',
+        'split',  // Branch point: only routes by its outgoing edges
+        'merge'   // Join point where branches come back together
       ),
       allowNull: false
     },
@@ -139,12 +154,25 @@ module.exports = (sequelize) => {
     isDayEnd: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
+    },
+    // Published version this step is a frozen copy of; null for the editable draft
+    versionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Draft step the frozen copy was published from
+    sourceStepId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
     tableName: 'JourneySteps',
     indexes: [
       {
         fields: ['journeyId', 'stepOrder']
+      },
+      {
+        fields: ['journeyId', 'versionId']
       }
     ]
   });
@@ -212,6 +240,20 @@ module.exports = (sequelize) => {
     contextData: {
       type: DataTypes.JSONB,
       defaultValue: {}
+    },
+    // Name of the journey goal that completed this lead journey
+    goalReached: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    goalReachedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Published version the lead runs on; null for leads on the draft steps
+    journeyVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
     }
   }, {
     tableName: 'LeadJourneys',
@@ -290,12 +332,133 @@ module.exports = (sequelize) => {
     ]
   });
 
+  // Journey Edge Model - Outgoing paths between steps. A journey with edges is routed as a graph
+  // instead of by stepOrder
+  const JourneyEdge = sequelize.define('JourneyEdge', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    journeyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Journeys',
+        key: 'id'
+      }
+    },
+    fromStepId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'JourneySteps',
+        key: 'id'
+      }
+    },
+    toStepId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'JourneySteps',
+        key: 'id'
+      }
+    },
+    label: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // { match: 'all' | 'any', rules: [{ type: 'call_outcome' | 'sms_reply' | 'tag' | 'lead_field' | 'time_elapsed', ... }] }
+    conditions: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    // Taken when no conditional edge of the step matches
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Conditional edges are tried in ascending priority
+    priority: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Published version the edge belongs to; null for the editable draft
+    versionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'JourneyEdges',
+    indexes: [
+      {
+        fields: ['journeyId', 'versionId']
+      },
+      {
+        fields: ['fromStepId', 'priority']
+      }
+    ]
+  });
+
+  // Journey Version Model - Immutable published snapshot of a journey's steps and edges.
+  // The frozen step and edge rows carry the versionId; definition keeps them for diffs
+  const JourneyVersion = sequelize.define('JourneyVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    journeyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Journeys',
+        key: 'id'
+      }
+    },
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    publishedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    publishedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    // { steps: [...], edges: [...] } as published
+    definition: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'JourneyVersions',
+    indexes: [
+      {
+        unique: true,
+        fields: ['journeyId', 'version']
+      }
+    ]
+  });
+
   // FIXED: Define relationships in correct order with proper error handling
   try {
     // Journey -> JourneyStep relationship
+    // steps are the editable draft; published copies are reached through their version
     Journey.hasMany(JourneyStep, { 
       foreignKey: 'journeyId',
       as: 'steps',
+      scope: { versionId: null },
       onDelete: 'CASCADE'
     });
 
@@ -345,6 +508,37 @@ module.exports = (sequelize) => {
       as: 'executions'
     });
 
+    // Journey -> JourneyEdge relationships
+    Journey.hasMany(JourneyEdge, {
+      foreignKey: 'journeyId',
+      as: 'edges',
+      scope: { versionId: null },
+      onDelete: 'CASCADE'
+    });
+
+    JourneyStep.hasMany(JourneyEdge, {
+      foreignKey: 'fromStepId',
+      as: 'outgoingEdges',
+      onDelete: 'CASCADE'
+    });
+
+    JourneyEdge.belongsTo(JourneyStep, {
+      foreignKey: 'toStepId',
+      as: 'toStep'
+    });
+
+    // Journey -> JourneyVersion relationship
+    Journey.hasMany(JourneyVersion, {
+      foreignKey: 'journeyId',
+      as: 'versions',
+      onDelete: 'CASCADE'
+    });
+
+    JourneyVersion.belongsTo(Journey, {
+      foreignKey: 'journeyId',
+      as: 'journey'
+    });
+
     console.log('✅ Journey model relationships defined successfully');
 
   } catch (relationshipError) {
@@ -390,6 +584,8 @@ module.exports = (sequelize) => {
     Journey,
     JourneyStep,
     LeadJourney,
-    JourneyExecution
+    JourneyExecution,
+    JourneyEdge,
+    JourneyVersion
   };
 };
\ No newline at end of file
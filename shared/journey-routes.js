@@ -28,7 +28,9 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
         Journey,
         JourneyStep,
         LeadJourney,
-        JourneyExecution
+        JourneyExecution,
+        JourneyEdge: sequelize.models.JourneyEdge,
+        JourneyVersion: sequelize.models.JourneyVersion
       };
     } else {
       const initJourneyModels = require('./journey-models');
@@ -61,6 +63,29 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
     Template: sequelize.models.Template || null
   });
 
+  // Auto-enroll journeys and journey goals react to lead events published in the API process
+  const JourneyTriggerService = require('./journey-trigger-service');
+  const eventBus = require('./event-bus');
+  if (Lead) {
+    eventBus.watchLeadModel(Lead);
+  }
+  const triggerService = new JourneyTriggerService({ ...journeyModels, Lead }, journeyService).attach();
+  journeyService.goalService.attach();
+
+  // Enroll leads that already match a journey without holding up the response. Failures are logged by the
+  // trigger service and the worker's hourly sweep picks the journey up again
+  const enrollMatchingLeads = (journey) => {
+    triggerService.enrollMatchingLeads(journey, 'backfill').catch(() => {});
+  };
+
+  const JourneyVersionService = require('./journey-version-service');
+  const versionService = new JourneyVersionService({ ...journeyModels, Lead });
+
+  const JourneyExportService = require('./journey-export-service');
+  const JourneySimulationService = require('./journey-simulation-service');
+  const exportService = new JourneyExportService({ ...journeyModels, Lead });
+  const simulationService = new JourneySimulationService(journeyService.models, journeyService);
+
   // Journey Management Routes
   
   // List all journeys for tenant - FIXED VERSION
@@ -172,11 +197,20 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
   // Create new journey
   router.post('/journeys', authenticateToken, async (req, res) => {
     try {
+      try {
+        triggerService.validateTriggerEvents(req.body.triggerCriteria && req.body.triggerCriteria.triggerEvents);
+        journeyService.goalService.validateGoals(req.body.goals);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
       const journey = await Journey.create({
         ...req.body,
         tenantId: req.user.tenantId.toString()
       });
-      
+
+      enrollMatchingLeads(journey);
+
       res.status(201).json(journey);
     } catch (error) {
       console.error('Error creating journey:', error);
@@ -197,8 +231,22 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
       if (!journey) {
         return res.status(404).json({ error: 'Journey not found' });
       }
+
+      try {
+        triggerService.validateTriggerEvents(req.body.triggerCriteria && req.body.triggerCriteria.triggerEvents);
+        journeyService.goalService.validateGoals(req.body.goals);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
       
+      const wasActive = journey.isActive;
       await journey.update(req.body);
+
+      // Activation or new triggers: enroll the leads that already match
+      if ((journey.isActive && !wasActive) || req.body.triggerCriteria !== undefined) {
+        enrollMatchingLeads(journey);
+      }
+
       res.json(journey);
     } catch (error) {
       console.error('Error updating journey:', error);
@@ -275,14 +323,29 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
       });
       console.log(`Deleted ${deletedLeadJourneys} lead journeys`);
       
-      // 4. Delete JourneySteps (should be safe now as all executions are gone)
+      // 4. Delete the edges between steps
+      if (journeyModels.JourneyEdge) {
+        await journeyModels.JourneyEdge.destroy({
+          where: { journeyId: journey.id },
+          transaction
+        });
+      }
+      
+      // 5. Delete JourneySteps (should be safe now as all executions and edges are gone), including published copies
       const deletedSteps = await JourneyStep.destroy({
         where: { journeyId: journey.id },
         transaction
       });
       console.log(`Deleted ${deletedSteps} journey steps`);
       
-      // 5. Finally delete the Journey itself
+      if (journeyModels.JourneyVersion) {
+        await journeyModels.JourneyVersion.destroy({
+          where: { journeyId: journey.id },
+          transaction
+        });
+      }
+      
+      // 6. Finally delete the Journey itself
       await journey.destroy({ transaction });
       console.log(`Deleted journey ${journey.id}`);
       
@@ -309,7 +372,7 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
   
   // Journey Step Routes
   
-  // Get journey steps
+  // Get the draft steps of a journey; published versions are under /versions
   router.get('/journeys/:id/steps', authenticateToken, async (req, res) => {
     try {
       const journey = await Journey.findOne({
@@ -324,7 +387,7 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
       }
       
       const steps = await JourneyStep.findAll({
-        where: { journeyId: journey.id },
+        where: { journeyId: journey.id, versionId: null },
         order: [['stepOrder', 'ASC']]
       });
       
@@ -351,7 +414,9 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
       
       const step = await JourneyStep.create({
         ...req.body,
-        journeyId: journey.id
+        journeyId: journey.id,
+        versionId: null,
+        sourceStepId: null
       });
       
       res.status(201).json(step);
@@ -386,7 +451,12 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
         return res.status(404).json({ error: 'Journey step not found' });
       }
       
-      await step.update(req.body);
+      if (step.versionId) {
+        return res.status(409).json({ error: 'Steps of a published version cannot be changed. Edit the draft and publish a new version' });
+      }
+      
+      const { versionId, sourceStepId, ...changes } = req.body;
+      await step.update(changes);
       res.json(step);
     } catch (error) {
       console.error('Error updating journey step:', error);
@@ -425,6 +495,11 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
         return res.status(404).json({ error: 'Journey step not found' });
       }
       
+      if (step.versionId) {
+        await transaction.rollback();
+        return res.status(409).json({ error: 'Steps of a published version cannot be deleted' });
+      }
+      
       // Check for active executions
       const activeExecutions = await JourneyExecution.count({
         where: {
@@ -452,6 +527,16 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
       
       console.log(`Deleted ${deletedExecutions} executions for step ${step.id}`);
       
+      // Remove edges into and out of the step
+      if (journeyModels.JourneyEdge) {
+        await journeyModels.JourneyEdge.destroy({
+          where: {
+            [Op.or]: [{ fromStepId: step.id }, { toStepId: step.id }]
+          },
+          transaction
+        });
+      }
+      
       // Now delete the step
       await step.destroy({ transaction });
       
@@ -469,6 +554,183 @@ module.exports = (app, sequelize, authenticateToken, existingModels) => {
     }
   });
   
+  // Journey Graph Routes
+  
+  // Steps, edges and validation result of a journey
+  router.get('/journeys/:id/graph', authenticateToken, async (req, res) => {
+    try {
+      const graph = await journeyService.graphService.getGraph(req.params.id, req.user.tenantId);
+      res.json(graph);
+    } catch (error) {
+      console.error('Error fetching journey graph:', error);
+      res.status(error.message === 'Journey not found' ? 404 : 500).json({ error: error.message });
+    }
+  });
+  
+  // Replace all edges of a journey; rejected with the validation errors when the graph is invalid
+  router.put('/journeys/:id/graph', authenticateToken, async (req, res) => {
+    try {
+      const result = await journeyService.graphService.saveGraph(req.params.id, req.user.tenantId, req.body.edges);
+      
+      if (!result.saved) {
+        return res.status(400).json({ error: 'Invalid journey graph', ...result.validation });
+      }
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Error saving journey graph:', error);
+      res.status(error.message === 'Journey not found' ? 404 : 400).json({ error: error.message });
+    }
+  });
+  
+  // Validate edges without saving them; validates the saved edges when none are sent
+  router.post('/journeys/:id/graph/validate', authenticateToken, async (req, res) => {
+    try {
+      const graph = await journeyService.graphService.getGraph(req.params.id, req.user.tenantId);
+      
+      if (!Array.isArray(req.body.edges)) {
+        return res.json(graph.validation);
+      }
+      
+      const edges = req.body.edges.map(edge => ({
+        ...edge,
+        fromStepId: parseInt(edge.fromStepId),
+        toStepId: parseInt(edge.toStepId)
+      }));
+      res.json(journeyService.graphService.validateGraph(graph.steps, edges));
+    } catch (error) {
+      console.error('Error validating journey graph:', error);
+      res.status(error.message === 'Journey not found' ? 404 : 400).json({ error: error.message });
+    }
+  });
+  
+  // Journey Version Routes
+  
+  const versionError = (res, error) => {
+    const notFound = ['Journey not found', 'Journey version not found'].includes(error.message);
+    res.status(notFound ? 404 : 400).json({ error: error.message });
+  };
+  
+  // Published versions of a journey, newest first
+  router.get('/journeys/:id/versions', authenticateToken, async (req, res) => {
+    try {
+      res.json(await versionService.listVersions(req.params.id, req.user.tenantId));
+    } catch (error) {
+      console.error('Error fetching journey versions:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Publish the draft as the next version; new enrollments go to it
+  router.post('/journeys/:id/versions', authenticateToken, async (req, res) => {
+    try {
+      const result = await versionService.publish(req.params.id, req.user.tenantId, {
+        notes: req.body.notes,
+        publishedBy: req.user.id
+      });
+      
+      if (!result.published) {
+        return res.status(400).json({ error: 'Invalid journey graph', ...result.validation });
+      }
+
+      // A journey switched on before it had steps gets its matching leads once there is a version to run
+      const journey = await Journey.findByPk(req.params.id);
+      if (journey) {
+        enrollMatchingLeads(journey);
+      }
+
+      res.status(201).json(result.version);
+    } catch (error) {
+      console.error('Error publishing journey version:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Changes between two versions (or a version and the draft): ?from=1&to=draft
+  router.get('/journeys/:id/versions/diff', authenticateToken, async (req, res) => {
+    try {
+      res.json(await versionService.diff(req.params.id, req.user.tenantId, {
+        from: req.query.from,
+        to: req.query.to
+      }));
+    } catch (error) {
+      console.error('Error diffing journey versions:', error);
+      versionError(res, error);
+    }
+  });
+  
+  router.get('/journeys/:id/versions/:version', authenticateToken, async (req, res) => {
+    try {
+      res.json(await versionService.getVersion(req.params.id, req.user.tenantId, req.params.version));
+    } catch (error) {
+      console.error('Error fetching journey version:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Enroll new leads on an earlier version again
+  router.post('/journeys/:id/versions/:version/rollback', authenticateToken, async (req, res) => {
+    try {
+      res.json(await versionService.rollback(req.params.id, req.user.tenantId, req.params.version));
+    } catch (error) {
+      console.error('Error rolling back journey version:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Move active and paused leads onto a version with { stepMapping, fromVersion, dryRun }
+  router.post('/journeys/:id/versions/:version/migrate', authenticateToken, async (req, res) => {
+    try {
+      res.json(await versionService.migrateLeads(req.params.id, req.user.tenantId, req.params.version, {
+        fromVersion: req.body.fromVersion,
+        stepMapping: req.body.stepMapping,
+        dryRun: !!req.body.dryRun
+      }));
+    } catch (error) {
+      console.error('Error migrating leads to journey version:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Journey Import/Export Routes
+  
+  // The draft, or ?version=N, as portable JSON
+  router.get('/journeys/:id/export', authenticateToken, async (req, res) => {
+    try {
+      const data = await exportService.exportJourney(req.params.id, req.user.tenantId, {
+        version: req.query.version
+      });
+      res.json(data);
+    } catch (error) {
+      console.error('Error exporting journey:', error);
+      versionError(res, error);
+    }
+  });
+  
+  // Create an inactive journey from an export; ?name= renames it
+  router.post('/journeys/import', authenticateToken, async (req, res) => {
+    try {
+      const journey = await exportService.importJourney(req.user.tenantId, req.body, {
+        name: req.query.name
+      });
+      res.status(201).json(journey);
+    } catch (error) {
+      console.error('Error importing journey:', error);
+      res.status(400).json({ error: error.message, errors: error.errors });
+    }
+  });
+  
+  // Schedule of actions a sample lead would get, on a virtual clock; nothing is sent or saved
+  router.post('/journeys/:id/simulate', authenticateToken, async (req, res) => {
+    try {
+      res.json(await simulationService.simulate(req.params.id, req.user.tenantId, req.body));
+    } catch (error) {
+      console.error('Error simulating journey:', error);
+      const notFound = ['Journey not found', 'Journey version not found', 'Lead not found'].includes(error.message);
+      res.status(notFound ? 404 : 400).json({ error: error.message });
+    }
+  });
+  
   // Lead Journey Routes
   
 
@@ -823,7 +1085,8 @@ router.get('/journeys/:id/leads', authenticateToken, async (req, res) => {
       const step = await JourneyStep.findOne({
         where: {
           id: stepId,
-          journeyId: leadJourney.journeyId
+          journeyId: leadJourney.journeyId,
+          versionId: leadJourney.journeyVersionId || null
         }
       });
       
@@ -844,7 +1107,16 @@ router.get('/journeys/:id/leads', authenticateToken, async (req, res) => {
       const lead = await Lead.findByPk(leadJourney.leadId);
       
       const result = await journeyService.executeAction(step, lead, tenant, leadJourney);
-      
+
+      if (result && result.rescheduled) {
+        await execution.reload();
+        return res.json({
+          message: 'Step rescheduled',
+          execution,
+          result
+        });
+      }
+
       await execution.update({
         status: 'completed',
         result
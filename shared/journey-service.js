@@ -2,12 +2,43 @@
 const moment = require('moment-timezone');
 const { Op } = require('sequelize');
 const axios = require('axios');
+const CallingWindowService = require('./calling-window-service');
+const DncService = require('./dnc-service');
+const ContactPolicyService = require('./contact-policy-service');
+const LeadIntakeService = require('./lead-intake-service');
+const AgentStatusService = require('./agent-status-service');
+const AmdService = require('./amd-service');
+const DidSelectionService = require('./did-selection-service');
+const TransferRoutingService = require('./transfer-routing-service');
+const StageAutomationService = require('./stage-automation-service');
+const JourneyGraphService = require('./journey-graph-service');
+const JourneyGoalService = require('./journey-goal-service');
 
 class JourneyService {
   constructor(models, tenantService) {
     this.models = models;
     this.tenantService = tenantService;
     this.timezone = 'America/Los_Angeles'; // Default, can be overridden per tenant
+    this.callingWindowService = new CallingWindowService(models);
+    this.dncService = new DncService(models);
+    this.contactPolicyService = new ContactPolicyService(models);
+    this.leadIntakeService = new LeadIntakeService({});
+    this.agentStatusService = new AgentStatusService(models);
+    this.amdService = new AmdService(models);
+    this.didSelectionService = new DidSelectionService(models);
+    this.transferRoutingService = new TransferRoutingService(models);
+    this.stageAutomationService = new StageAutomationService(models);
+    this.graphService = new JourneyGraphService(models);
+    this.goalService = new JourneyGoalService(models, this);
+    this.amiPool = null;
+  }
+
+  /**
+   * Use a shared AMI connection pool for journey calls instead of a connection per call
+   */
+  setAmiPool(amiPool) {
+    this.amiPool = amiPool;
+    this.agentStatusService.amiPool = amiPool;
   }
 
   /**
@@ -67,7 +98,16 @@ class JourneyService {
             throw new Error(`Tenant not found: ${journey.tenantId}`);
           }
 
-
+          // A goal met since the last step (including in another process) ends the journey before this step runs
+          const goal = await this.goalService.findMetGoal(journey, leadJourney, lead);
+          if (goal) {
+            await execution.update({
+              status: 'cancelled',
+              result: { cancelledBy: 'goal', goal: goal.name }
+            });
+            await this.goalService.completeWithGoal(leadJourney, goal, 'step');
+            continue;
+          }
           
           // Check if we're in business hours (if needed)
           const shouldRespectBusinessHours = step.actionType === 'call' || 
@@ -101,6 +141,11 @@ class JourneyService {
           // Execute the action
           const result = await this.executeAction(step, lead, tenant, leadJourney);
           
+          // The action put the execution back in the queue - leave it pending
+          if (result && result.rescheduled) {
+            continue;
+          }
+          
           // Update execution status
           await execution.update({
             status: 'completed',
@@ -125,6 +170,12 @@ class JourneyService {
             executionHistory: history
           });
           
+          this.stageAutomationService.trigger(lead.id, 'journey', {
+            on: 'step',
+            journeyId: journey.id,
+            stepId: step.id
+          });
+          
           // Advance to next step
           await this.advanceToNextStep(leadJourney, step, result);
           
@@ -149,60 +200,31 @@ class JourneyService {
   }
 
   /**
-   * Check if agents are available in the specified ingroup
+   * Check if agents are waiting in the ingroup, through the tenant's agent status provider.
+   * A failed fetch counts as no agents, so the call is retried later instead of dialed blind
    */
-  /**
- * Check if agents are available in the specified ingroup
- */
-async checkAgentAvailability(apiConfig, ingroup) {
-  try {
-    if (!apiConfig || !apiConfig.url) {
-      console.log('No API config found for agent status check');
-      return true; // Default to allow if no config
-    }
+  async checkAgentAvailability(tenant, apiConfig, ingroup) {
+    // A transfer group can point the csv_api provider at its own agent API
+    const statusTenant = apiConfig === tenant.apiConfig
+      ? tenant
+      : { id: tenant.id, apiConfig, amiConfig: tenant.amiConfig, dialerConfig: tenant.dialerConfig };
 
-    const apiParams = {
-      source: apiConfig.source,
-      user: apiConfig.user,
-      pass: apiConfig.password || apiConfig.pass,
-      stage: 'csv',
-      function: 'in_group_status',
-      header: 'YES',
-      in_groups: ingroup
-    };
+    try {
+      const agentStatus = await this.agentStatusService.getAgentStatus(statusTenant, ingroup);
+      const agentsWaiting = parseInt(agentStatus.data[0].agents_waiting, 10) || 0;
 
-    const response = await axios.get(apiConfig.url, { params: apiParams });
-    
-    // Parse CSV response
-    const csv = require('csv-parser');
-    const { Readable } = require('stream');
-    const results = [];
-    const stream = Readable.from(response.data);
-    
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', row => results.push(row))
-        .on('end', resolve)
-        .on('error', reject);
-    });
-    
-    // Check if any agents are available
-    for (const row of results) {
-      const agentsWaiting = parseInt(row.agents_waiting, 10) || 0;
       if (agentsWaiting > 0) {
         console.log(`Found ${agentsWaiting} agents available in ingroup ${ingroup}`);
         return true;
       }
+
+      console.log(`No agents available in ingroup ${ingroup}`);
+      return false;
+    } catch (error) {
+      console.error(`Agent status unavailable for ingroup ${ingroup}, holding journey call: ${error.message}`);
+      return false;
     }
-    
-    console.log(`No agents available in ingroup ${ingroup}`);
-    return false;
-  } catch (error) {
-    console.error('Error checking agent availability:', error);
-    return true; // Default to allow on error
   }
-}
 
   /**
    * Check if there are active calls for a lead
@@ -271,15 +293,17 @@ async checkAgentAvailability(apiConfig, ingroup) {
       
       if (existingJourney) {
         if (options.restart) {
-          // Reset the journey if restart option is true
+          // Reset the journey on the published version if restart option is true; A/B variants stay assigned
           await existingJourney.update({
             status: 'active',
+            journeyVersionId: journey.publishedVersionId || null,
             currentStepId: null,
             nextExecutionTime: null,
             lastExecutionTime: null,
             executionHistory: [],
             contextData: {
               dayCount: 1,
+              abTests: (existingJourney.contextData || {}).abTests || {},
               ...(options.contextData || {})
             }
           });
@@ -308,6 +332,7 @@ async checkAgentAvailability(apiConfig, ingroup) {
         leadId,
         journeyId,
         tenantId: journey.tenantId,
+        journeyVersionId: journey.publishedVersionId || null,
         status: 'active',
         startedAt: new Date(),
         contextData: {
@@ -340,17 +365,14 @@ async checkAgentAvailability(apiConfig, ingroup) {
       const firstStep = await this.models.JourneyStep.findOne({
         where: {
           journeyId: leadJourney.journeyId,
+          versionId: leadJourney.journeyVersionId || null,
           isActive: true
         },
         order: [['stepOrder', 'ASC']]
       });
       
       if (!firstStep) {
-        await leadJourney.update({
-          status: 'completed',
-          completedAt: new Date(),
-          currentStepId: null
-        });
+        await this.endLeadJourney(leadJourney, 'completed');
         return leadJourney;
       }
       
@@ -394,10 +416,10 @@ async checkAgentAvailability(apiConfig, ingroup) {
   }
   
   /**
-   * Calculate when a step should be executed based on its delay configuration
+   * Calculate when a step should be executed based on its delay configuration; now is the clock to
+   * schedule from, so simulations can run on a virtual one
    */
-  async calculateStepExecutionTime(step, leadJourney) {
-    const now = new Date();
+  async calculateStepExecutionTime(step, leadJourney, now = new Date()) {
     const journey = await this.models.Journey.findByPk(leadJourney.journeyId);
     const tenant = await this.models.Tenant.findByPk(journey.tenantId);
     
@@ -412,11 +434,11 @@ async checkAgentAvailability(apiConfig, ingroup) {
         const timeStr = step.delayConfig.time || '09:00';
         const [hours, minutes] = timeStr.split(':').map(Number);
         
-        const scheduledTime = moment.tz(timezone);
+        const scheduledTime = moment.tz(now, timezone);
         scheduledTime.hours(hours).minutes(minutes).seconds(0).milliseconds(0);
         
         // If the time has already passed today, schedule for tomorrow
-        if (scheduledTime.valueOf() < Date.now()) {
+        if (scheduledTime.valueOf() < now.valueOf()) {
           scheduledTime.add(1, 'day');
         }
         
@@ -455,11 +477,11 @@ async checkAgentAvailability(apiConfig, ingroup) {
         const [hours, minutes] = timeStr.split(':').map(Number);
         
         // Start from today
-        let scheduledTime = moment.tz(timezone);
+        let scheduledTime = moment.tz(now, timezone);
         scheduledTime.hours(hours).minutes(minutes).seconds(0).milliseconds(0);
         
         // If current time is past the specified time, start checking from tomorrow
-        if (scheduledTime.valueOf() < Date.now()) {
+        if (scheduledTime.valueOf() < now.valueOf()) {
           scheduledTime.add(1, 'day');
         }
         
@@ -475,7 +497,7 @@ async checkAgentAvailability(apiConfig, ingroup) {
         }
         
         // If no matching day found, default to tomorrow
-        return moment.tz(timezone).add(1, 'day')
+        return moment.tz(now, timezone).add(1, 'day')
           .hours(hours).minutes(minutes).seconds(0).milliseconds(0)
           .toDate();
       }
@@ -485,6 +507,22 @@ async checkAgentAvailability(apiConfig, ingroup) {
     }
   }
   
+  /**
+   * Finish a lead's journey as completed or exited; journey stage catalysts fire on it
+   */
+  async endLeadJourney(leadJourney, status) {
+    await leadJourney.update({
+      status,
+      completedAt: new Date(),
+      currentStepId: null
+    });
+    
+    this.stageAutomationService.trigger(leadJourney.leadId, 'journey', {
+      on: status,
+      journeyId: leadJourney.journeyId
+    });
+  }
+  
   /**
    * Advance to the next step in the journey
    */
@@ -492,23 +530,28 @@ async checkAgentAvailability(apiConfig, ingroup) {
     try {
       // Check if this is an exit point
       if (currentStep.isExitPoint) {
-        await leadJourney.update({
-          status: 'exited',
-          completedAt: new Date(),
-          currentStepId: null
-        });
+        await this.endLeadJourney(leadJourney, 'exited');
         return;
       }
       
-      // Find the next step
-      let nextStep = await this.models.JourneyStep.findOne({
-        where: {
-          journeyId: leadJourney.journeyId,
-          stepOrder: { [Op.gt]: currentStep.stepOrder },
-          isActive: true
-        },
-        order: [['stepOrder', 'ASC']]
-      });
+      // Find the next step: graph journeys follow the step's edges, others go by stepOrder
+      let nextStep;
+      const versionId = leadJourney.journeyVersionId || null;
+      if (await this.graphService.isGraphJourney(leadJourney.journeyId, versionId)) {
+        const edge = await this.graphService.chooseEdge(leadJourney, currentStep);
+        nextStep = edge ? edge.toStep : null;
+        await this.recordTransition(leadJourney, currentStep, edge, executionResult);
+      } else {
+        nextStep = await this.models.JourneyStep.findOne({
+          where: {
+            journeyId: leadJourney.journeyId,
+            versionId,
+            stepOrder: { [Op.gt]: currentStep.stepOrder },
+            isActive: true
+          },
+          order: [['stepOrder', 'ASC']]
+        });
+      }
 
       if (!nextStep) {
         // No more steps. Check if we should repeat from day 1
@@ -524,17 +567,14 @@ async checkAgentAvailability(apiConfig, ingroup) {
           nextStep = await this.models.JourneyStep.findOne({
             where: {
               journeyId: leadJourney.journeyId,
+              versionId,
               isActive: true
             },
             order: [['stepOrder', 'ASC']]
           });
         } else {
           // Journey completed
-          await leadJourney.update({
-            status: 'completed',
-            completedAt: new Date(),
-            currentStepId: null
-          });
+          await this.endLeadJourney(leadJourney, 'completed');
           return;
         }
       } else if (currentStep.isDayEnd) {
@@ -547,11 +587,7 @@ async checkAgentAvailability(apiConfig, ingroup) {
 
         if (repeatDays && context.dayCount > repeatDays) {
           // Exceeded repeat days, mark completed
-          await leadJourney.update({
-            status: 'completed',
-            completedAt: new Date(),
-            currentStepId: null
-          });
+          await this.endLeadJourney(leadJourney, 'completed');
           return;
         }
       }
@@ -564,17 +600,53 @@ async checkAgentAvailability(apiConfig, ingroup) {
     }
   }
   
+  /**
+   * Add the edge a lead took out of a step to its execution history; a null edge ends the path
+   */
+  async recordTransition(leadJourney, fromStep, edge, executionResult) {
+    const history = [...(leadJourney.executionHistory || [])];
+    history.push({
+      stepId: fromStep.id,
+      timestamp: new Date(),
+      action: 'transition',
+      edge: edge ? {
+        id: edge.id,
+        toStepId: edge.toStepId,
+        label: edge.label,
+        isDefault: edge.isDefault
+      } : null,
+      conditionsMet: !(executionResult && executionResult.conditionsMet === false)
+    });
+
+    await leadJourney.update({ executionHistory: history });
+  }
+
   /**
    * Execute a journey step action
    */
   async executeAction(step, lead, tenant, leadJourney) {
     try {
       switch (step.actionType) {
-        case 'call':
+        case 'call': {
+          await this.callingWindowService.loadDidStates(tenant);
+          const window = this.callingWindowService.canCallLead(lead, tenant);
+          if (!window.allowed) {
+            return await this.deferCallToWindow(step, lead, tenant, leadJourney, window);
+          }
+          const policy = await this.contactPolicyService.check(tenant, lead.phone, 'call');
+          if (!policy.allowed) {
+            return await this.deferToContactPolicy(step, lead, leadJourney, policy);
+          }
           return await this.executeCallAction(step, lead, tenant, leadJourney);
+        }
         
-        case 'sms':
+        case 'sms': {
+          const policy = await this.contactPolicyService.check(tenant, lead.phone, 'sms');
+          if (!policy.allowed) {
+            return await this.deferToContactPolicy(step, lead, leadJourney, policy);
+          }
           return await this.executeSmsAction(step, lead, tenant, leadJourney);
+        }
         
         case 'email':
           return await this.executeEmailAction(step, lead, tenant, leadJourney);
@@ -592,6 +664,20 @@ async checkAgentAvailability(apiConfig, ingroup) {
           // Delay is handled by scheduling, just return success
           return { success: true, action: 'delay' };
         
+        case 'split':
+          if (this.graphService.isAbSplit(step)) {
+            const assignment = await this.graphService.assignVariant(leadJourney, step);
+            return { success: true, action: 'split', variant: assignment.variant };
+          }
+          // Edges are evaluated when advancing; hold on while a call the edges branch on is still going
+          if (await this.graphService.isWaitingForCall(step, leadJourney)) {
+            return await this.requeueCallExecution(step, leadJourney, 'Waiting for call outcome');
+          }
+          return { success: true, action: 'split' };
+        
+        case 'merge':
+          return { success: true, action: 'merge' };
+        
         default:
           throw new Error(`Unknown action type: ${step.actionType}`);
       }
@@ -600,14 +686,130 @@ async checkAgentAvailability(apiConfig, ingroup) {
       throw error;
     }
   }
+
+  /**
+   * Put a call step back in the queue for 5 minutes, e.g. when no DID or transfer number is free
+   */
+  async requeueCallExecution(step, leadJourney, reason) {
+    const execution = await this.models.JourneyExecution.findOne({
+      where: {
+        leadJourneyId: leadJourney.id,
+        stepId: step.id,
+        status: 'processing'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (execution) {
+      await execution.update({
+        status: 'pending',
+        scheduledTime: new Date(Date.now() + 5 * 60 * 1000),
+        errorMessage: `${reason}, rescheduled`
+      });
+    }
+
+    return {
+      success: false,
+      error: reason,
+      rescheduled: true
+    };
+  }
+
+  /**
+   * Push a call step to the lead's next allowed calling time
+   */
+  async deferCallToWindow(step, lead, tenant, leadJourney, window) {
+    const nextAllowedTime = this.callingWindowService.getNextAllowedTime(lead, tenant) ||
+      new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const execution = await this.models.JourneyExecution.findOne({
+      where: {
+        leadJourneyId: leadJourney.id,
+        stepId: step.id,
+        status: 'processing'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (execution) {
+      await execution.update({
+        status: 'pending',
+        scheduledTime: nextAllowedTime,
+        errorMessage: `Outside lead calling window: ${window.reason}`
+      });
+    }
+
+    console.log(`Lead ${lead.id} outside calling window (${window.reason}), call deferred to ${nextAllowedTime.toISOString()}`);
+
+    return {
+      success: false,
+      error: 'Outside lead calling window',
+      reason: window.reason,
+      state: window.state,
+      timezones: window.timezones,
+      rescheduled: true,
+      scheduledTime: nextAllowedTime
+    };
+  }
+
+  /**
+   * Push a call or SMS step to the time the tenant contact policy allows the next touch
+   */
+  async deferToContactPolicy(step, lead, leadJourney, policy) {
+    const execution = await this.models.JourneyExecution.findOne({
+      where: {
+        leadJourneyId: leadJourney.id,
+        stepId: step.id,
+        status: 'processing'
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    if (execution) {
+      await execution.update({
+        status: 'pending',
+        scheduledTime: policy.nextAllowedAt,
+        errorMessage: `Contact policy: ${policy.reason}`
+      });
+    }
+
+    console.log(`Lead ${lead.id} held by contact policy (${policy.reason}), ${step.actionType} deferred to ${policy.nextAllowedAt.toISOString()}`);
+
+    return {
+      success: false,
+      error: 'Contact policy limit reached',
+      reason: policy.reason,
+      rules: policy.rules,
+      rescheduled: true,
+      scheduledTime: policy.nextAllowedAt
+    };
+  }
   
  /**
  * Execute a call action with dialplan support and transfer group integration
  */
 async executeCallAction(step, lead, tenant, leadJourney) {
+  let touch = null; // Contact policy touch, released if the call is not placed
   try {
     const config = step.actionConfig || {};
     
+    // Never dial a number on the tenant DNC list
+    const dncCheck = await this.dncService.checkAndRecord(tenant.id, lead.phone, {
+      channel: 'call',
+      source: 'journey',
+      leadId: lead.id,
+      metadata: { journeyId: leadJourney.journeyId, stepId: step.id }
+    });
+    
+    if (dncCheck.blocked) {
+      return {
+        success: false,
+        error: 'Number is on the DNC list',
+        blocked: true,
+        outcome: 'dnc'
+      };
+    }
+    
     // Check if there's already an active call for this lead
     if (await this.hasActiveCall(lead.id)) {
       console.log(`Lead ${lead.id} has an active call, skipping call action`);
@@ -659,16 +861,6 @@ async executeCallAction(step, lead, tenant, leadJourney) {
             console.log(`Using transfer group dialer context: ${dialerContext}`);
           }
           
-          // Get transfer number from the group
-          if (!transferNumber && transferGroup.numbers && transferGroup.numbers.length > 0) {
-            const TemplateService = require('./template-service');
-            const templateService = new TemplateService(this.models);
-            transferNumber = await templateService.getNextTransferNumber(
-              config.transferGroupId,
-              tenant.id.toString()
-            );
-          }
-          
           console.log(`Using transfer group ${transferGroup.id}: ${transferGroup.name} for call action`);
         }
       } catch (error) {
@@ -676,74 +868,74 @@ async executeCallAction(step, lead, tenant, leadJourney) {
       }
     }
     
-    // Check agent availability using the appropriate API config (FIXED: now uses correct apiConfig)
-    if (ingroup) {
-      const agentsAvailable = await this.checkAgentAvailability(apiConfig, ingroup);
-      if (!agentsAvailable) {
-        console.log(`No agents available in ingroup ${ingroup}, rescheduling call`);
-        
-        // Reschedule this execution for 5 minutes later
-        const execution = await this.models.JourneyExecution.findOne({
-          where: {
-            leadJourneyId: leadJourney.id,
-            stepId: step.id,
-            status: 'processing'
-          },
-          order: [['createdAt', 'DESC']]
+    // Check agent availability using the appropriate API config; no ingroup or no answer means no agents
+    const agentsAvailable = await this.checkAgentAvailability(tenant, apiConfig, ingroup);
+    if (!agentsAvailable) {
+      console.log(`No agents available in ingroup ${ingroup}, rescheduling call`);
+      
+      // Reschedule this execution for 5 minutes later
+      const execution = await this.models.JourneyExecution.findOne({
+        where: {
+          leadJourneyId: leadJourney.id,
+          stepId: step.id,
+          status: 'processing'
+        },
+        order: [['createdAt', 'DESC']]
+      });
+      
+      if (execution) {
+        await execution.update({
+          status: 'pending',
+          scheduledTime: new Date(Date.now() + 5 * 60 * 1000),
+          errorMessage: 'No agents available, rescheduled'
         });
-        
-        if (execution) {
-          await execution.update({
-            status: 'pending',
-            scheduledTime: new Date(Date.now() + 5 * 60 * 1000),
-            errorMessage: 'No agents available, rescheduled'
-          });
-        }
-        
-        return {
-          success: false,
-          error: 'No agents available',
-          rescheduled: true
-        };
       }
+      
+      return {
+        success: false,
+        error: 'No agents available',
+        rescheduled: true
+      };
     }
     
-    // Get transfer number based on brand/ingroup if not already set
+    // Get transfer number from the step's transfer group, or by brand/ingroup, if not already set
+    let transferTarget = null;
     if (!transferNumber && this.models.TransferGroup) {
       try {
-        const TemplateService = require('./template-service');
-        const templateService = new TemplateService(this.models);
-        
-        // Try to get transfer number by brand and ingroup
-        const brand = lead.brand || config.brand;
-        if (brand && ingroup) {
-          transferNumber = await templateService.getNextTransferNumberByBrandIngroup(
-            tenant.id.toString(),
-            brand,
-            ingroup
-          );
-          console.log(`Selected transfer number ${transferNumber} for brand ${brand}, ingroup ${ingroup}`);
-        }
+        transferTarget = await this.transferRoutingService.resolveTransfer(tenant.id, {
+          groupId: config.transferGroupId,
+          brand: lead.brand || config.brand,
+          ingroup
+        });
       } catch (error) {
         console.error(`Could not select transfer number: ${error.message}`);
       }
+      
+      if (transferTarget && transferTarget.group && !transferTarget.transferNumber) {
+        const { closed, capped } = transferTarget.skipped;
+        console.log(`No open transfer numbers in group ${transferTarget.group.name} (${closed} closed, ${capped} at daily cap), rescheduling call`);
+        return this.requeueCallExecution(step, leadJourney, 'No transfer number available');
+      }
+      
+      if (transferTarget && transferTarget.transferNumber) {
+        transferNumber = transferTarget.phoneNumber;
+        console.log(`Selected transfer number ${transferNumber} from group ${transferTarget.group.name}`);
+      }
     }
     
-    // Select a DID based on tenant preferences
+    // Select a DID with the same rotation rules as the dialer
     let did;
     try {
       // Check if DID model exists
       if (this.models.DID) {
-        const dids = await this.models.DID.findAll({
-          where: {
-            tenantId: tenant.id.toString(),
-            isActive: true
-          },
-          order: [['usageCount', 'ASC'], ['lastUsed', 'ASC']]
-        });
+        const selection = await this.didSelectionService.selectDID(tenant, lead);
         
-        if (dids.length > 0) {
-          did = dids[0];
+        if (selection.did) {
+          did = selection.did;
+        } else if (selection.poolSize > 0) {
+          const { quarantined, dailyCap, coolingDown } = selection.skipped;
+          console.log(`No DID available for journey call: ${quarantined} quarantined, ${dailyCap} at daily cap, ${coolingDown} cooling down`);
+          return this.requeueCallExecution(step, leadJourney, 'No DID available');
         }
       }
     } catch (error) {
@@ -754,6 +946,17 @@ async executeCallAction(step, lead, tenant, leadJourney) {
       did = { phoneNumber: config.fallbackDID || '8005551234' };
     }
     
+    // Count the call against the contact policy before placing it; executeAction only checked it
+    const policy = await this.contactPolicyService.reserve(tenant, lead.phone, {
+      channel: 'call',
+      source: 'journey',
+      leadId: lead.id
+    });
+    if (!policy.allowed) {
+      return await this.deferToContactPolicy(step, lead, leadJourney, policy);
+    }
+    touch = policy.touch;
+    
     // Create call log with ingroup
     const callLog = await this.models.CallLog.create({
       tenantId: tenant.id.toString(),
@@ -761,11 +964,23 @@ async executeCallAction(step, lead, tenant, leadJourney) {
       from: did.phoneNumber,
       to: lead.phone,
       transferNumber: transferNumber,
+      transferNumberId: transferTarget && transferTarget.transferNumber ? transferTarget.transferNumber.id : null,
+      transferGroupId: transferTarget && transferTarget.group ? transferTarget.group.id : (config.transferGroupId || null),
       status: 'initiated',
       ingroup: ingroup,
       lastStatusUpdate: new Date()
     });
     
+    if (transferTarget && transferTarget.transferNumber) {
+      await this.transferRoutingService.recordSelection(transferTarget.transferNumber);
+    }
+    
+    await this.contactPolicyService.confirm(touch, {
+      journeyId: leadJourney.journeyId,
+      stepId: step.id,
+      callLogId: callLog.id
+    });
+    
     // Update lead
     await lead.update({
       attempts: lead.attempts + 1,
@@ -788,24 +1003,16 @@ async executeCallAction(step, lead, tenant, leadJourney) {
     
     // Make the call via AMI (if available)
     try {
-      const AmiClient = require('asterisk-ami-client');
-      const originateAmi = new AmiClient();
-      
-      await originateAmi.connect(
-        tenant.amiConfig.username,
-        tenant.amiConfig.password,
-        {
-          host: tenant.amiConfig.host,
-          port: parseInt(tenant.amiConfig.port, 10)
-        }
-      );
-      
       // Build variable string with dialplan options
       let variableString = `transfer_number=${transferNumber || ''},to=${lead.phone},journey_id=${leadJourney.journeyId},journey_step_id=${step.id},tenant_id=${tenant.id.toString()},call_log_id=${callLog.id},ingroup=${ingroup}`;
       
       // Add transfer group ID if used
-      if (config.transferGroupId) {
-        variableString += `,transfer_group_id=${config.transferGroupId}`;
+      if (callLog.transferGroupId) {
+        variableString += `,transfer_group_id=${callLog.transferGroupId}`;
+      }
+      
+      if (transferTarget && transferTarget.simultaneous) {
+        variableString += `,transfer_numbers=${transferTarget.simultaneous.join('&')}`;
       }
       
       // Add brand for tracking
@@ -813,10 +1020,15 @@ async executeCallAction(step, lead, tenant, leadJourney) {
         variableString += `,brand=${lead.brand}`;
       }
       
-      // Add dialplan specific variables
+      // Step settings win over the tenant AMD defaults; AMD is the variable the dialplan reads
+      const amdConfig = this.amdService.getConfig(tenant.dialerConfig || {});
       if (config.amd !== undefined) {
-        variableString += `,amd=${config.amd ? 'yes' : 'no'}`;
+        amdConfig.enabled = !!config.amd;
+      }
+      if (config.voicemailRecordingId) {
+        amdConfig.voicemailRecordingId = config.voicemailRecordingId;
       }
+      variableString += `,${await this.amdService.buildDialplanVariables(amdConfig, tenant.id)}`;
       
       if (config.playPosition && config.playPosition >= 1 && config.playPosition <= 9) {
         variableString += `,play_position=${config.playPosition}`;
@@ -867,7 +1079,7 @@ async executeCallAction(step, lead, tenant, leadJourney) {
       
       const action = {
         Action: 'Originate',
-        Channel: `PJSIP/${lead.phone}@${tenant.amiConfig.trunk}`,
+        Channel: `PJSIP/${this.leadIntakeService.getDialNumber(lead.phone)}@${tenant.amiConfig.trunk}`,
         Context: dialerContext, // Use the configured dialer context
         Exten: 's',
         Priority: 1,
@@ -877,8 +1089,25 @@ async executeCallAction(step, lead, tenant, leadJourney) {
         Variable: variableString
       };
       
-      const response = await originateAmi.action(action);
-      await originateAmi.disconnect();
+      let response;
+      if (this.amiPool) {
+        response = await this.amiPool.originate(tenant.amiConfig, action, callLog.id);
+      } else {
+        const AmiClient = require('asterisk-ami-client');
+        const originateAmi = new AmiClient();
+        
+        await originateAmi.connect(
+          tenant.amiConfig.username,
+          tenant.amiConfig.password,
+          {
+            host: tenant.amiConfig.host,
+            port: parseInt(tenant.amiConfig.port, 10)
+          }
+        );
+        
+        response = await originateAmi.action(action);
+        await originateAmi.disconnect();
+      }
       
       console.log(`Journey call initiated using context: ${dialerContext}`);
       
@@ -896,7 +1125,8 @@ async executeCallAction(step, lead, tenant, leadJourney) {
           ingroup: ingroup
         },
         dialplanOptions: {
-          amd: config.amd,
+          amd: amdConfig.enabled,
+          voicemailRecordingId: amdConfig.voicemailRecordingId,
           playPosition: config.playPosition,
           skipPositionAnnouncement: config.skipPositionAnnouncement,
           ivrFile: config.ivrFile,
@@ -927,6 +1157,7 @@ async executeCallAction(step, lead, tenant, leadJourney) {
     }
   } catch (error) {
     console.error(`Error executing call action: ${error.message}`);
+    await this.contactPolicyService.release(touch);
     return {
       success: false,
       error: error.message
@@ -945,6 +1176,21 @@ async executeCallAction(step, lead, tenant, leadJourney) {
     try {
       const config = step.actionConfig || {};
       
+      const dncCheck = await this.dncService.checkAndRecord(tenant.id, lead.phone, {
+        channel: 'sms',
+        source: 'journey',
+        leadId: lead.id,
+        metadata: { journeyId: leadJourney.journeyId, stepId: step.id }
+      });
+      
+      if (dncCheck.blocked) {
+        return {
+          success: false,
+          error: 'Number is on the DNC list',
+          blocked: true
+        };
+      }
+      
       // Check if SMS service is available
       if (this.models.SmsMessage && this.models.Template) {
         // Determine which SMS service to use
@@ -1019,7 +1265,9 @@ async executeCallAction(step, lead, tenant, leadJourney) {
           variables: {
             leadName: lead.name,
             ...config.variables
-          }
+          },
+          leadId: lead.id,
+          usedFor: 'journey'
         });
         
         return result;
@@ -1232,8 +1480,10 @@ async executeCallAction(step, lead, tenant, leadJourney) {
         
         const lastCall = callSteps[callSteps.length - 1];
         const outcome = lastCall.result && lastCall.result.outcome;
+        // The AMD result (machine, human, notsure) can be matched as well as the call status
+        const amdStatus = lastCall.result && lastCall.result.amdStatus;
         
-        if (!outcome || !conditions.callOutcomes.includes(outcome)) {
+        if (!conditions.callOutcomes.includes(outcome) && !(amdStatus && conditions.callOutcomes.includes(amdStatus))) {
           return false;
         }
       }
@@ -1249,8 +1499,8 @@ async executeCallAction(step, lead, tenant, leadJourney) {
   /**
    * Check if current time is within business hours
    */
-  isWithinBusinessHours(schedule) {
-    const now = moment().tz(this.timezone);
+  isWithinBusinessHours(schedule, at = new Date()) {
+    const now = moment(at).tz(this.timezone);
     const dayOfWeek = now.format('dddd').toLowerCase();
     
     if (!schedule[dayOfWeek] || !schedule[dayOfWeek].enabled) {
@@ -1271,8 +1521,8 @@ async executeCallAction(step, lead, tenant, leadJourney) {
   /**
    * Get the next time within business hours
    */
-  getNextBusinessTime(schedule) {
-    const now = moment().tz(this.timezone);
+  getNextBusinessTime(schedule, from = new Date()) {
+    const now = moment(from).tz(this.timezone);
     let currentDay = now.format('dddd').toLowerCase();
     let currentDate = now.clone();
     
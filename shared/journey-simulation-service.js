@@ -0,0 +1,406 @@
+// shared/journey-simulation-service.js
+// Dry-run a journey for a sample lead on a virtual clock. Steps are scheduled with the journey service's
+// own delay, business-hours, calling-window and condition logic, but no action is carried out and nothing
+// is saved
+
+const moment = require('moment-timezone');
+
+const DEFAULT_CALL_OUTCOME = 'no_answer';
+const DEFAULT_MAX_ACTIONS = 100;
+const MAX_ACTIONS = 500;
+
+// Goal types a simulation can decide from the sample lead alone
+const STATE_GOAL_TYPES = ['lead_status', 'stage', 'tag'];
+
+class JourneySimulationService {
+  constructor(models, journeyService) {
+    this.models = models;
+    this.journeyService = journeyService;
+    this.graphService = journeyService.graphService;
+    this.goalService = journeyService.goalService;
+    this.callingWindowService = journeyService.callingWindowService;
+  }
+
+  /**
+   * The schedule of actions a lead would receive. Options:
+   * lead (sample lead fields), leadId (start from an existing lead), startAt, version ('draft' or a number),
+   * callOutcomes (outcome of each call step in turn), smsReplies (texts the lead sends, as strings or
+   * { body, at }), maxActions
+   */
+  async simulate(journeyId, tenantId, options = {}) {
+    const journey = await this.models.Journey.findOne({
+      where: { id: journeyId, tenantId: tenantId.toString() }
+    });
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+
+    const tenant = await this.models.Tenant.findByPk(journey.tenantId);
+    if (!tenant) {
+      throw new Error(`Tenant not found: ${journey.tenantId}`);
+    }
+
+    const startAt = options.startAt ? new Date(options.startAt) : new Date();
+    if (isNaN(startAt.getTime())) {
+      throw new Error('startAt must be a date');
+    }
+    const maxActions = Math.min(parseInt(options.maxActions) || DEFAULT_MAX_ACTIONS, MAX_ACTIONS);
+    const callOutcomes = Array.isArray(options.callOutcomes) ? [...options.callOutcomes] : [];
+    const smsReplies = (Array.isArray(options.smsReplies) ? options.smsReplies : []).map(reply => (
+      typeof reply === 'object' && reply !== null
+        ? { body: String(reply.body || ''), at: reply.at ? new Date(reply.at) : startAt }
+        : { body: String(reply), at: startAt }
+    ));
+
+    const versionId = await this.resolveVersionId(journey, options.version);
+    const steps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId },
+      order: [['stepOrder', 'ASC'], ['id', 'ASC']]
+    });
+    const stepsById = new Map(steps.map(step => [step.id, step]));
+    const activeSteps = steps.filter(step => step.isActive);
+    const edges = await this.graphService.getEdges(journey.id, versionId);
+
+    const lead = await this.buildLead(tenantId, options, startAt);
+    let clock = startAt;
+
+    // Stands in for the LeadJourney row; update() only changes it in memory
+    const leadJourney = {
+      id: null,
+      leadId: lead.id,
+      journeyId: journey.id,
+      journeyVersionId: versionId,
+      tenantId: journey.tenantId,
+      status: 'active',
+      startedAt: startAt,
+      lastExecutionTime: null,
+      executionHistory: [],
+      contextData: { dayCount: 1 },
+      async update(fields) {
+        Object.assign(this, fields);
+        return this;
+      }
+    };
+
+    const schedule = [];
+    let step = activeSteps[0] || null;
+    let ending = { status: 'completed', reason: step ? 'No more steps' : 'Journey has no active steps' };
+
+    while (step) {
+      if (schedule.length >= maxActions) {
+        ending = { status: 'truncated', reason: `Stopped after ${maxActions} actions` };
+        break;
+      }
+
+      const scheduledAt = await this.journeyService.calculateStepExecutionTime(step, leadJourney, clock);
+      const run = await this.findRunTime(step, lead, tenant, moment.max(moment(scheduledAt), moment(clock)).toDate());
+      clock = run.at;
+
+      const goal = await this.findSimulatedGoal(journey, leadJourney, lead, this.repliesBy(smsReplies, clock));
+      if (goal) {
+        ending = { status: 'completed', reason: `Goal reached: ${goal.name}`, goal: goal.name };
+        break;
+      }
+
+      const entry = {
+        stepId: step.id,
+        name: step.name,
+        actionType: step.actionType,
+        scheduledAt,
+        runsAt: clock,
+        day: leadJourney.contextData.dayCount,
+        deferrals: run.deferrals
+      };
+
+      let result;
+      if (!await this.journeyService.checkConditions(step.conditions, lead, leadJourney)) {
+        result = { conditionsMet: false };
+        schedule.push({ ...entry, skipped: true, reason: 'Conditions not met' });
+      } else {
+        result = await this.simulateAction(step, lead, leadJourney, callOutcomes);
+        schedule.push({ ...entry, result });
+
+        leadJourney.executionHistory = [...leadJourney.executionHistory, {
+          stepId: step.id,
+          timestamp: clock,
+          action: step.actionType,
+          result
+        }];
+        leadJourney.lastExecutionTime = clock;
+      }
+
+      const next = await this.nextStep(journey, step, leadJourney, lead, result, {
+        activeSteps,
+        stepsById,
+        edges,
+        now: clock,
+        smsReplies: this.repliesBy(smsReplies, clock)
+      });
+      if (next.ending) {
+        ending = next.ending;
+      }
+      step = next.step;
+    }
+
+    if (!ending.goal && ending.status !== 'truncated') {
+      const goal = await this.findSimulatedGoal(journey, leadJourney, lead, this.repliesBy(smsReplies, clock));
+      if (goal) {
+        ending = { status: 'completed', reason: `Goal reached: ${goal.name}`, goal: goal.name };
+      }
+    }
+
+    return {
+      journeyId: journey.id,
+      versionId,
+      startAt,
+      endsAt: clock,
+      ending,
+      lead: {
+        status: lead.status,
+        tags: (lead.additionalData && lead.additionalData.tags) || []
+      },
+      actions: schedule
+    };
+  }
+
+  /**
+   * Bodies of the sample replies sent by the virtual time
+   */
+  repliesBy(smsReplies, at) {
+    return smsReplies.filter(reply => reply.at <= at).map(reply => reply.body);
+  }
+
+  async resolveVersionId(journey, version) {
+    if (version === 'draft') return null;
+    if (version === undefined || version === null || version === '') {
+      return journey.publishedVersionId || null;
+    }
+
+    const record = await this.models.JourneyVersion.findOne({
+      where: { journeyId: journey.id, version: parseInt(version) }
+    });
+    if (!record) {
+      throw new Error('Journey version not found');
+    }
+    return record.id;
+  }
+
+  /**
+   * The sample lead: an existing lead of the tenant with the given fields on top, or the fields alone
+   */
+  async buildLead(tenantId, options, startAt) {
+    let base = {};
+    if (options.leadId) {
+      const existing = await this.models.Lead.findOne({
+        where: { id: options.leadId, tenantId: tenantId.toString() }
+      });
+      if (!existing) {
+        throw new Error('Lead not found');
+      }
+      base = existing.get({ plain: true });
+    }
+
+    const sample = { ...base, ...(options.lead || {}) };
+    return {
+      status: 'pending',
+      tags: [],
+      createdAt: startAt,
+      ...sample,
+      id: base.id || null,
+      tenantId: tenantId.toString(),
+      additionalData: { tags: [], ...(sample.additionalData || {}) }
+    };
+  }
+
+  /**
+   * When a due step actually runs: calls and business-hours steps wait for business hours, and calls
+   * for the lead's calling window, the way the execution processor defers them
+   */
+  async findRunTime(step, lead, tenant, at) {
+    const deferrals = [];
+    const respectsBusinessHours = step.actionType === 'call' ||
+      (step.actionConfig && step.actionConfig.respectBusinessHours);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (respectsBusinessHours && tenant.schedule && !this.journeyService.isWithinBusinessHours(tenant.schedule, at)) {
+        const until = this.journeyService.getNextBusinessTime(tenant.schedule, at);
+        deferrals.push({ reason: 'Outside business hours', until });
+        at = until;
+        continue;
+      }
+
+      if (step.actionType === 'call') {
+        const window = this.callingWindowService.canCallLead(lead, tenant, at);
+        if (!window.allowed) {
+          const until = this.callingWindowService.getNextAllowedTime(lead, tenant, at) ||
+            moment(at).add(1, 'day').toDate();
+          deferrals.push({ reason: `Outside lead calling window: ${window.reason}`, until });
+          at = until;
+          continue;
+        }
+      }
+
+      break;
+    }
+
+    return { at, deferrals };
+  }
+
+  /**
+   * What the step would do, applied to the sample lead only
+   */
+  async simulateAction(step, lead, leadJourney, callOutcomes) {
+    const config = step.actionConfig || {};
+
+    switch (step.actionType) {
+      case 'call': {
+        const outcome = callOutcomes.length > 0 ? callOutcomes.shift() : DEFAULT_CALL_OUTCOME;
+        return {
+          simulated: true,
+          outcome,
+          callId: 'simulated',
+          transferGroupId: config.transferGroupId || null,
+          recordingId: config.recordingId || null
+        };
+      }
+
+      case 'sms':
+      case 'email':
+        return {
+          simulated: true,
+          templateId: config.templateId || null,
+          template: await this.getTemplateName(config.templateId),
+          provider: config.provider || null
+        };
+
+      case 'status_change': {
+        const previousStatus = lead.status;
+        if (config.newStatus) {
+          lead.status = config.newStatus;
+        }
+        return { simulated: true, previousStatus, newStatus: lead.status };
+      }
+
+      case 'tag_update': {
+        const operation = config.operation || 'add';
+        const tags = config.tags || [];
+        const currentTags = lead.additionalData.tags || [];
+        const newTags = operation === 'remove'
+          ? currentTags.filter(tag => !tags.includes(tag))
+          : operation === 'set' ? [...tags] : [...new Set([...currentTags, ...tags])];
+        lead.additionalData = { ...lead.additionalData, tags: newTags };
+        return { simulated: true, operation, previousTags: currentTags, newTags };
+      }
+
+      case 'webhook':
+        return { simulated: true, method: config.method || 'POST', url: config.url || null };
+
+      case 'split':
+        if (this.graphService.isAbSplit(step)) {
+          const assignment = await this.graphService.assignVariant(leadJourney, step);
+          return { simulated: true, action: 'split', variant: assignment.variant };
+        }
+        return { simulated: true, action: 'split' };
+
+      default:
+        return { simulated: true, action: step.actionType };
+    }
+  }
+
+  async getTemplateName(templateId) {
+    if (!templateId) return null;
+    const Template = this.graphService.getModel('Template');
+    const template = Template ? await Template.findByPk(templateId) : null;
+    return template ? template.name : null;
+  }
+
+  /**
+   * The step after this one, mirroring JourneyService.advanceToNextStep on the loaded steps and edges
+   */
+  async nextStep(journey, step, leadJourney, lead, result, { activeSteps, stepsById, edges, now, smsReplies }) {
+    if (step.isExitPoint) {
+      return { step: null, ending: { status: 'exited', reason: `Exit point: ${step.name}` } };
+    }
+
+    let next;
+    if (edges.length > 0) {
+      const edge = await this.chooseEdge(step, leadJourney, lead, stepsById, edges, { now, smsReplies });
+      next = edge ? stepsById.get(edge.toStepId) : null;
+      leadJourney.executionHistory = [...leadJourney.executionHistory, {
+        stepId: step.id,
+        timestamp: now,
+        action: 'transition',
+        edge: edge ? { id: edge.id, toStepId: edge.toStepId, label: edge.label, isDefault: edge.isDefault } : null,
+        conditionsMet: !(result && result.conditionsMet === false)
+      }];
+    } else {
+      next = activeSteps.find(candidate => candidate.stepOrder > step.stepOrder) || null;
+    }
+
+    const context = leadJourney.contextData;
+    const repeatDays = journey.repeatDays || 0;
+
+    if (!next) {
+      if (step.isDayEnd && repeatDays && context.dayCount < repeatDays) {
+        leadJourney.contextData = { ...context, dayCount: (context.dayCount || 1) + 1 };
+        return { step: activeSteps[0] || null };
+      }
+      return { step: null, ending: { status: 'completed', reason: 'No more steps' } };
+    }
+
+    if (step.isDayEnd) {
+      leadJourney.contextData = { ...context, dayCount: (context.dayCount || 1) + 1 };
+      if (repeatDays && leadJourney.contextData.dayCount > repeatDays) {
+        return { step: null, ending: { status: 'completed', reason: `Finished ${repeatDays} days` } };
+      }
+    }
+
+    return { step: next };
+  }
+
+  async chooseEdge(step, leadJourney, lead, stepsById, edges, options) {
+    const outgoing = edges
+      .filter(edge => edge.fromStepId === step.id && stepsById.has(edge.toStepId) && stepsById.get(edge.toStepId).isActive)
+      .sort((a, b) => (a.priority - b.priority) || (a.id - b.id));
+    if (outgoing.length === 0) return null;
+
+    if (this.graphService.isAbSplit(step)) {
+      const assignment = await this.graphService.assignVariant(leadJourney, step);
+      return outgoing.find(edge => edge.toStepId === assignment.toStepId) || null;
+    }
+
+    for (const edge of outgoing.filter(candidate => !candidate.isDefault)) {
+      if (await this.graphService.matchesConditions(edge.conditions, lead, leadJourney, options)) {
+        return edge;
+      }
+    }
+
+    return outgoing.find(edge => edge.isDefault) || null;
+  }
+
+  /**
+   * Goals met by the sample lead: status, stage and tag goals from its fields, transferred from the
+   * simulated call outcomes and sms_reply from smsReplies
+   */
+  async findSimulatedGoal(journey, leadJourney, lead, smsReplies) {
+    for (const goal of journey.goals || []) {
+      if (STATE_GOAL_TYPES.includes(goal.type) && await this.goalService.isGoalMet(goal, leadJourney, lead)) {
+        return goal;
+      }
+
+      if (goal.type === 'transferred' && leadJourney.executionHistory
+        .some(entry => entry.action === 'call' && entry.result && entry.result.outcome === 'transferred')) {
+        return goal;
+      }
+
+      if (goal.type === 'sms_reply' && smsReplies.some(body => !goal.contains ||
+        body.toLowerCase().includes(goal.contains.toLowerCase()))) {
+        return goal;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = JourneySimulationService;
@@ -0,0 +1,346 @@
+// shared/journey-trigger-service.js
+// Enrolls leads in auto-enroll journeys when a lead event fires on the event bus. Journeys list their events
+// in triggerCriteria.triggerEvents. Leads that already match when a journey is switched on, that age into
+// leadAgeDays or that change without an event (bulk updates) are picked up by enrollMatchingLeads
+
+const { Op, literal } = require('sequelize');
+const moment = require('moment-timezone');
+const eventBus = require('./event-bus');
+
+const { EVENTS } = eventBus;
+
+// Auto-enroll journeys saved before trigger events existed react to the changes their criteria look at
+const DEFAULT_TRIGGER_EVENTS = [EVENTS.LEAD_CREATED, EVENTS.LEAD_STATUS_CHANGED, EVENTS.LEAD_TAGGED];
+
+// Optional filter fields per event, and whether each is a list
+const EVENT_FILTERS = {
+  [EVENTS.LEAD_CREATED]: {},
+  [EVENTS.LEAD_STATUS_CHANGED]: { from: true, to: true },
+  [EVENTS.LEAD_TAGGED]: { tags: true },
+  [EVENTS.SMS_RECEIVED]: { contains: false },
+  [EVENTS.CALL_COMPLETED]: { outcomes: true },
+  [EVENTS.STAGE_CHANGED]: { stageIds: true }
+};
+
+// Events that leave the lead in a state that can be matched later; sms.received and call.completed only
+// enroll when they happen
+const STATE_EVENTS = [EVENTS.LEAD_CREATED, EVENTS.LEAD_STATUS_CHANGED, EVENTS.LEAD_TAGGED, EVENTS.STAGE_CHANGED];
+
+const MATCH_BATCH_SIZE = 500;
+
+class JourneyTriggerService {
+  constructor(models, journeyService) {
+    this.models = models;
+    this.journeyService = journeyService;
+  }
+
+  /**
+   * Subscribe to every lead event on the bus
+   */
+  attach(bus = eventBus) {
+    for (const event of Object.values(EVENTS)) {
+      bus.subscribe(event, message => this.handleEvent(message));
+    }
+    console.log('🎯 Journey event triggers attached to the event bus');
+    return this;
+  }
+
+  /**
+   * Trigger events of a journey as { event, ...filters }; empty when the journey does not auto-enroll
+   */
+  getTriggerEvents(journey) {
+    const criteria = journey.triggerCriteria || {};
+    if (criteria.autoEnroll !== true) return [];
+
+    const events = Array.isArray(criteria.triggerEvents) && criteria.triggerEvents.length > 0
+      ? criteria.triggerEvents
+      : DEFAULT_TRIGGER_EVENTS;
+    return events.map(trigger => (typeof trigger === 'string' ? { event: trigger } : trigger));
+  }
+
+  /**
+   * Throw on unknown events or filters, so a journey cannot be saved with a trigger that never fires
+   */
+  validateTriggerEvents(triggerEvents) {
+    if (triggerEvents === undefined || triggerEvents === null) return;
+    if (!Array.isArray(triggerEvents)) {
+      throw new Error('triggerCriteria.triggerEvents must be an array');
+    }
+
+    for (const entry of triggerEvents) {
+      const trigger = typeof entry === 'string' ? { event: entry } : entry;
+      const filters = trigger && EVENT_FILTERS[trigger.event];
+      if (!filters) {
+        throw new Error(`Unknown trigger event: ${trigger && trigger.event}. Use ${Object.keys(EVENT_FILTERS).join(', ')}`);
+      }
+
+      for (const [key, value] of Object.entries(trigger)) {
+        if (key === 'event') continue;
+        if (!(key in filters)) {
+          throw new Error(`${trigger.event} has no ${key} filter`);
+        }
+        if (filters[key] && !Array.isArray(value)) {
+          throw new Error(`${trigger.event} filter ${key} must be an array`);
+        }
+      }
+    }
+  }
+
+  matchesEventFilter(trigger, message) {
+    switch (trigger.event) {
+      case EVENTS.LEAD_STATUS_CHANGED:
+        return (!trigger.to || trigger.to.includes(message.to)) &&
+          (!trigger.from || trigger.from.includes(message.from));
+
+      case EVENTS.LEAD_TAGGED:
+        return !trigger.tags || trigger.tags.some(tag => (message.tags || []).includes(tag));
+
+      case EVENTS.SMS_RECEIVED:
+        return !trigger.contains ||
+          (message.body || '').toLowerCase().includes(trigger.contains.toString().toLowerCase());
+
+      case EVENTS.CALL_COMPLETED:
+        return !trigger.outcomes || trigger.outcomes.includes(message.outcome);
+
+      case EVENTS.STAGE_CHANGED:
+        return !trigger.stageIds || trigger.stageIds.map(Number).includes(Number(message.stageId));
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Whether a lead is already in the state a trigger's event would have put it in
+   */
+  matchesTriggerState(trigger, lead) {
+    switch (trigger.event) {
+      case EVENTS.LEAD_CREATED:
+        return true;
+
+      case EVENTS.LEAD_STATUS_CHANGED:
+        return !trigger.to || trigger.to.includes(lead.status);
+
+      case EVENTS.LEAD_TAGGED: {
+        const leadTags = this.getLeadTags(lead);
+        return trigger.tags ? trigger.tags.some(tag => leadTags.includes(tag)) : leadTags.length > 0;
+      }
+
+      case EVENTS.STAGE_CHANGED:
+        return lead.stageId !== null && lead.stageId !== undefined &&
+          (!trigger.stageIds || trigger.stageIds.map(Number).includes(Number(lead.stageId)));
+
+      default:
+        return false;
+    }
+  }
+
+  getLeadTags(lead) {
+    return [
+      ...(Array.isArray(lead.tags) ? lead.tags : []),
+      ...((lead.additionalData && lead.additionalData.tags) || [])
+    ];
+  }
+
+  /**
+   * Lead status, tags, age, brand and source from the journey's triggerCriteria
+   */
+  matchesCriteria(lead, criteria) {
+    if (!criteria) return true;
+
+    if (criteria.leadStatus && criteria.leadStatus.length > 0 && !criteria.leadStatus.includes(lead.status)) {
+      return false;
+    }
+
+    if (criteria.leadTags && criteria.leadTags.length > 0) {
+      const leadTags = this.getLeadTags(lead);
+      if (!criteria.leadTags.every(tag => leadTags.includes(tag))) {
+        return false;
+      }
+    }
+
+    if (criteria.leadAgeDays) {
+      const leadAgeDays = moment().diff(moment(lead.createdAt), 'days');
+      const { min, max } = criteria.leadAgeDays;
+      if (min !== undefined && min !== null && leadAgeDays < min) return false;
+      if (max !== undefined && max !== null && leadAgeDays > max) return false;
+    }
+
+    if (criteria.brands && criteria.brands.length > 0 && (!lead.brand || !criteria.brands.includes(lead.brand))) {
+      return false;
+    }
+
+    if (criteria.sources && criteria.sources.length > 0 && (!lead.source || !criteria.sources.includes(lead.source))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Enroll the event's lead in every active journey of the tenant that triggers on it
+   */
+  async handleEvent(message) {
+    const { event, tenantId, leadId } = message;
+    if (!tenantId || !leadId) return [];
+
+    try {
+      const journeys = await this.models.Journey.findAll({
+        where: { tenantId: tenantId.toString(), isActive: true }
+      });
+
+      const triggered = journeys.filter(journey => this.getTriggerEvents(journey)
+        .some(trigger => trigger.event === event && this.matchesEventFilter(trigger, message)));
+      if (triggered.length === 0) return [];
+
+      const lead = await this.models.Lead.findOne({
+        where: { id: leadId, tenantId: tenantId.toString() }
+      });
+      if (!lead) return [];
+
+      const enrolled = [];
+      for (const journey of triggered) {
+        if (!this.matchesCriteria(lead, journey.triggerCriteria)) continue;
+
+        const existing = await this.models.LeadJourney.count({
+          where: {
+            leadId: lead.id,
+            journeyId: journey.id,
+            status: { [Op.in]: ['active', 'paused'] }
+          }
+        });
+        if (existing > 0) continue;
+
+        try {
+          await this.journeyService.enrollLeadInJourney(lead.id, journey.id, {
+            contextData: { enrolledBy: 'event', triggerEvent: event }
+          });
+          enrolled.push(journey.id);
+          console.log(`🎯 Enrolled lead ${lead.id} in journey ${journey.id} on ${event}`);
+        } catch (error) {
+          console.error(`Error enrolling lead ${lead.id} in journey ${journey.id} on ${event}:`, error);
+        }
+      }
+
+      return enrolled;
+    } catch (error) {
+      console.error(`Error evaluating journey triggers for ${event} on lead ${leadId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enroll the tenant's leads that already match an active auto-enroll journey, without waiting for an event.
+   * Leads that were ever enrolled in the journey are left alone, so running it again only adds leads that
+   * came to match since. Returns the number of leads enrolled
+   */
+  async enrollMatchingLeads(journey, enrolledBy = 'backfill') {
+    const triggers = this.getTriggerEvents(journey).filter(trigger => STATE_EVENTS.includes(trigger.event));
+    if (!journey.isActive || triggers.length === 0) return 0;
+
+    try {
+      // Enrolling in a journey with no steps completes the lead straight away, and completed leads are
+      // never matched again, so wait until the journey has a first step
+      const stepCount = await this.models.JourneyStep.count({
+        where: { journeyId: journey.id, versionId: journey.publishedVersionId || null, isActive: true }
+      });
+      if (stepCount === 0) {
+        console.log(`⏭️ Journey ${journey.id} has no active steps yet, not enrolling matching leads`);
+        return 0;
+      }
+
+      const criteria = journey.triggerCriteria || {};
+      const where = {
+        tenantId: journey.tenantId.toString(),
+        [Op.and]: [
+          literal(`NOT EXISTS (SELECT 1 FROM "LeadJourneys" WHERE "LeadJourneys"."leadId" = "Lead"."id" AND "LeadJourneys"."journeyId" = ${parseInt(journey.id, 10)})`)
+        ]
+      };
+
+      if (criteria.leadStatus && criteria.leadStatus.length > 0) {
+        where.status = { [Op.in]: criteria.leadStatus };
+      }
+      if (criteria.brands && criteria.brands.length > 0) {
+        where.brand = { [Op.in]: criteria.brands };
+      }
+      if (criteria.sources && criteria.sources.length > 0) {
+        where.source = { [Op.in]: criteria.sources };
+      }
+
+      // Same whole-day age as matchesCriteria: min days old means created at least min days ago
+      if (criteria.leadAgeDays) {
+        const { min, max } = criteria.leadAgeDays;
+        const createdAt = {};
+        if (min !== undefined && min !== null) {
+          createdAt[Op.lte] = moment().subtract(min, 'days').toDate();
+        }
+        if (max !== undefined && max !== null) {
+          createdAt[Op.gt] = moment().subtract(max + 1, 'days').toDate();
+        }
+        if (Object.getOwnPropertySymbols(createdAt).length > 0) {
+          where.createdAt = createdAt;
+        }
+      }
+
+      let enrolled = 0;
+      let lastId = 0;
+
+      for (;;) {
+        const leads = await this.models.Lead.findAll({
+          where: { ...where, id: { [Op.gt]: lastId } },
+          order: [['id', 'ASC']],
+          limit: MATCH_BATCH_SIZE
+        });
+        if (leads.length === 0) break;
+        lastId = leads[leads.length - 1].id;
+
+        for (const lead of leads) {
+          if (!this.matchesCriteria(lead, criteria)) continue;
+          if (!triggers.some(trigger => this.matchesTriggerState(trigger, lead))) continue;
+
+          try {
+            await this.journeyService.enrollLeadInJourney(lead.id, journey.id, {
+              contextData: { enrolledBy }
+            });
+            enrolled++;
+          } catch (error) {
+            console.error(`Error enrolling lead ${lead.id} in journey ${journey.id} (${enrolledBy}):`, error);
+          }
+        }
+
+        if (leads.length < MATCH_BATCH_SIZE) break;
+      }
+
+      if (enrolled > 0) {
+        console.log(`🎯 Enrolled ${enrolled} matching leads in journey ${journey.id} (${enrolledBy})`);
+      }
+      return enrolled;
+    } catch (error) {
+      console.error(`Error enrolling matching leads in journey ${journey.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Low-frequency pass over every active auto-enroll journey, for leads that aged into leadAgeDays
+   * or were changed by bulk updates that publish no events
+   */
+  async sweep() {
+    const journeys = await this.models.Journey.findAll({ where: { isActive: true } });
+
+    let enrolled = 0;
+    for (const journey of journeys) {
+      try {
+        enrolled += await this.enrollMatchingLeads(journey, 'sweep');
+      } catch (error) {
+        // Logged in enrollMatchingLeads; keep sweeping the other journeys
+      }
+    }
+
+    return enrolled;
+  }
+}
+
+JourneyTriggerService.DEFAULT_TRIGGER_EVENTS = DEFAULT_TRIGGER_EVENTS;
+
+module.exports = JourneyTriggerService;
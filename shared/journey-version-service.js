@@ -0,0 +1,483 @@
+// shared/journey-version-service.js
+// Published journey versions. Publishing freezes copies of the draft steps and edges under a new version,
+// so editing the draft never changes the steps leads are running on. Leads move between versions only
+// through an explicit migration with a step mapping
+
+const { Op } = require('sequelize');
+const JourneyGraphService = require('./journey-graph-service');
+
+// Step fields that make up a version and are compared in diffs
+const STEP_FIELDS = [
+  'name', 'description', 'stepOrder', 'actionType', 'actionConfig', 'delayType', 'delayConfig',
+  'conditions', 'isActive', 'isExitPoint', 'isDayEnd'
+];
+const EDGE_FIELDS = ['label', 'conditions', 'isDefault', 'priority'];
+
+class JourneyVersionService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Journey.sequelize;
+    this.graphService = new JourneyGraphService(models);
+  }
+
+  async getJourney(journeyId, tenantId, options = {}) {
+    const journey = await this.models.Journey.findOne({
+      where: { id: journeyId, tenantId: tenantId.toString() },
+      ...options
+    });
+    if (!journey) {
+      throw new Error('Journey not found');
+    }
+    return journey;
+  }
+
+  async getVersionRecord(journey, version, options = {}) {
+    const record = await this.models.JourneyVersion.findOne({
+      where: { journeyId: journey.id, version: parseInt(version) },
+      ...options
+    });
+    if (!record) {
+      throw new Error('Journey version not found');
+    }
+    return record;
+  }
+
+  /**
+   * Versions of a journey, newest first, with how many active or paused leads run on each
+   */
+  async listVersions(journeyId, tenantId) {
+    const journey = await this.getJourney(journeyId, tenantId);
+
+    const versions = await this.models.JourneyVersion.findAll({
+      where: { journeyId: journey.id },
+      attributes: { exclude: ['definition'] },
+      order: [['version', 'DESC']]
+    });
+
+    const counts = await this.models.LeadJourney.findAll({
+      where: { journeyId: journey.id, status: { [Op.in]: ['active', 'paused'] } },
+      attributes: ['journeyVersionId', [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'count']],
+      group: ['journeyVersionId'],
+      raw: true
+    });
+    const leadsByVersion = {};
+    counts.forEach(row => { leadsByVersion[row.journeyVersionId || 'draft'] = parseInt(row.count); });
+
+    return {
+      journeyId: journey.id,
+      publishedVersionId: journey.publishedVersionId,
+      draftLeads: leadsByVersion.draft || 0,
+      versions: versions.map(version => ({
+        ...version.toJSON(),
+        isPublished: version.id === journey.publishedVersionId,
+        activeLeads: leadsByVersion[version.id] || 0
+      }))
+    };
+  }
+
+  async getVersion(journeyId, tenantId, version) {
+    const journey = await this.getJourney(journeyId, tenantId);
+    return this.getVersionRecord(journey, version);
+  }
+
+  /**
+   * Freeze the draft as the next version and enroll new leads on it. Nothing is published when the
+   * draft graph has errors
+   */
+  async publish(journeyId, tenantId, { notes, publishedBy } = {}) {
+    const journey = await this.getJourney(journeyId, tenantId);
+
+    const steps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId: null },
+      order: [['stepOrder', 'ASC'], ['id', 'ASC']]
+    });
+    if (steps.length === 0) {
+      throw new Error('Journey has no steps to publish');
+    }
+
+    const edges = await this.graphService.getEdges(journey.id);
+    if (edges.length > 0) {
+      const validation = this.graphService.validateGraph(steps, edges);
+      if (!validation.valid) {
+        return { published: false, validation };
+      }
+    }
+
+    try {
+      const record = await this.sequelize.transaction(async (transaction) => {
+        const latest = await this.models.JourneyVersion.max('version', {
+          where: { journeyId: journey.id },
+          transaction
+        });
+
+        const record = await this.models.JourneyVersion.create({
+          journeyId: journey.id,
+          tenantId: journey.tenantId,
+          version: (latest || 0) + 1,
+          notes: notes || null,
+          publishedBy: publishedBy ? publishedBy.toString() : null,
+          publishedAt: new Date()
+        }, { transaction });
+
+        // Copy the steps first so edges and A/B variants can point at the copies
+        const stepIdMap = {};
+        const copies = [];
+        for (const step of steps) {
+          const copy = await this.models.JourneyStep.create({
+            ...this.pick(step, STEP_FIELDS),
+            journeyId: journey.id,
+            versionId: record.id,
+            sourceStepId: step.id
+          }, { transaction });
+          stepIdMap[step.id] = copy.id;
+          copies.push(copy);
+        }
+
+        for (const copy of copies) {
+          const variants = copy.actionConfig && copy.actionConfig.variants;
+          if (Array.isArray(variants)) {
+            await copy.update({
+              actionConfig: {
+                ...copy.actionConfig,
+                variants: variants.map(variant => ({
+                  ...variant,
+                  toStepId: stepIdMap[variant.toStepId] || variant.toStepId
+                }))
+              }
+            }, { transaction });
+          }
+        }
+
+        const edgeCopies = edges.length > 0
+          ? await this.models.JourneyEdge.bulkCreate(edges.map(edge => ({
+            ...this.pick(edge, EDGE_FIELDS),
+            journeyId: journey.id,
+            versionId: record.id,
+            fromStepId: stepIdMap[edge.fromStepId],
+            toStepId: stepIdMap[edge.toStepId]
+          })), { transaction, returning: true })
+          : [];
+
+        await record.update({
+          definition: {
+            steps: copies.map(copy => ({ id: copy.id, sourceStepId: copy.sourceStepId, ...this.pick(copy, STEP_FIELDS) })),
+            edges: edgeCopies.map(edge => ({
+              id: edge.id,
+              fromStepId: edge.fromStepId,
+              toStepId: edge.toStepId,
+              ...this.pick(edge, EDGE_FIELDS)
+            }))
+          }
+        }, { transaction });
+
+        await journey.update({ publishedVersionId: record.id }, { transaction });
+
+        return record;
+      });
+
+      console.log(`📌 Published version ${record.version} of journey ${journey.id} with ${steps.length} steps`);
+
+      return { published: true, version: record };
+    } catch (error) {
+      console.error(`Error publishing journey ${journey.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enroll new leads on an earlier version again. Leads already enrolled stay where they are
+   */
+  async rollback(journeyId, tenantId, version) {
+    const journey = await this.getJourney(journeyId, tenantId);
+    const record = await this.getVersionRecord(journey, version);
+
+    const previousVersionId = journey.publishedVersionId;
+    await journey.update({ publishedVersionId: record.id });
+
+    console.log(`↩️ Journey ${journey.id} now enrolls on version ${record.version}`);
+
+    return {
+      journeyId: journey.id,
+      previousVersionId,
+      publishedVersionId: record.id,
+      version: record.version
+    };
+  }
+
+  /**
+   * Steps and edges of a version number, or of the draft, keyed by the draft step they came from
+   */
+  async getDefinition(journey, version) {
+    if (version === 'draft') {
+      const steps = await this.models.JourneyStep.findAll({
+        where: { journeyId: journey.id, versionId: null },
+        order: [['stepOrder', 'ASC']]
+      });
+      const edges = await this.graphService.getEdges(journey.id);
+      return {
+        label: 'draft',
+        steps: steps.map(step => ({ id: step.id, sourceStepId: step.id, ...this.pick(step, STEP_FIELDS) })),
+        edges: edges.map(edge => ({
+          id: edge.id,
+          fromStepId: edge.fromStepId,
+          toStepId: edge.toStepId,
+          ...this.pick(edge, EDGE_FIELDS)
+        }))
+      };
+    }
+
+    const record = await this.getVersionRecord(journey, version);
+    return {
+      label: record.version,
+      steps: (record.definition && record.definition.steps) || [],
+      edges: (record.definition && record.definition.edges) || []
+    };
+  }
+
+  /**
+   * Steps and edges added, removed or changed between two versions. Either side can be 'draft'.
+   * Without to, compares with the draft; without from, with the version before to
+   */
+  async diff(journeyId, tenantId, { from, to } = {}) {
+    const journey = await this.getJourney(journeyId, tenantId);
+
+    const toVersion = to || 'draft';
+    let fromVersion = from;
+    if (!fromVersion) {
+      if (toVersion === 'draft') {
+        const published = journey.publishedVersionId
+          ? await this.models.JourneyVersion.findByPk(journey.publishedVersionId)
+          : null;
+        if (!published) {
+          throw new Error('Journey has no published version to compare with');
+        }
+        fromVersion = published.version;
+      } else {
+        fromVersion = parseInt(toVersion) - 1;
+      }
+    }
+
+    const before = await this.getDefinition(journey, fromVersion);
+    const after = await this.getDefinition(journey, toVersion);
+
+    return {
+      journeyId: journey.id,
+      from: before.label,
+      to: after.label,
+      steps: this.diffSteps(before.steps, after.steps),
+      edges: this.diffEdges(before, after)
+    };
+  }
+
+  diffSteps(beforeSteps, afterSteps) {
+    const beforeBySource = new Map(beforeSteps.map(step => [step.sourceStepId, step]));
+    const afterBySource = new Map(afterSteps.map(step => [step.sourceStepId, step]));
+
+    const added = afterSteps.filter(step => !beforeBySource.has(step.sourceStepId));
+    const removed = beforeSteps.filter(step => !afterBySource.has(step.sourceStepId));
+    const changed = [];
+
+    for (const step of afterSteps) {
+      const previous = beforeBySource.get(step.sourceStepId);
+      if (!previous) continue;
+
+      const changes = this.diffFields(previous, step, STEP_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ sourceStepId: step.sourceStepId, name: step.name, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Edges are matched by the draft steps at both ends
+   */
+  diffEdges(before, after) {
+    const keyed = definition => {
+      const sourceOf = new Map(definition.steps.map(step => [step.id, step.sourceStepId]));
+      return new Map(definition.edges.map(edge => {
+        const fromSource = sourceOf.get(edge.fromStepId);
+        const toSource = sourceOf.get(edge.toStepId);
+        return [`${fromSource}->${toSource}`, { ...edge, fromSourceStepId: fromSource, toSourceStepId: toSource }];
+      }));
+    };
+
+    const beforeEdges = keyed(before);
+    const afterEdges = keyed(after);
+
+    const added = [...afterEdges.entries()].filter(([key]) => !beforeEdges.has(key)).map(([, edge]) => edge);
+    const removed = [...beforeEdges.entries()].filter(([key]) => !afterEdges.has(key)).map(([, edge]) => edge);
+    const changed = [];
+
+    for (const [key, edge] of afterEdges.entries()) {
+      const previous = beforeEdges.get(key);
+      if (!previous) continue;
+
+      const changes = this.diffFields(previous, edge, EDGE_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ fromSourceStepId: edge.fromSourceStepId, toSourceStepId: edge.toSourceStepId, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  diffFields(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+      if (stableStringify(before[field]) !== stableStringify(after[field])) {
+        changes[field] = { from: before[field], to: after[field] };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Move active and paused leads onto a version. Each lead's current step and pending executions are
+   * mapped to the version's steps: by stepMapping ({ oldStepId: newStepId }) first, then by the draft
+   * step both were published from. Leads whose step cannot be mapped, or that are mid-step, are skipped
+   */
+  async migrateLeads(journeyId, tenantId, version, { fromVersion, stepMapping = {}, dryRun = false } = {}) {
+    const journey = await this.getJourney(journeyId, tenantId);
+    const target = await this.getVersionRecord(journey, version);
+
+    const targetSteps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id, versionId: target.id }
+    });
+    const targetIds = new Set(targetSteps.map(step => step.id));
+    const targetBySource = new Map(targetSteps.map(step => [step.sourceStepId, step.id]));
+
+    const explicit = {};
+    for (const [oldStepId, newStepId] of Object.entries(stepMapping || {})) {
+      if (!targetIds.has(parseInt(newStepId))) {
+        throw new Error(`Step ${newStepId} is not part of version ${target.version}`);
+      }
+      explicit[parseInt(oldStepId)] = parseInt(newStepId);
+    }
+
+    // Where every step of the journey was published from, to map by source
+    const allSteps = await this.models.JourneyStep.findAll({
+      where: { journeyId: journey.id },
+      attributes: ['id', 'sourceStepId']
+    });
+    const sourceOf = new Map(allSteps.map(step => [step.id, step.sourceStepId || step.id]));
+    const mapStep = stepId => explicit[stepId] || targetBySource.get(sourceOf.get(stepId)) || null;
+
+    const where = {
+      journeyId: journey.id,
+      status: { [Op.in]: ['active', 'paused'] },
+      [Op.or]: [{ journeyVersionId: null }, { journeyVersionId: { [Op.ne]: target.id } }]
+    };
+    if (fromVersion === 'draft') {
+      delete where[Op.or];
+      where.journeyVersionId = null;
+    } else if (fromVersion !== undefined && fromVersion !== null) {
+      const source = await this.getVersionRecord(journey, fromVersion);
+      delete where[Op.or];
+      where.journeyVersionId = source.id;
+    }
+
+    const leadJourneys = await this.models.LeadJourney.findAll({ where });
+    const migrated = [];
+    const skipped = [];
+
+    for (const leadJourney of leadJourneys) {
+      const executions = await this.models.JourneyExecution.findAll({
+        where: { leadJourneyId: leadJourney.id, status: { [Op.in]: ['pending', 'processing'] } }
+      });
+
+      if (executions.some(execution => execution.status === 'processing')) {
+        skipped.push({ leadJourneyId: leadJourney.id, leadId: leadJourney.leadId, stepId: leadJourney.currentStepId, reason: 'step is running' });
+        continue;
+      }
+
+      const currentStepId = leadJourney.currentStepId ? mapStep(leadJourney.currentStepId) : null;
+      const unmapped = [leadJourney.currentStepId, ...executions.map(execution => execution.stepId)]
+        .filter(stepId => stepId && !mapStep(stepId));
+      if (unmapped.length > 0) {
+        skipped.push({ leadJourneyId: leadJourney.id, leadId: leadJourney.leadId, stepId: unmapped[0], reason: 'no step mapping' });
+        continue;
+      }
+
+      migrated.push({
+        leadJourneyId: leadJourney.id,
+        leadId: leadJourney.leadId,
+        fromStepId: leadJourney.currentStepId,
+        toStepId: currentStepId
+      });
+      if (dryRun) continue;
+
+      try {
+        await this.sequelize.transaction(async (transaction) => {
+          for (const execution of executions) {
+            await execution.update({ stepId: mapStep(execution.stepId) }, { transaction });
+          }
+
+          const context = leadJourney.contextData || {};
+          const abTests = {};
+          for (const [stepId, assignment] of Object.entries(context.abTests || {})) {
+            abTests[mapStep(parseInt(stepId)) || stepId] = {
+              ...assignment,
+              toStepId: mapStep(assignment.toStepId) || assignment.toStepId
+            };
+          }
+
+          await leadJourney.update({
+            journeyVersionId: target.id,
+            currentStepId,
+            contextData: { ...context, abTests },
+            executionHistory: [
+              ...(leadJourney.executionHistory || []),
+              {
+                action: 'migrated',
+                fromVersionId: leadJourney.journeyVersionId,
+                toVersionId: target.id,
+                fromStepId: leadJourney.currentStepId,
+                stepId: currentStepId,
+                timestamp: new Date()
+              }
+            ]
+          }, { transaction });
+        });
+      } catch (error) {
+        console.error(`Error migrating lead journey ${leadJourney.id} to version ${target.version}:`, error);
+        throw error;
+      }
+    }
+
+    if (!dryRun) {
+      console.log(`🚚 Migrated ${migrated.length} leads of journey ${journey.id} to version ${target.version}, skipped ${skipped.length}`);
+    }
+
+    return {
+      journeyId: journey.id,
+      version: target.version,
+      dryRun: !!dryRun,
+      migrated,
+      skipped
+    };
+  }
+
+  pick(record, fields) {
+    const source = typeof record.get === 'function' ? record.get({ plain: true }) : record;
+    const picked = {};
+    for (const field of fields) {
+      if (source[field] !== undefined) picked[field] = source[field];
+    }
+    return picked;
+  }
+}
+
+// JSON with sorted keys, so JSONB values compare equal regardless of key order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = JourneyVersionService;
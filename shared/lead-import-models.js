@@ -0,0 +1,135 @@
+const { DataTypes } = require('sequelize');
+
+// shared/lead-import-models.js
+// Bulk lead import jobs and the saved column mappings they can use
+
+module.exports = function(sequelize) {
+  if (sequelize.models.LeadImportJob) {
+    return {
+      LeadImportJob: sequelize.models.LeadImportJob,
+      LeadImportMapping: sequelize.models.LeadImportMapping
+    };
+  }
+
+  // A saved column mapping: { leadField: 'CSV header' }
+  const LeadImportMapping = sequelize.define('LeadImportMapping', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    columnMapping: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'LeadImportMappings',
+    indexes: [
+      {
+        fields: ['tenantId', 'name'],
+        unique: true
+      }
+    ]
+  });
+
+  const LeadImportJob = sequelize.define('LeadImportJob', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    filePath: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    columnMapping: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    mappingId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // { stageId, journeyId, dialerAssignment, onDuplicate, source, tags }
+    options: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    totalRows: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Rows handled so far; a resumed job starts after this row
+    processedRows: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    createdCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    mergedCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    skippedCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    rejectedCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    rejectedFilePath: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Problems with stage, journey or dialer assignment that did not stop the import
+    warnings: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    errorMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'LeadImportJobs',
+    indexes: [
+      {
+        fields: ['tenantId', 'createdAt']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return { LeadImportJob, LeadImportMapping };
+};
@@ -0,0 +1,165 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const LeadImportService = require('./lead-import-service');
+
+// shared/lead-import-routes.js
+// Bulk lead import jobs and saved column mappings
+
+module.exports = function(app, sequelize, authenticateToken, journeyService = null) {
+  const router = express.Router();
+  const { Lead, Stage } = require('./lead-models')(sequelize);
+  const importModels = require('./lead-import-models')(sequelize);
+  const service = new LeadImportService({
+    ...importModels,
+    Lead,
+    Stage,
+    Tenant: sequelize.models.Tenant,
+    Journey: sequelize.models.Journey
+  }, journeyService);
+
+  const importDir = path.join(__dirname, '../uploads/lead-imports');
+  fs.mkdirSync(importDir, { recursive: true });
+
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => cb(null, importDir),
+      filename: (req, file, cb) => {
+        const safeName = path.basename(file.originalname).replace(/[^a-zA-Z0-9._-]/g, '_');
+        cb(null, `${req.user.tenantId}_${Date.now()}_${safeName}`);
+      }
+    }),
+    limits: {
+      fileSize: 100 * 1024 * 1024 // 100MB limit
+    },
+    fileFilter: (req, file, cb) => {
+      const isCsv =
+        file.mimetype === 'text/csv' ||
+        path.extname(file.originalname).toLowerCase() === '.csv';
+      if (isCsv) {
+        return cb(null, true);
+      }
+      cb(new Error('Only CSV files are allowed'));
+    }
+  });
+
+  // Multipart fields arrive as strings
+  const parseJson = (value, field) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${field} must be valid JSON`);
+    }
+  };
+
+  // Upload a CSV and start an import job
+  router.post('/lead-imports', authenticateToken, upload.single('file'), async (req, res) => {
+    try {
+      const job = await service.createJob(req.user.tenantId, req.file, {
+        columnMapping: parseJson(req.body.columnMapping, 'columnMapping'),
+        mappingId: req.body.mappingId ? parseInt(req.body.mappingId) : null,
+        options: parseJson(req.body.options, 'options') || {}
+      }, req.user.username || String(req.user.id));
+
+      // Runs in the background; progress is on the job
+      service.processJob(job.id).catch(error => console.error(`Lead import job ${job.id} failed:`, error));
+
+      res.status(202).json({ message: 'Import started', job });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // List import jobs
+  router.get('/lead-imports', authenticateToken, async (req, res) => {
+    try {
+      const data = await service.listJobs(req.user.tenantId, req.query);
+      res.json(data);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Import job with progress
+  router.get('/lead-imports/:id', authenticateToken, async (req, res) => {
+    try {
+      const job = await service.getJob(req.params.id, req.user.tenantId);
+      if (!job) return res.status(404).json({ error: 'Import job not found' });
+      res.json(job);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Download the rejected rows with their errors
+  router.get('/lead-imports/:id/rejected', authenticateToken, async (req, res) => {
+    try {
+      const job = await service.getJob(req.params.id, req.user.tenantId);
+      if (!job) return res.status(404).json({ error: 'Import job not found' });
+      if (!job.rejectedFilePath || !fs.existsSync(job.rejectedFilePath)) {
+        return res.status(404).json({ error: 'No rejected rows for this import' });
+      }
+      res.download(job.rejectedFilePath, `import_${job.id}_rejected.csv`);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Stop an import after the current chunk
+  router.post('/lead-imports/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+      const job = await service.cancelJob(req.params.id, req.user.tenantId);
+      res.json({ message: 'Import cancelled', job });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Continue a failed or cancelled import from its last processed row
+  router.post('/lead-imports/:id/resume', authenticateToken, async (req, res) => {
+    try {
+      const job = await service.resumeJob(req.params.id, req.user.tenantId);
+      service.processJob(job.id).catch(error => console.error(`Lead import job ${job.id} failed:`, error));
+      res.json({ message: 'Import resumed', job });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Saved column mappings
+  router.get('/lead-import-mappings', authenticateToken, async (req, res) => {
+    try {
+      const mappings = await service.listMappings(req.user.tenantId);
+      res.json(mappings);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.post('/lead-import-mappings', authenticateToken, async (req, res) => {
+    try {
+      const mapping = await service.saveMapping(req.user.tenantId, req.body, req.user.username || String(req.user.id));
+      res.status(201).json(mapping);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete('/lead-import-mappings/:id', authenticateToken, async (req, res) => {
+    try {
+      await service.deleteMapping(req.params.id, req.user.tenantId);
+      res.json({ message: 'Mapping deleted', id: req.params.id });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+
+  // Queued imports and ones interrupted by a restart are picked up by the dialer worker
+
+  return { router, service, models: importModels };
+};
@@ -0,0 +1,629 @@
+// shared/lead-import-service.js
+// Bulk lead import jobs: streams an uploaded CSV through column mapping and row validation, imports it
+// in chunks through lead intake and records progress on the job so an interrupted import can resume
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const LeadIntakeService = require('./lead-intake-service');
+const StageAutomationService = require('./stage-automation-service');
+const eventBus = require('./event-bus');
+const { STATE_TIMEZONES } = require('./calling-window-rules');
+
+const CHUNK_SIZE = 500;
+const STALE_MINUTES = 5;
+const HEARTBEAT_SECONDS = 30;
+const MAX_WARNINGS = 100;
+
+// Header spellings recognized when a job has no column mapping (what /leads/upload has always accepted)
+const HEADER_ALIASES = {
+  phone: ['phone', 'phonenumber', 'phone_number'],
+  name: ['name', 'fullname', 'full_name'],
+  firstName: ['firstname', 'first_name'],
+  lastName: ['lastname', 'last_name'],
+  email: ['email'],
+  brand: ['brand'],
+  source: ['source'],
+  state: ['state'],
+  zip: ['zip', 'zipcode', 'zip_code', 'postal_code', 'postalcode']
+};
+
+// Mapping targets that become lead fields; any other target is stored in additionalData
+const LEAD_FIELDS = [
+  'phone', 'name', 'firstName', 'lastName', 'email', 'brand', 'source', 'campaign',
+  'notes', 'timezone', 'tags', 'state', 'zip'
+];
+
+const DIALER_ASSIGNMENTS = ['auto_dialer', 'journey_only', 'both', 'none'];
+const ON_DUPLICATE = ['merge', 'skip', 'create'];
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class LeadImportService {
+  constructor(models, journeyService = null) {
+    this.models = models;
+    this.journeyService = journeyService;
+    this.intakeService = new LeadIntakeService(models);
+    this.stageAutomationService = new StageAutomationService(models);
+    this.running = new Set(); // job ids being processed by this process
+    this.heartbeats = new Map(); // job id -> when this process last marked it as alive
+  }
+
+  /**
+   * Saved column mappings for a tenant
+   */
+  async listMappings(tenantId) {
+    return this.models.LeadImportMapping.findAll({
+      where: { tenantId: tenantId.toString() },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Create or replace a saved column mapping by name
+   */
+  async saveMapping(tenantId, { name, columnMapping }, createdBy = null) {
+    if (!name) {
+      throw new Error('Mapping name is required');
+    }
+    this.validateMapping(columnMapping);
+
+    const [mapping, created] = await this.models.LeadImportMapping.findOrCreate({
+      where: { tenantId: tenantId.toString(), name },
+      defaults: { columnMapping, createdBy }
+    });
+    if (!created) {
+      await mapping.update({ columnMapping });
+    }
+
+    return mapping;
+  }
+
+  async deleteMapping(id, tenantId) {
+    const deleted = await this.models.LeadImportMapping.destroy({
+      where: { id, tenantId: tenantId.toString() }
+    });
+    if (!deleted) {
+      throw new Error('Mapping not found');
+    }
+    return true;
+  }
+
+  /**
+   * A mapping is { leadField: 'CSV header' } and must say where the phone number is
+   */
+  validateMapping(columnMapping) {
+    if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+      throw new Error('columnMapping must be an object of { leadField: "CSV header" }');
+    }
+    if (!columnMapping.phone) {
+      throw new Error('columnMapping must map the phone column');
+    }
+  }
+
+  /**
+   * Check import options against the tenant: the stage and journey must be its own
+   */
+  async validateOptions(tenantId, options = {}) {
+    const { stageId, journeyId, dialerAssignment, onDuplicate } = options;
+
+    if (dialerAssignment && !DIALER_ASSIGNMENTS.includes(dialerAssignment)) {
+      throw new Error(`dialerAssignment must be one of: ${DIALER_ASSIGNMENTS.join(', ')}`);
+    }
+    if (onDuplicate && !ON_DUPLICATE.includes(onDuplicate)) {
+      throw new Error(`onDuplicate must be one of: ${ON_DUPLICATE.join(', ')}`);
+    }
+
+    if (stageId) {
+      const Stage = this.intakeService.getModel('Stage');
+      const stage = Stage ? await Stage.findOne({ where: { id: stageId, tenantId: tenantId.toString() } }) : null;
+      if (!stage) throw new Error('Stage not found');
+    }
+
+    if (journeyId) {
+      const Journey = this.intakeService.getModel('Journey');
+      const journey = Journey ? await Journey.findOne({ where: { id: journeyId, tenantId: tenantId.toString() } }) : null;
+      if (!journey) throw new Error('Journey not found');
+      if (!journey.isActive) throw new Error('Journey is not active');
+    }
+  }
+
+  /**
+   * Create an import job for an uploaded CSV file. The job is processed separately
+   */
+  async createJob(tenantId, file, { columnMapping = null, mappingId = null, options = {} } = {}, createdBy = null) {
+    tenantId = tenantId.toString();
+
+    try {
+      if (!file) {
+        throw new Error('No file uploaded');
+      }
+
+      if (mappingId) {
+        const mapping = await this.models.LeadImportMapping.findOne({ where: { id: mappingId, tenantId } });
+        if (!mapping) throw new Error('Mapping not found');
+        columnMapping = mapping.columnMapping;
+      } else if (columnMapping && Object.keys(columnMapping).length > 0) {
+        this.validateMapping(columnMapping);
+      }
+
+      await this.validateOptions(tenantId, options);
+
+      const job = await this.models.LeadImportJob.create({
+        tenantId,
+        fileName: file.originalname,
+        filePath: file.path,
+        columnMapping: columnMapping || {},
+        mappingId,
+        options,
+        createdBy
+      });
+
+      console.log(`📥 Lead import job ${job.id} created for tenant ${tenantId}: ${file.originalname}`);
+      return job;
+    } catch (error) {
+      // The upload is useless without a job
+      if (file && file.path) {
+        fs.promises.unlink(file.path).catch(() => {});
+      }
+      console.error('Error creating lead import job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a job's file from where it left off, a chunk at a time
+   */
+  async processJob(jobId) {
+    if (this.running.has(jobId)) return null;
+    this.running.add(jobId);
+
+    let job;
+    try {
+      job = await this.models.LeadImportJob.findByPk(jobId);
+      if (!job || ['completed', 'cancelled'].includes(job.status)) return job;
+
+      // Claim the job as read; if another process got to it first the row no longer matches
+      const [claimed] = await this.models.LeadImportJob.update({
+        status: 'processing',
+        startedAt: job.startedAt || new Date(),
+        errorMessage: null
+      }, {
+        where: { id: job.id, status: job.status, updatedAt: job.updatedAt }
+      });
+      if (claimed === 0) {
+        console.log(`⏭️ Lead import job ${job.id} was claimed by another process`);
+        return job;
+      }
+      await job.reload();
+      this.heartbeats.set(job.id, Date.now());
+
+      if (job.totalRows === null) {
+        await job.update({ totalRows: await this.countRows(job.filePath) });
+      }
+      await this.trimRejectedRows(job);
+
+      const options = job.options || {};
+      const config = await this.intakeService.getConfig(job.tenantId, { onDuplicate: options.onDuplicate });
+
+      let rowNumber = 0;
+      let chunk = [];
+      const stream = fs.createReadStream(job.filePath).pipe(csv());
+
+      for await (const row of stream) {
+        rowNumber++;
+        if (rowNumber <= job.processedRows) continue;
+
+        chunk.push({ rowNumber, row });
+        if (chunk.length < CHUNK_SIZE) continue;
+
+        await this.processChunk(job, chunk, config);
+        chunk = [];
+
+        await job.reload();
+        if (job.status === 'cancelled') {
+          stream.destroy();
+          console.log(`🛑 Lead import job ${job.id} cancelled at row ${job.processedRows}`);
+          return job;
+        }
+      }
+
+      if (chunk.length > 0) {
+        await this.processChunk(job, chunk, config);
+      }
+
+      await job.update({ status: 'completed', completedAt: new Date() });
+
+      console.log(`✅ Lead import job ${job.id} completed: ${job.createdCount} created, ${job.mergedCount} merged, ${job.skippedCount} skipped, ${job.rejectedCount} rejected`);
+      return job;
+    } catch (error) {
+      console.error(`Error processing lead import job ${jobId}:`, error);
+      if (job) {
+        await job.update({ status: 'failed', errorMessage: error.message }).catch(() => {});
+      }
+      return job;
+    } finally {
+      this.running.delete(jobId);
+      this.heartbeats.delete(jobId);
+    }
+  }
+
+  /**
+   * Keep the job's updatedAt fresh while a slow chunk is imported row by row, so resumeInterruptedJobs
+   * does not take it for an interrupted job. Writes at most every HEARTBEAT_SECONDS
+   */
+  async heartbeat(job) {
+    if (Date.now() - (this.heartbeats.get(job.id) || 0) < HEARTBEAT_SECONDS * 1000) return;
+    this.heartbeats.set(job.id, Date.now());
+
+    await this.models.LeadImportJob.update(
+      { status: 'processing' },
+      { where: { id: job.id, status: 'processing' } }
+    );
+  }
+
+  /**
+   * Validate and import one chunk of rows, then checkpoint the job. Without dedup the chunk is inserted
+   * in the same transaction as its checkpoint, so a crash leaves either both or neither. With dedup each
+   * row goes through intake on its own; a chunk re-run after a crash finds the leads it already created
+   * as duplicates and merges or skips them instead of doubling them. Rejected rows are written before
+   * the checkpoint, and a resumed job drops the ones past it first (see trimRejectedRows)
+   */
+  async processChunk(job, chunk, config) {
+    const options = job.options || {};
+    const valid = [];
+    const rejected = [];
+
+    for (const { rowNumber, row } of chunk) {
+      const { lead, errors } = this.mapRow(row, job.columnMapping, options, config);
+      if (errors.length > 0) {
+        rejected.push({ rowNumber, row, errors });
+      } else {
+        valid.push({ rowNumber, row, lead });
+      }
+    }
+
+    const counts = { created: 0, merged: 0, skipped: 0 };
+    const leadIds = [];
+
+    if (!config.enabled || config.onDuplicate === 'create') {
+      if (rejected.length > 0) {
+        await this.writeRejectedRows(job, rejected);
+      }
+
+      // Nothing to match against, so the chunk goes in as one insert, committed with its checkpoint
+      const leads = await this.models.Lead.sequelize.transaction(async transaction => {
+        const created = await this.models.Lead.bulkCreate(
+          valid.map(({ lead }) => ({ ...lead, tenantId: job.tenantId })),
+          { returning: true, transaction }
+        );
+        await this.checkpoint(job, chunk, { created: created.length, merged: 0, skipped: 0 }, rejected, transaction);
+        return created;
+      });
+
+      leadIds.push(...leads.map(lead => lead.id));
+      for (const lead of leads) {
+        eventBus.publish(eventBus.EVENTS.LEAD_CREATED, { tenantId: lead.tenantId, leadId: lead.id, source: lead.source });
+      }
+    } else {
+      for (const { rowNumber, row, lead: leadData } of valid) {
+        await this.heartbeat(job);
+
+        try {
+          const { lead, action } = await this.intakeService.intakeLead(job.tenantId, leadData, {
+            config,
+            source: leadData.source,
+            mergedBy: `import:${job.id}`
+          });
+          counts[action]++;
+          if (action !== 'skipped') leadIds.push(lead.id);
+        } catch (error) {
+          rejected.push({ rowNumber, row, errors: [error.message] });
+        }
+      }
+
+      if (rejected.length > 0) {
+        await this.writeRejectedRows(job, rejected);
+      }
+      await this.checkpoint(job, chunk, counts, rejected);
+    }
+
+    if (leadIds.length > 0) {
+      await this.applyAssignments(job, leadIds);
+    }
+  }
+
+  /**
+   * Record a finished chunk on the job; a resumed job starts after its last row
+   */
+  async checkpoint(job, chunk, counts, rejected, transaction = null) {
+    await job.update({
+      processedRows: chunk[chunk.length - 1].rowNumber,
+      createdCount: job.createdCount + counts.created,
+      mergedCount: job.mergedCount + counts.merged,
+      skippedCount: job.skippedCount + counts.skipped,
+      rejectedCount: job.rejectedCount + rejected.length
+    }, { transaction });
+  }
+
+  /**
+   * Guess a mapping from the file's headers using the spellings /leads/upload accepted
+   */
+  guessMapping(headers) {
+    const mapping = {};
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+      const header = headers.find(h => aliases.includes(h.trim().toLowerCase()));
+      if (header) mapping[field] = header;
+    }
+    return mapping;
+  }
+
+  /**
+   * Turn a CSV row into lead data. Returns { lead, errors }; a row with errors is rejected
+   */
+  mapRow(row, columnMapping, options = {}, config = {}) {
+    const mapping = columnMapping && Object.keys(columnMapping).length > 0
+      ? columnMapping
+      : this.guessMapping(Object.keys(row));
+    const value = (field) => (mapping[field] && row[mapping[field]] !== undefined
+      ? row[mapping[field]].toString().trim()
+      : '');
+
+    const errors = [];
+
+    const rawPhone = value('phone');
+    const phone = this.intakeService.normalizePhone(rawPhone, config.defaultCountryCode);
+    if (!rawPhone) {
+      errors.push('Missing phone number');
+    } else if (!phone) {
+      errors.push(`Invalid phone number: ${rawPhone}`);
+    }
+
+    const rawEmail = value('email');
+    const email = this.intakeService.normalizeEmail(rawEmail);
+    if (rawEmail && !email) {
+      errors.push(`Invalid email: ${rawEmail}`);
+    }
+
+    const state = value('state').toUpperCase();
+    if (state && !STATE_TIMEZONES[state]) {
+      errors.push(`Invalid state: ${value('state')} (use the two-letter code)`);
+    }
+
+    const zip = value('zip');
+    if (zip && !/^\d{5}(-\d{4})?$/.test(zip)) {
+      errors.push(`Invalid ZIP code: ${zip}`);
+    }
+
+    // Unmapped columns and custom mapping targets are kept on the lead
+    const mappedHeaders = new Set(Object.values(mapping));
+    const additionalData = {};
+    for (const [header, cell] of Object.entries(row)) {
+      if (!mappedHeaders.has(header) && cell !== '') additionalData[header] = cell;
+    }
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!LEAD_FIELDS.includes(field) && row[header] !== undefined && row[header] !== '') {
+        additionalData[field] = row[header];
+      }
+    }
+    if (state) additionalData.state = state;
+    if (zip) additionalData.zip = zip;
+
+    const name = value('name') || `${value('firstName')} ${value('lastName')}`.trim();
+    const tags = [
+      ...value('tags').split(',').map(tag => tag.trim()).filter(Boolean),
+      ...(options.tags || [])
+    ];
+
+    const lead = {
+      phone,
+      email,
+      name: name || null,
+      // The API Lead model's default, set here so jobs resumed by the worker create the same leads
+      status: 'new',
+      brand: value('brand') || options.brand || null,
+      source: value('source') || options.source || 'csv_import',
+      campaign: value('campaign') || null,
+      notes: value('notes') || null,
+      timezone: value('timezone') || null,
+      tags: [...new Set(tags)],
+      additionalData
+    };
+
+    return { lead, errors };
+  }
+
+  /**
+   * Put imported leads in the job's stage and dialer assignment, and enroll them in its journey
+   */
+  async applyAssignments(job, leadIds) {
+    const { stageId, journeyId, dialerAssignment } = job.options || {};
+    const warnings = [];
+
+    const updates = {};
+    if (stageId) updates.stageId = stageId;
+    if (dialerAssignment) updates.dialerAssignment = dialerAssignment;
+    if (Object.keys(updates).length > 0) {
+      const previous = stageId
+        ? await this.models.Lead.findAll({ where: { id: { [Op.in]: leadIds } }, attributes: ['id', 'stageId'] })
+        : [];
+      await this.models.Lead.update(updates, { where: { id: { [Op.in]: leadIds }, tenantId: job.tenantId } });
+
+      if (stageId) {
+        await this.stageAutomationService.recordStageChanges(job.tenantId, previous, stageId, {
+          source: 'import',
+          changedBy: job.createdBy
+        });
+      }
+    }
+
+    if (journeyId) {
+      if (!this.journeyService) {
+        warnings.push(`Journey ${journeyId} enrollment skipped: journey service is not available`);
+      } else {
+        for (const leadId of leadIds) {
+          await this.heartbeat(job);
+
+          try {
+            await this.journeyService.enrollLeadInJourney(leadId, journeyId);
+          } catch (error) {
+            warnings.push(`Lead ${leadId} not enrolled in journey ${journeyId}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    if (warnings.length > 0 && (job.warnings || []).length < MAX_WARNINGS) {
+      await job.update({ warnings: [...(job.warnings || []), ...warnings].slice(0, MAX_WARNINGS) });
+    }
+  }
+
+  /**
+   * Append rejected rows, with their row number and errors, to the job's rejected-rows CSV
+   */
+  async writeRejectedRows(job, rejected) {
+    const filePath = job.rejectedFilePath || path.join(path.dirname(job.filePath), `import_${job.id}_rejected.csv`);
+    const headers = Object.keys(rejected[0].row);
+
+    let content = '';
+    if (!job.rejectedFilePath) {
+      content += [...headers, 'row', 'errors'].map(csvValue).join(',') + '\n';
+      await job.update({ rejectedFilePath: filePath });
+    }
+    for (const { rowNumber, row, errors } of rejected) {
+      content += [...headers.map(header => row[header]), rowNumber, errors.join('; ')].map(csvValue).join(',') + '\n';
+    }
+
+    await fs.promises.appendFile(filePath, content);
+  }
+
+  /**
+   * Drop rejected rows past the job's checkpoint. They came from a chunk that did not finish and
+   * will be written again when it is re-run
+   */
+  async trimRejectedRows(job) {
+    if (!job.rejectedFilePath || !fs.existsSync(job.rejectedFilePath)) return;
+
+    // Read without headers: the file keeps the upload's own columns, which may repeat 'row' or 'errors'
+    const lines = [];
+    let dropped = 0;
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(job.rejectedFilePath)
+        .pipe(csv({ headers: false }))
+        .on('data', values => {
+          const fields = Object.keys(values).sort((a, b) => a - b).map(key => values[key]);
+          const rowNumber = parseInt(fields[fields.length - 2], 10);
+          if (lines.length > 0 && !(rowNumber <= job.processedRows)) {
+            dropped++;
+            return;
+          }
+          lines.push(fields.map(csvValue).join(',') + '\n');
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    if (dropped > 0) {
+      await fs.promises.writeFile(job.rejectedFilePath, lines.join(''));
+      console.log(`Dropped ${dropped} rejected rows past row ${job.processedRows} from lead import job ${job.id}`);
+    }
+  }
+
+  /**
+   * Data rows in a CSV file, for progress reporting
+   */
+  async countRows(filePath) {
+    let count = 0;
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath).pipe(csv()).on('data', () => count++).on('end', resolve).on('error', reject);
+    });
+    return count;
+  }
+
+  async getJob(id, tenantId) {
+    const job = await this.models.LeadImportJob.findOne({ where: { id, tenantId: tenantId.toString() } });
+    if (!job) return null;
+
+    return {
+      ...job.toJSON(),
+      progress: job.totalRows ? Math.round((job.processedRows / job.totalRows) * 100) : 0
+    };
+  }
+
+  async listJobs(tenantId, query = {}) {
+    const { page = 1, limit = 20 } = query;
+    const where = { tenantId: tenantId.toString() };
+    if (query.status) where.status = query.status;
+
+    const { count, rows } = await this.models.LeadImportJob.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit),
+      order: [['createdAt', 'DESC']]
+    });
+
+    return { jobs: rows, totalPages: Math.ceil(count / parseInt(limit)), currentPage: parseInt(page), totalCount: count };
+  }
+
+  async cancelJob(id, tenantId) {
+    const job = await this.models.LeadImportJob.findOne({ where: { id, tenantId: tenantId.toString() } });
+    if (!job) throw new Error('Import job not found');
+    if (!['pending', 'processing', 'failed'].includes(job.status)) {
+      throw new Error(`Cannot cancel a ${job.status} import`);
+    }
+
+    await job.update({ status: 'cancelled', completedAt: new Date() });
+    return job;
+  }
+
+  /**
+   * Put a failed or cancelled job back in the queue; it continues after its last processed row
+   */
+  async resumeJob(id, tenantId) {
+    const job = await this.models.LeadImportJob.findOne({ where: { id, tenantId: tenantId.toString() } });
+    if (!job) throw new Error('Import job not found');
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`Cannot resume a ${job.status} import`);
+    }
+    if (!fs.existsSync(job.filePath)) {
+      throw new Error('The uploaded file is no longer available');
+    }
+
+    await job.update({ status: 'pending', completedAt: null, errorMessage: null });
+    return job;
+  }
+
+  /**
+   * Pick up pending jobs and jobs whose processor stopped reporting progress (e.g. a restart).
+   * Run from the dialer worker only; processJob's claim keeps a job with a single processor either way
+   */
+  async resumeInterruptedJobs() {
+    const jobs = await this.models.LeadImportJob.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending' },
+          { status: 'processing', updatedAt: { [Op.lt]: moment().subtract(STALE_MINUTES, 'minutes').toDate() } }
+        ]
+      },
+      order: [['createdAt', 'ASC']],
+      limit: 5
+    });
+
+    for (const job of jobs) {
+      if (this.running.has(job.id)) continue;
+      if (job.status === 'processing') {
+        console.log(`🔁 Resuming lead import job ${job.id} after row ${job.processedRows}`);
+      }
+      await this.processJob(job.id);
+    }
+
+    return jobs.length;
+  }
+}
+
+module.exports = LeadImportService;
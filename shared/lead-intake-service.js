@@ -0,0 +1,684 @@
+// shared/lead-intake-service.js
+// The single way leads enter the system. Normalizes phone and email, finds duplicates within the tenant
+// and merges them into the surviving lead, keeping a merge history that can be undone for a while
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const initLeadMergeModels = require('./lead-merge-models');
+const eventBus = require('./event-bus');
+
+const DEFAULT_DEDUP = {
+  enabled: true,
+  matchOn: ['phone', 'email'],
+  onDuplicate: 'merge',          // merge | skip | create
+  defaultPrecedence: 'existing', // existing | incoming | newest
+  fieldPrecedence: {},           // per-field override of defaultPrecedence
+  undoHours: 72,
+  defaultCountryCode: '1'
+};
+
+// Lead fields that follow field precedence when two records are merged
+const MERGE_FIELDS = [
+  'name', 'email', 'status', 'brand', 'source', 'campaign', 'priority', 'stageId',
+  'timezone', 'assignedTo', 'scheduledCallback', 'dialerAssignment'
+];
+
+// Values a lead gets by default; they never override a value the other record actually has
+const DEFAULT_VALUES = { status: ['new', 'pending'], priority: ['medium'] };
+
+// Records that point at a lead and follow it to the survivor. LeadJourney is handled separately
+const RELATED_MODELS = [
+  'CallLog', 'SmsMessage', 'SmsConversation', 'TransferOutcome', 'DncBlockLog',
+  'LeadPauseState', 'LeadEnrichment', 'TracersSearch', 'AdLead',
+  'ContactTouch', 'DeferredMessage', 'LeadScoreHistory', 'LeadStageHistory'
+];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Compare values the way they come back from JSONB, where object key order is not kept
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+class LeadIntakeService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Lead ? models.Lead.sequelize : null;
+
+    if (this.sequelize && !models.LeadMerge) {
+      this.models = { ...models, ...initLeadMergeModels(this.sequelize) };
+    }
+  }
+
+  /**
+   * A model by name, falling back to whatever is defined on the connection
+   */
+  getModel(name) {
+    return this.models[name] || (this.sequelize && this.sequelize.models[name]) || null;
+  }
+
+  /**
+   * Dedup settings from tenant dialerConfig.leadDedup, with per-call overrides
+   */
+  async getConfig(tenantId, overrides = {}) {
+    const Tenant = this.getModel('Tenant');
+    const tenant = Tenant ? await Tenant.findByPk(tenantId.toString()) : null;
+    const tenantConfig = (tenant && tenant.dialerConfig && tenant.dialerConfig.leadDedup) || {};
+
+    const config = { ...DEFAULT_DEDUP, ...tenantConfig };
+    for (const key of Object.keys(DEFAULT_DEDUP)) {
+      if (overrides[key] !== undefined) config[key] = overrides[key];
+    }
+    config.fieldPrecedence = {
+      ...(tenantConfig.fieldPrecedence || {}),
+      ...(overrides.fieldPrecedence || {})
+    };
+
+    if (overrides.allowDuplicatePhone) {
+      config.matchOn = config.matchOn.filter(field => field !== 'phone');
+    }
+
+    return config;
+  }
+
+  /**
+   * Normalize a phone number to E.164. Ten-digit numbers get the default country code
+   */
+  normalizePhone(phone, countryCode = DEFAULT_DEDUP.defaultCountryCode) {
+    if (!phone) return null;
+
+    const raw = phone.toString().trim();
+    const digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+') || raw.startsWith('00')) {
+      const international = raw.startsWith('00') ? digits.substring(2) : digits;
+      return international.length >= 8 && international.length <= 15 ? `+${international}` : null;
+    }
+    if (digits.length === 10) {
+      return `+${countryCode}${digits}`;
+    }
+    if (digits.length === 11 && digits.startsWith('1')) {
+      return `+${digits}`;
+    }
+    if (digits.length > 11 && digits.length <= 15) {
+      return `+${digits}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * The number as the trunk dials it, whatever format Lead.phone was stored in: ten national digits for the
+   * default country, otherwise the international digits without the +
+   */
+  getDialNumber(phone, countryCode = DEFAULT_DEDUP.defaultCountryCode) {
+    const normalized = this.normalizePhone(phone, countryCode);
+    if (!normalized) {
+      return phone ? phone.toString().replace(/\D/g, '') : null;
+    }
+
+    const digits = normalized.substring(1);
+    return countryCode === '1' && digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+  }
+
+  /**
+   * Lowercase and trim an email; null when it is not an email address
+   */
+  normalizeEmail(email) {
+    if (!email) return null;
+
+    const normalized = email.toString().trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * The formats an older Lead.phone may be stored in, so leads saved before normalization still match
+   */
+  getPhoneVariants(normalized) {
+    const digits = normalized.replace(/\D/g, '');
+    if (digits.length !== 11 || !digits.startsWith('1')) {
+      return [normalized, digits];
+    }
+
+    const national = digits.substring(1);
+    return [
+      normalized,
+      digits,
+      national,
+      `(${national.substring(0, 3)}) ${national.substring(3, 6)}-${national.substring(6)}`,
+      `${national.substring(0, 3)}-${national.substring(3, 6)}-${national.substring(6)}`,
+      `${national.substring(0, 3)}.${national.substring(3, 6)}.${national.substring(6)}`
+    ];
+  }
+
+  /**
+   * Leads in the tenant matching the phone or email, oldest first, with what each matched on
+   */
+  async findDuplicates(tenantId, { phone, email }, matchOn = DEFAULT_DEDUP.matchOn, excludeIds = []) {
+    const conditions = [];
+    if (phone && matchOn.includes('phone')) {
+      conditions.push({ phone: { [Op.in]: this.getPhoneVariants(phone) } });
+    }
+    if (email && matchOn.includes('email')) {
+      conditions.push(this.sequelize.where(this.sequelize.fn('LOWER', this.sequelize.col('email')), email));
+    }
+    if (conditions.length === 0) return [];
+
+    const where = { tenantId: tenantId.toString(), [Op.or]: conditions };
+    if (excludeIds.length > 0) {
+      where.id = { [Op.notIn]: excludeIds };
+    }
+
+    const leads = await this.models.Lead.findAll({
+      where,
+      order: [['createdAt', 'ASC']],
+      limit: 10
+    });
+
+    return leads.map(lead => {
+      const matchedOn = [];
+      if (phone && matchOn.includes('phone') && this.normalizePhone(lead.phone) === phone) matchedOn.push('phone');
+      if (email && matchOn.includes('email') && this.normalizeEmail(lead.email) === email) matchedOn.push('email');
+      return { lead, matchedOn };
+    });
+  }
+
+  /**
+   * Create a lead, or fold it into an existing duplicate. Returns { lead, action, matchedOn, mergeId }
+   * where action is created, merged or skipped
+   */
+  async intakeLead(tenantId, data, options = {}) {
+    const config = options.config || await this.getConfig(tenantId, options);
+
+    const phone = this.normalizePhone(data.phone, config.defaultCountryCode);
+    if (!phone) {
+      throw new Error(data.phone ? `Invalid phone number: ${data.phone}` : 'Phone number is required');
+    }
+    const email = this.normalizeEmail(data.email);
+
+    const leadData = {
+      ...data,
+      tenantId: tenantId.toString(),
+      phone,
+      email
+    };
+    if (!leadData.source && options.source) leadData.source = options.source;
+
+    if (config.enabled && config.onDuplicate !== 'create') {
+      const [duplicate] = await this.findDuplicates(tenantId, { phone, email }, config.matchOn);
+
+      if (duplicate) {
+        if (config.onDuplicate === 'skip') {
+          return { lead: duplicate.lead, action: 'skipped', matchedOn: duplicate.matchedOn };
+        }
+
+        const merge = await this.mergeIncoming(duplicate.lead, leadData, config, {
+          matchedOn: duplicate.matchedOn,
+          source: options.source || leadData.source,
+          mergedBy: options.mergedBy
+        });
+
+        return {
+          lead: duplicate.lead,
+          action: 'merged',
+          matchedOn: duplicate.matchedOn,
+          mergeId: merge ? merge.id : null
+        };
+      }
+    }
+
+    const lead = await this.models.Lead.create(leadData);
+    eventBus.publish(eventBus.EVENTS.LEAD_CREATED, { tenantId: lead.tenantId, leadId: lead.id, source: lead.source });
+    return { lead, action: 'created' };
+  }
+
+  /**
+   * Run a batch through intake one lead at a time, so duplicates within the batch are caught too
+   */
+  async intakeLeads(tenantId, rows, options = {}) {
+    const config = await this.getConfig(tenantId, options);
+    const result = { created: 0, merged: 0, skipped: 0, rejected: 0, leadIds: [], errors: [] };
+
+    for (const [index, row] of rows.entries()) {
+      try {
+        const { lead, action } = await this.intakeLead(tenantId, row, { ...options, config });
+        result[action]++;
+        result.leadIds.push(lead.id);
+      } catch (error) {
+        result.rejected++;
+        result.errors.push({ row: index + 1, phone: row.phone, error: error.message });
+      }
+    }
+
+    console.log(`📥 Lead intake for tenant ${tenantId}: ${result.created} created, ${result.merged} merged, ${result.skipped} skipped, ${result.rejected} rejected`);
+    return result;
+  }
+
+  /**
+   * Work out how the survivor changes when the other record is folded into it.
+   * Returns { updates, changes } where changes holds { from, to } per field for undo
+   */
+  buildMerge(survivor, other, config, otherIsNewer) {
+    const attributes = this.models.Lead.rawAttributes;
+    const updates = {};
+
+    const isUnset = (field, value) => isEmpty(value) || (DEFAULT_VALUES[field] || []).includes(value);
+    const takesOther = (field) => {
+      const precedence = config.fieldPrecedence[field] || config.defaultPrecedence;
+      return precedence === 'incoming' || (precedence === 'newest' && otherIsNewer);
+    };
+
+    for (const field of MERGE_FIELDS) {
+      if (!attributes[field]) continue;
+
+      const current = survivor[field];
+      const value = other[field];
+      if (isUnset(field, value) || sameValue(current, value)) continue;
+
+      if (isUnset(field, current) || takesOther(field)) {
+        updates[field] = value;
+      }
+    }
+
+    // A DNC lead stays DNC whichever record it came from
+    if (other.status === 'dnc' && survivor.status !== 'dnc') {
+      updates.status = 'dnc';
+    } else if (survivor.status === 'dnc') {
+      delete updates.status;
+    }
+
+    // Store the survivor's phone in E.164 as well
+    const survivorPhone = this.normalizePhone(survivor.phone, config.defaultCountryCode);
+    if (survivorPhone && survivorPhone !== survivor.phone) {
+      updates.phone = survivorPhone;
+    }
+
+    if (attributes.tags && !isEmpty(other.tags)) {
+      const tags = [...new Set([...(survivor.tags || []), ...other.tags])];
+      if (tags.length !== (survivor.tags || []).length) updates.tags = tags;
+    }
+
+    if (attributes.notes && !isEmpty(other.notes) && !(survivor.notes || '').includes(other.notes)) {
+      updates.notes = survivor.notes ? `${survivor.notes}\n${other.notes}` : other.notes;
+    }
+
+    if (attributes.additionalData) {
+      const current = survivor.additionalData || {};
+      const additionalData = takesOther('additionalData')
+        ? { ...current, ...(other.additionalData || {}) }
+        : { ...(other.additionalData || {}), ...current };
+
+      // Keep the duplicate's other contact details rather than losing them
+      const otherPhone = this.normalizePhone(other.phone, config.defaultCountryCode);
+      if (otherPhone && otherPhone !== (updates.phone || survivor.phone)) {
+        additionalData.alternatePhones = [...new Set([...(current.alternatePhones || []), otherPhone])];
+      }
+      const otherEmail = this.normalizeEmail(other.email);
+      const finalEmail = this.normalizeEmail(updates.email !== undefined ? updates.email : survivor.email);
+      if (otherEmail && finalEmail && otherEmail !== finalEmail) {
+        additionalData.alternateEmails = [...new Set([...(current.alternateEmails || []), otherEmail])];
+      }
+
+      if (!sameValue(additionalData, current)) updates.additionalData = additionalData;
+    }
+
+    // Activity adds up, and the most recent timestamps win
+    for (const field of ['attempts', 'smsAttempts']) {
+      if (attributes[field] && other[field]) {
+        updates[field] = (survivor[field] || 0) + other[field];
+      }
+    }
+    for (const field of ['lastAttempt', 'lastContact', 'lastSmsAttempt', 'convertedAt']) {
+      if (attributes[field] && other[field] && (!survivor[field] || new Date(other[field]) > new Date(survivor[field]))) {
+        updates[field] = other[field];
+      }
+    }
+    if (attributes.leadScore && (other.leadScore || 0) > (survivor.leadScore || 0)) {
+      updates.leadScore = other.leadScore;
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      changes[field] = { from: survivor[field] === undefined ? null : survivor[field], to: value };
+    }
+
+    return { updates, changes };
+  }
+
+  /**
+   * Fold incoming intake data into an existing lead. Nothing is recorded when it changes nothing
+   */
+  async mergeIncoming(existing, data, config, { matchedOn = [], source = null, mergedBy = null } = {}) {
+    try {
+      const { updates, changes } = this.buildMerge(existing, data, config, true);
+      if (Object.keys(updates).length === 0) {
+        return null;
+      }
+
+      await existing.update(updates);
+
+      const merge = await this.models.LeadMerge.create({
+        tenantId: existing.tenantId,
+        survivorId: existing.id,
+        mergedLeadId: null,
+        source,
+        matchedOn,
+        changes,
+        mergedData: data,
+        mergedBy,
+        undoUntil: moment().add(config.undoHours, 'hours').toDate()
+      });
+
+      console.log(`🔗 Merged incoming ${source || 'lead'} into lead ${existing.id} (matched on ${matchedOn.join(', ')})`);
+      return merge;
+    } catch (error) {
+      console.error('Error merging incoming lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge one existing lead into another. Its call logs, SMS, journeys and other records move to the
+   * survivor, and the duplicate is soft-deleted
+   */
+  async mergeLeads(tenantId, survivorId, mergedLeadId, options = {}) {
+    tenantId = tenantId.toString();
+
+    if (parseInt(survivorId) === parseInt(mergedLeadId)) {
+      throw new Error('Cannot merge a lead into itself');
+    }
+
+    const [survivor, merged] = await Promise.all([
+      this.models.Lead.findOne({ where: { id: survivorId, tenantId } }),
+      this.models.Lead.findOne({ where: { id: mergedLeadId, tenantId } })
+    ]);
+    if (!survivor) throw new Error('Lead not found');
+    if (!merged) throw new Error(`Lead ${mergedLeadId} not found`);
+
+    const config = await this.getConfig(tenantId, options);
+    const { updates, changes } = this.buildMerge(
+      survivor,
+      merged,
+      config,
+      new Date(merged.createdAt) > new Date(survivor.createdAt)
+    );
+
+    const matchedOn = [];
+    if (this.normalizePhone(survivor.phone) && this.normalizePhone(survivor.phone) === this.normalizePhone(merged.phone)) matchedOn.push('phone');
+    if (this.normalizeEmail(survivor.email) && this.normalizeEmail(survivor.email) === this.normalizeEmail(merged.email)) matchedOn.push('email');
+
+    const mergedData = merged.get({ plain: true });
+    const transaction = await this.sequelize.transaction();
+
+    try {
+      if (Object.keys(updates).length > 0) {
+        await survivor.update(updates, { transaction });
+      }
+
+      const moved = await this.moveRelatedRecords(survivor, merged, transaction);
+      await merged.destroy({ transaction });
+
+      const merge = await this.models.LeadMerge.create({
+        tenantId,
+        survivorId: survivor.id,
+        mergedLeadId: merged.id,
+        source: options.source || 'manual',
+        matchedOn,
+        changes,
+        mergedData,
+        moved,
+        mergedBy: options.mergedBy || null,
+        undoUntil: moment().add(config.undoHours, 'hours').toDate()
+      }, { transaction });
+
+      await transaction.commit();
+
+      console.log(`🔗 Merged lead ${merged.id} into lead ${survivor.id}`);
+      return { survivor, merge };
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Error merging leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point the duplicate's related records at the survivor. A journey the survivor is already in is
+   * exited on the duplicate instead, and its pending steps are cancelled
+   */
+  async moveRelatedRecords(survivor, merged, transaction) {
+    const moved = {};
+
+    for (const name of RELATED_MODELS) {
+      const Model = this.getModel(name);
+      if (!Model || !Model.rawAttributes.leadId) continue;
+
+      const rows = await Model.findAll({ where: { leadId: merged.id }, attributes: ['id'], raw: true, transaction });
+      if (rows.length === 0) continue;
+
+      moved[name] = rows.map(row => row.id);
+      await Model.update({ leadId: survivor.id }, { where: { id: moved[name] }, transaction });
+    }
+
+    const LeadJourney = this.getModel('LeadJourney');
+    if (!LeadJourney) return moved;
+
+    const journeys = await LeadJourney.findAll({ where: { leadId: merged.id }, transaction });
+    const survivorJourneys = await LeadJourney.findAll({
+      where: { leadId: survivor.id, status: { [Op.in]: ['active', 'paused'] } },
+      attributes: ['journeyId'],
+      raw: true,
+      transaction
+    });
+    const survivorJourneyIds = new Set(survivorJourneys.map(row => row.journeyId));
+
+    for (const leadJourney of journeys) {
+      const alreadyEnrolled = survivorJourneyIds.has(leadJourney.journeyId) &&
+        ['active', 'paused'].includes(leadJourney.status);
+
+      if (!alreadyEnrolled) {
+        moved.LeadJourney = [...(moved.LeadJourney || []), leadJourney.id];
+        await leadJourney.update({ leadId: survivor.id }, { transaction });
+        continue;
+      }
+
+      moved.exitedJourneys = [...(moved.exitedJourneys || []), { id: leadJourney.id, status: leadJourney.status }];
+      await leadJourney.update({ status: 'exited' }, { transaction });
+
+      const JourneyExecution = this.getModel('JourneyExecution');
+      if (JourneyExecution) {
+        const pending = await JourneyExecution.findAll({
+          where: { leadJourneyId: leadJourney.id, status: 'pending' },
+          attributes: ['id'],
+          raw: true,
+          transaction
+        });
+        if (pending.length > 0) {
+          moved.cancelledExecutions = [...(moved.cancelledExecutions || []), ...pending.map(row => row.id)];
+          await JourneyExecution.update(
+            { status: 'cancelled' },
+            { where: { id: pending.map(row => row.id) }, transaction }
+          );
+        }
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Undo a merge inside its undo window. Survivor fields are only reverted when nothing else has
+   * changed them since; the duplicate comes back with its records, or is created when it was intake data
+   */
+  async undoMerge(mergeId, tenantId, undoneBy = null) {
+    tenantId = tenantId.toString();
+
+    const merge = await this.models.LeadMerge.findOne({ where: { id: mergeId, tenantId } });
+    if (!merge) throw new Error('Merge not found');
+    if (merge.status === 'undone') throw new Error('Merge has already been undone');
+    if (merge.undoUntil && new Date(merge.undoUntil) < new Date()) {
+      throw new Error('Undo window has expired for this merge');
+    }
+
+    const transaction = await this.sequelize.transaction();
+
+    try {
+      const survivor = await this.models.Lead.findOne({
+        where: { id: merge.survivorId, tenantId },
+        paranoid: false,
+        transaction
+      });
+
+      const reverted = {};
+      const kept = [];
+      if (survivor) {
+        for (const [field, change] of Object.entries(merge.changes || {})) {
+          if (sameValue(survivor[field], change.to)) {
+            reverted[field] = change.from;
+          } else {
+            kept.push(field);
+          }
+        }
+        if (Object.keys(reverted).length > 0) {
+          await survivor.update(reverted, { transaction });
+        }
+      }
+
+      let restored;
+      if (merge.mergedLeadId) {
+        restored = await this.models.Lead.findOne({
+          where: { id: merge.mergedLeadId, tenantId },
+          paranoid: false,
+          transaction
+        });
+        if (restored && restored.deletedAt) {
+          await restored.restore({ transaction });
+        }
+        await this.restoreRelatedRecords(merge.moved || {}, merge.mergedLeadId, transaction);
+      } else {
+        // An intake merge: the incoming data becomes the lead it would have been
+        const { id, createdAt, updatedAt, deletedAt, ...data } = merge.mergedData || {};
+        restored = await this.models.Lead.create({ ...data, tenantId }, { transaction });
+      }
+
+      await merge.update({
+        status: 'undone',
+        undoneAt: new Date(),
+        undoneBy,
+        mergedLeadId: restored ? restored.id : merge.mergedLeadId
+      }, { transaction });
+
+      await transaction.commit();
+
+      console.log(`↩️ Undid merge ${merge.id}: lead ${restored ? restored.id : merge.mergedLeadId} split from lead ${merge.survivorId}`);
+      return { merge, survivor, restored, keptFields: kept };
+    } catch (error) {
+      await transaction.rollback();
+      console.error('Error undoing lead merge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Point moved records back at the restored lead and reopen the journeys the merge exited
+   */
+  async restoreRelatedRecords(moved, leadId, transaction) {
+    for (const name of [...RELATED_MODELS, 'LeadJourney']) {
+      const Model = this.getModel(name);
+      if (!Model || !moved[name] || moved[name].length === 0) continue;
+
+      await Model.update({ leadId }, { where: { id: moved[name] }, transaction });
+    }
+
+    const LeadJourney = this.getModel('LeadJourney');
+    for (const { id, status } of moved.exitedJourneys || []) {
+      await LeadJourney.update({ status }, { where: { id, status: 'exited' }, transaction });
+    }
+
+    const JourneyExecution = this.getModel('JourneyExecution');
+    if (JourneyExecution && (moved.cancelledExecutions || []).length > 0) {
+      await JourneyExecution.update(
+        { status: 'pending' },
+        { where: { id: moved.cancelledExecutions, status: 'cancelled' }, transaction }
+      );
+    }
+  }
+
+  /**
+   * Merges a lead took part in, as survivor or as the duplicate, newest first
+   */
+  async getMergeHistory(tenantId, leadId) {
+    return this.models.LeadMerge.findAll({
+      where: {
+        tenantId: tenantId.toString(),
+        [Op.or]: [{ survivorId: leadId }, { mergedLeadId: leadId }]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Groups of existing leads in the tenant that share a phone number or email
+   */
+  async findDuplicateGroups(tenantId, { limit = 100, matchOn = DEFAULT_DEDUP.matchOn } = {}) {
+    try {
+      const groups = [];
+      const replacements = { tenantId: tenantId.toString(), limit: parseInt(limit) };
+
+      if (matchOn.includes('phone')) {
+        // Ten-digit numbers are compared with the US country code, like normalizePhone does by default
+        const phoneGroups = await this.sequelize.query(`
+          SELECT "key", array_agg(id ORDER BY "createdAt") AS "leadIds", COUNT(*)::int AS count
+          FROM (
+            SELECT id, "createdAt",
+              CASE WHEN length(regexp_replace(phone, '\\D', '', 'g')) = 10
+                THEN '1' || regexp_replace(phone, '\\D', '', 'g')
+                ELSE regexp_replace(phone, '\\D', '', 'g')
+              END AS "key"
+            FROM "Leads"
+            WHERE "tenantId" = :tenantId AND "deletedAt" IS NULL AND phone IS NOT NULL AND phone <> ''
+          ) normalized
+          GROUP BY "key"
+          HAVING COUNT(*) > 1
+          ORDER BY count DESC
+          LIMIT :limit
+        `, { replacements, type: this.sequelize.QueryTypes.SELECT });
+
+        groups.push(...phoneGroups.map(group => ({ matchedOn: 'phone', value: `+${group.key}`, ...group })));
+      }
+
+      if (matchOn.includes('email')) {
+        const emailGroups = await this.sequelize.query(`
+          SELECT LOWER(TRIM(email)) AS "key", array_agg(id ORDER BY "createdAt") AS "leadIds", COUNT(*)::int AS count
+          FROM "Leads"
+          WHERE "tenantId" = :tenantId AND "deletedAt" IS NULL AND email IS NOT NULL AND TRIM(email) <> ''
+          GROUP BY LOWER(TRIM(email))
+          HAVING COUNT(*) > 1
+          ORDER BY count DESC
+          LIMIT :limit
+        `, { replacements, type: this.sequelize.QueryTypes.SELECT });
+
+        groups.push(...emailGroups.map(group => ({ matchedOn: 'email', value: group.key, ...group })));
+      }
+
+      return groups.map(({ key, ...group }) => group);
+    } catch (error) {
+      console.error('Error finding duplicate leads:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LeadIntakeService;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+// shared/lead-merge-models.js
+// One row per duplicate folded into a surviving lead, with enough detail to undo it
+
+module.exports = function(sequelize) {
+  if (sequelize.models.LeadMerge) {
+    return { LeadMerge: sequelize.models.LeadMerge };
+  }
+
+  const LeadMerge = sequelize.define('LeadMerge', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    survivorId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // The duplicate lead; null when the duplicate was incoming intake data that never became a lead
+    mergedLeadId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    matchedOn: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      defaultValue: []
+    },
+    // { field: { from, to } } for every survivor field the merge changed
+    changes: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    // The duplicate as it was before the merge (the incoming data for intake merges)
+    mergedData: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    // { ModelName: [ids] } of related records moved to the survivor, plus journeys exited because the survivor was already in them
+    moved: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    },
+    status: {
+      type: DataTypes.ENUM('merged', 'undone'),
+      defaultValue: 'merged'
+    },
+    mergedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    undoUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    undoneAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    undoneBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'LeadMerges',
+    indexes: [
+      {
+        fields: ['tenantId', 'survivorId']
+      },
+      {
+        fields: ['mergedLeadId']
+      }
+    ]
+  });
+
+  return { LeadMerge };
+};
@@ -1,4 +1,5 @@
 const { DataTypes } = require('sequelize');
+const eventBus = require('./event-bus');
 // shared/lead-models.js
 // Fixed models with proper CallLog definition
 
@@ -144,6 +145,20 @@ module.exports = function(sequelize) {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Contact policy hold set by the dialer worker (column shared with the worker's Lead model)
+    deferredUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Which outbound channel may work the lead (column shared with the worker's Lead model)
+    dialerAssignment: {
+      type: DataTypes.STRING,
+      defaultValue: 'auto_dialer',
+      allowNull: true,
+      validate: {
+        isIn: [['auto_dialer', 'journey_only', 'both', 'none']]
+      }
+    },
     convertedAt: {
       type: DataTypes.DATE,
       allowNull: true
@@ -180,6 +195,9 @@ module.exports = function(sequelize) {
     ]
   });
 
+  // Status and tag changes go out as lead events
+  eventBus.watchLeadModel(Lead);
+
   // FIXED CallLog Model - Removed problematic USING clause
   const CallLog = sequelize.define('CallLog', {
     tenantId: {
@@ -215,6 +233,15 @@ module.exports = function(sequelize) {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // TransferNumber/TransferGroup the call was routed to, when it went through a transfer group
+    transferNumberId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    transferGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     // FIXED: Proper enum definition without USING clause
     callDirection: {
       type: DataTypes.ENUM('inbound', 'outbound'),
@@ -222,7 +249,7 @@ module.exports = function(sequelize) {
       defaultValue: 'outbound'
     },
     status: {
-      type: DataTypes.ENUM('initiated', 'ringing', 'answered', 'completed', 'failed', 'busy', 'no_answer', 'transferred'),
+      type: DataTypes.ENUM('initiated', 'ringing', 'answered', 'completed', 'failed', 'busy', 'no_answer', 'transferred', 'voicemail'),
       defaultValue: 'initiated'
     },
     startTime: {
@@ -252,6 +279,15 @@ module.exports = function(sequelize) {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // Answering-machine detection result: machine, human, notsure or hangup
+    amdStatus: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    amdCause: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
     recording: {
       type: DataTypes.STRING,
       allowNull: true
@@ -0,0 +1,238 @@
+// shared/lead-recycling-service.js
+// Returns leads to the dialable pool after unsuccessful calls, following the tenant recycle rules
+
+const moment = require('moment-timezone');
+const { Op } = require('sequelize');
+
+// Call outcomes that can be retried; any other outcome ends the lead's time in the dialer pool
+const RECYCLABLE_OUTCOMES = ['busy', 'no_answer', 'failed', 'voicemail'];
+
+const DEFAULT_RECYCLING = {
+  enabled: true,
+  // Minutes to wait before redialing, by the outcome of the last call. null stops recycling for that outcome
+  retryDelays: {
+    busy: 30,
+    no_answer: 120,
+    failed: 240,
+    voicemail: 1440
+  },
+  maxAttempts: 6,       // dialer + journey calls counted on Lead.attempts
+  dailyLimit: 3,        // calls per lead per tenant-local day
+  lifetimeLimit: 10     // calls per lead in CallLog, including calls made before the lead was re-imported
+};
+
+class LeadRecyclingService {
+  constructor(models) {
+    this.models = models;
+  }
+
+  /**
+   * Resolve recycle rules for a lead: tenant defaults, then brand, then source overrides
+   */
+  getConfig(tenant, lead = null) {
+    const config = (tenant && tenant.dialerConfig && tenant.dialerConfig.recycling) || {};
+    const layers = [config];
+
+    if (lead && lead.brand && config.brands && config.brands[lead.brand]) {
+      layers.push(config.brands[lead.brand]);
+    }
+    if (lead && lead.source && config.sources && config.sources[lead.source]) {
+      layers.push(config.sources[lead.source]);
+    }
+
+    return layers.reduce((resolved, layer) => ({
+      enabled: layer.enabled !== undefined ? layer.enabled !== false : resolved.enabled,
+      retryDelays: { ...resolved.retryDelays, ...(layer.retryDelays || {}) },
+      maxAttempts: layer.maxAttempts !== undefined ? layer.maxAttempts : resolved.maxAttempts,
+      dailyLimit: layer.dailyLimit !== undefined ? layer.dailyLimit : resolved.dailyLimit,
+      lifetimeLimit: layer.lifetimeLimit !== undefined ? layer.lifetimeLimit : resolved.lifetimeLimit
+    }), { ...DEFAULT_RECYCLING, retryDelays: { ...DEFAULT_RECYCLING.retryDelays } });
+  }
+
+  /**
+   * Shortest retry delay any rule allows, used to narrow the dialer query before per-lead checks
+   */
+  getMinimumDelay(tenant) {
+    const config = (tenant && tenant.dialerConfig && tenant.dialerConfig.recycling) || {};
+    const overrides = [
+      ...Object.values(config.brands || {}),
+      ...Object.values(config.sources || {})
+    ];
+
+    const delays = [this.getConfig(tenant), ...overrides]
+      .map(layer => Object.values(layer.retryDelays || {}))
+      .reduce((all, values) => all.concat(values), [])
+      .filter(delay => typeof delay === 'number' && delay >= 0);
+
+    return delays.length > 0 ? Math.min(...delays) : 0;
+  }
+
+  /**
+   * Map a CallLog status to a recycle outcome, or null when the call should not be retried
+   */
+  getOutcome(status) {
+    return RECYCLABLE_OUTCOMES.includes(status) ? status : null;
+  }
+
+  /**
+   * Call counts and the last call for each lead, with "today" in the tenant time zone
+   */
+  async getAttemptHistory(tenant, leadIds) {
+    const history = new Map();
+    if (leadIds.length === 0) return history;
+
+    try {
+      const timezone = tenant.timezone || 'America/Los_Angeles';
+      const startOfDay = moment().tz(timezone).startOf('day').toDate();
+
+      const calls = await this.models.CallLog.findAll({
+        where: {
+          tenantId: tenant.id.toString(),
+          leadId: { [Op.in]: leadIds }
+        },
+        attributes: ['leadId', 'status', 'startTime', 'endTime'],
+        order: [['startTime', 'DESC']],
+        raw: true
+      });
+
+      for (const call of calls) {
+        let entry = history.get(call.leadId);
+        if (!entry) {
+          entry = { total: 0, today: 0, lastCall: call };
+          history.set(call.leadId, entry);
+        }
+
+        entry.total++;
+        if (new Date(call.startTime) >= startOfDay) {
+          entry.today++;
+        }
+      }
+
+      return history;
+    } catch (error) {
+      console.error('Error loading lead attempt history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a pending lead may be dialed now
+   */
+  evaluateLead(lead, config, history, now = new Date()) {
+    const stats = history || { total: 0, today: 0, lastCall: null };
+
+    if (lead.attempts >= config.maxAttempts) {
+      return { dialable: false, exhausted: true, reason: 'max_attempts' };
+    }
+
+    if (config.lifetimeLimit && stats.total >= config.lifetimeLimit) {
+      return { dialable: false, exhausted: true, reason: 'lifetime_limit' };
+    }
+
+    if (config.dailyLimit && stats.today >= config.dailyLimit) {
+      return { dialable: false, reason: 'daily_limit' };
+    }
+
+    const lastCall = stats.lastCall;
+    if (!lastCall) {
+      return { dialable: true };
+    }
+
+    // A call that has not ended yet is still in flight
+    if (!lastCall.endTime) {
+      return { dialable: false, reason: 'in_progress' };
+    }
+
+    const outcome = this.getOutcome(lastCall.status);
+    const delay = outcome ? config.retryDelays[outcome] : null;
+
+    if (delay === null || delay === undefined) {
+      return { dialable: false, reason: 'not_recyclable' };
+    }
+
+    const nextAttemptAt = new Date(new Date(lastCall.endTime).getTime() + delay * 60 * 1000);
+    if (nextAttemptAt > now) {
+      return { dialable: false, reason: 'retry_delay', nextAttemptAt };
+    }
+
+    return { dialable: true };
+  }
+
+  /**
+   * Split dialer candidates into leads that can be dialed now and the reasons the rest were held back
+   */
+  async filterDialableLeads(tenant, leads) {
+    const history = await this.getAttemptHistory(tenant, leads.map(lead => lead.id));
+    const dialable = [];
+    const exhausted = [];
+    const skipped = {};
+
+    for (const lead of leads) {
+      const result = this.evaluateLead(lead, this.getConfig(tenant, lead), history.get(lead.id));
+
+      if (result.dialable) {
+        dialable.push(lead);
+      } else {
+        skipped[result.reason] = (skipped[result.reason] || 0) + 1;
+        if (result.exhausted) {
+          exhausted.push(lead);
+        }
+      }
+    }
+
+    // Leads past their attempt caps leave the pool for good
+    if (exhausted.length > 0) {
+      await this.models.Lead.update(
+        { status: 'failed' },
+        { where: { id: { [Op.in]: exhausted.map(lead => lead.id) }, status: 'pending' } }
+      );
+    }
+
+    return { dialable, skipped };
+  }
+
+  /**
+   * Set the lead's status once its call has ended: recycled back to pending, retired or transferred
+   */
+  async applyCallOutcome(callLogId, outcome) {
+    try {
+      const call = await this.models.CallLog.findByPk(callLogId);
+      if (!call || !call.leadId) return null;
+
+      const lead = await this.models.Lead.findByPk(call.leadId);
+      // Only leads still marked as being called are moved; DNC and manual status changes win
+      if (!lead || lead.status !== 'contacted') return null;
+
+      if (outcome === 'transferred') {
+        await lead.update({ status: 'transferred' });
+        return 'transferred';
+      }
+
+      const recycleOutcome = this.getOutcome(outcome);
+      if (!recycleOutcome) return null;
+
+      const tenant = await this.models.Tenant.findByPk(call.tenantId);
+      const config = this.getConfig(tenant, lead);
+      if (!config.enabled) return null;
+
+      const history = await this.getAttemptHistory(tenant, [lead.id]);
+      const stats = history.get(lead.id) || { total: 0, today: 0 };
+      const delay = config.retryDelays[recycleOutcome];
+
+      const exhausted = lead.attempts >= config.maxAttempts ||
+        (config.lifetimeLimit && stats.total >= config.lifetimeLimit) ||
+        delay === null || delay === undefined;
+
+      const status = exhausted ? 'failed' : 'pending';
+      await lead.update({ status });
+
+      console.log(`♻️ Lead ${lead.id} ${exhausted ? 'retired' : 'recycled'} after ${recycleOutcome} (attempt ${lead.attempts})`);
+      return status;
+    } catch (error) {
+      console.error('Error applying recycle rules:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LeadRecyclingService;
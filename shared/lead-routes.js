@@ -59,8 +59,63 @@ module.exports = function(app, sequelize, authenticateToken) {
       }));
       const valid = leads.filter(l => l.phone);
       if (valid.length === 0) return res.status(400).json({ error: 'No valid leads found' });
-      await service.importLeads(tenantId, valid);
-      res.status(201).json({ message: `${valid.length} leads imported successfully` });
+      const result = await service.importLeads(tenantId, valid, {
+        source: 'csv_upload',
+        mergedBy: req.user.username || String(req.user.id)
+      });
+      res.status(201).json({
+        message: `${result.created} leads imported successfully, ${result.merged + result.skipped} duplicates, ${result.rejected} rejected`,
+        ...result
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Groups of leads sharing a phone number or email
+  router.get('/leads/duplicates', authenticateToken, async (req, res) => {
+    try {
+      const groups = await service.findDuplicates(req.user.tenantId, req.query);
+      res.json({ groups });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Undo a merge within its undo window
+  router.post('/leads/merges/:mergeId/undo', authenticateToken, async (req, res) => {
+    try {
+      const { merge, restored, keptFields } = await service.undoMerge(
+        req.params.mergeId,
+        req.user.tenantId,
+        req.user.username || String(req.user.id)
+      );
+      res.json({ message: 'Merge undone', merge, lead: restored, keptFields });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Merge duplicate leads into this one
+  router.post('/leads/:id/merge', authenticateToken, async (req, res) => {
+    try {
+      const { leadIds, defaultPrecedence, fieldPrecedence } = req.body;
+      const { survivor, merges } = await service.mergeLeads(req.params.id, req.user.tenantId, leadIds, {
+        defaultPrecedence,
+        fieldPrecedence,
+        mergedBy: req.user.username || String(req.user.id)
+      });
+      res.json({ message: `Merged ${merges.length} leads`, lead: survivor, merges });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Merge history for a lead
+  router.get('/leads/:id/merges', authenticateToken, async (req, res) => {
+    try {
+      const merges = await service.getMergeHistory(req.params.id, req.user.tenantId);
+      res.json({ merges });
     } catch (err) {
       res.status(400).json({ error: err.message });
     }
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+// shared/lead-score-models.js
+// Lead score history: one row each time a lead's score is recomputed and changes
+
+module.exports = function(sequelize) {
+  if (sequelize.models.LeadScoreHistory) {
+    return { LeadScoreHistory: sequelize.models.LeadScoreHistory };
+  }
+
+  const LeadScoreHistory = sequelize.define('LeadScoreHistory', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    score: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    previousScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // What caused the recompute: call_outcome, sms_reply, stage_change, enrichment, nightly, manual...
+    trigger: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Points per component: { base, source, brand, stage, enrichment, sms, calls, talkTime, recency }
+    breakdown: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'LeadScoreHistories',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['leadId', 'createdAt']
+      },
+      {
+        fields: ['tenantId']
+      }
+    ]
+  });
+
+  return { LeadScoreHistory };
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const LeadScoringService = require('./lead-scoring-service');
+
+// shared/lead-scoring-routes.js
+// Lead score breakdowns, score history and on-demand rescoring
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const { Lead, CallLog } = require('./lead-models')(sequelize);
+  const scoreModels = require('./lead-score-models')(sequelize);
+  const service = new LeadScoringService({
+    ...scoreModels,
+    Lead,
+    CallLog,
+    Tenant: sequelize.models.Tenant
+  });
+
+  // Tenant scoring rules with defaults filled in
+  router.get('/lead-scoring/config', authenticateToken, async (req, res) => {
+    try {
+      const tenant = await service.getTenant(req.user.tenantId);
+      res.json(service.getConfig(tenant));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Rescore every lead of the tenant, e.g. after changing the rules
+  router.post('/lead-scoring/recompute', authenticateToken, async (req, res) => {
+    try {
+      service.scoreTenant(req.user.tenantId, 'manual')
+        .catch(error => console.error(`Lead rescoring for tenant ${req.user.tenantId} failed:`, error));
+      res.status(202).json({ message: 'Rescoring started' });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // How a lead's score is made up right now
+  router.get('/leads/:id/score', authenticateToken, async (req, res) => {
+    try {
+      const score = await service.explainScore(req.params.id, req.user.tenantId);
+      res.json(score);
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  });
+
+  // Recompute and save a lead's score
+  router.post('/leads/:id/score', authenticateToken, async (req, res) => {
+    try {
+      const result = await service.scoreLead(req.params.id, 'manual', req.user.tenantId);
+      if (!result) {
+        return res.status(400).json({ error: 'Lead not found or lead scoring is disabled' });
+      }
+      res.json(result);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/leads/:id/score-history', authenticateToken, async (req, res) => {
+    try {
+      const history = await service.getHistory(req.params.id, req.user.tenantId, req.query.limit);
+      res.json(history);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+
+  return { router, service, models: scoreModels };
+};
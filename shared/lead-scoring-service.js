@@ -0,0 +1,374 @@
+// shared/lead-scoring-service.js
+// Rule-based lead scoring. Points come from the tenant's dialerConfig.leadScoring rules and are
+// recomputed when a call ends, an SMS reply arrives, the stage changes or enrichment lands, plus nightly
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const initLeadScoreModels = require('./lead-score-models');
+
+// Off until a tenant opts in, so turning it on is what first rescores its leads and changes the score dial order
+const DEFAULT_SCORING = {
+  enabled: false,
+  baseScore: 10,
+  minScore: 0,
+  maxScore: 100,
+  sources: {},                     // { "facebook": 10 }
+  brands: {},                      // { "BrandA": 5 }
+  stages: {},                      // { "<stageId>": 20 } points while the lead is in that stage
+  enrichment: {
+    enriched: 10,
+    noData: -5,
+    minConfidence: 0.5,
+    fields: { email: 5, 'demographics.addresses': 5, 'demographics.age': 2 }
+  },
+  smsReplies: { pointsPerReply: 10, max: 30 },
+  callOutcomes: {
+    points: { answered: 5, connected: 5, completed: 5, transferred: 25, voicemail: -2, no_answer: -3, busy: -2, failed: -5 },
+    min: -30,
+    max: 40
+  },
+  talkTime: { pointsPerMinute: 2, max: 20 },
+  recency: { graceDays: 7, pointsPerDay: 1, maxPenalty: 30 }
+};
+
+// Call statuses where duration is talk time when talkDuration was not tracked
+const TALK_STATUSES = ['answered', 'connected', 'completed', 'transferred'];
+const BATCH_SIZE = 500;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// A value from a nested object by dotted path; objects count as set when any of their values is set
+function hasValue(source, path) {
+  const value = path.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), source);
+  if (value && typeof value === 'object') {
+    return Object.values(value).some(Boolean);
+  }
+  return !!value;
+}
+
+class LeadScoringService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Lead ? models.Lead.sequelize : null;
+    this.tableCache = new Map();
+
+    if (this.sequelize && !models.LeadScoreHistory) {
+      this.models = { ...models, ...initLeadScoreModels(this.sequelize) };
+    }
+  }
+
+  /**
+   * A model by name, falling back to whatever is defined on the connection
+   */
+  getModel(name) {
+    return this.models[name] || (this.sequelize && this.sequelize.models[name]) || null;
+  }
+
+  /**
+   * Scoring rules from tenant dialerConfig.leadScoring over the defaults
+   */
+  getConfig(tenant) {
+    const tenantConfig = (tenant && tenant.dialerConfig && tenant.dialerConfig.leadScoring) || {};
+    const config = { ...DEFAULT_SCORING, ...tenantConfig };
+
+    for (const key of ['enrichment', 'smsReplies', 'callOutcomes', 'talkTime', 'recency']) {
+      config[key] = { ...DEFAULT_SCORING[key], ...(tenantConfig[key] || {}) };
+    }
+    config.enrichment.fields = { ...DEFAULT_SCORING.enrichment.fields, ...((tenantConfig.enrichment || {}).fields || {}) };
+    config.callOutcomes.points = { ...DEFAULT_SCORING.callOutcomes.points, ...((tenantConfig.callOutcomes || {}).points || {}) };
+
+    return config;
+  }
+
+  async getTenant(tenantId) {
+    const Tenant = this.getModel('Tenant');
+    return Tenant ? Tenant.findByPk(tenantId.toString()) : null;
+  }
+
+  async tableExists(tableName) {
+    if (!this.tableCache.has(tableName)) {
+      const [row] = await this.sequelize.query('SELECT to_regclass(:tableName) AS "table"', {
+        replacements: { tableName: `"${tableName}"` },
+        type: this.sequelize.QueryTypes.SELECT
+      });
+      this.tableCache.set(tableName, !!(row && row.table));
+    }
+    return this.tableCache.get(tableName);
+  }
+
+  /**
+   * Call, SMS and enrichment activity for a batch of leads, keyed by lead id
+   */
+  async gatherSignals(leadIds) {
+    const signals = new Map(leadIds.map(id => [id, { calls: {}, talkSeconds: 0, smsReplies: 0, lastReplyAt: null, enrichment: null }]));
+    if (leadIds.length === 0) return signals;
+
+    const replacements = { leadIds, talkStatuses: TALK_STATUSES };
+    const select = { replacements, type: this.sequelize.QueryTypes.SELECT };
+
+    const calls = await this.sequelize.query(`
+      SELECT "leadId", status, COUNT(*)::int AS count,
+        COALESCE(SUM(COALESCE("talkDuration", CASE WHEN status::text IN (:talkStatuses) THEN duration END, 0)), 0)::int AS "talkSeconds"
+      FROM "CallLogs"
+      WHERE "leadId" IN (:leadIds)
+      GROUP BY "leadId", status
+    `, select);
+
+    for (const row of calls) {
+      const signal = signals.get(row.leadId);
+      if (!signal) continue;
+      signal.calls[row.status] = row.count;
+      signal.talkSeconds += row.talkSeconds;
+    }
+
+    if (await this.tableExists('SmsMessages')) {
+      const replies = await this.sequelize.query(`
+        SELECT "leadId", COUNT(*)::int AS count, MAX("createdAt") AS "lastReplyAt"
+        FROM "SmsMessages"
+        WHERE "leadId" IN (:leadIds) AND direction = 'inbound'
+        GROUP BY "leadId"
+      `, select);
+
+      for (const row of replies) {
+        const signal = signals.get(row.leadId);
+        if (!signal) continue;
+        signal.smsReplies = row.count;
+        signal.lastReplyAt = row.lastReplyAt;
+      }
+    }
+
+    if (await this.tableExists('LeadEnrichments')) {
+      const enrichments = await this.sequelize.query(`
+        SELECT "leadId", status, confidence, "enrichedFields"
+        FROM "LeadEnrichments"
+        WHERE "leadId" IN (:leadIds)
+      `, select);
+
+      for (const row of enrichments) {
+        const signal = signals.get(row.leadId);
+        if (signal) signal.enrichment = row;
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Score a lead from its own fields and activity. Returns { score, breakdown }
+   */
+  computeScore(lead, signal, config) {
+    const breakdown = { base: config.baseScore || 0 };
+
+    breakdown.source = Number(config.sources[lead.source]) || 0;
+    breakdown.brand = Number(config.brands[lead.brand]) || 0;
+    breakdown.stage = lead.stageId ? Number(config.stages[lead.stageId]) || 0 : 0;
+
+    // Enrichment
+    breakdown.enrichment = 0;
+    const enrichment = signal.enrichment;
+    if (enrichment && enrichment.status === 'enriched') {
+      const confidence = enrichment.confidence === null ? 1 : parseFloat(enrichment.confidence);
+      if (confidence >= config.enrichment.minConfidence) {
+        breakdown.enrichment = config.enrichment.enriched || 0;
+        for (const [field, points] of Object.entries(config.enrichment.fields)) {
+          if (hasValue(enrichment.enrichedFields || {}, field)) {
+            breakdown.enrichment += Number(points) || 0;
+          }
+        }
+      }
+    } else if (enrichment && enrichment.status === 'no_data') {
+      breakdown.enrichment = config.enrichment.noData || 0;
+    }
+
+    // SMS replies
+    breakdown.sms = Math.min(signal.smsReplies * config.smsReplies.pointsPerReply, config.smsReplies.max);
+
+    // Call outcomes and talk time
+    const callPoints = Object.entries(signal.calls)
+      .reduce((sum, [status, count]) => sum + (Number(config.callOutcomes.points[status]) || 0) * count, 0);
+    breakdown.calls = clamp(callPoints, config.callOutcomes.min, config.callOutcomes.max);
+    breakdown.talkTime = Math.min(
+      Math.floor((signal.talkSeconds / 60) * config.talkTime.pointsPerMinute),
+      config.talkTime.max
+    );
+
+    // Recency decay from the last time the lead was reached or replied
+    const lastActivity = [lead.lastContact, signal.lastReplyAt, lead.createdAt]
+      .filter(Boolean)
+      .map(date => new Date(date).getTime())
+      .reduce((latest, time) => Math.max(latest, time), 0);
+    const idleDays = lastActivity ? moment().diff(moment(lastActivity), 'days') : 0;
+    breakdown.recency = 0 - Math.min(
+      Math.max(idleDays - config.recency.graceDays, 0) * config.recency.pointsPerDay,
+      config.recency.maxPenalty
+    );
+
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return {
+      score: Math.round(clamp(total, config.minScore, config.maxScore)),
+      breakdown
+    };
+  }
+
+  /**
+   * Recompute and save scores for leads of one tenant. History is only written when a score changes
+   */
+  async scoreLeads(leads, config, trigger) {
+    const signals = await this.gatherSignals(leads.map(lead => lead.id));
+    const results = [];
+
+    for (const lead of leads) {
+      const { score, breakdown } = this.computeScore(lead, signals.get(lead.id), config);
+      const previousScore = lead.leadScore === undefined ? null : lead.leadScore;
+      const changed = score !== previousScore;
+
+      if (changed) {
+        await this.getModel('Lead').update({ leadScore: score }, { where: { id: lead.id } });
+        await this.models.LeadScoreHistory.create({
+          tenantId: lead.tenantId,
+          leadId: lead.id,
+          score,
+          previousScore,
+          trigger,
+          breakdown
+        });
+      }
+
+      results.push({ leadId: lead.id, score, previousScore, changed, breakdown });
+    }
+
+    return results;
+  }
+
+  /**
+   * Recompute one lead's score. Returns null when the lead is not found or scoring is disabled for its tenant
+   */
+  async scoreLead(leadId, trigger = 'manual', tenantId = null) {
+    try {
+      const where = { id: leadId };
+      if (tenantId) where.tenantId = tenantId.toString();
+
+      const lead = await this.getModel('Lead').findOne({ where });
+      if (!lead) return null;
+
+      const config = this.getConfig(await this.getTenant(lead.tenantId));
+      if (!config.enabled) return null;
+
+      const [result] = await this.scoreLeads([lead], config, trigger);
+      return result;
+    } catch (error) {
+      console.error('Error scoring lead:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Event hook: rescore without making the caller wait or fail
+   */
+  rescore(leadId, trigger) {
+    if (!leadId || !this.sequelize) return;
+    this.scoreLead(leadId, trigger).catch(error => {
+      console.error(`Error rescoring lead ${leadId} after ${trigger}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Rescore several leads one after another, e.g. after a bulk stage change
+   */
+  rescoreMany(leadIds, trigger) {
+    if (!this.sequelize || leadIds.length === 0) return;
+    (async () => {
+      for (const leadId of leadIds) {
+        await this.scoreLead(leadId, trigger);
+      }
+    })().catch(error => console.error(`Error rescoring leads after ${trigger}: ${error.message}`));
+  }
+
+  /**
+   * Rescore the lead a finished call belongs to
+   */
+  async scoreCallLead(callLogId) {
+    const call = await this.getModel('CallLog').findByPk(callLogId);
+    if (!call || !call.leadId) return null;
+    return this.scoreLead(call.leadId, 'call_outcome');
+  }
+
+  /**
+   * Rescore every lead of a tenant in id batches
+   */
+  async scoreTenant(tenantId, trigger = 'nightly') {
+    try {
+      const config = this.getConfig(await this.getTenant(tenantId));
+      if (!config.enabled) return { tenantId, scored: 0, changed: 0 };
+
+      let lastId = 0;
+      let scored = 0;
+      let changed = 0;
+
+      while (true) {
+        const leads = await this.getModel('Lead').findAll({
+          where: { tenantId: tenantId.toString(), id: { [Op.gt]: lastId } },
+          order: [['id', 'ASC']],
+          limit: BATCH_SIZE
+        });
+        if (leads.length === 0) break;
+
+        const results = await this.scoreLeads(leads, config, trigger);
+        scored += results.length;
+        changed += results.filter(result => result.changed).length;
+        lastId = leads[leads.length - 1].id;
+      }
+
+      console.log(`📈 Scored ${scored} leads for tenant ${tenantId} (${changed} changed)`);
+      return { tenantId, scored, changed };
+    } catch (error) {
+      console.error('Error scoring tenant leads:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Nightly batch: recency decay only moves scores when they are recomputed
+   */
+  async scoreAllTenants() {
+    const tenants = await this.getModel('Tenant').findAll();
+    const results = [];
+
+    for (const tenant of tenants) {
+      if (!this.getConfig(tenant).enabled) continue;
+      try {
+        results.push(await this.scoreTenant(tenant.id, 'nightly'));
+      } catch (error) {
+        console.error(`Error scoring leads for tenant ${tenant.id}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Current score breakdown without saving anything
+   */
+  async explainScore(leadId, tenantId) {
+    const lead = await this.getModel('Lead').findOne({ where: { id: leadId, tenantId: tenantId.toString() } });
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
+
+    const config = this.getConfig(await this.getTenant(tenantId));
+    const signals = await this.gatherSignals([lead.id]);
+    return { leadId: lead.id, savedScore: lead.leadScore, ...this.computeScore(lead, signals.get(lead.id), config) };
+  }
+
+  async getHistory(leadId, tenantId, limit = 50) {
+    return this.models.LeadScoreHistory.findAll({
+      where: { leadId, tenantId: tenantId.toString() },
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+  }
+}
+
+module.exports = LeadScoringService;
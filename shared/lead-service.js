@@ -1,8 +1,10 @@
 const { Op } = require('sequelize');
+const LeadIntakeService = require('./lead-intake-service');
 
 class LeadService {
   constructor(models) {
     this.models = models;
+    this.intakeService = new LeadIntakeService(models);
   }
 
   async updateDialerAssignment(id, tenantId, dialerAssignment) {
@@ -35,8 +37,38 @@ class LeadService {
     });
   }
 
-  async importLeads(tenantId, leads) {
-    return this.models.Lead.bulkCreate(leads);
+  async importLeads(tenantId, leads, options = {}) {
+    return this.intakeService.intakeLeads(tenantId, leads, options);
+  }
+
+  async findDuplicates(tenantId, query) {
+    return this.intakeService.findDuplicateGroups(tenantId, {
+      limit: query.limit || 100,
+      matchOn: query.matchOn ? query.matchOn.split(',') : undefined
+    });
+  }
+
+  async mergeLeads(survivorId, tenantId, leadIds, options = {}) {
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      throw new Error('leadIds must be a non-empty array');
+    }
+
+    const merges = [];
+    let survivor = null;
+    for (const leadId of leadIds) {
+      const result = await this.intakeService.mergeLeads(tenantId, survivorId, leadId, options);
+      survivor = result.survivor;
+      merges.push(result.merge);
+    }
+    return { survivor, merges };
+  }
+
+  async getMergeHistory(id, tenantId) {
+    return this.intakeService.getMergeHistory(tenantId, id);
+  }
+
+  async undoMerge(mergeId, tenantId, undoneBy) {
+    return this.intakeService.undoMerge(mergeId, tenantId, undoneBy);
   }
 
   async getLead(id, tenantId) {
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+// shared/lead-stage-history-models.js
+// One row per stay of a lead in a stage; exitedAt is null while the lead is still there
+
+module.exports = function(sequelize) {
+  if (sequelize.models.LeadStageHistory) {
+    return { LeadStageHistory: sequelize.models.LeadStageHistory };
+  }
+
+  const LeadStageHistory = sequelize.define('LeadStageHistory', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    stageId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    previousStageId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    enteredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    exitedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // manual, bulk, catalyst, segment, import, or backfill for leads already in a stage before history existed
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    // Event that fired the catalyst: call_outcome, sms_reply, webhook, journey, time_in_stage
+    trigger: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    catalyst: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    changedBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'LeadStageHistories',
+    indexes: [
+      {
+        fields: ['leadId', 'exitedAt']
+      },
+      {
+        fields: ['tenantId', 'stageId', 'enteredAt']
+      }
+    ]
+  });
+
+  return { LeadStageHistory };
+};
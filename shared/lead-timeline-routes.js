@@ -0,0 +1,31 @@
+const express = require('express');
+const LeadTimelineService = require('./lead-timeline-service');
+
+// shared/lead-timeline-routes.js
+// Unified activity feed for a single lead
+
+module.exports = function(app, sequelize, authenticateToken) {
+  const router = express.Router();
+  const { Lead } = require('./lead-models')(sequelize);
+  const service = new LeadTimelineService({ Lead });
+
+  // Newest first. Filter with types=call,sms and from/to; page with the returned nextCursor
+  router.get('/leads/:id/timeline', authenticateToken, async (req, res) => {
+    try {
+      const timeline = await service.getTimeline(req.params.id, req.user.tenantId, {
+        types: req.query.types,
+        from: req.query.from,
+        to: req.query.to,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json(timeline);
+    } catch (err) {
+      res.status(err.message === 'Lead not found' ? 404 : 400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+
+  return { router, service };
+};
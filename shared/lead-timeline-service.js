@@ -0,0 +1,447 @@
+// shared/lead-timeline-service.js
+// One chronological activity feed per lead, merged from calls, SMS, emails, journeys, stage changes,
+// webhooks, pause/resume states and enrichment lookups
+
+const LeadIntakeService = require('./lead-intake-service');
+
+const EVENT_TYPES = ['call', 'sms', 'email', 'journey', 'stage', 'webhook', 'pause', 'enrichment'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// The sms-blaster keeps no tenant on its contacts; it sends for this one tenant only
+const SMS_BLASTER_TENANT_ID = process.env.SMS_BLASTER_TENANT_ID || null;
+
+class LeadTimelineService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Lead ? models.Lead.sequelize : null;
+    this.tableCache = new Map();
+    this.intakeService = new LeadIntakeService(models);
+  }
+
+  async tableExists(tableName) {
+    if (!this.tableCache.has(tableName)) {
+      const [row] = await this.sequelize.query('SELECT to_regclass(:tableName) AS "table"', {
+        replacements: { tableName: `"${tableName}"` },
+        type: this.sequelize.QueryTypes.SELECT
+      });
+      this.tableCache.set(tableName, !!(row && row.table));
+    }
+    return this.tableCache.get(tableName);
+  }
+
+  /**
+   * Cursors are the time and id of the last event on the previous page
+   */
+  encodeCursor(event) {
+    return Buffer.from(JSON.stringify({ at: event.occurredAt, id: event.id })).toString('base64');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+      const at = new Date(decoded.at);
+      if (isNaN(at.getTime()) || typeof decoded.id !== 'string') throw new Error();
+      return { at, id: decoded.id };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  parseTypes(types) {
+    if (!types) return EVENT_TYPES;
+
+    const list = (Array.isArray(types) ? types : types.toString().split(','))
+      .map(type => type.trim())
+      .filter(Boolean);
+    const unknown = list.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown timeline types: ${unknown.join(', ')}. Use ${EVENT_TYPES.join(', ')}`);
+    }
+    return list;
+  }
+
+  parseDate(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+  }
+
+  /**
+   * Get a page of a lead's timeline, newest first
+   */
+  async getTimeline(leadId, tenantId, options = {}) {
+    const lead = await this.models.Lead.findOne({
+      where: { id: leadId, tenantId: tenantId.toString() }
+    });
+    if (!lead) {
+      throw new Error('Lead not found');
+    }
+
+    const types = this.parseTypes(options.types);
+    const from = this.parseDate(options.from, 'from');
+    const to = this.parseDate(options.to, 'to');
+    const cursor = options.cursor ? this.decodeCursor(options.cursor) : null;
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    // Events at the cursor time are fetched again and dropped below, so ties across pages are kept
+    let before = to;
+    if (cursor && (!before || cursor.at < before)) {
+      before = cursor.at;
+    }
+
+    const query = {
+      lead,
+      tenantId: tenantId.toString(),
+      from,
+      before,
+      limit: limit + 1
+    };
+
+    const fetchers = {
+      call: () => this.fetchCalls(query),
+      sms: () => this.fetchSms(query),
+      email: () => this.fetchEmails(query),
+      journey: () => this.fetchJourneys(query),
+      stage: () => this.fetchStageChanges(query),
+      webhook: () => this.fetchWebhookEvents(query),
+      pause: () => this.fetchPauseStates(query),
+      enrichment: () => this.fetchEnrichment(query)
+    };
+
+    try {
+      const results = [];
+      for (const type of types) {
+        results.push(...await fetchers[type]());
+      }
+
+      const events = results
+        .filter(event => !cursor || this.compareEvents(event, cursor) > 0)
+        .sort((a, b) => this.compareEvents(a, b));
+
+      const page = events.slice(0, limit);
+      return {
+        leadId: lead.id,
+        types,
+        events: page,
+        nextCursor: events.length > limit ? this.encodeCursor(page[page.length - 1]) : null
+      };
+    } catch (error) {
+      console.error('Error building lead timeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Newest first, then by id so events at the same time keep a stable order
+   */
+  compareEvents(a, b) {
+    const aTime = new Date(a.occurredAt || a.at).getTime();
+    const bTime = new Date(b.occurredAt || b.at).getTime();
+    if (aTime !== bTime) return bTime - aTime;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+  }
+
+  /**
+   * Wrap a source query with the time window and page size. Each source selects an "at" column
+   */
+  async runSource(sql, query, replacements = {}) {
+    const conditions = ['at IS NOT NULL'];
+    if (query.from) conditions.push('at >= :from');
+    if (query.before) conditions.push('at <= :before');
+
+    return this.sequelize.query(`
+      SELECT * FROM (${sql}) events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY at DESC
+      LIMIT :limit
+    `, {
+      replacements: {
+        leadId: query.lead.id,
+        tenantId: query.tenantId,
+        from: query.from,
+        before: query.before,
+        limit: query.limit,
+        ...replacements
+      },
+      type: this.sequelize.QueryTypes.SELECT
+    });
+  }
+
+  event(type, id, at, title, details) {
+    return { id: `${type}:${id}`, type, occurredAt: new Date(at).toISOString(), title, details };
+  }
+
+  async fetchCalls(query) {
+    if (!await this.tableExists('CallLogs')) return [];
+
+    const rows = await this.runSource(`
+      SELECT id, COALESCE("startTime", "createdAt") AS at, "from", "to", status::text AS status,
+        duration, "talkDuration", "endTime", "recordingUrl", "transferNumber", "hangupCause"
+      FROM "CallLogs"
+      WHERE "leadId" = :leadId AND "tenantId" = :tenantId
+    `, query);
+
+    return rows.map(row => this.event('call', row.id, row.at, `Call ${row.status}`, {
+      callLogId: row.id,
+      from: row.from,
+      to: row.to,
+      status: row.status,
+      duration: row.duration,
+      talkDuration: row.talkDuration,
+      endTime: row.endTime,
+      recordingUrl: row.recordingUrl,
+      transferNumber: row.transferNumber,
+      hangupCause: row.hangupCause
+    }));
+  }
+
+  /**
+   * Twilio and Meera messages are linked to the lead; sms-blaster messages are matched by contact phone,
+   * for the sms-blaster's tenant only
+   */
+  async fetchSms(query) {
+    const events = [];
+
+    if (await this.tableExists('SmsMessages')) {
+      const rows = await this.runSource(`
+        SELECT id, "createdAt" AS at, direction::text AS direction, status::text AS status, body, "from", "to",
+          COALESCE(provider, 'twilio') AS provider
+        FROM "SmsMessages"
+        WHERE "leadId" = :leadId AND "tenantId" = :tenantId
+      `, query);
+
+      events.push(...rows.map(row => this.event('sms', row.id, row.at, row.direction === 'inbound' ? 'SMS received' : 'SMS sent', {
+        messageId: row.id,
+        provider: row.provider,
+        direction: row.direction,
+        status: row.status,
+        from: row.from,
+        to: row.to,
+        body: row.body
+      })));
+    }
+
+    const phone = this.intakeService.normalizePhone(query.lead.phone);
+    const blasterTenant = SMS_BLASTER_TENANT_ID && SMS_BLASTER_TENANT_ID.toString() === query.tenantId;
+    if (phone && blasterTenant && await this.tableExists('Messages') && await this.tableExists('Contacts')) {
+      const rows = await this.runSource(`
+        SELECT m.id, COALESCE(m."sentAt", m."createdAt") AS at, m.direction::text AS direction,
+          m.status::text AS status, m.content AS body, c.phone
+        FROM "Messages" m
+        JOIN "Contacts" c ON c.id = m."contactId"
+        WHERE c.phone IN (:phones)
+      `, query, { phones: this.intakeService.getPhoneVariants(phone) });
+
+      events.push(...rows.map(row => this.event('sms', `blaster:${row.id}`, row.at, row.direction === 'inbound' ? 'SMS received' : 'SMS sent', {
+        messageId: row.id,
+        provider: 'sms-blaster',
+        direction: row.direction,
+        status: row.status,
+        phone: row.phone,
+        body: row.body
+      })));
+    }
+
+    return events;
+  }
+
+  async fetchEmails(query) {
+    if (!await this.tableExists('TemplateUsages')) return [];
+
+    const rows = await this.runSource(`
+      SELECT u.id, u."createdAt" AS at, u."templateId", t.name AS "templateName", t.subject,
+        u."usedFor"::text AS "usedFor", u."renderedContent"
+      FROM "TemplateUsages" u
+      LEFT JOIN "Templates" t ON t.id = u."templateId"
+      WHERE u."tenantId" = :tenantId AND u."entityType" = 'email' AND u."entityId" = :leadId
+    `, query);
+
+    return rows.map(row => this.event('email', row.id, row.at, 'Email sent', {
+      templateId: row.templateId,
+      templateName: row.templateName,
+      subject: row.subject,
+      usedFor: row.usedFor,
+      content: row.renderedContent
+    }));
+  }
+
+  /**
+   * Enrollments, completions and exits, plus every step that ran
+   */
+  async fetchJourneys(query) {
+    if (!await this.tableExists('LeadJourneys')) return [];
+
+    const hasExecutions = await this.tableExists('JourneyExecutions');
+    const rows = await this.runSource(`
+      SELECT 'enrolled' AS kind, lj.id, lj."startedAt" AS at, lj."journeyId", j.name AS "journeyName",
+        lj.status::text AS status, NULL::integer AS "stepId", NULL AS "stepName", NULL AS "actionType",
+        NULL::jsonb AS result, NULL AS "errorMessage"
+      FROM "LeadJourneys" lj
+      LEFT JOIN "Journeys" j ON j.id = lj."journeyId"
+      WHERE lj."leadId" = :leadId AND lj."tenantId" = :tenantId
+      UNION ALL
+      SELECT 'ended', lj.id, lj."completedAt", lj."journeyId", j.name,
+        lj.status::text, NULL::integer, NULL, NULL, NULL::jsonb, NULL
+      FROM "LeadJourneys" lj
+      LEFT JOIN "Journeys" j ON j.id = lj."journeyId"
+      WHERE lj."leadId" = :leadId AND lj."tenantId" = :tenantId AND lj."completedAt" IS NOT NULL
+      ${hasExecutions ? `
+      UNION ALL
+      SELECT 'step', e.id, COALESCE(e."lastAttempt", e."updatedAt"), lj."journeyId", j.name,
+        e.status::text, e."stepId", s.name, s."actionType"::text, e.result::jsonb, e."errorMessage"
+      FROM "JourneyExecutions" e
+      JOIN "LeadJourneys" lj ON lj.id = e."leadJourneyId"
+      LEFT JOIN "Journeys" j ON j.id = lj."journeyId"
+      LEFT JOIN "JourneySteps" s ON s.id = e."stepId"
+      WHERE lj."leadId" = :leadId AND lj."tenantId" = :tenantId
+        AND e.status::text NOT IN ('pending', 'processing')` : ''}
+    `, query);
+
+    return rows.map(row => {
+      const journey = row.journeyName || `Journey ${row.journeyId}`;
+      const details = { journeyId: row.journeyId, journeyName: row.journeyName, status: row.status };
+
+      if (row.kind === 'step') {
+        return this.event('journey', `step:${row.id}`, row.at, `${row.stepName || 'Journey step'} ${row.status}`, {
+          ...details,
+          executionId: row.id,
+          stepId: row.stepId,
+          stepName: row.stepName,
+          actionType: row.actionType,
+          result: row.result,
+          errorMessage: row.errorMessage
+        });
+      }
+      if (row.kind === 'enrolled') {
+        return this.event('journey', `enrolled:${row.id}`, row.at, `Enrolled in ${journey}`, { ...details, leadJourneyId: row.id });
+      }
+      return this.event('journey', `ended:${row.id}`, row.at, `${journey} ${row.status}`, { ...details, leadJourneyId: row.id });
+    });
+  }
+
+  async fetchStageChanges(query) {
+    if (!await this.tableExists('LeadStageHistories')) return [];
+
+    // Backfilled rows only mark when history started, not a real move
+    const rows = await this.runSource(`
+      SELECT h.id, h."enteredAt" AS at, h."stageId", s.title AS "stageTitle", h."previousStageId",
+        ps.title AS "previousStageTitle", h."exitedAt", h.source, h.trigger, h."changedBy"
+      FROM "LeadStageHistories" h
+      LEFT JOIN "Stages" s ON s.id = h."stageId"
+      LEFT JOIN "Stages" ps ON ps.id = h."previousStageId"
+      WHERE h."leadId" = :leadId AND h."tenantId" = :tenantId AND h.source <> 'backfill'
+    `, query);
+
+    return rows.map(row => this.event('stage', row.id, row.at, `Moved to ${row.stageTitle || `stage ${row.stageId}`}`, {
+      stageId: row.stageId,
+      stageTitle: row.stageTitle,
+      previousStageId: row.previousStageId,
+      previousStageTitle: row.previousStageTitle,
+      exitedAt: row.exitedAt,
+      source: row.source,
+      trigger: row.trigger,
+      changedBy: row.changedBy
+    }));
+  }
+
+  async fetchWebhookEvents(query) {
+    if (!await this.tableExists('WebhookEvents')) return [];
+
+    const rows = await this.runSource(`
+      SELECT ev.id, COALESCE(ev."receivedAt", ev."createdAt") AS at, ev."webhookEndpointId",
+        ep.name AS "webhookName", ep."webhookType"::text AS "webhookType", ev.status::text AS status,
+        ev."errorMessage", (:leadId = ANY(ev."createdLeadIds")) AS "createdLead"
+      FROM "WebhookEvents" ev
+      JOIN "WebhookEndpoints" ep ON ep.id = ev."webhookEndpointId"
+      WHERE ep."tenantId" = :tenantId
+        AND (:leadId = ANY(ev."createdLeadIds") OR :leadId = ANY(ev."affectedLeadIds"))
+    `, query);
+
+    return rows.map(row => this.event('webhook', row.id, row.at,
+      row.createdLead ? `Created by webhook ${row.webhookName}` : `Webhook ${row.webhookName}`, {
+        webhookEventId: row.id,
+        webhookEndpointId: row.webhookEndpointId,
+        webhookName: row.webhookName,
+        webhookType: row.webhookType,
+        status: row.status,
+        createdLead: row.createdLead,
+        errorMessage: row.errorMessage
+      }));
+  }
+
+  /**
+   * Each pause state gives a paused event, and a resumed event once it is lifted
+   */
+  async fetchPauseStates(query) {
+    if (!await this.tableExists('LeadPauseStates')) return [];
+
+    const rows = await this.runSource(`
+      SELECT 'paused' AS kind, id, "pausedAt" AS at, "webhookEndpointId", "pauseReason" AS reason,
+        "scheduledResumeAt"
+      FROM "LeadPauseStates"
+      WHERE "leadId" = :leadId
+      UNION ALL
+      SELECT 'resumed', id, "resumedAt", "webhookEndpointId", "resumeReason", "scheduledResumeAt"
+      FROM "LeadPauseStates"
+      WHERE "leadId" = :leadId AND "resumedAt" IS NOT NULL
+    `, query);
+
+    return rows.map(row => this.event('pause', `${row.kind}:${row.id}`, row.at, row.kind === 'paused' ? 'Paused' : 'Resumed', {
+      pauseStateId: row.id,
+      action: row.kind,
+      webhookEndpointId: row.webhookEndpointId,
+      reason: row.reason,
+      scheduledResumeAt: row.kind === 'paused' ? row.scheduledResumeAt : undefined
+    }));
+  }
+
+  /**
+   * Tracers lookups for the lead, and the enrichment saved from them
+   */
+  async fetchEnrichment(query) {
+    const events = [];
+
+    if (await this.tableExists('TracersSearches')) {
+      const rows = await this.runSource(`
+        SELECT id, "createdAt" AS at, "searchType"::text AS "searchType", status::text AS status,
+          "resultCount", "cacheHit", "errorMessage"
+        FROM "TracersSearches"
+        WHERE "leadId" = :leadId AND "tenantId" = :tenantId
+      `, query);
+
+      events.push(...rows.map(row => this.event('enrichment', `search:${row.id}`, row.at, `Tracers ${row.searchType} lookup ${row.status}`, {
+        searchId: row.id,
+        searchType: row.searchType,
+        status: row.status,
+        resultCount: row.resultCount,
+        cacheHit: row.cacheHit,
+        errorMessage: row.errorMessage
+      })));
+    }
+
+    if (await this.tableExists('LeadEnrichments')) {
+      const rows = await this.runSource(`
+        SELECT id, "lastEnrichedAt" AS at, status::text AS status, confidence, "enrichmentSource"
+        FROM "LeadEnrichments"
+        WHERE "leadId" = :leadId
+      `, query);
+
+      events.push(...rows.map(row => this.event('enrichment', `lead:${row.id}`, row.at, `Enrichment ${row.status}`, {
+        enrichmentId: row.id,
+        status: row.status,
+        confidence: row.confidence,
+        source: row.enrichmentSource
+      })));
+    }
+
+    return events;
+  }
+}
+
+LeadTimelineService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = LeadTimelineService;
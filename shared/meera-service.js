@@ -2,11 +2,22 @@
 const axios = require('axios');
 const { Op } = require('sequelize');
 const moment = require('moment-timezone');
+const DncService = require('./dnc-service');
+const ContactPolicyService = require('./contact-policy-service');
+const LeadIntakeService = require('./lead-intake-service');
+const LeadScoringService = require('./lead-scoring-service');
+const StageAutomationService = require('./stage-automation-service');
+const eventBus = require('./event-bus');
 
 class MeeraService {
   constructor(models) {
     this.models = models;
     this.clients = new Map(); // Cache API clients per tenant
+    this.dncService = new DncService(models);
+    this.contactPolicyService = new ContactPolicyService(models);
+    this.leadIntakeService = new LeadIntakeService(models);
+    this.leadScoringService = new LeadScoringService(models);
+    this.stageAutomationService = new StageAutomationService(models);
   }
 
   /**
@@ -81,8 +92,34 @@ class MeeraService {
     } = options;
 
     let smsRecord;
+    let touch = null; // Contact policy touch, released if the text does not go out
 
     try {
+      // Refuse to text numbers on the tenant DNC list
+      const dncCheck = await this.dncService.checkAndRecord(tenantId, to, {
+        channel: 'sms',
+        source: metadata.source || 'meera',
+        leadId,
+        metadata: { templateId }
+      });
+
+      if (dncCheck.blocked) {
+        const error = new Error(`Recipient ${to} is on the DNC list`);
+        error.code = 'DNC_BLOCKED';
+        throw error;
+      }
+
+      // Queue the send instead while the tenant contact policy caps this number
+      const policy = await this.contactPolicyService.reserve(tenantId, to, {
+        channel: 'sms',
+        source: metadata.source || 'meera',
+        leadId
+      });
+      if (!policy.allowed) {
+        return await this.contactPolicyService.deferSms(tenantId, 'meera', options, policy);
+      }
+      touch = policy.touch;
+
       // Get Meera config
       const { client, config } = await this.getMeeraClient(tenantId);
 
@@ -146,6 +183,8 @@ class MeeraService {
           // Update usage stats
           await this.updateConfigUsage(config, 'sent');
 
+          await this.contactPolicyService.confirm(touch, { smsMessageId: smsRecord.id });
+
           // Update conversation if leadId provided
           if (leadId) {
             await this.updateConversation(tenantId, leadId, to);
@@ -169,6 +208,11 @@ class MeeraService {
     } catch (error) {
       console.error('Error sending SMS via Meera:', error.message || error);
 
+      // A text that was not sent by the provider does not count toward the contact policy
+      if (touch && (!smsRecord || smsRecord.status !== 'sent')) {
+        await this.contactPolicyService.release(touch);
+      }
+
       // Update SMS record if it exists
       if (smsRecord) {
         await smsRecord.update({
@@ -226,7 +270,9 @@ class MeeraService {
       });
 
       // Track template usage
-      await this.trackTemplateUsage(tenantId, templateId, 'sms', leadId, variables, body);
+      if (!result.deferred) {
+        await this.trackTemplateUsage(tenantId, templateId, 'sms', leadId, variables, body);
+      }
 
       return result;
 
@@ -387,10 +433,16 @@ class MeeraService {
 
       // Update conversation
       await this.updateConversation(tenantId, lead.id, from, true);
+      await lead.update({ lastContact: new Date() });
 
       // Trigger any automated responses or workflows
       await this.handleInboundSmsWorkflows(tenantId, lead.id, text, smsRecord.id);
 
+      // A reply raises the lead's score and can move it to another stage
+      this.leadScoringService.rescore(lead.id, 'sms_reply');
+      this.stageAutomationService.trigger(lead.id, 'sms_reply', { body: text });
+      eventBus.publish(eventBus.EVENTS.SMS_RECEIVED, { tenantId, leadId: lead.id, body: text, provider: 'meera' });
+
       return {
         success: true,
         smsId: smsRecord.id,
@@ -696,20 +748,18 @@ class MeeraService {
    * Find or create lead by phone number
    */
   async findOrCreateLeadByPhone(tenantId, phoneNumber) {
-    let lead = await this.models.Lead.findOne({
-      where: { tenantId, phone: phoneNumber }
+    // Always match on phone, whatever the tenant's dedup settings, and never overwrite the lead
+    const { lead } = await this.leadIntakeService.intakeLead(tenantId, {
+      phone: phoneNumber,
+      name: 'SMS Lead',
+      status: 'pending',
+      source: 'SMS Inbound (Meera)'
+    }, {
+      enabled: true,
+      matchOn: ['phone'],
+      onDuplicate: 'skip'
     });
 
-    if (!lead) {
-      lead = await this.models.Lead.create({
-        tenantId,
-        phone: phoneNumber,
-        name: 'SMS Lead',
-        status: 'pending',
-        source: 'SMS Inbound (Meera)'
-      });
-    }
-
     return lead;
   }
 
@@ -784,18 +834,20 @@ class MeeraService {
    */
   async handleInboundSmsWorkflows(tenantId, leadId, message, smsId) {
     // Check for opt-out keywords
-    const optOutKeywords = ['STOP', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
-    const messageUpper = message.toUpperCase().trim();
-    
-    if (optOutKeywords.includes(messageUpper)) {
-      // Mark lead as opted out
+    if (this.dncService.isOptOutMessage(message)) {
+      // Mark lead as opted out and add the number to the tenant DNC list
       const lead = await this.models.Lead.findByPk(leadId);
       if (lead) {
         await lead.update({
           smsOptOut: true,
           smsOptOutDate: new Date()
         });
-        console.log(`Lead ${leadId} opted out via SMS`);
+        await this.dncService.addNumber(tenantId, lead.phone, {
+          source: 'sms_stop',
+          reason: `Inbound "${message.trim()}" reply`,
+          metadata: { smsId, leadId, provider: 'meera' }
+        });
+        console.log(`Lead ${leadId} opted out via SMS, added to DNC list`);
       }
     }
     
@@ -853,7 +905,8 @@ class MeeraService {
 
       return {
         success: true,
-        sent: results.length,
+        sent: results.filter(r => !r.deferred).length,
+        deferred: results.filter(r => r.deferred).length,
         failed: errors.length,
         results,
         errors
@@ -0,0 +1,176 @@
+// shared/pacing-service.js
+// Predictive pacing for the auto dialer - derives the dial ratio from recent call outcomes
+
+const { Op } = require('sequelize');
+
+const ANSWERED_STATUSES = ['answered', 'connected', 'transferred', 'completed'];
+const CONNECTED_STATUSES = ['connected', 'transferred', 'completed'];
+
+const DEFAULT_PACING = {
+  targetAbandonRate: 3,      // percent of answered calls dropped before reaching an agent
+  minRatio: 1,
+  maxRatio: 3,
+  windowMinutes: 15,
+  minSampleSize: 20,
+  adjustStep: 0.1,
+  cycleSeconds: 30
+};
+
+class PacingService {
+  constructor(models) {
+    this.models = models;
+    // Last ratio used per tenant so each cycle adjusts from where the previous one left off
+    this.currentRatios = new Map();
+  }
+
+  /**
+   * Resolve pacing settings from the tenant dialer config
+   */
+  getPacingConfig(dialerConfig = {}) {
+    return {
+      ...DEFAULT_PACING,
+      ...(dialerConfig.pacing || {})
+    };
+  }
+
+  /**
+   * Collect answer rate, average talk time and abandon rate over the pacing window
+   */
+  async getCallMetrics(tenantId, windowMinutes, ingroup = null) {
+    try {
+      const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+      const where = {
+        tenantId: tenantId.toString(),
+        startTime: { [Op.gte]: since }
+      };
+
+      // Campaigns are paced from their own ingroup's calls
+      if (ingroup) {
+        where.ingroup = ingroup;
+      }
+
+      const calls = await this.models.CallLog.findAll({
+        where,
+        attributes: ['status', 'duration', 'endTime'],
+        raw: true
+      });
+
+      // Calls still ringing tell us nothing about the outcome yet
+      const finished = calls.filter(call => call.status !== 'initiated' || call.endTime);
+      const answered = finished.filter(call => ANSWERED_STATUSES.includes(call.status));
+      const connected = answered.filter(call => CONNECTED_STATUSES.includes(call.status));
+
+      // An answered call that ended without ever reaching an agent is an abandon
+      const abandoned = answered.filter(call => call.status === 'answered' && call.endTime);
+
+      const talkTimes = connected
+        .map(call => call.duration || 0)
+        .filter(duration => duration > 0);
+
+      return {
+        totalCalls: calls.length,
+        finishedCalls: finished.length,
+        answeredCalls: answered.length,
+        abandonedCalls: abandoned.length,
+        answerRate: finished.length > 0 ? answered.length / finished.length : 0,
+        abandonRate: answered.length > 0 ? (abandoned.length / answered.length) * 100 : 0,
+        avgTalkTime: talkTimes.length > 0
+          ? talkTimes.reduce((sum, duration) => sum + duration, 0) / talkTimes.length
+          : 0
+      };
+    } catch (error) {
+      console.error('Error getting pacing metrics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate how many leads to dial this cycle, for the tenant or one of its campaigns
+   */
+  async calculateLeadsToDial(tenant, agentData, campaign = null) {
+    try {
+      const dialerConfig = (campaign ? campaign.dialerConfig : tenant.dialerConfig) || {};
+      const ratioKey = campaign && campaign.id ? `${tenant.id}:${campaign.id}` : tenant.id;
+      const agentsWaiting = agentData.agents_waiting || 0;
+      const fixedRatio = parseFloat(dialerConfig.speed) || 1;
+
+      if (dialerConfig.pacingMode !== 'predictive') {
+        return {
+          mode: 'fixed',
+          ratio: fixedRatio,
+          leadsToDial: Math.ceil(agentsWaiting * fixedRatio)
+        };
+      }
+
+      const config = this.getPacingConfig(dialerConfig);
+      const metrics = await this.getCallMetrics(
+        tenant.id,
+        config.windowMinutes,
+        campaign && campaign.id ? campaign.ingroup : null
+      );
+      const previousRatio = this.currentRatios.get(ratioKey) || fixedRatio;
+
+      // Not enough history yet - hold the configured speed until the sample fills up
+      if (metrics.finishedCalls < config.minSampleSize || metrics.answerRate === 0) {
+        const ratio = this.clampRatio(previousRatio, config);
+        this.currentRatios.set(ratioKey, ratio);
+
+        return {
+          mode: 'predictive',
+          ratio,
+          leadsToDial: Math.ceil(agentsWaiting * ratio),
+          metrics,
+          warmingUp: true
+        };
+      }
+
+      // Dials needed per free agent to produce one answered call
+      const idealRatio = 1 / metrics.answerRate;
+      let ratio;
+
+      if (metrics.abandonRate > config.targetAbandonRate) {
+        // Over target - back off proportionally to how far over we are
+        const overshoot = metrics.abandonRate / config.targetAbandonRate;
+        ratio = Math.min(previousRatio - config.adjustStep, previousRatio / overshoot);
+      } else {
+        // Under target - move one step toward the ideal ratio
+        ratio = previousRatio < idealRatio
+          ? Math.min(previousRatio + config.adjustStep, idealRatio)
+          : Math.max(previousRatio - config.adjustStep, idealRatio);
+      }
+
+      ratio = this.clampRatio(ratio, config);
+      this.currentRatios.set(ratioKey, ratio);
+
+      // Agents on calls that should free up before the next cycle, based on average talk time
+      let expectedFreeAgents = 0;
+      if (metrics.abandonRate <= config.targetAbandonRate && metrics.avgTalkTime > 0) {
+        const agentsBusy = Math.max((agentData.agents_logged_in || 0) - agentsWaiting, 0);
+        expectedFreeAgents = agentsBusy * Math.min(config.cycleSeconds / metrics.avgTalkTime, 1);
+      }
+
+      const leadsToDial = Math.ceil((agentsWaiting + expectedFreeAgents) * ratio);
+
+      return {
+        mode: 'predictive',
+        ratio,
+        leadsToDial,
+        expectedFreeAgents: parseFloat(expectedFreeAgents.toFixed(2)),
+        metrics
+      };
+    } catch (error) {
+      console.error('Error calculating dial pacing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the ratio inside the tenant's configured bounds
+   */
+  clampRatio(ratio, config) {
+    const bounded = Math.min(Math.max(ratio, config.minRatio), config.maxRatio);
+    return parseFloat(bounded.toFixed(2));
+  }
+}
+
+module.exports = PacingService;
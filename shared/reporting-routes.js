@@ -32,7 +32,8 @@ module.exports = function(app, sequelize, authenticateToken) {
     Tenant: sequelize.models.Tenant,
     SmsMessage: sequelize.models.SmsMessage,
     Template: sequelize.models.Template,           // Add Template model
-    User: sequelize.models.User                    // Add User model for agent reports
+    User: sequelize.models.User,                   // Add User model for agent reports
+    TransferOutcome: require('./transfer-outcome-models')(sequelize).TransferOutcome
   }, sequelize); // THIS IS THE FIX - Pass sequelize as second parameter
 
   // ===== Dashboard Routes =====
@@ -617,6 +618,55 @@ router.get('/metrics/real-time-leads', authenticateToken, async (req, res) => {
     }
   });
   
+  // Generate transfer billing report (per buyer)
+  router.post('/reports/transfer-billing', authenticateToken, async (req, res) => {
+    try {
+      const report = await reportingService.generateTransferBillingReport(
+        req.user.tenantId,
+        req.body
+      );
+      res.json(report);
+    } catch (error) {
+      console.error('Error generating transfer billing report:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
+  // Export transfer billing report for invoicing
+  router.post('/reports/transfer-billing/export', authenticateToken, async (req, res) => {
+    try {
+      const { format = 'csv', filename = 'transfer_billing', ...reportParams } = req.body;
+      
+      const report = await reportingService.generateTransferBillingReport(
+        req.user.tenantId,
+        reportParams
+      );
+      
+      const filepath = await reportingService.exportReport(
+        { summary: report.summary, data: report.data },
+        format,
+        `${filename}_${Date.now()}`
+      );
+      
+      // Send file
+      res.download(filepath, (err) => {
+        if (err) {
+          console.error('Error sending file:', err);
+          // The download may fail part way through, after the headers went out
+          if (!res.headersSent) {
+            res.status(500).json({ error: 'Error downloading file' });
+          }
+        }
+        
+        // Clean up file after sending
+        require('fs').unlinkSync(filepath);
+      });
+    } catch (error) {
+      console.error('Error exporting transfer billing report:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+  
   // Generate custom report
   router.post('/reports/custom', authenticateToken, async (req, res) => {
     try {
@@ -2225,6 +2225,115 @@ async generateLeadSourceComparisonReport(tenantId, params) {
 
 
 
+  /**
+   * Generate transfer billing report: one invoice line per buyer (TransferNumber)
+   */
+  async generateTransferBillingReport(tenantId, params) {
+    const { startDate, endDate, transferGroupId, transferNumberId } = params;
+    
+    // Ensure tenantId is a string
+    tenantId = this.ensureTenantIdString(tenantId);
+    
+    try {
+      const start = moment(startDate).startOf('day');
+      const end = moment(endDate).endOf('day');
+      
+      const where = {
+        tenantId,
+        transferredAt: {
+          [Op.between]: [start.toDate(), end.toDate()]
+        }
+      };
+      if (transferGroupId) where.transferGroupId = transferGroupId;
+      if (transferNumberId) where.transferNumberId = transferNumberId;
+      
+      const rows = await this.models.TransferOutcome.findAll({
+        where,
+        attributes: [
+          'transferNumberId',
+          'transferGroupId',
+          'currency',
+          [fn('COUNT', col('id')), 'transfers'],
+          [fn('SUM', literal(`CASE WHEN status = 'accepted' THEN 1 ELSE 0 END`)), 'accepted'],
+          [fn('SUM', literal(`CASE WHEN billable THEN 1 ELSE 0 END`)), 'billable'],
+          [fn('AVG', literal(`CASE WHEN status = 'accepted' THEN duration END`)), 'avgDuration'],
+          [fn('SUM', col('price')), 'revenue']
+        ],
+        group: ['transferNumberId', 'transferGroupId', 'currency'],
+        raw: true
+      });
+      
+      // Buyer and group names; the transfer models belong to the template module
+      const { TransferNumber, TransferGroup } = this.sequelize.models;
+      const numberIds = rows.map(row => row.transferNumberId).filter(Boolean);
+      const groupIds = rows.map(row => row.transferGroupId).filter(Boolean);
+      
+      // Transfer numbers carry no tenantId; their group scopes them to the tenant
+      const numbers = TransferNumber && TransferGroup && numberIds.length > 0
+        ? await TransferNumber.findAll({
+          where: { id: numberIds },
+          include: [{ model: TransferGroup, where: { tenantId }, attributes: [] }]
+        })
+        : [];
+      const groups = TransferGroup && groupIds.length > 0
+        ? await TransferGroup.findAll({ where: { id: groupIds, tenantId } })
+        : [];
+      
+      const numberById = new Map(numbers.map(number => [number.id, number]));
+      const groupById = new Map(groups.map(group => [group.id, group]));
+      
+      const data = rows.map(row => {
+        const number = numberById.get(row.transferNumberId);
+        const group = groupById.get(row.transferGroupId);
+        const transfers = parseInt(row.transfers) || 0;
+        const accepted = parseInt(row.accepted) || 0;
+        const billable = parseInt(row.billable) || 0;
+        const revenue = parseFloat(row.revenue) || 0;
+        
+        return {
+          buyer: number ? number.name : `Transfer number ${row.transferNumberId}`,
+          phoneNumber: number ? number.phoneNumber : null,
+          transferGroup: group ? group.name : null,
+          transfers,
+          accepted,
+          rejected: transfers - accepted,
+          acceptRate: transfers > 0 ? (accepted / transfers * 100).toFixed(2) : '0.00',
+          billableTransfers: billable,
+          avgDuration: Math.round(parseFloat(row.avgDuration)) || 0,
+          pricePerTransfer: billable > 0 ? (revenue / billable).toFixed(2) : '0.00',
+          revenue: revenue.toFixed(2),
+          currency: row.currency
+        };
+      }).sort((a, b) => parseFloat(b.revenue) - parseFloat(a.revenue));
+      
+      const totals = data.reduce((sum, row) => ({
+        transfers: sum.transfers + row.transfers,
+        accepted: sum.accepted + row.accepted,
+        billable: sum.billable + row.billableTransfers,
+        revenue: sum.revenue + parseFloat(row.revenue)
+      }), { transfers: 0, accepted: 0, billable: 0, revenue: 0 });
+      
+      return {
+        reportType: 'transfer_billing',
+        period: {
+          start: start.format('YYYY-MM-DD'),
+          end: end.format('YYYY-MM-DD')
+        },
+        summary: {
+          buyers: data.length,
+          totalTransfers: totals.transfers,
+          acceptedTransfers: totals.accepted,
+          billableTransfers: totals.billable,
+          totalRevenue: totals.revenue.toFixed(2)
+        },
+        data
+      };
+    } catch (error) {
+      console.error('Error generating transfer billing report:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate custom report
    */
@@ -2976,6 +3085,9 @@ async executeScheduledReports() {
         // Get conversion funnel
         const funnel = await this.getJourneyConversionFunnel(journey.id, start, end);
         
+        // Get goal attainment
+        const goals = await this.getJourneyGoalAttainment(journey, start, end);
+        
         const overview = {
           journey: {
             id: journey.id,
@@ -2986,7 +3098,8 @@ async executeScheduledReports() {
           },
           metrics,
           stepPerformance,
-          funnel
+          funnel,
+          goals
         };
         
         // Add comparison data if enabled
@@ -3476,7 +3589,8 @@ async executeScheduledReports() {
           [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN status = 'active' THEN 1 ELSE 0 END`)), 'activeEnrollments'],
           [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN status = 'completed' THEN 1 ELSE 0 END`)), 'completedEnrollments'],
           [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN status = 'exited' THEN 1 ELSE 0 END`)), 'exitedEnrollments'],
-          [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN status = 'failed' THEN 1 ELSE 0 END`)), 'failedEnrollments']
+          [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN status = 'failed' THEN 1 ELSE 0 END`)), 'failedEnrollments'],
+          [this.sequelize.fn('SUM', this.sequelize.literal(`CASE WHEN "goalReached" IS NOT NULL THEN 1 ELSE 0 END`)), 'goalReachedEnrollments']
         ],
         raw: true
       });
@@ -3487,8 +3601,12 @@ async executeScheduledReports() {
         completedEnrollments: parseInt(metrics?.completedEnrollments || 0),
         exitedEnrollments: parseInt(metrics?.exitedEnrollments || 0),
         failedEnrollments: parseInt(metrics?.failedEnrollments || 0),
+        goalReachedEnrollments: parseInt(metrics?.goalReachedEnrollments || 0),
         completionRate: metrics?.totalEnrollments > 0
           ? (metrics.completedEnrollments / metrics.totalEnrollments * 100).toFixed(2)
+          : 0,
+        goalRate: metrics?.totalEnrollments > 0
+          ? (metrics.goalReachedEnrollments / metrics.totalEnrollments * 100).toFixed(2)
           : 0
       };
     } catch (error) {
@@ -3497,6 +3615,52 @@ async executeScheduledReports() {
     }
   }
 
+  /**
+   * Helper: Leads that reached each of the journey's goals, with the average time from enrollment
+   */
+  async getJourneyGoalAttainment(journey, startDate, endDate) {
+    try {
+      const rows = await this.sequelize.query(`
+        SELECT
+          "goalReached" as goal,
+          COUNT(*) as reached,
+          AVG(EXTRACT(EPOCH FROM ("goalReachedAt" - "startedAt")) / 3600) as "avgHoursToGoal"
+        FROM "LeadJourneys"
+        WHERE "journeyId" = :journeyId
+          AND "goalReached" IS NOT NULL
+          AND "startedAt" BETWEEN :startDate AND :endDate
+        GROUP BY "goalReached"
+      `, {
+        replacements: {
+          journeyId: journey.id,
+          startDate: startDate.toDate(),
+          endDate: endDate.toDate()
+        },
+        type: this.sequelize.QueryTypes.SELECT
+      });
+
+      const byName = {};
+      rows.forEach(row => { byName[row.goal] = row; });
+
+      // Goals removed from the journey still show up while leads reached them in the period
+      const names = [...new Set([...(journey.goals || []).map(goal => goal.name), ...Object.keys(byName)])];
+
+      return names.map(name => {
+        const goal = (journey.goals || []).find(g => g.name === name);
+        const row = byName[name];
+        return {
+          name,
+          type: goal ? goal.type : null,
+          reached: parseInt(row?.reached || 0),
+          avgHoursToGoal: row && row.avgHoursToGoal !== null ? parseFloat(row.avgHoursToGoal).toFixed(2) : null
+        };
+      });
+    } catch (error) {
+      console.error('Error getting journey goal attainment:', error);
+      throw error;
+    }
+  }
+
   /**
    * Helper: Get journey step performance
    */
@@ -3508,6 +3672,8 @@ async executeScheduledReports() {
           js.name,
           js."actionType",
           js."stepOrder",
+          js."actionConfig",
+          js."versionId",
           COUNT(je.id) as executions,
           COUNT(CASE WHEN je.status = 'completed' THEN 1 END) as completions,
           COUNT(CASE WHEN je.status = 'failed' THEN 1 END) as failures,
@@ -3517,8 +3683,8 @@ async executeScheduledReports() {
         LEFT JOIN "LeadJourneys" lj ON je."leadJourneyId" = lj.id
         WHERE js."journeyId" = :journeyId
           AND (je.id IS NULL OR lj."startedAt" BETWEEN :startDate AND :endDate)
-        GROUP BY js.id, js.name, js."actionType", js."stepOrder"
-        ORDER BY js."stepOrder"
+        GROUP BY js.id, js.name, js."actionType", js."stepOrder", js."actionConfig", js."versionId"
+        ORDER BY js."versionId" NULLS FIRST, js."stepOrder"
       `, {
         replacements: {
           journeyId,
@@ -3528,27 +3694,181 @@ async executeScheduledReports() {
         type: this.sequelize.QueryTypes.SELECT
       });
       
-      return stepData.map(step => ({
-        id: step.id,
-        name: step.name,
-        actionType: step.actionType,
-        order: step.stepOrder,
-        metrics: {
-          executions: parseInt(step.executions),
-          completions: parseInt(step.completions),
-          failures: parseInt(step.failures),
-          successRate: step.executions > 0
-            ? (step.completions / step.executions * 100).toFixed(2)
-            : 0,
-          avgProcessingTime: parseFloat(step.avgProcessingTime || 0)
+      const performance = [];
+      for (const step of stepData) {
+        const stepPerformance = {
+          id: step.id,
+          name: step.name,
+          actionType: step.actionType,
+          order: step.stepOrder,
+          versionId: step.versionId,
+          metrics: {
+            executions: parseInt(step.executions),
+            completions: parseInt(step.completions),
+            failures: parseInt(step.failures),
+            successRate: step.executions > 0
+              ? (step.completions / step.executions * 100).toFixed(2)
+              : 0,
+            avgProcessingTime: parseFloat(step.avgProcessingTime || 0)
+          }
+        };
+        
+        // A/B split steps also report conversion per variant
+        const config = step.actionConfig || {};
+        if (step.actionType === 'split' && Array.isArray(config.variants) && config.variants.length > 0) {
+          stepPerformance.abTest = await this.getJourneyAbTestResults(journeyId, step.id, config, startDate, endDate);
         }
-      }));
+        
+        performance.push(stepPerformance);
+      }
+      
+      return performance;
     } catch (error) {
       console.error('Error getting journey step performance:', error);
       throw error;
     }
   }
 
+  /**
+   * Helper: Conversions per variant of an A/B split step, each variant tested against the first (control).
+   * A lead converts when it is now in status converted, or was transferred or replied by SMS after assignment
+   */
+  async getJourneyAbTestResults(journeyId, stepId, config, startDate, endDate) {
+    try {
+      const allEvents = ['converted', 'transferred', 'replied'];
+      const conversionEvents = (config.conversionEvents || allEvents).filter(event => allEvents.includes(event));
+      const events = conversionEvents.length > 0 ? conversionEvents : allEvents;
+      
+      const rows = await this.sequelize.query(`
+        WITH assigned AS (
+          SELECT
+            lj."leadId",
+            lj."contextData"->'abTests'->:stepKey->>'variant' AS variant,
+            (lj."contextData"->'abTests'->:stepKey->>'assignedAt')::timestamptz AS "assignedAt"
+          FROM "LeadJourneys" lj
+          WHERE lj."journeyId" = :journeyId
+            AND lj."startedAt" BETWEEN :startDate AND :endDate
+            AND lj."contextData"->'abTests'->:stepKey IS NOT NULL
+        ),
+        outcomes AS (
+          SELECT
+            a.variant,
+            (l.status::text = 'converted') AS converted,
+            EXISTS (
+              SELECT 1 FROM "CallLogs" c
+              WHERE c."leadId" = a."leadId" AND c.status::text = 'transferred' AND c."startTime" >= a."assignedAt"
+            ) AS transferred,
+            EXISTS (
+              SELECT 1 FROM "SmsMessages" m
+              WHERE m."leadId" = a."leadId" AND m.direction::text = 'inbound' AND m."createdAt" >= a."assignedAt"
+            ) AS replied
+          FROM assigned a
+          INNER JOIN "Leads" l ON a."leadId" = l.id
+        )
+        SELECT
+          variant,
+          COUNT(*) as leads,
+          COUNT(CASE WHEN converted THEN 1 END) as converted,
+          COUNT(CASE WHEN transferred THEN 1 END) as transferred,
+          COUNT(CASE WHEN replied THEN 1 END) as replied,
+          COUNT(CASE WHEN ${events.join(' OR ')} THEN 1 END) as conversions
+        FROM outcomes
+        GROUP BY variant
+      `, {
+        replacements: {
+          journeyId,
+          stepKey: stepId.toString(),
+          startDate: startDate.toDate(),
+          endDate: endDate.toDate()
+        },
+        type: this.sequelize.QueryTypes.SELECT
+      });
+      
+      const byVariant = rows.reduce((acc, row) => {
+        acc[row.variant] = row;
+        return acc;
+      }, {});
+      
+      const variants = config.variants.map(variant => {
+        const row = byVariant[variant.name] || {};
+        const leads = parseInt(row.leads || 0);
+        const conversions = parseInt(row.conversions || 0);
+        return {
+          name: variant.name,
+          weight: Number(variant.weight) || 0,
+          toStepId: variant.toStepId,
+          leads,
+          converted: parseInt(row.converted || 0),
+          transferred: parseInt(row.transferred || 0),
+          replied: parseInt(row.replied || 0),
+          conversions,
+          conversionRate: leads > 0 ? (conversions / leads * 100).toFixed(2) : 0
+        };
+      });
+      
+      const control = variants[0];
+      for (const variant of variants.slice(1)) {
+        variant.vsControl = this.calculateTwoProportionSignificance(
+          control.conversions, control.leads, variant.conversions, variant.leads
+        );
+      }
+      
+      // The best variant that beats the control significantly, if any. zScore, not lift, since lift is null against a 0% control
+      const winner = variants.slice(1)
+        .filter(variant => variant.vsControl.significant && variant.vsControl.zScore > 0)
+        .sort((a, b) => b.conversions / b.leads - a.conversions / a.leads)[0];
+      
+      return {
+        control: control.name,
+        conversionEvents: events,
+        variants,
+        winner: winner ? winner.name : null
+      };
+    } catch (error) {
+      console.error('Error getting journey A/B test results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper: Two-sided two-proportion z-test of a variant against a control, at 95% confidence
+   */
+  calculateTwoProportionSignificance(controlConversions, controlTotal, variantConversions, variantTotal) {
+    if (controlTotal === 0 || variantTotal === 0) {
+      return { lift: null, zScore: null, pValue: null, significant: false };
+    }
+    
+    const controlRate = controlConversions / controlTotal;
+    const variantRate = variantConversions / variantTotal;
+    const pooled = (controlConversions + variantConversions) / (controlTotal + variantTotal);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / controlTotal + 1 / variantTotal));
+    const lift = controlRate > 0 ? parseFloat(((variantRate - controlRate) / controlRate * 100).toFixed(2)) : null;
+    
+    if (standardError === 0) {
+      return { lift, zScore: 0, pValue: 1, significant: false };
+    }
+    
+    const zScore = (variantRate - controlRate) / standardError;
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+    
+    return {
+      lift,
+      zScore: parseFloat(zScore.toFixed(4)),
+      pValue: parseFloat(pValue.toFixed(4)),
+      significant: pValue < 0.05
+    };
+  }
+
+  /**
+   * Helper: Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
   /**
    * Helper: Get journey conversion funnel
    */
@@ -3732,12 +4052,14 @@ async executeScheduledReports() {
       acc.totalEnrollments += journey.metrics.totalEnrollments;
       acc.activeEnrollments += journey.metrics.activeEnrollments;
       acc.completedEnrollments += journey.metrics.completedEnrollments;
+      acc.goalReachedEnrollments += journey.metrics.goalReachedEnrollments;
       return acc;
     }, {
       totalJourneys: 0,
       totalEnrollments: 0,
       activeEnrollments: 0,
-      completedEnrollments: 0
+      completedEnrollments: 0,
+      goalReachedEnrollments: 0
     });
     
     summary.avgCompletionRate = summary.totalEnrollments > 0
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+// shared/segment-models.js
+// Saved lead segments: a named filter that is evaluated live whenever it is used
+
+module.exports = function(sequelize) {
+  if (sequelize.models.Segment) {
+    return { Segment: sequelize.models.Segment };
+  }
+
+  const Segment = sequelize.define('Segment', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // { match: 'all' | 'any', rules: [...] }, see SegmentService
+    filter: {
+      type: DataTypes.JSONB,
+      defaultValue: { match: 'all', rules: [] }
+    },
+    lastCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    lastCountedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Progress and result of the most recent bulk action run on the segment
+    lastAction: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'Segments',
+    indexes: [
+      {
+        fields: ['tenantId', 'name'],
+        unique: true
+      }
+    ]
+  });
+
+  return { Segment };
+};
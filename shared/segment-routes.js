@@ -0,0 +1,136 @@
+const express = require('express');
+const SegmentService = require('./segment-service');
+const TwilioService = require('./twilio-service');
+const MeeraService = require('./meera-service');
+
+// shared/segment-routes.js
+// Advanced lead search, saved segments and segment bulk actions
+
+module.exports = function(app, sequelize, authenticateToken, journeyService = null) {
+  const router = express.Router();
+  const { Lead, Stage } = require('./lead-models')(sequelize);
+  const segmentModels = require('./segment-models')(sequelize);
+  const twilioModels = require('./twilio-models')(sequelize, sequelize.Sequelize.DataTypes);
+  const meeraModels = require('./meera-models')(sequelize, sequelize.Sequelize.DataTypes);
+
+  const smsModels = {
+    Lead: sequelize.models.Lead,
+    Template: sequelize.models.Template,
+    TemplateUsage: sequelize.models.TemplateUsage
+  };
+  const twilioService = new TwilioService({ ...twilioModels, ...smsModels });
+  const meeraService = new MeeraService({ ...meeraModels, ...twilioModels, ...smsModels });
+
+  const service = new SegmentService({
+    ...segmentModels,
+    Lead,
+    Stage,
+    Tenant: sequelize.models.Tenant,
+    Journey: sequelize.models.Journey
+  }, { journeyService, twilioService, meeraService });
+
+  // Search leads with an ad hoc filter
+  router.post('/leads/search', authenticateToken, async (req, res) => {
+    try {
+      const { filter, cursor, limit, includeCount } = req.body;
+      const result = await service.search(req.user.tenantId, filter, { cursor, limit, includeCount });
+      res.json(result);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Saved segments
+  router.get('/segments', authenticateToken, async (req, res) => {
+    try {
+      const segments = await service.listSegments(req.user.tenantId);
+      res.json(segments);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.post('/segments', authenticateToken, async (req, res) => {
+    try {
+      const segment = await service.createSegment(req.user.tenantId, req.body, req.user.username || String(req.user.id));
+      res.status(201).json(segment);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/segments/:id', authenticateToken, async (req, res) => {
+    try {
+      const segment = await service.getSegment(req.params.id, req.user.tenantId);
+      res.json(segment);
+    } catch (err) {
+      res.status(404).json({ error: err.message });
+    }
+  });
+
+  router.put('/segments/:id', authenticateToken, async (req, res) => {
+    try {
+      const segment = await service.updateSegment(req.params.id, req.user.tenantId, req.body);
+      res.json(segment);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete('/segments/:id', authenticateToken, async (req, res) => {
+    try {
+      await service.deleteSegment(req.params.id, req.user.tenantId);
+      res.json({ message: 'Segment deleted', id: req.params.id });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Leads in a segment, a page at a time
+  router.get('/segments/:id/leads', authenticateToken, async (req, res) => {
+    try {
+      const segment = await service.getSegment(req.params.id, req.user.tenantId);
+      const result = await service.search(req.user.tenantId, segment.filter, {
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json(result);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Live count
+  router.get('/segments/:id/count', authenticateToken, async (req, res) => {
+    try {
+      const segment = await service.refreshCount(await service.getSegment(req.params.id, req.user.tenantId));
+      res.json({ id: segment.id, count: segment.lastCount, countedAt: segment.lastCountedAt });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Run a bulk action on every lead in the segment
+  router.post('/segments/:id/actions', authenticateToken, async (req, res) => {
+    try {
+      const { action, ...params } = req.body;
+      const { segment, background } = await service.runAction(
+        req.params.id,
+        req.user.tenantId,
+        action,
+        params,
+        req.user.username || String(req.user.id)
+      );
+      res.status(background ? 202 : 200).json({
+        message: background ? 'Action started' : 'Action completed',
+        lastAction: segment.lastAction
+      });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.use('/api', router);
+
+  return { router, service, models: segmentModels };
+};
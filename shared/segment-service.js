@@ -0,0 +1,599 @@
+// shared/segment-service.js
+// Lead segments: a JSON filter language compiled to Sequelize queries, saved segments with live
+// counts and cursor pagination, and bulk actions run against a segment's leads
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const StageAutomationService = require('./stage-automation-service');
+
+// Filterable lead fields and their type. additionalData.<key> is also accepted
+const FIELDS = {
+  name: 'string',
+  phone: 'string',
+  email: 'string',
+  status: 'string',
+  brand: 'string',
+  source: 'string',
+  campaign: 'string',
+  priority: 'string',
+  assignedTo: 'string',
+  dialerAssignment: 'string',
+  stageId: 'number',
+  attempts: 'number',
+  leadScore: 'number',
+  tags: 'array',
+  lastContact: 'date',
+  lastAttempt: 'date',
+  scheduledCallback: 'date',
+  createdAt: 'date',
+  journey: 'journey'
+};
+
+const OPERATORS = {
+  string: ['eq', 'neq', 'in', 'not_in', 'contains', 'starts_with', 'is_empty', 'is_not_empty'],
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  array: ['contains_any', 'contains_all', 'contains_none', 'is_empty', 'is_not_empty'],
+  date: ['before', 'after', 'between', 'within_days', 'older_than_days', 'is_empty', 'is_not_empty'],
+  json: ['eq', 'neq', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'is_empty', 'is_not_empty'],
+  journey: ['in', 'not_in']
+};
+
+const JOURNEY_STATUSES = ['active', 'paused', 'completed', 'failed', 'exited'];
+const BULK_ACTIONS = ['dialer_assignment', 'stage', 'journey', 'sms'];
+const DIALER_ASSIGNMENTS = ['auto_dialer', 'journey_only', 'both', 'none'];
+
+const MAX_DEPTH = 5;
+const MAX_RULES = 50;
+const MAX_PAGE_SIZE = 500;
+const BATCH_SIZE = 500;
+// A running action that has not reported progress for this long was cut off, e.g. by a restart
+const STALE_ACTION_MINUTES = 30;
+
+function escapeLike(value) {
+  return value.toString().replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+class SegmentService {
+  constructor(models, services = {}) {
+    this.models = models;
+    this.sequelize = models.Lead.sequelize;
+    this.journeyService = services.journeyService || null;
+    this.twilioService = services.twilioService || null;
+    this.meeraService = services.meeraService || null;
+    this.stageAutomationService = new StageAutomationService(models);
+  }
+
+  // ===== Filter language =====
+
+  /**
+   * Compile a filter group { match: 'all' | 'any', rules: [rule | group] } to a where clause.
+   * Throws on anything it does not understand, so bad filters are never saved
+   */
+  compileFilter(filter, depth = 0, counter = { rules: 0 }) {
+    if (!filter || typeof filter !== 'object' || !Array.isArray(filter.rules)) {
+      throw new Error('Filter must be { match, rules: [] }');
+    }
+    if (depth >= MAX_DEPTH) {
+      throw new Error(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+    }
+
+    const match = filter.match || 'all';
+    if (!['all', 'any'].includes(match)) {
+      throw new Error('match must be "all" or "any"');
+    }
+
+    const clauses = filter.rules.map(rule => {
+      if (rule && Array.isArray(rule.rules)) {
+        return this.compileFilter(rule, depth + 1, counter);
+      }
+      counter.rules++;
+      if (counter.rules > MAX_RULES) {
+        throw new Error(`Filters can have at most ${MAX_RULES} rules`);
+      }
+      return this.compileRule(rule);
+    });
+
+    if (clauses.length === 0) return {};
+    return { [match === 'all' ? Op.and : Op.or]: clauses };
+  }
+
+  /**
+   * Compile a single { field, op, value } rule
+   */
+  compileRule(rule) {
+    if (!rule || !rule.field || !rule.op) {
+      throw new Error('Each rule needs a field and an op');
+    }
+
+    const { field, op, value } = rule;
+    const isJson = field.startsWith('additionalData.');
+    const type = isJson ? 'json' : FIELDS[field];
+
+    if (!type) {
+      throw new Error(`Unknown field: ${field}`);
+    }
+    if (!OPERATORS[type].includes(op)) {
+      throw new Error(`Operator ${op} is not supported for ${field}; use one of: ${OPERATORS[type].join(', ')}`);
+    }
+    if (!['is_empty', 'is_not_empty'].includes(op) && (value === undefined || value === null || value === '')) {
+      throw new Error(`Rule on ${field} needs a value`);
+    }
+
+    switch (type) {
+      case 'json':
+        return this.compileJsonRule(field.substring('additionalData.'.length), op, value);
+      case 'array':
+        return this.compileArrayRule(field, op, value);
+      case 'date':
+        return this.compileDateRule(field, op, value);
+      case 'journey':
+        return this.compileJourneyRule(op, value, rule.statuses);
+      default:
+        return this.compileScalarRule(field, op, value, type);
+    }
+  }
+
+  compileScalarRule(field, op, value, type) {
+    const asList = (input) => {
+      const list = Array.isArray(input) ? input : [input];
+      return type === 'number' ? list.map(Number) : list;
+    };
+    const single = type === 'number' ? Number(value) : value;
+
+    switch (op) {
+      case 'eq': return { [field]: single };
+      case 'neq': return { [Op.or]: [{ [field]: { [Op.ne]: single } }, { [field]: null }] };
+      case 'in': return { [field]: { [Op.in]: asList(value) } };
+      case 'not_in': return { [Op.or]: [{ [field]: { [Op.notIn]: asList(value) } }, { [field]: null }] };
+      case 'contains': return { [field]: { [Op.iLike]: `%${escapeLike(value)}%` } };
+      case 'starts_with': return { [field]: { [Op.iLike]: `${escapeLike(value)}%` } };
+      case 'gt': return { [field]: { [Op.gt]: single } };
+      case 'gte': return { [field]: { [Op.gte]: single } };
+      case 'lt': return { [field]: { [Op.lt]: single } };
+      case 'lte': return { [field]: { [Op.lte]: single } };
+      case 'between': return { [field]: { [Op.between]: this.getRange(value).map(Number) } };
+      case 'is_empty':
+        return type === 'string'
+          ? { [Op.or]: [{ [field]: null }, { [field]: '' }] }
+          : { [field]: null };
+      case 'is_not_empty':
+        return type === 'string'
+          ? { [Op.and]: [{ [field]: { [Op.ne]: null } }, { [field]: { [Op.ne]: '' } }] }
+          : { [field]: { [Op.ne]: null } };
+      default:
+        throw new Error(`Unsupported operator: ${op}`);
+    }
+  }
+
+  compileArrayRule(field, op, value) {
+    const list = Array.isArray(value) ? value : [value];
+
+    switch (op) {
+      case 'contains_any': return { [field]: { [Op.overlap]: list } };
+      case 'contains_all': return { [field]: { [Op.contains]: list } };
+      case 'contains_none':
+        return { [Op.or]: [{ [field]: null }, { [Op.not]: { [field]: { [Op.overlap]: list } } }] };
+      case 'is_empty': return this.sequelize.literal(`("${field}" IS NULL OR cardinality("${field}") = 0)`);
+      case 'is_not_empty': return this.sequelize.literal(`cardinality("${field}") > 0`);
+      default:
+        throw new Error(`Unsupported operator: ${op}`);
+    }
+  }
+
+  compileDateRule(field, op, value) {
+    const toDate = (input) => {
+      const date = moment(input);
+      if (!date.isValid()) throw new Error(`Invalid date for ${field}: ${input}`);
+      return date.toDate();
+    };
+    const days = (input) => {
+      const count = Number(input);
+      if (!Number.isFinite(count) || count < 0) throw new Error(`${op} needs a number of days`);
+      return moment().subtract(count, 'days').toDate();
+    };
+
+    switch (op) {
+      case 'before': return { [field]: { [Op.lt]: toDate(value) } };
+      case 'after': return { [field]: { [Op.gt]: toDate(value) } };
+      case 'between': return { [field]: { [Op.between]: this.getRange(value).map(toDate) } };
+      case 'within_days': return { [field]: { [Op.gte]: days(value) } };
+      case 'older_than_days': return { [field]: { [Op.lt]: days(value) } };
+      case 'is_empty': return { [field]: null };
+      case 'is_not_empty': return { [field]: { [Op.ne]: null } };
+      default:
+        throw new Error(`Unsupported operator: ${op}`);
+    }
+  }
+
+  /**
+   * additionalData.<key> rules. Numeric values compare numerically, everything else as text
+   */
+  compileJsonRule(key, op, value) {
+    if (!/^[A-Za-z0-9_\- ]+$/.test(key)) {
+      throw new Error(`Invalid additionalData key: ${key}`);
+    }
+
+    const text = this.sequelize.literal(`("additionalData"->>${this.sequelize.escape(key)})`);
+    const numeric = this.sequelize.literal(`NULLIF("additionalData"->>${this.sequelize.escape(key)}, '')::numeric`);
+    const isNumber = typeof value === 'number';
+    const column = isNumber ? numeric : text;
+    const compare = (condition) => this.sequelize.where(column, condition);
+
+    switch (op) {
+      case 'eq': return compare({ [Op.eq]: isNumber ? value : String(value) });
+      case 'neq': return { [Op.or]: [compare({ [Op.ne]: isNumber ? value : String(value) }), this.sequelize.where(text, { [Op.is]: null })] };
+      case 'in': return this.sequelize.where(text, { [Op.in]: [].concat(value).map(String) });
+      case 'not_in': return { [Op.or]: [this.sequelize.where(text, { [Op.notIn]: [].concat(value).map(String) }), this.sequelize.where(text, { [Op.is]: null })] };
+      case 'contains': return this.sequelize.where(text, { [Op.iLike]: `%${escapeLike(value)}%` });
+      case 'gt': return this.sequelize.where(numeric, { [Op.gt]: Number(value) });
+      case 'gte': return this.sequelize.where(numeric, { [Op.gte]: Number(value) });
+      case 'lt': return this.sequelize.where(numeric, { [Op.lt]: Number(value) });
+      case 'lte': return this.sequelize.where(numeric, { [Op.lte]: Number(value) });
+      case 'is_empty': return { [Op.or]: [this.sequelize.where(text, { [Op.is]: null }), this.sequelize.where(text, '')] };
+      case 'is_not_empty': return this.sequelize.where(text, { [Op.ne]: '' });
+      default:
+        throw new Error(`Unsupported operator: ${op}`);
+    }
+  }
+
+  /**
+   * Journey membership: value is a journey id, a list of ids, or "any".
+   * statuses defaults to active and paused enrollments
+   */
+  compileJourneyRule(op, value, statuses = ['active', 'paused']) {
+    const list = [].concat(statuses);
+    if (list.some(status => !JOURNEY_STATUSES.includes(status))) {
+      throw new Error(`Journey statuses must be among: ${JOURNEY_STATUSES.join(', ')}`);
+    }
+
+    const conditions = [`"status" IN (${list.map(status => this.sequelize.escape(status)).join(', ')})`];
+    if (value !== 'any') {
+      const journeyIds = [].concat(value).map(id => parseInt(id, 10));
+      if (journeyIds.some(id => !Number.isInteger(id))) {
+        throw new Error('Journey ids must be integers');
+      }
+      conditions.push(`"journeyId" IN (${journeyIds.join(', ')})`);
+    }
+
+    const subquery = this.sequelize.literal(`(SELECT "leadId" FROM "LeadJourneys" WHERE ${conditions.join(' AND ')})`);
+    return { id: { [op === 'in' ? Op.in : Op.notIn]: subquery } };
+  }
+
+  getRange(value) {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error('between needs a [from, to] pair');
+    }
+    return value;
+  }
+
+  /**
+   * Tenant-scoped where clause for a filter
+   */
+  buildWhere(tenantId, filter) {
+    return {
+      [Op.and]: [
+        { tenantId: tenantId.toString() },
+        this.compileFilter(filter || { match: 'all', rules: [] })
+      ]
+    };
+  }
+
+  // ===== Search =====
+
+  /**
+   * Leads matching a filter, newest first, a page at a time. Pass nextCursor back as cursor
+   */
+  async search(tenantId, filter, { cursor = null, limit = 50, includeCount = false } = {}) {
+    try {
+      const pageSize = Math.min(parseInt(limit) || 50, MAX_PAGE_SIZE);
+      const where = this.buildWhere(tenantId, filter);
+      const pageWhere = cursor
+        ? { [Op.and]: [where, { id: { [Op.lt]: parseInt(cursor, 10) } }] }
+        : where;
+
+      const leads = await this.models.Lead.findAll({
+        where: pageWhere,
+        order: [['id', 'DESC']],
+        limit: pageSize + 1
+      });
+
+      const hasMore = leads.length > pageSize;
+      const page = hasMore ? leads.slice(0, pageSize) : leads;
+
+      const result = {
+        leads: page,
+        nextCursor: hasMore ? String(page[page.length - 1].id) : null
+      };
+      if (includeCount) {
+        result.count = await this.models.Lead.count({ where });
+      }
+      return result;
+    } catch (error) {
+      console.error('Error searching leads:', error);
+      throw error;
+    }
+  }
+
+  async count(tenantId, filter) {
+    return this.models.Lead.count({ where: this.buildWhere(tenantId, filter) });
+  }
+
+  /**
+   * Walk every lead in a filter in id batches
+   */
+  async forEachBatch(tenantId, filter, handler) {
+    let cursor = null;
+    do {
+      const { leads, nextCursor } = await this.search(tenantId, filter, { cursor, limit: BATCH_SIZE });
+      if (leads.length > 0) {
+        await handler(leads);
+      }
+      cursor = nextCursor;
+    } while (cursor);
+  }
+
+  // ===== Saved segments =====
+
+  async listSegments(tenantId) {
+    return this.models.Segment.findAll({
+      where: { tenantId: tenantId.toString() },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  async getSegment(id, tenantId) {
+    const segment = await this.models.Segment.findOne({ where: { id, tenantId: tenantId.toString() } });
+    if (!segment) {
+      throw new Error('Segment not found');
+    }
+    return segment;
+  }
+
+  async createSegment(tenantId, data, createdBy = null) {
+    if (!data.name) {
+      throw new Error('Segment name is required');
+    }
+    this.compileFilter(data.filter);
+
+    const existing = await this.models.Segment.findOne({ where: { tenantId: tenantId.toString(), name: data.name } });
+    if (existing) {
+      throw new Error(`A segment named "${data.name}" already exists`);
+    }
+
+    const segment = await this.models.Segment.create({
+      tenantId: tenantId.toString(),
+      name: data.name,
+      description: data.description || null,
+      filter: data.filter,
+      createdBy
+    });
+
+    return this.refreshCount(segment);
+  }
+
+  async updateSegment(id, tenantId, data) {
+    const segment = await this.getSegment(id, tenantId);
+
+    const updates = {};
+    if (data.name !== undefined) updates.name = data.name;
+    if (data.description !== undefined) updates.description = data.description;
+    if (data.filter !== undefined) {
+      this.compileFilter(data.filter);
+      updates.filter = data.filter;
+    }
+
+    await segment.update(updates);
+    return this.refreshCount(segment);
+  }
+
+  async deleteSegment(id, tenantId) {
+    const segment = await this.getSegment(id, tenantId);
+    await segment.destroy();
+    return true;
+  }
+
+  /**
+   * Count a segment's leads now and keep the number on the segment
+   */
+  async refreshCount(segment) {
+    const count = await this.count(segment.tenantId, segment.filter);
+    await segment.update({ lastCount: count, lastCountedAt: new Date() });
+    return segment;
+  }
+
+  // ===== Bulk actions =====
+
+  /**
+   * Run a bulk action on every lead in a segment. Assignments are applied at once; journey
+   * enrollment and SMS run in the background and report progress on segment.lastAction
+   */
+  async runAction(id, tenantId, action, params = {}, userId = null) {
+    const segment = await this.getSegment(id, tenantId);
+    tenantId = segment.tenantId;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+    }
+    if (this.isActionRunning(segment.lastAction)) {
+      throw new Error(`A ${segment.lastAction.action} action is still running on this segment`);
+    }
+    if (segment.lastAction && segment.lastAction.status === 'running') {
+      console.log(`Segment ${segment.id} ${segment.lastAction.action} action stopped reporting progress, starting ${action}`);
+    }
+
+    await this.validateAction(tenantId, action, params);
+
+    const matched = await this.count(tenantId, segment.filter);
+    const lastAction = {
+      action,
+      params,
+      status: 'running',
+      matched,
+      succeeded: 0,
+      failed: 0,
+      errors: [],
+      startedBy: userId,
+      startedAt: new Date(),
+      updatedAt: new Date()
+    };
+    await segment.update({ lastAction });
+
+    const run = this.executeAction(segment, action, params, lastAction);
+    if (action === 'journey' || action === 'sms') {
+      run.catch(error => console.error(`Error running ${action} on segment ${segment.id}:`, error));
+      return { segment, background: true };
+    }
+
+    await run;
+    return { segment, background: false };
+  }
+
+  /**
+   * Running actions report progress after every batch; one that stopped doing so is no longer running
+   */
+  isActionRunning(lastAction) {
+    if (!lastAction || lastAction.status !== 'running') return false;
+
+    const lastProgress = moment(lastAction.updatedAt || lastAction.startedAt);
+    return lastProgress.isAfter(moment().subtract(STALE_ACTION_MINUTES, 'minutes'));
+  }
+
+  async validateAction(tenantId, action, params) {
+    switch (action) {
+      case 'dialer_assignment':
+        if (!DIALER_ASSIGNMENTS.includes(params.dialerAssignment)) {
+          throw new Error(`dialerAssignment must be one of: ${DIALER_ASSIGNMENTS.join(', ')}`);
+        }
+        break;
+
+      case 'stage': {
+        const stage = params.stageId
+          ? await this.models.Stage.findOne({ where: { id: params.stageId, tenantId } })
+          : null;
+        if (!stage) throw new Error('Stage not found');
+        break;
+      }
+
+      case 'journey': {
+        if (!this.journeyService) throw new Error('Journey service is not available');
+        const journey = params.journeyId
+          ? await this.models.Journey.findOne({ where: { id: params.journeyId, tenantId } })
+          : null;
+        if (!journey) throw new Error('Journey not found');
+        if (!journey.isActive) throw new Error('Journey is not active');
+        break;
+      }
+
+      case 'sms':
+        if (!params.body && !params.templateId) throw new Error('SMS needs a body or a templateId');
+        if (!this.getSmsService(await this.resolveSmsProvider(tenantId, params))) {
+          throw new Error('SMS service is not available');
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * The provider an SMS action sends through: the one asked for, else the tenant's
+   */
+  async resolveSmsProvider(tenantId, params) {
+    if (params.provider) return params.provider;
+
+    const tenant = await this.models.Tenant.findByPk(tenantId);
+    return (tenant && tenant.smsProvider) || 'twilio';
+  }
+
+  getSmsService(provider) {
+    return provider === 'meera' ? this.meeraService : this.twilioService;
+  }
+
+  async executeAction(segment, action, params, lastAction) {
+    const tenantId = segment.tenantId;
+    const progress = { ...lastAction };
+    const recordErrors = (errors) => {
+      progress.failed += errors.length;
+      progress.errors = [...progress.errors, ...errors].slice(0, 20);
+    };
+    const saveProgress = async () => {
+      progress.updatedAt = new Date();
+      await segment.update({ lastAction: { ...progress } });
+    };
+
+    try {
+      if (action === 'dialer_assignment' || action === 'stage') {
+        const updates = action === 'stage'
+          ? { stageId: params.stageId }
+          : { dialerAssignment: params.dialerAssignment };
+
+        await this.forEachBatch(tenantId, segment.filter, async (leads) => {
+          const leadIds = leads.map(lead => lead.id);
+          const [count] = await this.models.Lead.update(updates, {
+            where: { id: { [Op.in]: leadIds }, tenantId }
+          });
+          progress.succeeded += count;
+
+          if (action === 'stage') {
+            await this.stageAutomationService.recordStageChanges(tenantId, leads, params.stageId, {
+              source: 'segment',
+              changedBy: lastAction.startedBy
+            });
+          }
+          await saveProgress();
+        });
+      }
+
+      if (action === 'journey') {
+        await this.forEachBatch(tenantId, segment.filter, async (leads) => {
+          const errors = [];
+          for (const lead of leads) {
+            try {
+              await this.journeyService.enrollLeadInJourney(lead.id, params.journeyId, { restart: !!params.restart });
+              progress.succeeded++;
+            } catch (error) {
+              errors.push({ leadId: lead.id, error: error.message });
+            }
+          }
+          recordErrors(errors);
+          await saveProgress();
+        });
+      }
+
+      if (action === 'sms') {
+        const smsService = this.getSmsService(await this.resolveSmsProvider(tenantId, params));
+
+        await this.forEachBatch(tenantId, segment.filter, async (leads) => {
+          const result = await smsService.sendBulkSms(tenantId, {
+            recipients: leads.map(lead => ({
+              phone: lead.phone,
+              leadId: lead.id,
+              metadata: { segmentId: segment.id }
+            })),
+            body: params.body,
+            templateId: params.templateId,
+            from: params.from
+          });
+          progress.succeeded += result.sent;
+          recordErrors(result.errors.map(error => ({ phone: error.recipient, error: error.error })));
+          await saveProgress();
+        });
+      }
+
+      progress.status = 'completed';
+      console.log(`📋 Segment ${segment.id} ${action}: ${progress.succeeded} succeeded, ${progress.failed} failed of ${progress.matched}`);
+    } catch (error) {
+      progress.status = 'failed';
+      progress.errors = [...progress.errors, { error: error.message }].slice(0, 20);
+      console.error(`Error running ${action} on segment ${segment.id}:`, error);
+    }
+
+    progress.completedAt = new Date();
+    progress.updatedAt = progress.completedAt;
+    await segment.update({ lastAction: progress });
+    return progress;
+  }
+}
+
+module.exports = SegmentService;
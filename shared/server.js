@@ -15,6 +15,7 @@ const crypto = require('crypto');
 const fs = require('fs').promises;
 
 const initWebhookIntegration = require('../shared/webhook-integration');
+const updateDialerTables = require('../shared/update-dialer-tables');
 
 // Import the DialPlan Builder module
 const initDialPlanBuilder = require('../dialplan-builder');
@@ -243,7 +244,83 @@ const Tenant = sequelize.define('Tenant', {
       minAgentsAvailable: 2,
       autoDelete: false,
       sortOrder: 'oldest',
-      didDistribution: 'even'
+      didDistribution: 'even',
+      pacingMode: 'fixed',
+      pacing: {
+        targetAbandonRate: 3,
+        minRatio: 1,
+        maxRatio: 3,
+        windowMinutes: 15
+      },
+      callingWindows: {
+        enabled: true,
+        defaultWindow: { start: '08:00', end: '21:00' },
+        stateRules: {},
+        holidays: [],
+        blockUnknownTimezone: false
+      },
+      recycling: {
+        enabled: true,
+        retryDelays: { busy: 30, no_answer: 120, failed: 240, voicemail: 1440 },
+        maxAttempts: 6,
+        dailyLimit: 3,
+        lifetimeLimit: 10,
+        brands: {},
+        sources: {}
+      },
+      callbacks: {
+        enabled: true,
+        routeToAssignedAgent: false,
+        agentExtensions: {},
+        missedAfterMinutes: 30,
+        rescheduleMinutes: 60,
+        maxReschedules: 3
+      },
+      agentStatus: {
+        provider: 'csv_api'
+      },
+      amd: {
+        enabled: false,
+        voicemailRecordingId: null
+      },
+      didRotation: {
+        dailyCap: 150,
+        cooldownSeconds: 60,
+        stateFallback: true,
+        health: {
+          enabled: true,
+          windowHours: 24,
+          minCalls: 25,
+          quarantineBelow: 40,
+          quarantineHours: 48
+        }
+      },
+      leadDedup: {
+        enabled: true,
+        matchOn: ['phone', 'email'],
+        onDuplicate: 'merge',
+        defaultPrecedence: 'existing',
+        fieldPrecedence: {},
+        undoHours: 72,
+        defaultCountryCode: '1'
+      },
+      leadScoring: {
+        enabled: false,
+        baseScore: 10,
+        sources: {},
+        brands: {},
+        stages: {}
+      },
+      contactPolicy: {
+        enabled: true,
+        maxTouchesPerDay: null,
+        maxTouchesPerWeek: null,
+        maxCallsPerDay: null,
+        maxCallsPerWeek: null,
+        maxSmsPerDay: null,
+        maxSmsPerWeek: null,
+        minMinutesBetweenTouches: null
+      }
     }
   },
   timezone: {
@@ -512,6 +589,46 @@ async function initializeModules() {
   leadRoutes(app, sequelize, authenticateToken);
   console.log('Lead Routes module initialized successfully');
 
+  // Initialize bulk lead imports
+  try {
+    console.log('Initializing Lead Import module...');
+    const initLeadImports = require('../shared/lead-import-routes');
+    initLeadImports(app, sequelize, authenticateToken, journeyService);
+    console.log('Lead Import module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Lead Import module:', error);
+  }
+
+  // Initialize lead search and segments
+  try {
+    console.log('Initializing Segments module...');
+    const initSegments = require('../shared/segment-routes');
+    initSegments(app, sequelize, authenticateToken, journeyService);
+    console.log('Segments module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Segments module:', error);
+  }
+
+  // Initialize lead scoring
+  try {
+    console.log('Initializing Lead Scoring module...');
+    const initLeadScoring = require('../shared/lead-scoring-routes');
+    initLeadScoring(app, sequelize, authenticateToken);
+    console.log('Lead Scoring module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Lead Scoring module:', error);
+  }
+
+  // Initialize lead timeline
+  try {
+    console.log('Initializing Lead Timeline module...');
+    const initLeadTimeline = require('../shared/lead-timeline-routes');
+    initLeadTimeline(app, sequelize, authenticateToken);
+    console.log('Lead Timeline module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Lead Timeline module:', error);
+  }
+
   console.log('Initializing Stage Routes module...');
   const stageRoutes = require('../shared/stage-routes');
   stageRoutes(app, sequelize, authenticateToken);
@@ -528,6 +645,46 @@ async function initializeModules() {
   tenantRoutes(app, sequelize, authenticateToken);
   console.log('Tenant Routes module initialized successfully');
 
+  // Initialize DNC registry
+  try {
+    console.log('Initializing DNC module...');
+    const initDnc = require('../shared/dnc-routes');
+    initDnc(app, sequelize, authenticateToken);
+    console.log('DNC module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing DNC module:', error);
+  }
+
+  // Initialize contact policy (per-lead frequency caps)
+  try {
+    console.log('Initializing Contact Policy module...');
+    const initContactPolicy = require('../shared/contact-policy-routes');
+    initContactPolicy(app, sequelize, authenticateToken);
+    console.log('Contact Policy module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Contact Policy module:', error);
+  }
+
+  // Initialize dialer campaigns
+  try {
+    console.log('Initializing Dialer Campaign module...');
+    const initCampaigns = require('../shared/campaign-routes');
+    initCampaigns(app, sequelize, authenticateToken);
+    console.log('Dialer Campaign module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Dialer Campaign module:', error);
+  }
+
+  // Initialize scheduled callbacks
+  try {
+    console.log('Initializing Callback module...');
+    const initCallbacks = require('../shared/callback-routes');
+    initCallbacks(app, sequelize, authenticateToken);
+    console.log('Callback module initialized successfully');
+  } catch (error) {
+    console.error('Error initializing Callback module:', error);
+  }
+
   // FIXED: Initialize the Webhook Integration module AFTER optisignsService is available
   console.log('Initializing Webhook Integration module...');
   
@@ -710,6 +867,15 @@ async function defineRoutes(dialplanBuilder) {
         }
       };
       
+      // Result of the worker's last agent-availability fetch for each of the tenant's ingroups
+      try {
+        const AgentStatusService = require('../shared/agent-status-service');
+        const agentStatusModels = require('../shared/agent-status-models')(sequelize);
+        serviceStatus.agentStatus = await new AgentStatusService(agentStatusModels).getHealth(req.user.tenantId);
+      } catch (error) {
+        serviceStatus.agentStatus = { healthy: false, error: error.message, checks: [] };
+      }
+      
       res.json(serviceStatus);
     } catch (error) {
       res.status(500).json({ error: 'Error retrieving service status' });
@@ -1047,6 +1213,9 @@ async function startServer() {
     await fixCurrentPlaylistColumn(sequelize);
     // Remove any takeovers referencing missing displays
     await removeOrphanTakeovers(sequelize);
+    // Columns the Lead and dialer models expect on tables created by older versions; the worker runs it too,
+    // and whichever process starts first brings the tables up to date
+    await updateDialerTables(sequelize);
 
     await sequelize.sync({ alter: false });
     console.log('Database models synchronized.');
@@ -2,6 +2,7 @@
 // Unified SMS routes for both Twilio and Meera
 
 const express = require('express');
+const cron = require('node-cron');
 const TwilioService = require('./twilio-service');
 const MeeraService = require('./meera-service');
 
@@ -346,7 +347,8 @@ module.exports = function(app, sequelize, authenticateToken) {
         });
       }
       
-      res.json(result);
+      // Held back by the contact policy; it is sent later
+      res.status(result.deferred ? 202 : 200).json(result);
     } catch (error) {
       console.error('Error sending SMS:', error);
       res.status(400).json({ error: error.message });
@@ -410,7 +412,7 @@ module.exports = function(app, sequelize, authenticateToken) {
         });
       }
       
-      res.json(result);
+      res.status(result.deferred ? 202 : 200).json(result);
     } catch (error) {
       console.error('Error sending templated SMS:', error);
       res.status(400).json({ error: error.message });
@@ -577,6 +579,21 @@ module.exports = function(app, sequelize, authenticateToken) {
   
   // Register routes
   app.use('/api', router);
+
+  // Send SMS the contact policy held back once their numbers are clear
+  cron.schedule('* * * * *', async () => {
+    try {
+      const sent = await twilioService.contactPolicyService.processDeferredMessages({
+        twilio: twilioService,
+        meera: meeraService
+      });
+      if (sent > 0) {
+        console.log(`📨 Sent ${sent} deferred SMS`);
+      }
+    } catch (error) {
+      console.error('Error sending deferred SMS:', error);
+    }
+  });
   
   return { twilioModels, meeraModels };
 };
\ No newline at end of file
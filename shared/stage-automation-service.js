@@ -0,0 +1,445 @@
+// shared/stage-automation-service.js
+// Stage catalysts as automation rules, and the stage history every stage change is written to.
+// A catalyst sits on the stage it moves leads into and fires on call, SMS, webhook, journey or time-in-stage events
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+const initLeadStageHistoryModels = require('./lead-stage-history-models');
+const initStageModels = require('./stage-models');
+const LeadScoringService = require('./lead-scoring-service');
+const eventBus = require('./event-bus');
+
+const CATALYST_EVENTS = ['call_outcome', 'sms_reply', 'webhook', 'journey', 'time_in_stage'];
+const JOURNEY_EVENTS = ['completed', 'exited', 'step'];
+const WEBHOOK_TYPES = ['go', 'pause', 'stop'];
+
+// Call statuses that count as reaching the lead for noContact
+const CONTACT_STATUSES = ['answered', 'connected', 'completed', 'transferred'];
+const BATCH_SIZE = 500;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getNestedValue(obj, path) {
+  return path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), obj);
+}
+
+class StageAutomationService {
+  constructor(models) {
+    this.models = models;
+    this.sequelize = models.Lead ? models.Lead.sequelize : null;
+    this.tableCache = new Map();
+
+    if (this.sequelize) {
+      this.models = {
+        ...models,
+        ...(models.Stage ? {} : initStageModels(this.sequelize)),
+        ...(models.LeadStageHistory ? {} : initLeadStageHistoryModels(this.sequelize))
+      };
+    }
+    this.leadScoringService = new LeadScoringService(this.models);
+  }
+
+  /**
+   * A model by name, falling back to whatever is defined on the connection
+   */
+  getModel(name) {
+    return this.models[name] || (this.sequelize && this.sequelize.models[name]) || null;
+  }
+
+  async tableExists(tableName) {
+    if (!this.tableCache.has(tableName)) {
+      const [row] = await this.sequelize.query('SELECT to_regclass(:tableName) AS "table"', {
+        replacements: { tableName: `"${tableName}"` },
+        type: this.sequelize.QueryTypes.SELECT
+      });
+      this.tableCache.set(tableName, !!(row && row.table));
+    }
+    return this.tableCache.get(tableName);
+  }
+
+  // ===== Catalyst rules =====
+
+  /**
+   * Check the rule entries of a catalysts array. Entries without an event are descriptive and left alone
+   */
+  validateCatalysts(catalysts) {
+    if (catalysts === undefined || catalysts === null) return;
+    if (!Array.isArray(catalysts)) {
+      throw new Error('catalysts must be an array');
+    }
+
+    catalysts.forEach((catalyst, index) => {
+      if (!catalyst || typeof catalyst !== 'object' || catalyst.event === undefined) return;
+
+      const label = `Catalyst ${index + 1}`;
+      if (!CATALYST_EVENTS.includes(catalyst.event)) {
+        throw new Error(`${label}: event must be one of ${CATALYST_EVENTS.join(', ')}`);
+      }
+      if (catalyst.fromStageIds !== undefined && !Array.isArray(catalyst.fromStageIds)) {
+        throw new Error(`${label}: fromStageIds must be an array`);
+      }
+
+      switch (catalyst.event) {
+        case 'sms_reply':
+          if (!Array.isArray(catalyst.keywords) || catalyst.keywords.length === 0) {
+            throw new Error(`${label}: sms_reply needs a keywords array`);
+          }
+          if (catalyst.match && !['contains', 'exact'].includes(catalyst.match)) {
+            throw new Error(`${label}: match must be contains or exact`);
+          }
+          break;
+        case 'journey':
+          if (catalyst.on && !JOURNEY_EVENTS.includes(catalyst.on)) {
+            throw new Error(`${label}: on must be one of ${JOURNEY_EVENTS.join(', ')}`);
+          }
+          break;
+        case 'webhook':
+          if (catalyst.webhookTypes && catalyst.webhookTypes.some(type => !WEBHOOK_TYPES.includes(type))) {
+            throw new Error(`${label}: webhookTypes must be among ${WEBHOOK_TYPES.join(', ')}`);
+          }
+          break;
+        case 'time_in_stage':
+          if (!(Number(catalyst.days) > 0)) {
+            throw new Error(`${label}: time_in_stage needs days greater than 0`);
+          }
+          if (!Array.isArray(catalyst.fromStageIds) || catalyst.fromStageIds.length === 0) {
+            throw new Error(`${label}: time_in_stage needs fromStageIds`);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Active stages of a tenant with their enabled catalyst rules, in stage order
+   */
+  async getCatalystStages(tenantId, event) {
+    const stages = await this.models.Stage.findAll({
+      where: { tenantId: tenantId.toString(), isActive: true },
+      order: [['order', 'ASC'], ['id', 'ASC']]
+    });
+
+    return stages
+      .map(stage => ({
+        stage,
+        catalysts: (Array.isArray(stage.catalysts) ? stage.catalysts : [])
+          .filter(catalyst => catalyst && catalyst.event === event && catalyst.enabled !== false)
+      }))
+      .filter(entry => entry.catalysts.length > 0);
+  }
+
+  /**
+   * Does an event match a catalyst rule
+   */
+  matchesCatalyst(catalyst, lead, context) {
+    if (Array.isArray(catalyst.fromStageIds) && catalyst.fromStageIds.length > 0 &&
+        !catalyst.fromStageIds.map(Number).includes(Number(lead.stageId))) {
+      return false;
+    }
+
+    switch (catalyst.event) {
+      case 'call_outcome':
+        if (Array.isArray(catalyst.outcomes) && catalyst.outcomes.length > 0 && !catalyst.outcomes.includes(context.outcome)) {
+          return false;
+        }
+        return !catalyst.minTalkSeconds || (context.talkSeconds || 0) >= catalyst.minTalkSeconds;
+
+      case 'sms_reply': {
+        const body = (context.body || '').trim();
+        return catalyst.keywords.some(keyword => {
+          if (catalyst.match === 'exact') {
+            return body.toLowerCase() === keyword.toString().trim().toLowerCase();
+          }
+          return new RegExp(`\\b${escapeRegExp(keyword.toString())}\\b`, 'i').test(body);
+        });
+      }
+
+      case 'webhook':
+        if (Array.isArray(catalyst.webhookIds) && catalyst.webhookIds.length > 0 &&
+            !catalyst.webhookIds.map(String).includes(String(context.webhookId))) {
+          return false;
+        }
+        if (Array.isArray(catalyst.webhookTypes) && catalyst.webhookTypes.length > 0 &&
+            !catalyst.webhookTypes.includes(context.webhookType)) {
+          return false;
+        }
+        return Object.entries(catalyst.fields || {}).every(([path, expected]) => {
+          const value = getNestedValue(context.payload || {}, path);
+          const allowed = Array.isArray(expected) ? expected : [expected];
+          return value !== undefined && allowed.map(String).includes(String(value));
+        });
+
+      case 'journey':
+        if ((catalyst.on || 'completed') !== context.on) {
+          return false;
+        }
+        if (Array.isArray(catalyst.journeyIds) && catalyst.journeyIds.length > 0 &&
+            !catalyst.journeyIds.map(Number).includes(Number(context.journeyId))) {
+          return false;
+        }
+        return !(Array.isArray(catalyst.stepIds) && catalyst.stepIds.length > 0 &&
+          !catalyst.stepIds.map(Number).includes(Number(context.stepId)));
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate catalysts for an event on a lead. The first matching catalyst in stage order moves the lead
+   */
+  async handleEvent(leadId, event, context = {}) {
+    try {
+      const lead = await this.getModel('Lead').findByPk(leadId);
+      if (!lead) return null;
+
+      const entries = await this.getCatalystStages(lead.tenantId, event);
+
+      for (const { stage, catalysts } of entries) {
+        if (Number(stage.id) === Number(lead.stageId)) continue;
+
+        const catalyst = catalysts.find(rule => this.matchesCatalyst(rule, lead, context));
+        if (catalyst) {
+          await this.moveLead(lead, stage.id, { source: 'catalyst', trigger: event, catalyst });
+          console.log(`🧭 Catalyst moved lead ${lead.id} to stage "${stage.title}" on ${event}`);
+          return { leadId: lead.id, stageId: stage.id, catalyst };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error evaluating stage catalysts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Event hook: evaluate catalysts without making the caller wait or fail
+   */
+  trigger(leadId, event, context = {}) {
+    if (!leadId || !this.sequelize) return;
+    this.handleEvent(leadId, event, context).catch(error => {
+      console.error(`Error evaluating ${event} catalysts for lead ${leadId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Catalysts for a finished call
+   */
+  async handleCallOutcome(callLogId, outcome, talkSeconds = 0) {
+    const call = await this.getModel('CallLog').findByPk(callLogId);
+    if (!call || !call.leadId) return null;
+    return this.handleEvent(call.leadId, 'call_outcome', { outcome, talkSeconds, callLogId });
+  }
+
+  /**
+   * Time-in-stage catalysts for every tenant. Run on a schedule
+   */
+  async evaluateTimeCatalysts() {
+    const stages = await this.models.Stage.findAll({ where: { isActive: true } });
+    let moved = 0;
+
+    for (const stage of stages) {
+      const catalysts = (Array.isArray(stage.catalysts) ? stage.catalysts : [])
+        .filter(catalyst => catalyst && catalyst.event === 'time_in_stage' && catalyst.enabled !== false);
+
+      for (const catalyst of catalysts) {
+        try {
+          moved += await this.applyTimeCatalyst(stage, catalyst);
+        } catch (error) {
+          console.error(`Error applying time-in-stage catalyst on stage ${stage.id}: ${error.message}`);
+        }
+      }
+    }
+
+    if (moved > 0) {
+      console.log(`🧭 Time-in-stage catalysts moved ${moved} leads`);
+    }
+    return moved;
+  }
+
+  async applyTimeCatalyst(stage, catalyst) {
+    const fromStageIds = catalyst.fromStageIds.map(Number).filter(id => id !== Number(stage.id));
+    if (fromStageIds.length === 0) return 0;
+
+    const replacements = {
+      tenantId: stage.tenantId,
+      fromStageIds,
+      cutoff: moment().subtract(Number(catalyst.days), 'days').toDate(),
+      contactStatuses: CONTACT_STATUSES,
+      limit: BATCH_SIZE
+    };
+
+    // Leads that were already in the stage before history was kept start their clock now
+    await this.backfillOpenStays(stage.tenantId, fromStageIds);
+
+    const contactFilter = [];
+    if (catalyst.noContact) {
+      contactFilter.push(`(l."lastContact" IS NULL OR l."lastContact" < h."enteredAt")`);
+      contactFilter.push(`NOT EXISTS (
+        SELECT 1 FROM "CallLogs" c
+        WHERE c."leadId" = l.id AND c."startTime" >= h."enteredAt" AND c.status::text IN (:contactStatuses)
+      )`);
+      if (await this.tableExists('SmsMessages')) {
+        contactFilter.push(`NOT EXISTS (
+          SELECT 1 FROM "SmsMessages" s
+          WHERE s."leadId" = l.id AND s.direction = 'inbound' AND s."createdAt" >= h."enteredAt"
+        )`);
+      }
+    }
+
+    let moved = 0;
+    while (true) {
+      const rows = await this.sequelize.query(`
+        SELECT l.id
+        FROM "Leads" l
+        JOIN "LeadStageHistories" h ON h."leadId" = l.id AND h."exitedAt" IS NULL AND h."stageId" = l."stageId"
+        WHERE l."tenantId" = :tenantId
+          AND l."stageId" IN (:fromStageIds)
+          AND l."deletedAt" IS NULL
+          AND h."enteredAt" <= :cutoff
+          ${contactFilter.map(condition => `AND ${condition}`).join('\n          ')}
+        ORDER BY l.id
+        LIMIT :limit
+      `, { replacements, type: this.sequelize.QueryTypes.SELECT });
+
+      if (rows.length === 0) break;
+
+      const leads = await this.getModel('Lead').findAll({ where: { id: { [Op.in]: rows.map(row => row.id) } } });
+      for (const lead of leads) {
+        await this.moveLead(lead, stage.id, { source: 'catalyst', trigger: 'time_in_stage', catalyst });
+        moved++;
+      }
+
+      if (rows.length < BATCH_SIZE) break;
+    }
+
+    return moved;
+  }
+
+  async backfillOpenStays(tenantId, stageIds) {
+    await this.sequelize.query(`
+      INSERT INTO "LeadStageHistories" ("tenantId", "leadId", "stageId", "enteredAt", "source", "createdAt", "updatedAt")
+      SELECT l."tenantId", l.id, l."stageId", NOW(), 'backfill', NOW(), NOW()
+      FROM "Leads" l
+      WHERE l."tenantId" = :tenantId
+        AND l."stageId" IN (:stageIds)
+        AND l."deletedAt" IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM "LeadStageHistories" h WHERE h."leadId" = l.id AND h."exitedAt" IS NULL
+        )
+    `, { replacements: { tenantId: tenantId.toString(), stageIds } });
+  }
+
+  // ===== Stage history =====
+
+  /**
+   * Move a lead to a stage (or out of its stage with null) and record it
+   */
+  async moveLead(lead, toStageId, meta = {}) {
+    const fromStageId = lead.stageId;
+    await lead.update({ stageId: toStageId });
+    await this.recordStageChange(lead.tenantId, lead.id, fromStageId, toStageId, meta);
+    return lead;
+  }
+
+  /**
+   * Close the lead's open stay and open one in the new stage
+   */
+  async recordStageChange(tenantId, leadId, fromStageId, toStageId, meta = {}) {
+    await this.recordStageChanges(tenantId, [{ id: leadId, stageId: fromStageId }], toStageId, meta);
+  }
+
+  /**
+   * Bulk version for moves that update many leads in one statement. leads carry their previous stageId
+   */
+  async recordStageChanges(tenantId, leads, toStageId, { source = 'manual', trigger = null, catalyst = null, changedBy = null } = {}) {
+    const changed = leads.filter(lead => Number(lead.stageId || 0) !== Number(toStageId || 0));
+    if (changed.length === 0) return 0;
+
+    const now = new Date();
+    await this.models.LeadStageHistory.update({ exitedAt: now }, {
+      where: { leadId: { [Op.in]: changed.map(lead => lead.id) }, exitedAt: null }
+    });
+
+    if (toStageId) {
+      await this.models.LeadStageHistory.bulkCreate(changed.map(lead => ({
+        tenantId: tenantId.toString(),
+        leadId: lead.id,
+        stageId: toStageId,
+        previousStageId: lead.stageId || null,
+        enteredAt: now,
+        source,
+        trigger,
+        catalyst,
+        changedBy
+      })));
+    }
+
+    // Stage points are part of the lead score
+    this.leadScoringService.rescoreMany(changed.map(lead => lead.id), 'stage_change');
+
+    for (const lead of changed) {
+      eventBus.publish(eventBus.EVENTS.STAGE_CHANGED, {
+        tenantId: tenantId.toString(),
+        leadId: lead.id,
+        stageId: toStageId || null,
+        previousStageId: lead.stageId || null,
+        source
+      });
+    }
+
+    return changed.length;
+  }
+
+  async getLeadHistory(leadId, tenantId) {
+    return this.models.LeadStageHistory.findAll({
+      where: { leadId, tenantId: tenantId.toString() },
+      order: [['enteredAt', 'DESC'], ['id', 'DESC']]
+    });
+  }
+
+  /**
+   * Entries, exits and time spent per stage from stage history
+   */
+  async getTimeInStage(tenantId, { startDate, endDate } = {}) {
+    const replacements = { tenantId: tenantId.toString() };
+    const range = [];
+    if (startDate) {
+      range.push('"enteredAt" >= :startDate');
+      replacements.startDate = new Date(startDate);
+    }
+    if (endDate) {
+      range.push('"enteredAt" <= :endDate');
+      replacements.endDate = new Date(endDate);
+    }
+
+    const rows = await this.sequelize.query(`
+      SELECT "stageId",
+        COUNT(*) FILTER (WHERE source <> 'backfill')::int AS "entered",
+        COUNT("exitedAt")::int AS "exited",
+        AVG(EXTRACT(EPOCH FROM ("exitedAt" - "enteredAt"))) FILTER (WHERE "exitedAt" IS NOT NULL) AS "avgSeconds",
+        PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM ("exitedAt" - "enteredAt")))
+          FILTER (WHERE "exitedAt" IS NOT NULL) AS "medianSeconds",
+        AVG(EXTRACT(EPOCH FROM (NOW() - "enteredAt"))) FILTER (WHERE "exitedAt" IS NULL) AS "openAvgSeconds"
+      FROM "LeadStageHistories"
+      WHERE "tenantId" = :tenantId ${range.map(condition => `AND ${condition}`).join(' ')}
+      GROUP BY "stageId"
+    `, { replacements, type: this.sequelize.QueryTypes.SELECT });
+
+    const toHours = seconds => (seconds === null ? null : parseFloat((seconds / 3600).toFixed(1)));
+    return new Map(rows.map(row => [Number(row.stageId), {
+      entered: row.entered,
+      exited: row.exited,
+      avgHoursInStage: toHours(row.avgSeconds),
+      medianHoursInStage: toHours(row.medianSeconds),
+      currentAvgHoursInStage: toHours(row.openAvgSeconds)
+    }]));
+  }
+}
+
+module.exports = StageAutomationService;
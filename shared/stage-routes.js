@@ -202,7 +202,7 @@ module.exports = function(app, sequelize, authenticateToken) {
         });
       }
       
-      const lead = await service.assignLeadStage(req.params.leadId, req.user.tenantId, stageId);
+      const lead = await service.assignLeadStage(req.params.leadId, req.user.tenantId, stageId, req.user.username || String(req.user.id));
       
       res.json({
         success: true,
@@ -229,7 +229,7 @@ module.exports = function(app, sequelize, authenticateToken) {
       const models = getModels();
       const service = new StageService(models);
       
-      const lead = await service.removeLeadStage(req.params.leadId, req.user.tenantId);
+      const lead = await service.removeLeadStage(req.params.leadId, req.user.tenantId, req.user.username || String(req.user.id));
       
       res.json({
         success: true,
@@ -250,6 +250,27 @@ module.exports = function(app, sequelize, authenticateToken) {
     }
   });
 
+  // Stage history of a lead, including catalyst moves
+  router.get('/leads/:leadId/stage-history', authenticateToken, async (req, res) => {
+    try {
+      const models = getModels();
+      const service = new StageService(models);
+      
+      const history = await service.getLeadStageHistory(req.params.leadId, req.user.tenantId);
+      
+      res.json({
+        success: true,
+        history
+      });
+    } catch (error) {
+      console.error('Error getting lead stage history:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  });
+
   // Bulk assign leads to stage
   router.post('/stages/:stageId/leads/bulk-assign', authenticateToken, async (req, res) => {
     try {
@@ -2,10 +2,12 @@
 // Enhanced stage service with full CRUD and analytics
 
 const { Op } = require('sequelize');
+const StageAutomationService = require('./stage-automation-service');
 
 class StageService {
   constructor(models) {
     this.models = models;
+    this.stageAutomationService = new StageAutomationService(models);
   }
 
   /**
@@ -13,6 +15,8 @@ class StageService {
    */
   async createStage(tenantId, data) {
     try {
+      this.stageAutomationService.validateCatalysts(data.catalysts);
+      
       // Get the highest order number for this tenant
       const maxOrder = await this.models.Stage.max('order', {
         where: { tenantId }
@@ -93,6 +97,7 @@ class StageService {
         throw new Error('Stage not found');
       }
       
+      this.stageAutomationService.validateCatalysts(data.catalysts);
       await stage.update(data);
       console.log(`✅ Updated stage "${stage.title}" for tenant ${tenantId}`);
       
@@ -133,6 +138,11 @@ class StageService {
       }
       
       if (force && leadCount > 0) {
+        const removedLeads = await this.models.Lead.findAll({
+          where: { stageId: stageId, tenantId },
+          attributes: ['id', 'stageId']
+        });
+        
         // Remove stage from all leads
         await this.models.Lead.update(
           { stageId: null },
@@ -143,6 +153,7 @@ class StageService {
             }
           }
         );
+        await this.stageAutomationService.recordStageChanges(tenantId, removedLeads, null, { source: 'bulk' });
         console.log(`⚠️ Removed ${leadCount} leads from stage before deletion`);
       }
       
@@ -159,7 +170,7 @@ class StageService {
   /**
    * Assign a lead to a stage
    */
-  async assignLeadStage(leadId, tenantId, stageId) {
+  async assignLeadStage(leadId, tenantId, stageId, changedBy = null) {
     try {
       // Verify the lead exists and belongs to tenant
       const lead = await this.models.Lead.findOne({ 
@@ -192,6 +203,7 @@ class StageService {
       lead.stageId = stageId;
       await lead.save();
       
+      await this.stageAutomationService.recordStageChange(tenantId, lead.id, previousStageId, stageId, { changedBy });
       console.log(`✅ Assigned lead ${leadId} to stage ${stageId} (was: ${previousStageId})`);
       
       return lead;
@@ -204,7 +216,7 @@ class StageService {
   /**
    * Remove a lead from its current stage
    */
-  async removeLeadStage(leadId, tenantId) {
+  async removeLeadStage(leadId, tenantId, changedBy = null) {
     try {
       const lead = await this.models.Lead.findOne({ 
         where: { 
@@ -221,6 +233,7 @@ class StageService {
       lead.stageId = null;
       await lead.save();
       
+      await this.stageAutomationService.recordStageChange(tenantId, lead.id, previousStageId, null, { changedBy });
       console.log(`✅ Removed lead ${leadId} from stage ${previousStageId}`);
       
       return lead;
@@ -230,6 +243,23 @@ class StageService {
     }
   }
 
+  /**
+   * A lead's stage history, newest first
+   */
+  async getLeadStageHistory(leadId, tenantId) {
+    try {
+      const lead = await this.models.Lead.findOne({ where: { id: leadId, tenantId } });
+      if (!lead) {
+        throw new Error('Lead not found');
+      }
+      
+      return await this.stageAutomationService.getLeadHistory(lead.id, tenantId);
+    } catch (error) {
+      console.error('Error getting lead stage history:', error);
+      throw error;
+    }
+  }
+
   /**
    * Bulk assign multiple leads to a stage
    */
@@ -273,6 +303,7 @@ class StageService {
         }
       );
       
+      await this.stageAutomationService.recordStageChanges(tenantId, leads, stageId, { source: 'bulk' });
       console.log(`✅ Bulk assigned ${updatedCount} leads to stage ${stageId}`);
       
       return {
@@ -320,12 +351,18 @@ class StageService {
         whereClause.id = { [Op.in]: leadIds };
       }
       
+      const movedLeads = await this.models.Lead.findAll({
+        where: whereClause,
+        attributes: ['id', 'stageId']
+      });
+      
       // Move the leads
       const [updatedCount] = await this.models.Lead.update(
         { stageId: toStageId },
         { where: whereClause }
       );
       
+      await this.stageAutomationService.recordStageChanges(tenantId, movedLeads, toStageId, { source: 'bulk' });
       console.log(`✅ Moved ${updatedCount} leads from stage "${fromStage.title}" to "${toStage.title}"`);
       
       return {
@@ -423,6 +460,9 @@ class StageService {
         order: [['order', 'ASC']]
       });
       
+      // Entries, exits and time in stage come from stage history
+      const timeInStage = await this.stageAutomationService.getTimeInStage(tenantId, { startDate, endDate });
+      
       // Get lead counts for each stage
       const funnelData = [];
       let previousCount = 0;
@@ -442,6 +482,14 @@ class StageService {
         const conversionRate = i === 0 || previousCount === 0 ? 100 : 
           ((leadCount / previousCount) * 100).toFixed(1);
         
+        const history = timeInStage.get(stage.id) || {
+          entered: 0,
+          exited: 0,
+          avgHoursInStage: null,
+          medianHoursInStage: null,
+          currentAvgHoursInStage: null
+        };
+        
         funnelData.push({
           stageId: stage.id,
           stageName: stage.title,
@@ -450,6 +498,11 @@ class StageService {
           dropOffCount: i === 0 ? 0 : previousCount - leadCount,
           dropOffRate: i === 0 ? 0 : 
             (((previousCount - leadCount) / previousCount) * 100).toFixed(1),
+          enteredCount: history.entered,
+          exitedCount: history.exited,
+          avgHoursInStage: history.avgHoursInStage,
+          medianHoursInStage: history.medianHoursInStage,
+          currentAvgHoursInStage: history.currentAvgHoursInStage,
           color: stage.color,
           order: stage.order
         });
@@ -11,7 +11,8 @@ module.exports = function(app, sequelize, authenticateToken, contentService = nu
   // Initialize service
   const templateService = new TemplateService({
     ...templateModels,
-    Lead: sequelize.models.Lead
+    Lead: sequelize.models.Lead,
+    CallLog: sequelize.models.CallLog
   }, sequelize);  
 
   // ===== Email Configuration Routes =====
@@ -592,7 +593,7 @@ The Knittt Team`,
   // Send templated email directly
   router.post('/email/send', authenticateToken, async (req, res) => {
     try {
-      const { to, templateId, variables, attachments, tags, campaignId } = req.body;
+      const { to, templateId, variables, attachments, tags, campaignId, leadId } = req.body;
       
       if (!to || !templateId) {
         return res.status(400).json({ error: 'To and templateId are required' });
@@ -604,7 +605,8 @@ The Knittt Team`,
         variables,
         attachments,
         tags,
-        campaignId
+        campaignId,
+        leadId
       });
       
       res.json(result);
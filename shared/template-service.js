@@ -4,12 +4,14 @@ const { Op } = require('sequelize');
 const nodemailer = require('nodemailer');
 const sgMail = require('@sendgrid/mail');
 const moment = require('moment-timezone');
+const TransferRoutingService = require('./transfer-routing-service');
 
 class TemplateService {
   constructor(models, sequelize = null) {
     this.models = models;
     this.sequelize = sequelize || (models.sequelize ? models.sequelize : require('sequelize'));
     this.emailTransporters = new Map();
+    this.transferRoutingService = new TransferRoutingService(models);
   }
 
   /**
@@ -271,30 +273,11 @@ class TemplateService {
    */
   async getNextTransferNumberByBrandIngroup(tenantId, brand, ingroup) {
     try {
-      const group = await this.getTransferGroupByBrandIngroup(tenantId, brand, ingroup);
-      
-      if (!group || !group.numbers || group.numbers.length === 0) {
-        // Fallback to default group without brand/ingroup
-        const defaultGroup = await this.models.TransferGroup.findOne({
-          where: { 
-            tenantId,
-            brand: null,
-            ingroup: null,
-            isActive: true 
-          },
-          include: [{
-            model: this.models.TransferNumber,
-            as: 'numbers',
-            where: { isActive: true },
-            required: true
-          }]
-        });
-        
-        if (!defaultGroup || !defaultGroup.numbers || defaultGroup.numbers.length === 0) {
-          throw new Error('No transfer numbers available');
-        }
-        
-        return this.selectNumberFromGroup(defaultGroup);
+      // Most specific brand/ingroup group first, then the generic group
+      const group = await this.transferRoutingService.findGroup(tenantId, { brand, ingroup });
+      
+      if (!group) {
+        throw new Error('No transfer numbers available');
       }
       
       return this.selectNumberFromGroup(group);
@@ -305,78 +288,24 @@ class TemplateService {
   }
 
   /**
-   * Select a number from a transfer group based on routing type
+   * Select a number from a transfer group based on routing type, skipping closed and capped numbers
    */
   async selectNumberFromGroup(group) {
-    const activeNumbers = group.numbers.filter(n => {
-      if (!n.businessHours.enabled) return true;
-      return this.isWithinBusinessHours(n.businessHours);
-    });
+    const { available } = await this.transferRoutingService.getAvailableNumbers(group, group.tenantId);
     
-    if (activeNumbers.length === 0) {
+    if (available.length === 0) {
       throw new Error('No active transfer numbers available');
     }
     
-    let selectedNumber;
-    
-    switch (group.type) {
-      case 'roundrobin':
-        // Get the number with least recent usage
-        selectedNumber = activeNumbers.reduce((prev, curr) => {
-          if (!prev.stats.lastCallAt) return prev;
-          if (!curr.stats.lastCallAt) return curr;
-          return new Date(prev.stats.lastCallAt) < new Date(curr.stats.lastCallAt) ? prev : curr;
-        });
-        break;
-        
-      case 'priority':
-        // Get highest priority (lowest number)
-        selectedNumber = activeNumbers.reduce((prev, curr) => 
-          prev.priority < curr.priority ? prev : curr
-        );
-        break;
-        
-      case 'percentage':
-        // Weighted random selection
-        const totalWeight = activeNumbers.reduce((sum, n) => sum + n.weight, 0);
-        let random = Math.random() * totalWeight;
-        
-        for (const number of activeNumbers) {
-          random -= number.weight;
-          if (random <= 0) {
-            selectedNumber = number;
-            break;
-          }
-        }
-        break;
-        
-      case 'simultaneous':
-        // Return all numbers for simultaneous ringing
-        return activeNumbers.map(n => n.phoneNumber);
-        
-      default:
-        selectedNumber = activeNumbers[0];
+    if (group.type === 'simultaneous') {
+      // Return all numbers for simultaneous ringing
+      return available.map(n => n.phoneNumber);
     }
     
-    // Update stats
-    if (selectedNumber) {
-      await this.models.TransferNumber.update(
-        {
-          stats: {
-            ...selectedNumber.stats,
-            totalCalls: (selectedNumber.stats.totalCalls || 0) + 1,
-            lastCallAt: new Date()
-          }
-        },
-        {
-          where: { id: selectedNumber.id }
-        }
-      );
-      
-      return selectedNumber.phoneNumber;
-    }
+    const selectedNumber = this.transferRoutingService.selectNumber(group, available);
+    await this.transferRoutingService.recordSelection(selectedNumber);
     
-    throw new Error('Could not select transfer number');
+    return selectedNumber.phoneNumber;
   }
 
   /**
@@ -508,79 +437,7 @@ class TemplateService {
         throw new Error('Transfer group not found or inactive');
       }
       
-      // Filter active numbers
-      let activeNumbers = group.numbers.filter(n => n.isActive);
-      
-      // Check business hours if enabled
-      activeNumbers = activeNumbers.filter(n => {
-        if (!n.businessHours.enabled) return true;
-        return this.isWithinBusinessHours(n.businessHours);
-      });
-      
-      if (activeNumbers.length === 0) {
-        throw new Error('No active transfer numbers available');
-      }
-      
-      let selectedNumber;
-      
-      switch (group.type) {
-        case 'roundrobin':
-          // Get the number with least recent usage
-          selectedNumber = activeNumbers.reduce((prev, curr) => {
-            if (!prev.stats.lastCallAt) return prev;
-            if (!curr.stats.lastCallAt) return curr;
-            return new Date(prev.stats.lastCallAt) < new Date(curr.stats.lastCallAt) ? prev : curr;
-          });
-          break;
-          
-        case 'priority':
-          // Get highest priority (lowest number)
-          selectedNumber = activeNumbers.reduce((prev, curr) => 
-            prev.priority < curr.priority ? prev : curr
-          );
-          break;
-          
-        case 'percentage':
-          // Weighted random selection
-          const totalWeight = activeNumbers.reduce((sum, n) => sum + n.weight, 0);
-          let random = Math.random() * totalWeight;
-          
-          for (const number of activeNumbers) {
-            random -= number.weight;
-            if (random <= 0) {
-              selectedNumber = number;
-              break;
-            }
-          }
-          break;
-          
-        case 'simultaneous':
-          // Return all numbers for simultaneous ringing
-          return activeNumbers.map(n => n.phoneNumber);
-          
-        default:
-          selectedNumber = activeNumbers[0];
-      }
-      
-      // Update stats
-      if (selectedNumber) {
-        await this.models.TransferNumber.update(
-          {
-            stats: {
-              ...selectedNumber.stats,
-              totalCalls: (selectedNumber.stats.totalCalls || 0) + 1,
-              lastCallAt: new Date()
-            }
-          },
-          {
-            where: { id: selectedNumber.id }
-          }
-        );
-        
-        return selectedNumber.phoneNumber;
-      }
-      
-      throw new Error('Could not select transfer number');
+      return this.selectNumberFromGroup(group);
     } catch (error) {
       console.error('Error getting next transfer number:', error);
       throw error;
@@ -672,7 +529,7 @@ class TemplateService {
    * Send email using template
    */
   async sendTemplatedEmail(tenantId, options) {
-    const { to, templateId, variables = {}, attachments = [] } = options;
+    const { to, templateId, variables = {}, attachments = [], leadId = null, usedFor = 'api' } = options;
     
     try {
       // Get email config
@@ -718,8 +575,8 @@ class TemplateService {
       // Update sent count
       await emailConfig.increment('sentToday');
       
-      // Track usage
-      await this.trackUsage(templateId, tenantId, 'email', to, variables, rendered.content);
+      // Track usage against the lead so the email shows on its timeline
+      await this.trackUsage(templateId, tenantId, usedFor, leadId, variables, rendered.content, 'email');
       
       return {
         success: true,
@@ -766,29 +623,19 @@ class TemplateService {
    * Check if within business hours
    */
   isWithinBusinessHours(businessHours) {
-    const now = moment().tz(businessHours.timezone || 'America/New_York');
-    const dayOfWeek = now.format('dddd').toLowerCase();
-    const currentTime = now.format('HH:mm');
-    
-    const schedule = businessHours.schedule[dayOfWeek];
-    
-    if (!schedule || !schedule.enabled) {
-      return false;
-    }
-    
-    return currentTime >= schedule.start && currentTime <= schedule.end;
+    return this.transferRoutingService.isWithinBusinessHours(businessHours);
   }
 
   /**
    * Track template usage
    */
-  async trackUsage(templateId, tenantId, usedFor, entityId, variables, renderedContent) {
+  async trackUsage(templateId, tenantId, usedFor, entityId, variables, renderedContent, entityType = usedFor) {
     try {
       await this.models.TemplateUsage.create({
         tenantId,
         templateId,
         usedFor,
-        entityType: usedFor,
+        entityType,
         entityId,
         variables,
         renderedContent
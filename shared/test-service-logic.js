@@ -0,0 +1,291 @@
+// test-service-logic.js
+// Checks the service logic that needs no database: A/B significance, calling windows,
+// phone normalization and journey graph validation
+// Usage: node test-service-logic.js
+
+const assert = require('assert');
+const moment = require('moment-timezone');
+const ReportingService = require('./reporting-service');
+const CallingWindowService = require('./calling-window-service');
+const LeadIntakeService = require('./lead-intake-service');
+const JourneyGraphService = require('./journey-graph-service');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`   ✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`   ❌ ${name}: ${error.message}`);
+  }
+}
+
+function testSignificance() {
+  console.log('1. A/B significance (calculateTwoProportionSignificance)...');
+  const reporting = new ReportingService({}, null);
+
+  check('a clearly better variant is significant with a positive lift', () => {
+    const result = reporting.calculateTwoProportionSignificance(100, 1000, 150, 1000);
+    assert.strictEqual(result.significant, true);
+    assert.ok(result.zScore > 0);
+    assert.strictEqual(result.lift, 50);
+    assert.ok(result.pValue < 0.05);
+  });
+
+  check('a clearly worse variant is significant with a negative z-score', () => {
+    const result = reporting.calculateTwoProportionSignificance(150, 1000, 100, 1000);
+    assert.strictEqual(result.significant, true);
+    assert.ok(result.zScore < 0);
+  });
+
+  check('equal rates are not significant', () => {
+    const result = reporting.calculateTwoProportionSignificance(50, 500, 50, 500);
+    assert.strictEqual(result.significant, false);
+    assert.strictEqual(result.zScore, 0);
+  });
+
+  check('a small difference on few leads is not significant', () => {
+    const result = reporting.calculateTwoProportionSignificance(2, 20, 3, 20);
+    assert.strictEqual(result.significant, false);
+  });
+
+  check('a variant can beat a 0% control though lift is null', () => {
+    const result = reporting.calculateTwoProportionSignificance(0, 500, 20, 500);
+    assert.strictEqual(result.lift, null);
+    assert.strictEqual(result.significant, true);
+    assert.ok(result.zScore > 0);
+  });
+
+  check('no leads on either side gives no result', () => {
+    const result = reporting.calculateTwoProportionSignificance(0, 0, 5, 100);
+    assert.deepStrictEqual(result, { lift: null, zScore: null, pValue: null, significant: false });
+  });
+
+  check('no conversions on either side is not significant', () => {
+    const result = reporting.calculateTwoProportionSignificance(0, 100, 0, 100);
+    assert.strictEqual(result.significant, false);
+  });
+}
+
+function testCallingWindows() {
+  console.log('\n2. Calling windows (canCallLead / getNextAllowedTime)...');
+  const callingWindows = new CallingWindowService({});
+  const tenant = { id: 1, timezone: 'America/Los_Angeles', dialerConfig: {} };
+  const californiaLead = { phone: '(415) 555-0123', additionalData: {} };
+  const texasLead = { phone: '214-555-0123', additionalData: {} };
+
+  // Monday 19 and Sunday 18 October 2026
+  const mondayEarly = moment.tz('2026-10-19 07:50', 'America/Los_Angeles').toDate();
+  const mondayNoon = moment.tz('2026-10-19 12:00', 'America/Los_Angeles').toDate();
+  const sundayMorning = moment.tz('2026-10-18 10:05', 'America/Chicago').toDate();
+
+  check('a lead resolves to its area code time zone', () => {
+    const location = callingWindows.resolveLeadLocation(texasLead, tenant);
+    assert.strictEqual(location.state, 'TX');
+    assert.strictEqual(location.source, 'area_code');
+    assert.deepStrictEqual(location.timezones, ['America/Chicago']);
+  });
+
+  check('an explicit lead time zone wins over the area code', () => {
+    const location = callingWindows.resolveLeadLocation({ ...texasLead, timezone: 'America/New_York' }, tenant);
+    assert.deepStrictEqual(location.timezones, ['America/New_York']);
+  });
+
+  check('calls inside the federal window are allowed', () => {
+    assert.strictEqual(callingWindows.canCallLead(californiaLead, tenant, mondayNoon).allowed, true);
+  });
+
+  check('calls before 08:00 local are blocked', () => {
+    const result = callingWindows.canCallLead(californiaLead, tenant, mondayEarly);
+    assert.strictEqual(result.allowed, false);
+    assert.ok(/outside calling window/.test(result.reason));
+  });
+
+  check('the next allowed time is 08:00 local', () => {
+    const next = callingWindows.getNextAllowedTime(californiaLead, tenant, mondayEarly);
+    assert.strictEqual(moment(next).tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm'), '2026-10-19 08:00');
+  });
+
+  check('a state Sunday rule blocks the morning', () => {
+    const result = callingWindows.canCallLead(texasLead, tenant, sundayMorning);
+    assert.strictEqual(result.allowed, false);
+  });
+
+  check('the next allowed time follows the state Sunday window', () => {
+    const next = callingWindows.getNextAllowedTime(texasLead, tenant, sundayMorning);
+    assert.strictEqual(moment(next).tz('America/Chicago').format('YYYY-MM-DD HH:mm'), '2026-10-18 12:00');
+  });
+
+  check('tenant holidays block the whole day', () => {
+    const holidayTenant = { ...tenant, dialerConfig: { callingWindows: { holidays: ['2026-10-19'] } } };
+    const result = callingWindows.canCallLead(californiaLead, holidayTenant, mondayNoon);
+    assert.strictEqual(result.allowed, false);
+    const next = callingWindows.getNextAllowedTime(californiaLead, holidayTenant, mondayNoon);
+    assert.strictEqual(moment(next).tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm'), '2026-10-20 08:00');
+  });
+
+  check('unknown time zones fall back to the tenant zone unless blocked', () => {
+    const unknownLead = { phone: '+44 20 7946 0958', additionalData: {} };
+    assert.strictEqual(callingWindows.canCallLead(unknownLead, tenant, mondayNoon).allowed, true);
+    const strictTenant = { ...tenant, dialerConfig: { callingWindows: { blockUnknownTimezone: true } } };
+    assert.strictEqual(callingWindows.canCallLead(unknownLead, strictTenant, mondayNoon).allowed, false);
+    assert.strictEqual(callingWindows.getNextAllowedTime(unknownLead, strictTenant, mondayNoon), null);
+  });
+
+  check('disabled calling windows allow any time', () => {
+    const disabledTenant = { ...tenant, dialerConfig: { callingWindows: { enabled: false } } };
+    assert.strictEqual(callingWindows.canCallLead(californiaLead, disabledTenant, mondayEarly).allowed, true);
+  });
+}
+
+function testPhoneNormalization() {
+  console.log('\n3. Phone normalization (normalizePhone / getDialNumber / getPhoneVariants)...');
+  const intake = new LeadIntakeService({});
+
+  check('US formats normalize to E.164', () => {
+    assert.strictEqual(intake.normalizePhone('(415) 555-0123'), '+14155550123');
+    assert.strictEqual(intake.normalizePhone('415.555.0123'), '+14155550123');
+    assert.strictEqual(intake.normalizePhone('1-415-555-0123'), '+14155550123');
+    assert.strictEqual(intake.normalizePhone('+1 415 555 0123'), '+14155550123');
+    assert.strictEqual(intake.normalizePhone(4155550123), '+14155550123');
+  });
+
+  check('international formats keep their country code', () => {
+    assert.strictEqual(intake.normalizePhone('+44 20 7946 0958'), '+442079460958');
+    assert.strictEqual(intake.normalizePhone('0044 20 7946 0958'), '+442079460958');
+  });
+
+  check('ten-digit numbers take the given country code', () => {
+    assert.strictEqual(intake.normalizePhone('2079460958', '44'), '+442079460958');
+  });
+
+  check('numbers that cannot be phones are rejected', () => {
+    assert.strictEqual(intake.normalizePhone(null), null);
+    assert.strictEqual(intake.normalizePhone(''), null);
+    assert.strictEqual(intake.normalizePhone('12345'), null);
+    assert.strictEqual(intake.normalizePhone('+123'), null);
+  });
+
+  check('US numbers dial as ten national digits', () => {
+    assert.strictEqual(intake.getDialNumber('+14155550123'), '4155550123');
+    assert.strictEqual(intake.getDialNumber('(415) 555-0123'), '4155550123');
+  });
+
+  check('international numbers dial without the +', () => {
+    assert.strictEqual(intake.getDialNumber('+442079460958'), '442079460958');
+  });
+
+  check('unparseable numbers dial as their digits', () => {
+    assert.strictEqual(intake.getDialNumber('555-0123'), '5550123');
+    assert.strictEqual(intake.getDialNumber(null), null);
+  });
+
+  check('US variants cover the stored formats', () => {
+    assert.deepStrictEqual(intake.getPhoneVariants('+14155550123'), [
+      '+14155550123',
+      '14155550123',
+      '4155550123',
+      '(415) 555-0123',
+      '415-555-0123',
+      '415.555.0123'
+    ]);
+  });
+
+  check('international variants are the E.164 and digit forms', () => {
+    assert.deepStrictEqual(intake.getPhoneVariants('+442079460958'), ['+442079460958', '442079460958']);
+  });
+}
+
+function testGraphValidation() {
+  console.log('\n4. Journey graph validation (validateGraph)...');
+  const graph = new JourneyGraphService({});
+  const steps = [
+    { id: 1, name: 'Call', stepOrder: 1, actionType: 'call', actionConfig: {} },
+    { id: 2, name: 'Text', stepOrder: 2, actionType: 'sms', actionConfig: {} },
+    { id: 3, name: 'Email', stepOrder: 3, actionType: 'email', actionConfig: {} }
+  ];
+  const answered = { match: 'any', rules: [{ type: 'call_outcome', outcomes: ['answered'] }] };
+
+  check('a journey without edges is valid', () => {
+    assert.strictEqual(graph.validateGraph(steps, []).valid, true);
+  });
+
+  check('a branch with a default edge is valid', () => {
+    const result = graph.validateGraph(steps, [
+      { fromStepId: 1, toStepId: 2, conditions: answered },
+      { fromStepId: 1, toStepId: 3, isDefault: true }
+    ]);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.valid, true);
+  });
+
+  check('conditional edges need a default edge', () => {
+    const result = graph.validateGraph(steps, [
+      { fromStepId: 1, toStepId: 2, conditions: answered },
+      { fromStepId: 2, toStepId: 3, isDefault: true }
+    ]);
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(error => /no default edge/.test(error.message)));
+  });
+
+  check('edges to unknown steps are rejected', () => {
+    const result = graph.validateGraph(steps, [{ fromStepId: 1, toStepId: 99, isDefault: true }]);
+    assert.ok(result.errors.some(error => /two steps of this journey/.test(error.message)));
+  });
+
+  check('bad rules are rejected', () => {
+    const result = graph.validateGraph(steps, [
+      { fromStepId: 1, toStepId: 2, conditions: { rules: [{ type: 'mood' }] } },
+      { fromStepId: 1, toStepId: 3, isDefault: true }
+    ]);
+    assert.ok(result.errors.some(error => /unknown rule type/.test(error.message)));
+  });
+
+  check('cycles are rejected', () => {
+    const result = graph.validateGraph(steps, [
+      { fromStepId: 1, toStepId: 2, isDefault: true },
+      { fromStepId: 2, toStepId: 3, isDefault: true },
+      { fromStepId: 3, toStepId: 2, isDefault: true }
+    ]);
+    assert.ok(result.errors.some(error => /cycle/.test(error.message)));
+  });
+
+  check('steps unreachable from the first step are rejected', () => {
+    const result = graph.validateGraph(steps, [{ fromStepId: 1, toStepId: 2, isDefault: true }]);
+    assert.ok(result.errors.some(error => error.stepId === 3 && /cannot be reached/.test(error.message)));
+  });
+
+  check('A/B split variants need edges to their steps', () => {
+    const split = {
+      id: 4,
+      name: 'Split',
+      stepOrder: 0,
+      actionType: 'split',
+      actionConfig: { variants: [{ name: 'A', weight: 50, toStepId: 1 }, { name: 'B', weight: 50, toStepId: 2 }] }
+    };
+    const valid = graph.validateGraph([split, ...steps], [
+      { fromStepId: 4, toStepId: 1 },
+      { fromStepId: 4, toStepId: 2 },
+      { fromStepId: 1, toStepId: 3, isDefault: true }
+    ]);
+    assert.deepStrictEqual(valid.errors, []);
+
+    const missing = graph.validateGraph([split, ...steps], [
+      { fromStepId: 4, toStepId: 1 },
+      { fromStepId: 1, toStepId: 2, isDefault: true },
+      { fromStepId: 2, toStepId: 3, isDefault: true }
+    ]);
+    assert.strictEqual(missing.valid, false);
+  });
+}
+
+console.log('🔍 Service Logic Checks\n');
+testSignificance();
+testCallingWindows();
+testPhoneNormalization();
+testGraphValidation();
+
+console.log(failures === 0 ? '\n✅ All checks passed' : `\n❌ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -6,12 +6,14 @@ const crypto = require('crypto');
 const { Op } = require('sequelize');
 const moment = require('moment-timezone');
 const { v4: uuidv4 } = require('uuid');
+const LeadScoringService = require('./lead-scoring-service');
 
 class TracersService {
   constructor(models) {
     this.models = models;
     // Add sequelize reference if available
     this.models.sequelize = models.TracersAccess?.sequelize || models.TracersSearch?.sequelize;
+    this.leadScoringService = new LeadScoringService(models);
     
     // API Configuration from environment or defaults
     this.apiConfig = {
@@ -396,6 +398,8 @@ class TracersService {
       await lead.update({ additionalData });
     }
     
+    this.leadScoringService.rescore(leadId, 'enrichment');
+    
     return enrichment;
   }
 
@@ -0,0 +1,81 @@
+// shared/transfer-billing-service.js
+// Records the outcome of every transfer to a TransferNumber and decides whether the buyer is billed for it
+
+const DEFAULT_BILLING = {
+  billableSeconds: 90,     // an accepted transfer is billable once it lasts this long
+  pricePerTransfer: 0,
+  currency: 'USD'
+};
+
+const TRANSFER_STATUSES = ['accepted', 'busy', 'no_answer', 'failed'];
+
+class TransferBillingService {
+  constructor(models) {
+    this.models = models;
+  }
+
+  /**
+   * Billing settings: group settings.billing, overridden per buyer by TransferNumber metadata.billing
+   */
+  getConfig(group = null, transferNumber = null) {
+    return {
+      ...DEFAULT_BILLING,
+      ...((group && group.settings && group.settings.billing) || {}),
+      ...((transferNumber && transferNumber.metadata && transferNumber.metadata.billing) || {})
+    };
+  }
+
+  /**
+   * Record the transfer leg of a finished call. transfer holds { transferStatus, transferDuration, transferredAt }
+   * from call tracking; calls that never reached the transfer stage are ignored
+   */
+  async recordOutcome(callLogId, outcome, transfer = {}) {
+    try {
+      const call = await this.models.CallLog.findByPk(callLogId);
+      if (!call || !call.transferNumberId) return null;
+
+      const status = transfer.transferStatus || (outcome === 'transferred' ? 'accepted' : null);
+      if (!TRANSFER_STATUSES.includes(status)) return null;
+
+      const [group, transferNumber] = await Promise.all([
+        call.transferGroupId ? this.models.TransferGroup.findByPk(call.transferGroupId) : null,
+        this.models.TransferNumber.findByPk(call.transferNumberId)
+      ]);
+
+      const config = this.getConfig(group, transferNumber);
+      const duration = transfer.transferDuration || 0;
+      const billable = status === 'accepted' && duration >= config.billableSeconds;
+
+      const values = {
+        tenantId: call.tenantId,
+        leadId: call.leadId,
+        transferNumberId: call.transferNumberId,
+        transferGroupId: call.transferGroupId,
+        phoneNumber: call.transferNumber,
+        status,
+        duration,
+        billableSeconds: config.billableSeconds,
+        billable,
+        price: billable ? config.pricePerTransfer : 0,
+        currency: config.currency,
+        transferredAt: transfer.transferredAt || call.startTime
+      };
+
+      const [record, created] = await this.models.TransferOutcome.findOrCreate({
+        where: { callLogId: call.id },
+        defaults: values
+      });
+      if (!created) {
+        await record.update(values);
+      }
+
+      console.log(`💵 Transfer for call ${call.id} to ${call.transferNumber}: ${status}, ${duration}s${billable ? ', billable' : ''}`);
+      return record;
+    } catch (error) {
+      console.error('Error recording transfer outcome:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TransferBillingService;
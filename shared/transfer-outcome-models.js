@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+
+// shared/transfer-outcome-models.js
+// What happened on the transfer leg of a call routed through a transfer group, and whether the buyer is billed for it
+
+module.exports = function(sequelize) {
+  if (sequelize.models.TransferOutcome) {
+    return { TransferOutcome: sequelize.models.TransferOutcome };
+  }
+
+  const TransferOutcome = sequelize.define('TransferOutcome', {
+    tenantId: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    callLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    leadId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    transferNumberId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    transferGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // accepted when the buyer picked up, otherwise the dial status of the transfer leg
+    status: {
+      type: DataTypes.ENUM('accepted', 'busy', 'no_answer', 'failed'),
+      allowNull: false
+    },
+    duration: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    // Threshold and price are copied from the billing settings at the time of the call
+    billableSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    billable: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    currency: {
+      type: DataTypes.STRING,
+      defaultValue: 'USD'
+    },
+    transferredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'TransferOutcomes',
+    indexes: [
+      {
+        fields: ['tenantId', 'transferredAt']
+      },
+      {
+        fields: ['transferNumberId']
+      }
+    ]
+  });
+
+  return { TransferOutcome };
+};
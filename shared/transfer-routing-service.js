@@ -0,0 +1,214 @@
+// shared/transfer-routing-service.js
+// Resolves where a call is transferred: the TransferGroup for the lead's brand and ingroup, and the
+// TransferNumber in it that is open and under its daily cap. Used by the dialer, journeys and templates
+
+const { Op } = require('sequelize');
+const moment = require('moment-timezone');
+
+class TransferRoutingService {
+  constructor(models) {
+    this.models = models;
+  }
+
+  /**
+   * Transfer group for a call. An explicit groupId wins; otherwise the most specific brand/ingroup
+   * match, where a null brand or ingroup on the group means "any"
+   */
+  async findGroup(tenantId, { groupId = null, brand = null, ingroup = null } = {}) {
+    brand = brand || null;
+    ingroup = ingroup || null;
+
+    const include = [{
+      model: this.models.TransferNumber,
+      as: 'numbers',
+      where: { isActive: true },
+      required: false
+    }];
+
+    if (groupId) {
+      return this.models.TransferGroup.findOne({
+        where: { id: groupId, tenantId: tenantId.toString(), isActive: true },
+        include
+      });
+    }
+
+    const candidates = [
+      { brand, ingroup },
+      { brand, ingroup: null },
+      { brand: null, ingroup },
+      { brand: null, ingroup: null }
+    ].filter((match, index, all) =>
+      all.findIndex(other => other.brand === match.brand && other.ingroup === match.ingroup) === index
+    );
+
+    for (const match of candidates) {
+      const group = await this.models.TransferGroup.findOne({
+        where: { tenantId: tenantId.toString(), isActive: true, ...match },
+        include
+      });
+
+      if (group && group.numbers && group.numbers.length > 0) {
+        return group;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the transfer target for a call. Returns { group: null } when no group applies, so the caller
+   * can use its own fixed number; transferNumber is null when the group has nothing open or under cap
+   */
+  async resolveTransfer(tenantId, options = {}) {
+    try {
+      const group = await this.findGroup(tenantId, options);
+      if (!group) {
+        return { group: null, transferNumber: null };
+      }
+
+      const { available, skipped } = await this.getAvailableNumbers(group, tenantId);
+      if (available.length === 0) {
+        return { group, transferNumber: null, skipped };
+      }
+
+      const transferNumber = this.selectNumber(group, available);
+
+      return {
+        group,
+        transferNumber,
+        phoneNumber: transferNumber.phoneNumber,
+        // simultaneous groups ring every open number
+        simultaneous: group.type === 'simultaneous' ? available.map(number => number.phoneNumber) : null,
+        skipped
+      };
+    } catch (error) {
+      console.error('Error resolving transfer target:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Numbers in a group that are active, inside business hours and under their daily cap
+   */
+  async getAvailableNumbers(group, tenantId) {
+    const skipped = { closed: 0, capped: 0 };
+    const open = (group.numbers || []).filter(number => {
+      if (!number.isActive) return false;
+      if (this.isWithinBusinessHours(number.businessHours)) return true;
+      skipped.closed++;
+      return false;
+    });
+
+    const transfersToday = await this.getTransfersToday(tenantId, open);
+    const available = open.filter(number => {
+      const cap = parseInt((number.metadata || {}).dailyCap, 10);
+      if (!cap || (transfersToday[number.id] || 0) < cap) return true;
+      skipped.capped++;
+      return false;
+    });
+
+    return { available, skipped };
+  }
+
+  /**
+   * Transferred calls per capped number since the start of that number's business day
+   */
+  async getTransfersToday(tenantId, numbers) {
+    const capped = numbers.filter(number => parseInt((number.metadata || {}).dailyCap, 10) > 0);
+    if (capped.length === 0 || !this.models.CallLog) {
+      return {};
+    }
+
+    const counts = {};
+    for (const number of capped) {
+      const timezone = (number.businessHours && number.businessHours.timezone) || 'America/New_York';
+      counts[number.id] = await this.models.CallLog.count({
+        where: {
+          tenantId: tenantId.toString(),
+          transferNumberId: number.id,
+          status: 'transferred',
+          startTime: { [Op.gte]: moment.tz(timezone).startOf('day').toDate() }
+        }
+      });
+    }
+
+    return counts;
+  }
+
+  /**
+   * Apply the group's routing strategy to its available numbers
+   */
+  selectNumber(group, numbers) {
+    switch (group.type) {
+      case 'roundrobin':
+        // Least recently used first; never-used numbers go first
+        return numbers.reduce((prev, curr) => {
+          if (!prev.stats.lastCallAt) return prev;
+          if (!curr.stats.lastCallAt) return curr;
+          return new Date(prev.stats.lastCallAt) < new Date(curr.stats.lastCallAt) ? prev : curr;
+        });
+
+      case 'priority':
+      case 'simultaneous':
+        // Lowest priority value wins; for simultaneous it is the number recorded on the call
+        return numbers.reduce((prev, curr) => (prev.priority <= curr.priority ? prev : curr));
+
+      case 'percentage': {
+        const totalWeight = numbers.reduce((sum, number) => sum + number.weight, 0);
+        let random = Math.random() * totalWeight;
+
+        for (const number of numbers) {
+          random -= number.weight;
+          if (random <= 0) return number;
+        }
+        return numbers[numbers.length - 1];
+      }
+
+      default:
+        return numbers[0];
+    }
+  }
+
+  /**
+   * Bump the number's usage stats once a call has actually been placed to it
+   */
+  async recordSelection(transferNumber) {
+    const stats = transferNumber.stats || {};
+
+    await this.models.TransferNumber.update(
+      {
+        stats: {
+          ...stats,
+          totalCalls: (stats.totalCalls || 0) + 1,
+          lastCallAt: new Date()
+        }
+      },
+      {
+        where: { id: transferNumber.id }
+      }
+    );
+  }
+
+  /**
+   * Check if a TransferNumber's business hours are open right now
+   */
+  isWithinBusinessHours(businessHours) {
+    if (!businessHours || !businessHours.enabled) {
+      return true;
+    }
+
+    const now = moment().tz(businessHours.timezone || 'America/New_York');
+    const dayOfWeek = now.format('dddd').toLowerCase();
+    const currentTime = now.format('HH:mm');
+
+    const schedule = (businessHours.schedule || {})[dayOfWeek];
+
+    if (!schedule || !schedule.enabled) {
+      return false;
+    }
+
+    return currentTime >= schedule.start && currentTime <= schedule.end;
+  }
+}
+
+module.exports = TransferRoutingService;
@@ -1,11 +1,22 @@
 const twilio = require('twilio');
 const { Op } = require('sequelize');
 const moment = require('moment-timezone');
+const DncService = require('./dnc-service');
+const ContactPolicyService = require('./contact-policy-service');
+const LeadIntakeService = require('./lead-intake-service');
+const LeadScoringService = require('./lead-scoring-service');
+const StageAutomationService = require('./stage-automation-service');
+const eventBus = require('./event-bus');
 
 class TwilioService {
   constructor(models) {
     this.models = models;
     this.clients = new Map(); // Cache Twilio clients per tenant
+    this.dncService = new DncService(models);
+    this.contactPolicyService = new ContactPolicyService(models);
+    this.leadIntakeService = new LeadIntakeService(models);
+    this.leadScoringService = new LeadScoringService(models);
+    this.stageAutomationService = new StageAutomationService(models);
   }
 
   /**
@@ -49,8 +60,34 @@ async sendSms(tenantId, options) {
   } = options;
 
   let smsRecord; // Declare here, outside the try block
+  let touch = null; // Contact policy touch, released if the text does not go out
 
   try {
+    // Refuse to text numbers on the tenant DNC list
+    const dncCheck = await this.dncService.checkAndRecord(tenantId, to, {
+      channel: 'sms',
+      source: metadata.source || 'twilio',
+      leadId,
+      metadata: { templateId }
+    });
+
+    if (dncCheck.blocked) {
+      const error = new Error(`Recipient ${to} is on the DNC list`);
+      error.code = 'DNC_BLOCKED';
+      throw error;
+    }
+
+    // Queue the send instead while the tenant contact policy caps this number
+    const policy = await this.contactPolicyService.reserve(tenantId, to, {
+      channel: 'sms',
+      source: metadata.source || 'twilio',
+      leadId
+    });
+    if (!policy.allowed) {
+      return await this.contactPolicyService.deferSms(tenantId, 'twilio', options, policy);
+    }
+    touch = policy.touch;
+
     // Get Twilio config
     const config = await this.models.TwilioConfig.findOne({
       where: { tenantId, isActive: true }
@@ -125,6 +162,8 @@ async sendSms(tenantId, options) {
       // Update config usage
       await this.updateConfigUsage(config, 'sent');
 
+      await this.contactPolicyService.confirm(touch, { smsMessageId: smsRecord.id });
+
       // Update or create conversation
       await this.updateConversation(tenantId, leadId, to);
 
@@ -143,6 +182,11 @@ async sendSms(tenantId, options) {
     } catch (error) {
       console.error('Error sending SMS:', error);
 
+      // A text that was not sent by the provider does not count toward the contact policy
+      if (touch && (!smsRecord || smsRecord.status !== 'sent')) {
+        await this.contactPolicyService.release(touch);
+      }
+
       // Update SMS record if it exists
       if (smsRecord) {
         await smsRecord.update({
@@ -194,7 +238,9 @@ async sendSms(tenantId, options) {
       });
 
       // Track template usage
-      await this.trackTemplateUsage(tenantId, templateId, 'sms', leadId, variables, body);
+      if (!result.deferred) {
+        await this.trackTemplateUsage(tenantId, templateId, 'sms', leadId, variables, body);
+      }
 
       return result;
 
@@ -254,7 +300,8 @@ async sendSms(tenantId, options) {
 
       return {
         success: true,
-        sent: results.length,
+        sent: results.filter(r => !r.deferred).length,
+        deferred: results.filter(r => r.deferred).length,
         failed: errors.length,
         results,
         errors
@@ -306,10 +353,16 @@ async sendSms(tenantId, options) {
 
       // Update conversation
       await this.updateConversation(tenantId, lead.id, From, true);
+      await lead.update({ lastContact: new Date() });
 
       // Trigger any automated responses or workflows
       await this.handleInboundSmsWorkflows(tenantId, lead.id, Body, smsRecord.id);
 
+      // A reply raises the lead's score and can move it to another stage
+      this.leadScoringService.rescore(lead.id, 'sms_reply');
+      this.stageAutomationService.trigger(lead.id, 'sms_reply', { body: Body });
+      eventBus.publish(eventBus.EVENTS.SMS_RECEIVED, { tenantId, leadId: lead.id, body: Body, provider: 'twilio' });
+
       return {
         success: true,
         smsId: smsRecord.id,
@@ -617,20 +670,18 @@ async sendSms(tenantId, options) {
    * Find or create lead by phone number
    */
   async findOrCreateLeadByPhone(tenantId, phoneNumber) {
-    let lead = await this.models.Lead.findOne({
-      where: { tenantId, phone: phoneNumber }
+    // Always match on phone, whatever the tenant's dedup settings, and never overwrite the lead
+    const { lead } = await this.leadIntakeService.intakeLead(tenantId, {
+      phone: phoneNumber,
+      name: 'SMS Lead',
+      status: 'pending',
+      source: 'SMS Inbound'
+    }, {
+      enabled: true,
+      matchOn: ['phone'],
+      onDuplicate: 'skip'
     });
 
-    if (!lead) {
-      lead = await this.models.Lead.create({
-        tenantId,
-        phone: phoneNumber,
-        name: 'SMS Lead',
-        status: 'pending',
-        source: 'SMS Inbound'
-      });
-    }
-
     return lead;
   }
 
@@ -703,6 +754,19 @@ async sendSms(tenantId, options) {
    * Handle inbound SMS workflows (placeholder for automation)
    */
   async handleInboundSmsWorkflows(tenantId, leadId, message, smsId) {
+    // Opt-out replies go straight onto the tenant DNC list
+    if (this.dncService.isOptOutMessage(message)) {
+      const lead = await this.models.Lead.findByPk(leadId);
+      if (lead) {
+        await this.dncService.addNumber(tenantId, lead.phone, {
+          source: 'sms_stop',
+          reason: `Inbound "${message.trim()}" reply`,
+          metadata: { smsId, leadId, provider: 'twilio' }
+        });
+        console.log(`Lead ${leadId} opted out via SMS, added to DNC list`);
+      }
+    }
+
     // This is where you'd implement:
     // - Auto-responses
     // - Keyword detection
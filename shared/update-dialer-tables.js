@@ -0,0 +1,211 @@
+// update-dialer-tables.js
+// Brings existing CallLogs/Leads/DIDs/DialerCampaigns/Journeys tables up to date with the dialer worker.
+// The worker and the API server run it on startup before sequelize.sync; it can also be run by hand: node update-dialer-tables.js
+// New tables (DialerCampaigns, DncEntries, AgentStatusChecks, DidQuarantines...) are created by sequelize.sync;
+// this only covers columns and enum values that sync({ alter: false }) will not add to existing tables.
+
+const { Sequelize } = require('sequelize');
+
+const CALL_LOG_STATUSES = ['ringing', 'busy', 'no_answer', 'voicemail', 'transferred', 'connected'];
+// Statuses of both the worker's and the API's Lead model
+const LEAD_STATUSES = [
+  'pending', 'contacted', 'callback', 'transferred', 'completed', 'failed', 'dnc',
+  'new', 'qualified', 'converted', 'unqualified', 'connected'
+];
+const JOURNEY_STEP_ACTION_TYPES = ['split', 'merge'];
+const DEFERRED_MESSAGE_STATUSES = ['processing'];
+
+async function tableExists(sequelize, tableName) {
+  const [rows] = await sequelize.query(
+    `SELECT to_regclass(:tableName) AS "table"`,
+    { replacements: { tableName: `"${tableName}"` } }
+  );
+
+  return !!rows[0].table;
+}
+
+async function addEnumValues(sequelize, typeName, values) {
+  const [types] = await sequelize.query(
+    `SELECT 1 FROM pg_type WHERE typname = :typeName`,
+    { replacements: { typeName } }
+  );
+
+  if (types.length === 0) {
+    console.log(`- ${typeName} does not exist, skipping`);
+    return;
+  }
+
+  // ADD VALUE cannot share a transaction with statements that use the new value, so run each on its own
+  for (const value of values) {
+    await sequelize.query(`ALTER TYPE "${typeName}" ADD VALUE IF NOT EXISTS '${value}'`);
+  }
+}
+
+// Each step names the tables it alters; tables that do not exist yet are skipped, since sync creates them complete
+const STEPS = [
+  {
+    label: 'Updating CallLogs table',
+    tables: ['CallLogs'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "CallLogs"
+        ADD COLUMN IF NOT EXISTS "ingroup" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "ringDuration" INTEGER,
+        ADD COLUMN IF NOT EXISTS "talkDuration" INTEGER,
+        ADD COLUMN IF NOT EXISTS "hangupCause" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "transferNumberId" INTEGER,
+        ADD COLUMN IF NOT EXISTS "transferGroupId" INTEGER,
+        ADD COLUMN IF NOT EXISTS "amdStatus" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "amdCause" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "amiData" JSONB DEFAULT '{}'::jsonb,
+        ADD COLUMN IF NOT EXISTS "lastStatusUpdate" TIMESTAMP WITH TIME ZONE;
+      `);
+      await addEnumValues(sequelize, 'enum_CallLogs_status', CALL_LOG_STATUSES);
+    }
+  },
+  {
+    label: 'Updating Leads table',
+    tables: ['Leads'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "Leads"
+        ADD COLUMN IF NOT EXISTS "timezone" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "campaign" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "priority" VARCHAR(255) DEFAULT 'medium',
+        ADD COLUMN IF NOT EXISTS "notes" TEXT,
+        ALTER COLUMN "name" DROP NOT NULL,
+        ADD COLUMN IF NOT EXISTS "tags" VARCHAR(255)[] DEFAULT ARRAY[]::VARCHAR(255)[],
+        ADD COLUMN IF NOT EXISTS "stageId" INTEGER,
+        ADD COLUMN IF NOT EXISTS "scheduledCallback" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "assignedTo" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "lastContact" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "leadScore" INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "deferredUntil" TIMESTAMP WITH TIME ZONE;
+      `);
+      await addEnumValues(sequelize, 'enum_Leads_status', LEAD_STATUSES);
+    }
+  },
+  {
+    label: 'Updating DIDs table',
+    tables: ['DIDs'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "DIDs"
+        ADD COLUMN IF NOT EXISTS "metadata" JSONB DEFAULT '{}'::jsonb;
+      `);
+    }
+  },
+  {
+    label: 'Updating DialerCampaigns table',
+    tables: ['DialerCampaigns'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "DialerCampaigns"
+        ADD COLUMN IF NOT EXISTS "transferGroupId" INTEGER,
+        ALTER COLUMN "transferNumber" DROP NOT NULL;
+      `);
+    }
+  },
+  {
+    label: 'Updating JourneySteps table',
+    tables: ['JourneySteps'],
+    async run(sequelize) {
+      await addEnumValues(sequelize, 'enum_JourneySteps_actionType', JOURNEY_STEP_ACTION_TYPES);
+    }
+  },
+  {
+    label: 'Updating Journeys and LeadJourneys tables',
+    tables: ['Journeys', 'LeadJourneys'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "Journeys"
+        ADD COLUMN IF NOT EXISTS "goals" JSONB DEFAULT '[]'::jsonb;
+      `);
+      await sequelize.query(`
+        ALTER TABLE "LeadJourneys"
+        ADD COLUMN IF NOT EXISTS "goalReached" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "goalReachedAt" TIMESTAMP WITH TIME ZONE;
+      `);
+    }
+  },
+  {
+    label: 'Adding journey version columns',
+    tables: ['Journeys', 'JourneySteps', 'LeadJourneys'],
+    async run(sequelize) {
+      await sequelize.query(`
+        ALTER TABLE "Journeys"
+        ADD COLUMN IF NOT EXISTS "publishedVersionId" INTEGER;
+      `);
+      await sequelize.query(`
+        ALTER TABLE "JourneySteps"
+        ADD COLUMN IF NOT EXISTS "versionId" INTEGER,
+        ADD COLUMN IF NOT EXISTS "sourceStepId" INTEGER;
+      `);
+      await sequelize.query(`
+        ALTER TABLE "LeadJourneys"
+        ADD COLUMN IF NOT EXISTS "journeyVersionId" INTEGER;
+      `);
+      // JourneyEdges arrived with graph routing; a database that never had it gets it from sync with versionId
+      if (await tableExists(sequelize, 'JourneyEdges')) {
+        await sequelize.query(`
+          ALTER TABLE "JourneyEdges"
+          ADD COLUMN IF NOT EXISTS "versionId" INTEGER;
+        `);
+      }
+    }
+  },
+  {
+    label: 'Updating DeferredMessages table',
+    tables: ['DeferredMessages'],
+    async run(sequelize) {
+      await addEnumValues(sequelize, 'enum_DeferredMessages_status', DEFERRED_MESSAGE_STATUSES);
+    }
+  }
+];
+
+/**
+ * Add the columns and enum values the models expect to tables created by older versions
+ */
+async function updateDialerTables(sequelize) {
+  for (const [index, step] of STEPS.entries()) {
+    console.log(`\n${index + 1}. ${step.label}...`);
+
+    const missing = [];
+    for (const table of step.tables) {
+      if (!await tableExists(sequelize, table)) missing.push(table);
+    }
+    if (missing.length > 0) {
+      console.log(`- ${missing.join(', ')} not created yet, skipping`);
+      continue;
+    }
+
+    await step.run(sequelize);
+    console.log(`✓ ${step.label} done`);
+  }
+}
+
+module.exports = updateDialerTables;
+
+if (require.main === module) {
+  const sequelize = new Sequelize('dialer_system', 'dialerapp', 'password123', {
+    host: 'localhost',
+    dialect: 'postgres',
+    logging: console.log
+  });
+
+  (async () => {
+    try {
+      console.log('Connecting to database...');
+      await sequelize.authenticate();
+      console.log('Connected successfully.');
+
+      await updateDialerTables(sequelize);
+      console.log('\n✅ Dialer tables updated successfully!');
+    } catch (error) {
+      console.error('Error updating tables:', error);
+      process.exitCode = 1;
+    } finally {
+      await sequelize.close();
+    }
+  })();
+}
@@ -4,6 +4,8 @@ const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
+const LeadIntakeService = require('./lead-intake-service');
+const StageAutomationService = require('./stage-automation-service');
 
 
 // Small 1x1 pixel placeholder used when no fallback photo is configured
@@ -16,6 +18,8 @@ class WebhookService {
     this.journeyService = journeyService;
     this.contentService = contentService;
     this.optisignsService = optisignsService;
+    this.leadIntakeService = new LeadIntakeService(models);
+    this.stageAutomationService = new StageAutomationService(models);
 
     // Ensure metric recording helper is always bound correctly
     this.recordAnnouncementMetrics = this.recordAnnouncementMetrics.bind(this);
@@ -3083,24 +3087,35 @@ evaluateCondition(value, operator, expectedValue) {
           }
           
           // Add system fields
-          leadData.tenantId = webhookEndpoint.tenantId;
           leadData.source = 'webhook';
           leadData.status = leadData.status || 'new';
           
-          // Create the lead
-          const lead = await this.models.Lead.create(leadData);
+          // Create the lead, or fold it into an existing duplicate
+          const { lead, action } = await this.leadIntakeService.intakeLead(webhookEndpoint.tenantId, leadData, {
+            source: 'webhook',
+            allowDuplicatePhone: (webhookEndpoint.validationRules || {}).allowDuplicatePhone,
+            mergedBy: `webhook:${webhookEndpoint.id}`
+          });
           
           processedLeads.push({
             leadId: lead.id,
-            action: 'created',
+            action,
             name: lead.name,
             phone: lead.phone,
             email: lead.email
           });
           
-          createdLeadIds.push(lead.id);
+          if (action === 'created') {
+            createdLeadIds.push(lead.id);
+          }
+          
+          console.log(`${action === 'created' ? 'Created' : 'Matched existing'} lead ${lead.id} from webhook: ${lead.name} (${lead.phone})`);
           
-          console.log(`Created lead ${lead.id} from webhook: ${lead.name} (${lead.phone})`);
+          this.stageAutomationService.trigger(lead.id, 'webhook', {
+            webhookId: webhookEndpoint.id,
+            webhookType: 'go',
+            payload: item
+          });
           
           // Handle journey auto-enrollment if configured
           if (webhookEndpoint.autoEnrollJourneyId) {
@@ -3177,6 +3192,11 @@ evaluateCondition(value, operator, expectedValue) {
           });
           
           affectedLeadIds.push(lead.id);
+          this.stageAutomationService.trigger(lead.id, 'webhook', {
+            webhookId: webhookEndpoint.id,
+            webhookType: 'pause',
+            payload
+          });
         }
         
         pauseResumeActions.pausedLeads = processedLeads.length;
@@ -3250,6 +3270,11 @@ evaluateCondition(value, operator, expectedValue) {
           });
           
           affectedLeadIds.push(lead.id);
+          this.stageAutomationService.trigger(lead.id, 'webhook', {
+            webhookId: webhookEndpoint.id,
+            webhookType: 'stop',
+            payload
+          });
         }
         
         stopActions.stoppedLeads = processedLeads.length;
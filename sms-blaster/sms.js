@@ -8,6 +8,10 @@ const fs = require('fs');
 const { Sequelize, DataTypes, Op } = require('sequelize');
 const Twilio = require('twilio');
 const path = require('path');
+const initDncModels = require('../shared/dnc-models');
+const DncService = require('../shared/dnc-service');
+const ContactPolicyService = require('../shared/contact-policy-service');
+const LeadIntakeService = require('../shared/lead-intake-service');
 
 // PostgreSQL connection
 const sequelize = new Sequelize('dialer_system', 'dialerapp', 'password123', {
@@ -59,7 +63,7 @@ const Contact = sequelize.define('Contact', {
     allowNull: true
   },
   status: {
-    type: DataTypes.ENUM('pending', 'sent', 'failed', 'replied'),
+    type: DataTypes.ENUM('pending', 'sent', 'failed', 'replied', 'opted_out'),
     defaultValue: 'pending'
   },
   customFields: {
@@ -77,6 +81,11 @@ const Contact = sequelize.define('Contact', {
   lastConversationAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Set when the contact policy held a campaign send back; the contact is skipped until then
+  deferredUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 });
 
@@ -200,6 +209,56 @@ TwilioNumber.hasMany(Contact, { foreignKey: 'twilioNumberId' });
 Message.belongsTo(TwilioNumber, { foreignKey: 'twilioNumberId' });
 TwilioNumber.hasMany(Message, { foreignKey: 'twilioNumberId' });
 
+// DNC registry shared with the main platform. The blaster has no tenants of its own; it runs as
+// SMS_BLASTER_TENANT_ID, whose list it checks and where STOP replies are added
+const SMS_BLASTER_TENANT_ID = process.env.SMS_BLASTER_TENANT_ID;
+if (!SMS_BLASTER_TENANT_ID) {
+  throw new Error('SMS_BLASTER_TENANT_ID must be set to the tenant the sms-blaster sends for');
+}
+const dncModels = initDncModels(sequelize);
+const dncService = new DncService(dncModels);
+
+// Campaign sends are capped by and count toward the contact policy of SMS_BLASTER_TENANT_ID
+const contactPolicyService = new ContactPolicyService({ sequelize });
+
+// Phone normalization shared with lead intake, so imported contacts are stored in E.164
+const leadIntakeService = new LeadIntakeService({});
+
+// Normalize contact phones and drop duplicates within the import and against each campaign's existing contacts
+async function dedupeContacts(contacts, errors) {
+  const unique = [];
+  const seen = new Set();
+  const existingByCampaign = new Map();
+
+  for (const contact of contacts) {
+    const phone = leadIntakeService.normalizePhone(contact.phone);
+    if (!phone) {
+      errors.push(`Invalid phone number: ${contact.phone}`);
+      continue;
+    }
+
+    if (!existingByCampaign.has(contact.CampaignId)) {
+      const existing = await Contact.findAll({
+        where: { CampaignId: contact.CampaignId },
+        attributes: ['phone'],
+        raw: true
+      });
+      existingByCampaign.set(contact.CampaignId, new Set(existing.map(row => leadIntakeService.normalizePhone(row.phone) || row.phone)));
+    }
+
+    const key = `${contact.CampaignId}:${phone}`;
+    if (seen.has(key) || existingByCampaign.get(contact.CampaignId).has(phone)) {
+      errors.push(`Duplicate phone number skipped: ${contact.phone}`);
+      continue;
+    }
+
+    seen.add(key);
+    unique.push({ ...contact, phone });
+  }
+
+  return unique;
+}
+
 // Initialize Express app
 const app = express();
 app.use(express.json());
@@ -325,7 +384,8 @@ app.post('/campaigns/:campaignId/upload', upload.single('contacts'), async (req,
           }
           
           // Bulk insert contacts
-          const createdContacts = await Contact.bulkCreate(contacts, {
+          const uniqueContacts = await dedupeContacts(contacts, errors);
+          const createdContacts = await Contact.bulkCreate(uniqueContacts, {
             ignoreDuplicates: true
           });
           
@@ -425,14 +485,15 @@ app.post('/contacts/import', upload.single('contacts'), async (req, res) => {
           }
           
           // Bulk insert contacts
-          const createdContacts = await Contact.bulkCreate(contacts, {
+          const uniqueContacts = await dedupeContacts(contacts, errors);
+          const createdContacts = await Contact.bulkCreate(uniqueContacts, {
             ignoreDuplicates: true
           });
           
           // Update campaign stats for each affected campaign
           const campaignCounts = {};
           
-          for (const contact of contacts) {
+          for (const contact of uniqueContacts) {
             campaignCounts[contact.CampaignId] = (campaignCounts[contact.CampaignId] || 0) + 1;
           }
           
@@ -559,7 +620,8 @@ app.post('/contacts/import-with-mapping', upload.single('contacts'), async (req,
           }
           
           // Bulk insert contacts
-          const createdContacts = await Contact.bulkCreate(contacts, {
+          const uniqueContacts = await dedupeContacts(contacts, errors);
+          const createdContacts = await Contact.bulkCreate(uniqueContacts, {
             ignoreDuplicates: true
           });
           
@@ -649,14 +711,15 @@ app.post('/campaigns/:campaignId/assign-leads', async (req, res) => {
     }
     
     // Bulk insert contacts
-    const createdContacts = await Contact.bulkCreate(contacts, {
+    const uniqueContacts = await dedupeContacts(contacts, errors);
+    const createdContacts = await Contact.bulkCreate(uniqueContacts, {
       ignoreDuplicates: true
     });
     
     // Update campaign stats for each affected campaign
     const campaignCounts = {};
     
-    for (const contact of contacts) {
+    for (const contact of uniqueContacts) {
       campaignCounts[contact.CampaignId] = (campaignCounts[contact.CampaignId] || 0) + 1;
     }
     
@@ -2155,6 +2218,16 @@ async function sendReply(contactId, twilioNumberId, messageContent) {
       throw new Error(`Contact not found: ${contactId}`);
     }
     
+    const dncCheck = await dncService.checkAndRecord(SMS_BLASTER_TENANT_ID, contact.phone, {
+      channel: 'sms',
+      source: 'sms_blaster',
+      metadata: { contactId: contact.id, type: 'reply' }
+    });
+    
+    if (dncCheck.blocked) {
+      throw new Error(`Contact ${contact.phone} is on the DNC list`);
+    }
+    
     const twilioNumber = await TwilioNumber.findByPk(twilioNumberId);
     if (!twilioNumber) {
       throw new Error(`Twilio number not found: ${twilioNumberId}`);
@@ -2241,11 +2314,15 @@ async function processCampaign(campaignId) {
     // Calculate how many messages to send per batch based on rate limit
     const messagesPerBatch = Math.ceil(campaign.rateLimit / 60); // For a roughly even distribution
     
-    // Get pending contacts
+    // Get pending contacts, leaving out ones the contact policy deferred
     const contacts = await Contact.findAll({
       where: {
         CampaignId: campaignId,
-        status: 'pending'
+        status: 'pending',
+        [Op.or]: [
+          { deferredUntil: null },
+          { deferredUntil: { [Op.lte]: new Date() } }
+        ]
       },
       limit: messagesPerBatch
     });
@@ -2315,7 +2392,33 @@ async function processCampaign(campaignId) {
 // Function to send an SMS to a contact
 async function sendSMS(contact, campaign) {
   let message;
+  let touch = null; // Contact policy touch, released if the text does not go out
   try {
+    // Skip contacts on the DNC list without counting them as failures
+    const dncCheck = await dncService.checkAndRecord(SMS_BLASTER_TENANT_ID, contact.phone, {
+      channel: 'sms',
+      source: 'sms_blaster',
+      metadata: { contactId: contact.id, campaignId: campaign.id }
+    });
+    
+    if (dncCheck.blocked) {
+      await contact.update({ status: 'opted_out' });
+      console.log(`Skipped ${contact.phone} for campaign ${campaign.id}: number is on the DNC list`);
+      return;
+    }
+    
+    const policy = await contactPolicyService.reserve(SMS_BLASTER_TENANT_ID, contact.phone, {
+      channel: 'sms',
+      source: 'sms_blaster',
+      metadata: { contactId: contact.id, campaignId: campaign.id }
+    });
+    if (!policy.allowed) {
+      await contact.update({ deferredUntil: policy.nextAllowedAt });
+      console.log(`Deferred ${contact.phone} for campaign ${campaign.id} until ${policy.nextAllowedAt.toISOString()}: ${policy.reason}`);
+      return;
+    }
+    touch = policy.touch;
+    
     // Find an available Twilio number
     let twilioNumber = await TwilioNumber.findOne({
       where: {
@@ -2411,6 +2514,10 @@ async function sendSMS(contact, campaign) {
     
   } catch (error) {
     console.error(`Error sending SMS to ${contact.phone}:`, error);
+
+    if (!message || message.status !== 'sent') {
+      await contactPolicyService.release(touch);
+    }
     
     // Update message status
     if (message) {
@@ -2499,9 +2606,20 @@ app.post('/webhook/sms', async (req, res) => {
       sentAt: new Date()
     });
     
+    // Opt-out replies are added to the DNC list so no campaign texts them again
+    const optedOut = dncService.isOptOutMessage(Body);
+    if (optedOut) {
+      await dncService.addNumber(SMS_BLASTER_TENANT_ID, From, {
+        source: 'sms_stop',
+        reason: `Inbound "${Body.trim()}" reply`,
+        metadata: { contactId: contact.id, twilioNumber: To }
+      });
+      console.log(`Contact ${contact.id} opted out, added ${From} to DNC list`);
+    }
+    
     // Update contact status
     await contact.update({ 
-      status: 'replied',
+      status: optedOut ? 'opted_out' : 'replied',
       lastConversationAt: new Date()
     });
     
@@ -2521,7 +2639,7 @@ app.post('/webhook/sms', async (req, res) => {
     
     // Check if we need to auto-reply
     const campaign = await Campaign.findByPk(contact.CampaignId);
-    if (campaign && campaign.autoReplyEnabled && campaign.replyTemplate) {
+    if (!optedOut && campaign && campaign.autoReplyEnabled && campaign.replyTemplate) {
       // Send auto-reply
       setTimeout(() => sendReply(contact.id, twilioNumber.id, campaign.replyTemplate), 
         Math.floor(Math.random() * 60000) + 30000); // Random delay between 30-90 seconds
@@ -1,15 +1,40 @@
 require('dotenv').config();
 const { Sequelize, DataTypes, Op } = require('sequelize');
-const axios = require('axios');
-const AmiClient = require('asterisk-ami-client');
 const cron = require('node-cron');
 const moment = require('moment-timezone');
-const { Readable } = require('stream');
-const csv = require('csv-parser');
 
 // Import journey models and service
 const initJourneyModels = require('../shared/journey-models');
 const JourneyService = require('../shared/journey-service');
+const PacingService = require('../shared/pacing-service');
+const CallingWindowService = require('../shared/calling-window-service');
+const initDncModels = require('../shared/dnc-models');
+const DncService = require('../shared/dnc-service');
+const initContactPolicyModels = require('../shared/contact-policy-models');
+const ContactPolicyService = require('../shared/contact-policy-service');
+const LeadIntakeService = require('../shared/lead-intake-service');
+const AmiConnectionPool = require('../shared/ami-connection-pool');
+const LeadRecyclingService = require('../shared/lead-recycling-service');
+const initCampaignModels = require('../shared/campaign-models');
+const CampaignService = require('../shared/campaign-service');
+const CallbackService = require('../shared/callback-service');
+const initAgentStatusModels = require('../shared/agent-status-models');
+const AgentStatusService = require('../shared/agent-status-service');
+const AmdService = require('../shared/amd-service');
+const initDidQuarantineModels = require('../shared/did-quarantine-models');
+const DidSelectionService = require('../shared/did-selection-service');
+const TransferRoutingService = require('../shared/transfer-routing-service');
+const initTransferOutcomeModels = require('../shared/transfer-outcome-models');
+const TransferBillingService = require('../shared/transfer-billing-service');
+const initLeadMergeModels = require('../shared/lead-merge-models');
+const initLeadImportModels = require('../shared/lead-import-models');
+const LeadImportService = require('../shared/lead-import-service');
+const initSegmentModels = require('../shared/segment-models');
+const LeadScoringService = require('../shared/lead-scoring-service');
+const StageAutomationService = require('../shared/stage-automation-service');
+const JourneyTriggerService = require('../shared/journey-trigger-service');
+const eventBus = require('../shared/event-bus');
+const updateDialerTables = require('../shared/update-dialer-tables');
 
 // PostgreSQL connection - FIXED to match server.js
 const sequelize = new Sequelize('dialer_system', 'dialerapp', 'password123', {
@@ -144,7 +169,83 @@ const Tenant = sequelize.define('Tenant', {
       minAgentsAvailable: 2,
       autoDelete: false,
       sortOrder: 'oldest',
-      didDistribution: 'even'
+      didDistribution: 'even',
+      pacingMode: 'fixed',
+      pacing: {
+        targetAbandonRate: 3,
+        minRatio: 1,
+        maxRatio: 3,
+        windowMinutes: 15
+      },
+      callingWindows: {
+        enabled: true,
+        defaultWindow: { start: '08:00', end: '21:00' },
+        stateRules: {},
+        holidays: [],
+        blockUnknownTimezone: false
+      },
+      recycling: {
+        enabled: true,
+        retryDelays: { busy: 30, no_answer: 120, failed: 240, voicemail: 1440 },
+        maxAttempts: 6,
+        dailyLimit: 3,
+        lifetimeLimit: 10,
+        brands: {},
+        sources: {}
+      },
+      callbacks: {
+        enabled: true,
+        routeToAssignedAgent: false,
+        agentExtensions: {},
+        missedAfterMinutes: 30,
+        rescheduleMinutes: 60,
+        maxReschedules: 3
+      },
+      agentStatus: {
+        provider: 'csv_api'
+      },
+      amd: {
+        enabled: false,
+        voicemailRecordingId: null
+      },
+      didRotation: {
+        dailyCap: 150,
+        cooldownSeconds: 60,
+        stateFallback: true,
+        health: {
+          enabled: true,
+          windowHours: 24,
+          minCalls: 25,
+          quarantineBelow: 40,
+          quarantineHours: 48
+        }
+      },
+      leadDedup: {
+        enabled: true,
+        matchOn: ['phone', 'email'],
+        onDuplicate: 'merge',
+        defaultPrecedence: 'existing',
+        fieldPrecedence: {},
+        undoHours: 72,
+        defaultCountryCode: '1'
+      },
+      leadScoring: {
+        enabled: false,
+        baseScore: 10,
+        sources: {},
+        brands: {},
+        stages: {}
+      },
+      contactPolicy: {
+        enabled: true,
+        maxTouchesPerDay: null,
+        maxTouchesPerWeek: null,
+        maxCallsPerDay: null,
+        maxCallsPerWeek: null,
+        maxSmsPerDay: null,
+        maxSmsPerWeek: null,
+        minMinutesBetweenTouches: null
+      }
     }
   },
   timezone: {
@@ -162,9 +263,10 @@ const Lead = sequelize.define('Lead', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  // Nullable as in shared/lead-models.js: imports resumed here may have no name
   name: {
     type: DataTypes.STRING,
-    allowNull: false
+    allowNull: true
   },
   email: {
     type: DataTypes.STRING,
@@ -178,6 +280,27 @@ const Lead = sequelize.define('Lead', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // campaign, priority and notes are written by lead intake and imports
+  campaign: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  priority: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+    defaultValue: 'medium'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  stageId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   additionalData: {
     type: DataTypes.JSONB,
     defaultValue: {}
@@ -190,12 +313,38 @@ const Lead = sequelize.define('Lead', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  scheduledCallback: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  assignedTo: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastContact: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  leadScore: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Set when the contact policy holds the lead back, so the dialer does not fetch it again before then
+  deferredUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   callDurations: {
     type: DataTypes.ARRAY(DataTypes.INTEGER),
     defaultValue: []
   },
   status: {
-    type: DataTypes.ENUM('pending', 'contacted', 'transferred', 'completed', 'failed'),
+    type: DataTypes.ENUM('pending', 'contacted', 'callback', 'transferred', 'completed', 'failed', 'dnc',
+      'new', 'qualified', 'converted', 'unqualified', 'connected'),
     defaultValue: 'pending'
   },
   smsAttempts: {
@@ -225,15 +374,18 @@ const Lead = sequelize.define('Lead', {
     validate: {
       isIn: [['auto_dialer', 'journey_only', 'both', 'none']]
     }
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
+}, {
+  // Same table as shared/lead-models.js; soft-deleted leads (merged duplicates) are never dialed
+  paranoid: true
 });
 
-// Add instance method to Lead model for journey criteria checking
-Lead.prototype.getAgeDays = function() {
-  const now = moment();
-  const created = moment(this.createdAt);
-  return now.diff(created, 'days');
-};
+// Status and tag changes go out as lead events
+eventBus.watchLeadModel(Lead);
 
 const CallLog = sequelize.define('CallLog', {
   tenantId: {
@@ -260,6 +412,15 @@ const CallLog = sequelize.define('CallLog', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // TransferNumber/TransferGroup the call was routed to, when it went through a transfer group
+  transferNumberId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  transferGroupId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   ingroup: {
     type: DataTypes.STRING,
     allowNull: true
@@ -277,9 +438,33 @@ const CallLog = sequelize.define('CallLog', {
     allowNull: true
   },
   status: {
-    type: DataTypes.ENUM('initiated', 'answered', 'transferred', 'completed', 'failed', 'connected'),
+    type: DataTypes.ENUM('initiated', 'ringing', 'answered', 'transferred', 'completed', 'failed', 'busy', 'no_answer', 'voicemail', 'connected'),
     defaultValue: 'initiated'
   },
+  ringDuration: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  talkDuration: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  hangupCause: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  amdStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  amdCause: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  amiData: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
   recordingUrl: {
     type: DataTypes.STRING,
     allowNull: true
@@ -330,70 +515,71 @@ const DID = sequelize.define('DID', {
   lastUsed: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
   }
 });
 
-// Helper function to check if a lead matches journey criteria
-async function matchesJourneyCriteria(lead, criteria) {
-  if (!criteria) return true;
-  
-  console.log(`Checking criteria for lead ${lead.id}:`, JSON.stringify(criteria, null, 2));
-  
-  // Check lead status
-  if (criteria.leadStatus && criteria.leadStatus.length > 0) {
-    if (!criteria.leadStatus.includes(lead.status)) {
-      console.log(`Lead ${lead.id} status ${lead.status} not in ${criteria.leadStatus}`);
-      return false;
-    }
-  }
-  
-  // Check lead tags
-  if (criteria.leadTags && criteria.leadTags.length > 0) {
-    const leadTags = lead.additionalData.tags || [];
-    if (!criteria.leadTags.every(tag => leadTags.includes(tag))) {
-      console.log(`Lead ${lead.id} tags ${leadTags} missing required tags ${criteria.leadTags}`);
-      return false;
-    }
-  }
-  
-  // Check lead age
-  if (criteria.leadAgeDays) {
-    const leadAgeDays = lead.getAgeDays();
-    
-    if (criteria.leadAgeDays.min !== undefined && 
-        criteria.leadAgeDays.min !== null && 
-        leadAgeDays < criteria.leadAgeDays.min) {
-      console.log(`Lead ${lead.id} age ${leadAgeDays} days is less than minimum ${criteria.leadAgeDays.min}`);
-      return false;
-    }
-    
-    if (criteria.leadAgeDays.max !== undefined && 
-        criteria.leadAgeDays.max !== null && 
-        leadAgeDays > criteria.leadAgeDays.max) {
-      console.log(`Lead ${lead.id} age ${leadAgeDays} days is greater than maximum ${criteria.leadAgeDays.max}`);
-      return false;
-    }
-  }
-  
-  // Check brands
-  if (criteria.brands && criteria.brands.length > 0) {
-    if (!lead.brand || !criteria.brands.includes(lead.brand)) {
-      console.log(`Lead ${lead.id} brand ${lead.brand} not in ${criteria.brands}`);
-      return false;
-    }
-  }
-  
-  // Check sources
-  if (criteria.sources && criteria.sources.length > 0) {
-    if (!lead.source || !criteria.sources.includes(lead.source)) {
-      console.log(`Lead ${lead.id} source ${lead.source} not in ${criteria.sources}`);
-      return false;
-    }
-  }
-  
-  console.log(`Lead ${lead.id} matches all criteria`);
-  return true;
-}
+// Predictive pacing keeps its per-tenant dial ratio between cycles
+const pacingService = new PacingService({ CallLog });
+
+// Lead-local calling windows (TCPA quiet hours, state rules, holidays)
+const callingWindowService = new CallingWindowService({ Lead, DID });
+
+// Tenant DNC registry - checked before every outbound call
+const dncModels = initDncModels(sequelize);
+const dncService = new DncService({ ...dncModels, Lead });
+
+// Phone formats shared with lead intake; intake stores E.164 while older leads hold 10 digits
+const leadIntakeService = new LeadIntakeService({});
+
+// Tenant contact policy - per-lead caps on calls and texts across the dialer, journeys and SMS
+const contactPolicyService = new ContactPolicyService({ ...initContactPolicyModels(sequelize), Lead, Tenant });
+
+// Lead merge history, import jobs and segments are written by the API; defined here so startup sync creates their
+// tables. Import jobs that were queued or interrupted are resumed by this worker
+initLeadMergeModels(sequelize);
+const leadImportModels = initLeadImportModels(sequelize);
+initSegmentModels(sequelize);
+
+const leadRecyclingService = new LeadRecyclingService({ Lead, CallLog, Tenant });
+const leadScoringService = new LeadScoringService({ Lead, CallLog, Tenant });
+const stageAutomationService = new StageAutomationService({ Lead, CallLog, Tenant });
+
+const callbackService = new CallbackService({ Lead, CallLog, Tenant });
+
+// One long-lived AMI connection per PBX; call events are written back to CallLog
+const amiPool = new AmiConnectionPool({ CallLog }, {
+  onCallEnded: (callLogId, outcome, fields) => handleCallEnded(callLogId, outcome, fields.talkDuration, fields)
+});
+
+const agentStatusModels = initAgentStatusModels(sequelize);
+const agentStatusService = new AgentStatusService(agentStatusModels, { amiPool });
+
+// Recordings are only read here (voicemail drops, journey announcements)
+const recordingModels = require('../shared/recording-models')(sequelize, DataTypes);
+const amdService = new AmdService(recordingModels);
+
+// Caller ID rotation: daily caps, cooldowns, local presence and spam-flag quarantine
+const didSelectionService = new DidSelectionService({ DID, CallLog, ...initDidQuarantineModels(sequelize) });
+
+// Transfer targets come from the tenant's transfer groups (brand/ingroup routing, business hours, daily caps)
+const { TransferGroup, TransferNumber } = require('../shared/template-models')(sequelize, DataTypes);
+const transferRoutingService = new TransferRoutingService({ TransferGroup, TransferNumber, CallLog });
+const transferBillingService = new TransferBillingService({
+  TransferGroup,
+  TransferNumber,
+  CallLog,
+  ...initTransferOutcomeModels(sequelize)
+});
+
+const { DialerCampaign } = initCampaignModels(sequelize);
+const campaignService = new CampaignService({ DialerCampaign, DID, TransferGroup });
+
+// Call outcomes that mean the lead was reached
+const CONTACT_OUTCOMES = ['answered', 'connected', 'completed', 'transferred'];
 
 // Helper: Check if current time is within business hours
 const isWithinBusinessHours = (schedule, timezone = 'America/Los_Angeles') => {
@@ -417,61 +603,123 @@ const isWithinBusinessHours = (schedule, timezone = 'America/Los_Angeles') => {
   return true;
 };
 
-// Helper: Select DID based on distribution method
-const selectDID = async (tenant, lead) => {
+// Helper: Select DID based on distribution method, limited to the campaign's DID pool when it has one.
+// Returns null when the pool is empty; throws when every DID is quarantined, capped or cooling down
+const selectDID = async (tenant, lead, campaign = null) => {
   try {
-    const query = {
-      where: {
-        tenantId: tenant.id.toString(),
-        isActive: true
-      }
-    };
-    
-    if (tenant.dialerConfig.didDistribution === 'local' && lead.phone) {
-      const leadAreaCode = lead.phone.replace(/\D/g, '').substring(0, 3);
+    const selection = await didSelectionService.selectDID(tenant, lead, { campaign });
 
-      if (leadAreaCode) {
-        const localDID = await DID.findOne({
-          where: {
-            ...query.where,
-            areaCode: leadAreaCode
-          }
-        });
-
-        if (localDID) {
-          return localDID;
-        }
-      }
+    if (selection.did) {
+      return selection.did;
     }
-    
-    const did = await DID.findOne({
-      where: query.where,
-      order: [
-        ['usageCount', 'ASC'],
-        ['lastUsed', 'ASC']
-      ]
-    });
-    
-    if (!did) {
-      throw new Error('No active DIDs available');
+
+    if (selection.poolSize === 0) {
+      return null;
     }
-    
-    return did;
+
+    const { quarantined, dailyCap, coolingDown } = selection.skipped;
+    throw new Error(`No DID available: ${quarantined} quarantined, ${dailyCap} at daily cap, ${coolingDown} cooling down`);
   } catch (error) {
     console.error(`Error selecting DID: ${error.message}`);
     throw error;
   }
 };
 
-// Helper: Make call via AMI
-const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
+// Helper: Resolve the transfer target for a lead through transfer groups. Falls back to the campaign's
+// fixed number only when no group applies; returns null when nothing in the group is open or there is no number
+const resolveTransferTarget = async (tenant, lead, campaign = null) => {
+  const routing = await transferRoutingService.resolveTransfer(tenant.id, {
+    groupId: campaign ? campaign.transferGroupId : null,
+    brand: lead.brand,
+    ingroup: campaign ? campaign.ingroup : tenant.apiConfig.ingroup
+  });
+
+  if (!routing.group) {
+    if (!campaign || !campaign.transferNumber) {
+      console.log(`No transfer group matches lead ${lead.id} and no transfer number is configured`);
+      return null;
+    }
+    return { phoneNumber: campaign.transferNumber };
+  }
+
+  if (!routing.transferNumber) {
+    const { closed, capped } = routing.skipped;
+    console.log(`Transfer group ${routing.group.name} has no open numbers for lead ${lead.id} (${closed} closed, ${capped} at daily cap)`);
+    return null;
+  }
+
+  return {
+    phoneNumber: routing.phoneNumber,
+    transferNumber: routing.transferNumber,
+    transferGroupId: routing.group.id,
+    simultaneous: routing.simultaneous
+  };
+};
+
+// Helper: Make call via AMI. transferNumber overrides transfer-group routing (e.g. a callback agent extension)
+const makeCall = async (tenant, lead, transferNumber, journeyStepId = null, campaign = null) => {
+  let touch = null; // Contact policy touch, released if the call is not placed
   try {
+    const dncCheck = await dncService.checkAndRecord(tenant.id, lead.phone, {
+      channel: 'call',
+      source: journeyStepId ? 'journey' : 'dialer',
+      leadId: lead.id,
+      metadata: { journeyStepId }
+    });
+
+    if (dncCheck.blocked) {
+      return {
+        success: false,
+        blocked: true,
+        error: `Number ${lead.phone} is on the DNC list`
+      };
+    }
+
+    const policy = await contactPolicyService.reserve(tenant, lead.phone, {
+      channel: 'call',
+      source: journeyStepId ? 'journey' : 'dialer',
+      leadId: lead.id
+    });
+    if (!policy.allowed) {
+      return {
+        success: false,
+        capped: true,
+        nextAllowedAt: policy.nextAllowedAt,
+        error: `Contact policy: ${policy.reason}`
+      };
+    }
+    touch = policy.touch;
+
+    let transfer = { phoneNumber: transferNumber };
+    if (!transferNumber) {
+      try {
+        transfer = await resolveTransferTarget(tenant, lead, campaign);
+      } catch (error) {
+        transfer = null;
+      }
+
+      if (!transfer) {
+        // Leave the lead as it is; it can be dialed once a transfer number opens up
+        await contactPolicyService.release(touch);
+        return {
+          success: false,
+          noTransfer: true,
+          error: 'No transfer number available'
+        };
+      }
+    }
+
     let did;
     try {
-      did = await selectDID(tenant, lead);
+      did = await selectDID(tenant, lead, campaign) || { phoneNumber: '8005551234' };
     } catch (error) {
-      console.error(`Could not select DID: ${error.message}`);
-      did = { phoneNumber: '8005551234' };
+      // The tenant has DIDs but none may be used right now - wait rather than dial from a fallback number
+      await contactPolicyService.release(touch);
+      return {
+        success: false,
+        noDid: true,
+        error: error.message
+      };
     }
     
     const callLog = await CallLog.create({
@@ -479,10 +727,19 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
       leadId: lead.id,
       from: did.phoneNumber,    
       to: lead.phone,
-      transferNumber,
+      transferNumber: transfer.phoneNumber,
+      transferNumberId: transfer.transferNumber ? transfer.transferNumber.id : null,
+      transferGroupId: transfer.transferGroupId || null,
+      ingroup: campaign ? campaign.ingroup : null,
       status: 'initiated',
       journeyStepId
     });
+
+    if (transfer.transferNumber) {
+      await transferRoutingService.recordSelection(transfer.transferNumber);
+    }
+
+    await contactPolicyService.confirm(touch, { callLogId: callLog.id, campaignId: campaign ? campaign.id : null });
     
     await lead.update({
       attempts: lead.attempts + 1,
@@ -498,27 +755,15 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
     }
     
     try {
-      // Print AMI config for debugging
-      console.log("AMI Config:", {
-        host: tenant.amiConfig.host,
-        port: tenant.amiConfig.port,
-        username: tenant.amiConfig.username,
-        password: tenant.amiConfig.password ? '***' : 'missing'
-      });
+      let variableString = `transfer_number=${transfer.phoneNumber},to=${lead.phone},call_log_id=${callLog.id}`;
+      if (transfer.transferGroupId) {
+        variableString += `,transfer_group_id=${transfer.transferGroupId}`;
+      }
 
-      const ami = new AmiClient();
-      
-      // Use the correct parameters format for AMI connection
-      await ami.connect(
-        tenant.amiConfig.username,                     // AMI username
-        tenant.amiConfig.password,                     // AMI secret/password
-        {
-          host: tenant.amiConfig.host,                 // Asterisk host or IP
-          port: parseInt(tenant.amiConfig.port, 10)    // AMI port (usually 5038)
-        }
-      );
+      if (transfer.simultaneous) {
+        variableString += `,transfer_numbers=${transfer.simultaneous.join('&')}`;
+      }
 
-      let variableString = `transfer_number=${transferNumber},to=${lead.phone}`;
       if (lead.name) {
         variableString += `,lead_name=${lead.name}`;
       }
@@ -531,10 +776,20 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
         variableString += `,journey_step_id=${journeyStepId}`;
       }
 
+      const amdConfig = amdService.getConfig((campaign ? campaign.dialerConfig : tenant.dialerConfig) || {});
+      variableString += `,${await amdService.buildDialplanVariables(amdConfig, tenant.id)}`;
+
+      if (campaign) {
+        variableString += `,ingroup=${campaign.ingroup}`;
+        if (campaign.id) {
+          variableString += `,campaign_id=${campaign.id}`;
+        }
+      }
+
       const action = {
         Action: 'Originate',
-        Channel: `PJSIP/${lead.phone}@${tenant.amiConfig.trunk}`,
-        Context: tenant.amiConfig.context,
+        Channel: `PJSIP/${leadIntakeService.getDialNumber(lead.phone)}@${tenant.amiConfig.trunk}`,
+        Context: (campaign && campaign.amiContext) || tenant.amiConfig.context,
         Exten: 's',
         Priority: 1,
         CallerID: did.phoneNumber,
@@ -543,10 +798,7 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
         Variable: variableString
       };
 
-      const response = await ami.action(action);
-
-      await ami.disconnect();    
-      await callLog.update({ status: 'initiated' });
+      await amiPool.originate(tenant.amiConfig, action, callLog.id);
 
       console.log(`Call initiated for lead ${lead.id}, phone: ${lead.phone} using DID ${did.phoneNumber}`);
 
@@ -568,6 +820,7 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
     }
   } catch (error) {
     console.error(`Error making call: ${error.message}`);
+    await contactPolicyService.release(touch);
     
     return {
       success: false,
@@ -576,97 +829,6 @@ const makeCall = async (tenant, lead, transferNumber, journeyStepId = null) => {
   }
 };
 
-// Helper: Get agent status from API
-const getAgentStatus = async (tenant) => {
-  if (!tenant) {
-    throw new Error('Tenant not found');
-  }
-  
-  // Grab config out of tenant
-  const { url: apiUrl, user, password: pass, ingroup } = tenant.apiConfig;
-  
-  if (!apiUrl) {
-    throw new Error('Missing API URL in tenant.apiConfig.url');
-  }
-  
-  if (!ingroup) {
-    throw new Error('Missing ingroup in tenant.apiConfig.ingroup');
-  }
-
-  // Extract subdomain (e.g. "btr")
-  let subdomain;
-  try {
-    subdomain = new URL(apiUrl).hostname.split('.')[0];
-  } catch (err) {
-    throw new Error('Invalid API URL format');
-  }
-
-  const apiParams = {
-    source:     subdomain,
-    user,
-    pass,
-    stage:      'csv',
-    function:   'in_group_status',
-    header:     'YES',
-    in_groups:  ingroup // Use the tenant's ingroup instead of hardcoding
-  };
-
-  try {
-    console.log(`Fetching agent status for ingroup: ${ingroup}`);
-    const response = await axios.get(apiUrl, { params: apiParams });
-
-    // CSV → JSON
-    const results = [];
-    const stream = Readable.from(response.data);
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', row => results.push(row))
-        .on('end',  resolve)
-        .on('error', reject);
-    });
-
-    // Shape into agent-status objects
-    const data = results.map(row => ({
-      ingroup:           row.ingroup || ingroup,
-      agents_logged_in:  parseInt(row.agents_logged_in, 10) || 0,
-      agents_waiting:    parseInt(row.agents_waiting, 10) || 0,
-      total_calls:       parseInt(row.total_calls, 10) || 0,
-      calls_waiting:     parseInt(row.calls_waiting, 10) || 0,
-      brand:             'Tax',
-      source:            subdomain
-    }));
-
-    return {
-      subdomain,
-      user,
-      pass,
-      ingroups: ingroup,
-      data
-    };
-
-  } catch (error) {
-    console.error(`API error: ${error.message}, returning mock data`);
-
-    // Fallback mock in same shape
-    return {
-      subdomain,
-      user,
-      pass,
-      ingroups: ingroup,
-      data: [{
-        ingroup:           ingroup,
-        agents_logged_in:  5,
-        agents_waiting:    3,
-        total_calls:       12,
-        calls_waiting:     2,
-        brand:             'Tax',
-        source:            subdomain
-      }]
-    };
-  }
-};
-
 // Main dialer worker function
 const processDialerQueue = async (tenantId) => {
   try {
@@ -683,106 +845,297 @@ const processDialerQueue = async (tenantId) => {
       return;
     }
     
-    if (!isWithinBusinessHours(tenant.schedule, tenant.timezone)) {
-      console.log(`Outside business hours for tenant ${tenantId}, skipping`);
+    const campaigns = await campaignService.getDialableCampaigns(tenant);
+    if (campaigns.length === 0) {
+      console.log(`No active dialer campaigns for tenant ${tenantId}`);
+      return;
+    }
+    
+    // Campaigns run in priority order; a lead dialed by one is marked contacted before the next runs
+    for (const campaign of campaigns) {
+      await processCampaignQueue(tenant, campaign);
+    }
+    
+    if (tenant.dialerConfig.autoDelete) {
+      const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+
+      const deleteResult = await Lead.destroy({
+        where: {
+          tenantId: tenant.id.toString(),
+          status: { [Op.in]: ['completed', 'transferred'] },
+          lastAttempt: { [Op.lt]: twoDaysAgo }
+        },
+        force: true
+      });
+
+      console.log(`Auto-deleted ${deleteResult} leads for tenant ${tenantId}`);
+    }
+    
+    console.log(`Dialer worker completed for tenant ${tenantId}`);
+  } catch (error) {
+    console.error(`Error in dialer worker for tenant ${tenantId}: ${error.message}`);
+  }
+};
+
+// Dial one campaign's leads for this cycle
+const processCampaignQueue = async (tenant, campaign) => {
+  const tenantId = tenant.id;
+  const label = campaign.isDefault ? `tenant ${tenantId}` : `campaign "${campaign.name}" (tenant ${tenantId})`;
+  const dialerConfig = campaign.dialerConfig;
+  
+  try {
+    if (!isWithinBusinessHours(campaign.schedule, tenant.timezone)) {
+      console.log(`Outside business hours for ${label}, skipping`);
       return;
     }
     
-    // Check if tenant has required API configuration
-    if (!tenant.apiConfig || !tenant.apiConfig.ingroup || !tenant.apiConfig.url) {
-      console.error(`Tenant ${tenantId} is missing required API configuration (ingroup or url)`);
+    if (!campaign.ingroup) {
+      console.error(`No ingroup configured for ${label}`);
       return;
     }
     
+    if (!campaign.isDefault) {
+      await DialerCampaign.update({ lastRunAt: new Date() }, { where: { id: campaign.id } });
+    }
+    
+    // No agent numbers, no dialing - a failed fetch never falls back to assumed availability
+    let agentStatus;
     try {
-      const agentStatus = await getAgentStatus(tenant);
-      
-      if (!agentStatus || !agentStatus.data || agentStatus.data.length === 0) {
-        console.error(`Failed to get agent status for tenant ${tenantId}`);
-        return;
+      agentStatus = await agentStatusService.getAgentStatus(tenant, campaign.ingroup, dialerConfig);
+    } catch (error) {
+      console.error(`Agent status unavailable for ${label}, not dialing this cycle: ${error.message}`);
+      return;
+    }
+    
+    const agentData = agentStatus.data[0];
+    const agentsWaiting = agentData.agents_waiting;
+    
+    console.log(`${label} has ${agentsWaiting} agents waiting for ingroup ${agentData.ingroup}`);
+    
+    if (agentsWaiting < dialerConfig.minAgentsAvailable) {
+      console.log(`Not enough agents waiting. Required: ${dialerConfig.minAgentsAvailable}, Available: ${agentsWaiting}`);
+      return;
+    }
+    
+    const pacing = await pacingService.calculateLeadsToDial(tenant, agentData, campaign);
+    const leadsToFetch = pacing.leadsToDial;
+
+    if (pacing.mode === 'predictive' && pacing.metrics) {
+      const { answerRate, abandonRate, avgTalkTime } = pacing.metrics;
+      console.log(`Predictive pacing for ${label}: ratio ${pacing.ratio}, answer rate ${(answerRate * 100).toFixed(1)}%, abandon rate ${abandonRate.toFixed(1)}%, avg talk ${Math.round(avgTalkTime)}s${pacing.warmingUp ? ' (warming up)' : ''}`);
+    }
+    console.log(`Will fetch ${leadsToFetch} leads based on ${agentsWaiting} agents and ${pacing.mode} ratio ${pacing.ratio}`);
+
+    if (leadsToFetch <= 0) {
+      return;
+    }
+    
+    await callingWindowService.loadDidStates(tenant);
+    
+    const leadWhere = {
+      ...campaignService.buildLeadWhere(campaign.leadFilter),
+      dialerAssignment: {
+        [Op.in]: ['auto_dialer', 'both']  // Only dial leads assigned to auto dialer
       }
+    };
+    
+    // Callbacks whose time has arrived take the first slots of the cycle
+    const callbackConfig = callbackService.getConfig(dialerConfig);
+    const callbacks = [];
+    
+    if (callbackConfig.enabled) {
+      const dueCallbacks = await callbackService.getDueCallbacks(tenant, leadWhere, leadsToFetch * 5);
       
-      const agentData = agentStatus.data[0];
-      const agentsWaiting = agentData.agents_waiting;
-      
-      console.log(`Tenant ${tenantId} has ${agentsWaiting} agents waiting for ingroup ${agentData.ingroup}`);
-      
-      if (agentsWaiting < tenant.dialerConfig.minAgentsAvailable) {
-        console.log(`Not enough agents waiting. Required: ${tenant.dialerConfig.minAgentsAvailable}, Available: ${agentsWaiting}`);
-        return;
+      for (const lead of dueCallbacks) {
+        if (callbacks.length >= leadsToFetch) {
+          break;
+        }
+        if (!callingWindowService.canCallLead(lead, tenant).allowed) {
+          continue;
+        }
+
+        // A capped callback keeps its place but moves to when the policy allows the next call
+        const policy = await contactPolicyService.check(tenant, lead.phone, 'call');
+        if (!policy.allowed) {
+          await callbackService.postpone(lead, tenant, policy.nextAllowedAt, policy.reason);
+          continue;
+        }
+
+        callbacks.push(lead);
       }
       
-      const leadsToFetch = Math.ceil(agentsWaiting * tenant.dialerConfig.speed);
-      console.log(`Will fetch ${leadsToFetch} leads based on ${agentsWaiting} agents and speed ${tenant.dialerConfig.speed}`);
+      if (callbacks.length > 0) {
+        console.log(`${callbacks.length} scheduled callbacks due for ${label}`);
+      }
+    }
+    
+    const freshSlots = leadsToFetch - callbacks.length;
+    const leads = [];
+    let blockedCount = 0;
+    let cappedCount = 0;
+    
+    if (freshSlots > 0) {
+      // Recycled leads come back as pending; the per-outcome delays and attempt limits are checked below
+      const recycling = leadRecyclingService.getConfig(tenant);
+      const retryAfter = recycling.enabled
+        ? leadRecyclingService.getMinimumDelay(tenant) * 60 * 1000
+        : 24 * 60 * 60 * 1000;
       
       const query = {
         where: {
+          ...leadWhere,
           tenantId: tenant.id.toString(),
           status: 'pending',
-          dialerAssignment: {
-            [Op.in]: ['auto_dialer', 'both']  // Only dial leads assigned to auto dialer
-          },
-          [Op.or]: [
-            { lastAttempt: null },
-            { lastAttempt: { [Op.lt]: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+          [Op.and]: [
+            {
+              [Op.or]: [
+                { lastAttempt: null },
+                { lastAttempt: { [Op.lt]: new Date(Date.now() - retryAfter) } }
+              ]
+            },
+            {
+              [Op.or]: [
+                { deferredUntil: null },
+                { deferredUntil: { [Op.lte]: new Date() } }
+              ]
+            },
+            // Leave out leads whose zone is closed right now instead of fetching and skipping them every cycle
+            callingWindowService.buildLeadWhere(tenant)
           ]
         }
       };
       
-      if (tenant.dialerConfig.sortOrder === 'oldest') {
+      if (dialerConfig.sortOrder === 'oldest') {
         query.order = [['createdAt', 'ASC']];
-      } else if (tenant.dialerConfig.sortOrder === 'fewest') {
+      } else if (dialerConfig.sortOrder === 'fewest') {
         query.order = [['attempts', 'ASC'], ['createdAt', 'ASC']];
+      } else if (dialerConfig.sortOrder === 'score') {
+        query.order = [['leadScore', 'DESC'], ['createdAt', 'ASC']];
       }
       
-      query.limit = leadsToFetch;
+      // Some headroom for leads the recycle rules, state rules or contact policy still hold back
+      query.limit = freshSlots * 2;
       
-      const leads = await Lead.findAll(query);
+      let candidates = await Lead.findAll(query);
       
-      if (leads.length === 0) {
-        console.log(`No leads available for tenant ${tenantId}`);
-        return;
+      if (recycling.enabled) {
+        const { dialable, skipped } = await leadRecyclingService.filterDialableLeads(tenant, candidates);
+        candidates = dialable;
+        
+        const skippedSummary = Object.entries(skipped).map(([reason, count]) => `${count} ${reason}`).join(', ');
+        if (skippedSummary) {
+          console.log(`Recycle rules held back leads for ${label}: ${skippedSummary}`);
+        }
       }
       
-      console.log(`Processing ${leads.length} leads for tenant ${tenantId}`);
-      
-      const transferNumber = '8005555678';
-      
-      for (const lead of leads) {
-        try {
-          const result = await makeCall(tenant, lead, transferNumber);
+      for (const lead of candidates) {
+        if (leads.length >= freshSlots) {
+          break;
+        }
 
-          if (!result.success) {
-            console.error(`Failed to make call for lead ${lead.id}: ${result.error}`);
-            await lead.update({ status: 'failed' });
-          }
+        const window = callingWindowService.canCallLead(lead, tenant);
+        if (!window.allowed) {
+          blockedCount++;
+          continue;
+        }
 
-          await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (error) {
-          console.error(`Error processing lead ${lead.id}: ${error.message}`);
+        // Capped leads stay pending but are left out of the query until the contact policy allows another call
+        const policy = await contactPolicyService.check(tenant, lead.phone, 'call');
+        if (!policy.allowed) {
+          await lead.update({ deferredUntil: policy.nextAllowedAt });
+          cappedCount++;
+          continue;
         }
+
+        leads.push(lead);
       }
-      
-      if (tenant.dialerConfig.autoDelete) {
-        const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    }
 
-        const deleteResult = await Lead.destroy({
-          where: {
-            tenantId: tenant.id.toString(),
-            status: { [Op.in]: ['completed', 'transferred'] },
-            lastAttempt: { [Op.lt]: twoDaysAgo }
-          }
-        });
+    if (blockedCount > 0) {
+      console.log(`Skipped ${blockedCount} leads outside their local calling window for ${label}`);
+    }
+
+    if (cappedCount > 0) {
+      console.log(`Held back ${cappedCount} leads at their contact policy limit for ${label}`);
+    }
+    
+    if (callbacks.length === 0 && leads.length === 0) {
+      console.log(`No leads available for ${label}`);
+      return;
+    }
+    
+    console.log(`Processing ${callbacks.length + leads.length} leads for ${label}`);
+    
+    for (const lead of callbacks) {
+      try {
+        // Optionally ring the lead's own agent instead of the campaign ingroup
+        const agentExtension = callbackService.getAgentExtension(lead, callbackConfig);
+        const result = await makeCall(tenant, lead, agentExtension, null, campaign);
 
-        console.log(`Auto-deleted ${deleteResult} leads for tenant ${tenantId}`);
+        if (result.noTransfer) {
+          continue;
+        }
+
+        if (result.capped) {
+          await callbackService.postpone(lead, tenant, result.nextAllowedAt, result.error);
+          continue;
+        }
+
+        if (result.noDid) {
+          // Leave the callback due; it is picked up again once a DID frees up
+          console.log(`No DID available for ${label}, stopping this cycle: ${result.error}`);
+          return;
+        }
+
+        if (result.blocked) {
+          console.log(`Lead ${lead.id} matched the DNC list, marking as dnc`);
+          await lead.update({ status: 'dnc', scheduledCallback: null });
+        } else if (!result.success) {
+          console.error(`Failed to make callback for lead ${lead.id}: ${result.error}`);
+          await callbackService.rescheduleMissed(lead, tenant, 'dial failed');
+        } else {
+          await callbackService.markDialed(lead, result.callId, agentExtension);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } catch (error) {
+        console.error(`Error processing callback for lead ${lead.id}: ${error.message}`);
+      }
+    }
+    
+    for (const lead of leads) {
+      try {
+        const result = await makeCall(tenant, lead, null, null, campaign);
+
+        if (result.capped) {
+          await lead.update({ deferredUntil: result.nextAllowedAt });
+          continue;
+        }
+
+        if (result.noTransfer) {
+          continue;
+        }
+
+        if (result.noDid) {
+          console.log(`No DID available for ${label}, stopping this cycle: ${result.error}`);
+          return;
+        }
+
+        if (result.blocked) {
+          console.log(`Lead ${lead.id} matched the DNC list, marking as dnc`);
+          await lead.update({ status: 'dnc' });
+        } else if (!result.success) {
+          console.error(`Failed to make call for lead ${lead.id}: ${result.error}`);
+          await lead.update({ status: 'failed' });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } catch (error) {
+        console.error(`Error processing lead ${lead.id}: ${error.message}`);
       }
-      
-      console.log(`Dialer worker completed for tenant ${tenantId}`);
-    } catch (error) {
-      console.error(`Error getting agent status for tenant ${tenantId}: ${error.message}`);
     }
   } catch (error) {
-    console.error(`Error in dialer worker for tenant ${tenantId}: ${error.message}`);
+    console.error(`Error dialing ${label}: ${error.message}`);
   }
 };
 
@@ -801,8 +1154,8 @@ const initializeAmiConnection = async (tenant) => {
       knownContexts.add(tenant.amiConfig.context);
     }
     
-    // This is just to register the context - we don't actually maintain a connection here
-    // Real AMI connection is handled by server.js
+    // Opens (or reuses) the persistent connection to this tenant's PBX
+    await amiPool.getConnection(tenant.amiConfig);
     console.log(`Registered context "${tenant.amiConfig.context}" for tenant ${tenant.id}`);
     
     return true;
@@ -812,153 +1165,123 @@ const initializeAmiConnection = async (tenant) => {
   }
 };
 
-// Helper class for auto-enrollment - FIXED VERSION
-class AutoEnrollmentService {
-  constructor(models) {
-    this.models = models;
+// Everything that reacts to a call ending: journey branching, transfer billing, callbacks, lead recycling,
+// stage catalysts and scoring.
+// fields carries the transfer leg details from call tracking when there are any
+async function handleCallEnded(callLogId, outcome, duration = 0, fields = {}) {
+  await recordJourneyCallOutcome(callLogId, outcome, duration);
+
+  try {
+    // A call that reached the lead is contact, for score recency and no-contact stage catalysts
+    if (CONTACT_OUTCOMES.includes(outcome)) {
+      const callLog = await CallLog.findByPk(callLogId, { attributes: ['id', 'leadId'] });
+      if (callLog && callLog.leadId) {
+        await Lead.update({ lastContact: new Date() }, { where: { id: callLog.leadId } });
+      }
+    }
+  } catch (error) {
+    console.error(`Error updating last contact for call ${callLogId}: ${error.message}`);
   }
-  
-  async processAutoEnrollments() {
-    try {
-      console.log('Processing auto-enrollments...');
-      
-      // Find all active journeys with auto-enroll enabled using correct JSONB syntax
-      const journeys = await this.models.Journey.findAll({
-        where: {
-          isActive: true,
-          triggerCriteria: {
-            [Op.and]: [
-              { [Op.ne]: null }
-            ]
-          }
-        }
-      });
-      
-      console.log(`Found ${journeys.length} total active journeys`);
-      
-      // Filter for auto-enroll journeys
-      const autoEnrollJourneys = journeys.filter(journey => {
-        const criteria = journey.triggerCriteria || {};
-        return criteria.autoEnroll === true;
+
+  try {
+    await transferBillingService.recordOutcome(callLogId, outcome, fields);
+  } catch (error) {
+    console.error(`Error recording transfer outcome for call ${callLogId}: ${error.message}`);
+  }
+
+  try {
+    // A missed callback is rescheduled as a callback rather than recycled
+    await callbackService.handleCallOutcome(callLogId, outcome);
+    await leadRecyclingService.applyCallOutcome(callLogId, outcome);
+  } catch (error) {
+    console.error(`Error recycling lead for call ${callLogId}: ${error.message}`);
+  }
+
+  try {
+    await stageAutomationService.handleCallOutcome(callLogId, outcome, duration);
+  } catch (error) {
+    console.error(`Error evaluating stage catalysts for call ${callLogId}: ${error.message}`);
+  }
+
+  try {
+    await leadScoringService.scoreCallLead(callLogId);
+  } catch (error) {
+    console.error(`Error scoring lead for call ${callLogId}: ${error.message}`);
+  }
+
+  try {
+    const callLog = await CallLog.findByPk(callLogId, { attributes: ['id', 'tenantId', 'leadId'] });
+    if (callLog && callLog.leadId) {
+      eventBus.publish(eventBus.EVENTS.CALL_COMPLETED, {
+        tenantId: callLog.tenantId,
+        leadId: callLog.leadId,
+        callLogId,
+        outcome,
+        duration
       });
-      
-      console.log(`Found ${autoEnrollJourneys.length} journeys with auto-enrollment enabled`);
-      
-      for (const journey of autoEnrollJourneys) {
-        await this.processJourneyEnrollments(journey);
-      }
-    } catch (error) {
-      console.error('Error in auto-enrollment service:', error);
     }
+  } catch (error) {
+    console.error(`Error publishing call completion for call ${callLogId}: ${error.message}`);
   }
-  
-  async processJourneyEnrollments(journey) {
-    try {
-      console.log(`Processing auto-enrollments for journey ${journey.id}: ${journey.name}`);
-      
-      const criteria = journey.triggerCriteria || {};
-      console.log('Journey criteria:', JSON.stringify(criteria, null, 2));
-      
-      // Build base query for tenant
-      const baseQuery = {
-        where: {
-          tenantId: journey.tenantId
-        }
-      };
-      
-      // Apply status filter if specified
-      if (criteria.leadStatus && criteria.leadStatus.length > 0) {
-        baseQuery.where.status = { [Op.in]: criteria.leadStatus };
-      }
-      
-      // Apply brand filter if specified
-      if (criteria.brands && criteria.brands.length > 0) {
-        baseQuery.where.brand = { [Op.in]: criteria.brands };
-      }
-      
-      // Apply source filter if specified
-      if (criteria.sources && criteria.sources.length > 0) {
-        baseQuery.where.source = { [Op.in]: criteria.sources };
-      }
-      
-      // Apply tag filter if specified (JSONB contains)
-      if (criteria.leadTags && criteria.leadTags.length > 0) {
-        baseQuery.where.additionalData = {
-          [Op.contains]: { tags: criteria.leadTags }
-        };
-      }
-      
-      console.log('Base query:', JSON.stringify(baseQuery, null, 2));
-      
-      // Find leads matching criteria
-      const leads = await Lead.findAll(baseQuery);
-      
-      console.log(`Found ${leads.length} leads matching base criteria for journey ${journey.id}`);
-      
-      if (leads.length === 0) {
-        return;
-      }
-      
-      // Get lead IDs already in this journey
-      const activeJourneys = await this.models.LeadJourney.findAll({
+}
+
+// Push a finished call's outcome onto the journey execution that placed it, so
+// callOutcomes conditions on later steps can branch on it
+async function recordJourneyCallOutcome(callLogId, outcome, duration = 0) {
+  if (!journeyModels) return;
+
+  try {
+    const call = await CallLog.findByPk(callLogId);
+    if (!call) return;
+
+    let execution = await journeyModels.JourneyExecution.findOne({
+      where: {
+        result: { [Op.contains]: { callId: call.id } }
+      },
+      include: [{
+        model: journeyModels.LeadJourney,
+        as: 'leadJourney'
+      }]
+    });
+
+    if (!execution && call.journeyStepId) {
+      execution = await journeyModels.JourneyExecution.findOne({
         where: {
-          journeyId: journey.id,
-          status: {
-            [Op.in]: ['active', 'paused']
-          }
+          stepId: call.journeyStepId,
+          status: 'completed'
         },
-        attributes: ['leadId']
-      });
-      
-      const activeLeadIds = activeJourneys.map(j => j.leadId);
-      console.log(`Found ${activeLeadIds.length} leads already enrolled in journey ${journey.id}`);
-      
-      // Filter out leads already in this journey and apply additional criteria
-      const newLeads = [];
-      for (const lead of leads) {
-        if (activeLeadIds.includes(lead.id)) {
-          continue; // Skip already enrolled leads
-        }
-        
-        // Check additional criteria that require individual lead checking
-        if (await matchesJourneyCriteria(lead, criteria)) {
-          newLeads.push(lead);
-        }
-      }
-      
-      console.log(`Enrolling ${newLeads.length} new leads in journey ${journey.id}`);
-      
-      if (newLeads.length === 0) {
-        return;
-      }
-      
-      // Create a journey service instance
-      const journeyService = new JourneyService({
-        ...this.models,
-        Tenant,
-        Lead,
-        CallLog,
-        DID
+        order: [['updatedAt', 'DESC']],
+        include: [{
+          model: journeyModels.LeadJourney,
+          as: 'leadJourney'
+        }]
       });
-      
-      // Enroll each lead
-      let successCount = 0;
-      for (const lead of newLeads) {
-        try {
-          await journeyService.enrollLeadInJourney(lead.id, journey.id, {
-            contextData: { enrolledBy: 'auto_worker' }
-          });
-          console.log(`Auto-enrolled lead ${lead.id} in journey ${journey.id}`);
-          successCount++;
-        } catch (error) {
-          console.error(`Error enrolling lead ${lead.id} in journey ${journey.id}:`, error);
-        }
-      }
-      
-      console.log(`Completed auto-enrollments for journey ${journey.id}: ${successCount}/${newLeads.length} successful`);
-    } catch (error) {
-      console.error(`Error processing auto-enrollments for journey ${journey.id}:`, error);
     }
+
+    if (!execution || !execution.leadJourney) return;
+
+    // Update execution result; amdStatus lets callOutcomes branch on machine/human
+    const callResult = { outcome, callOutcome: outcome, callDuration: duration, amdStatus: call.amdStatus || null };
+    const result = { ...(execution.result || {}), ...callResult };
+    await execution.update({ result });
+
+    // Update journey context data and the matching history entry
+    const leadJourney = execution.leadJourney;
+    const contextData = { ...(leadJourney.contextData || {}) };
+    contextData.lastCallOutcome = outcome;
+    contextData.lastCallDuration = duration;
+    contextData.lastCallAmdStatus = call.amdStatus || null;
+    contextData.lastCallTimestamp = new Date().toISOString();
+
+    const executionHistory = (leadJourney.executionHistory || []).map(entry => (
+      entry.data && entry.data.executionId === execution.id
+        ? { ...entry, result: { ...(entry.result || {}), ...callResult } }
+        : entry
+    ));
+
+    await leadJourney.update({ contextData, executionHistory });
+  } catch (error) {
+    console.error(`Error updating journey execution for call ${callLogId}:`, error);
   }
 }
 
@@ -975,6 +1298,10 @@ async function initializeWorker() {
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
     
+    // Columns and enum values added since the tables were created; sync({ alter: false }) does not add them
+    await updateDialerTables(sequelize);
+    console.log('✅ Dialer tables up to date.');
+    
     // Sync models with database - FIRST sync basic models
     await sequelize.sync({ alter: false });
     console.log('✅ Basic models synchronized.');
@@ -999,9 +1326,26 @@ async function initializeWorker() {
       Lead,
       Tenant,
       CallLog,
-      DID
+      DID,
+      TransferGroup,
+      TransferNumber,
+      ...agentStatusModels,
+      Recording: recordingModels.Recording,
+      RecordingUsageLog: recordingModels.RecordingUsageLog
     });
+    journeyService.setAmiPool(amiPool);
     console.log('✅ Journey service initialized');
+
+    // Auto-enroll journeys and journey goals react to lead events published in this process
+    const journeyTriggerService = new JourneyTriggerService({ ...journeyModels, Lead, Tenant }, journeyService).attach();
+    journeyService.goalService.attach();
+
+    const leadImportService = new LeadImportService({
+      ...leadImportModels,
+      Lead,
+      Tenant,
+      Journey: journeyModels.Journey
+    }, journeyService);
     
     // Verify tenants exist
     const tenantCount = await Tenant.count();
@@ -1044,12 +1388,13 @@ async function initializeWorker() {
       try {
         console.log('🧹 Running call cleanup task');
         
-        // Find stale call logs (initiated more than 1 hour ago but never completed)
+        // Calls with live AMI tracking are closed out by their Hangup event; only
+        // calls that never produced events (or lost them during a reconnect) land here
         const staleTime = new Date(Date.now() - 60 * 60 * 1000); // 1 hour ago
         
         const staleCalls = await CallLog.findAll({
           where: {
-            status: 'initiated',
+            status: { [Op.in]: ['initiated', 'ringing', 'answered'] },
             startTime: { [Op.lt]: staleTime },
             endTime: null
           }
@@ -1059,48 +1404,28 @@ async function initializeWorker() {
         
         // Update each stale call
         for (const call of staleCalls) {
+          // Still waiting on events; the tracker is dropped by pruneStaleCalls after 2 hours
+          if (amiPool.isTracking(call.id)) {
+            continue;
+          }
+          
+          const outcome = call.status === 'initiated' ? 'failed' : call.status === 'ringing' ? 'no_answer' : call.status;
+          
           await call.update({
-            status: 'failed',
+            status: outcome,
             endTime: new Date(),
-            duration: 0
+            duration: call.duration || 0,
+            hangupCause: call.hangupCause || 'No hangup event received'
           });
           
           console.log(`Cleaned up stale call ${call.id}`);
           
-          // If this call was initiated by a journey step, update journey execution data
-          if (call.journeyStepId && journeyModels) {
-            try {
-              const execution = await journeyModels.JourneyExecution.findOne({
-                where: {
-                  stepId: call.journeyStepId,
-                  status: 'completed'
-                },
-                order: [['updatedAt', 'DESC']],
-                include: [{ 
-                  model: journeyModels.LeadJourney,
-                  as: 'leadJourney'
-                }]
-              });
-              
-              if (execution && execution.leadJourney) {
-                // Update execution result
-                const result = execution.result || {};
-                result.callOutcome = 'failed';
-                result.callDuration = 0;
-                await execution.update({ result });
-                
-                // Update journey context data
-                const leadJourney = execution.leadJourney;
-                const contextData = leadJourney.contextData || {};
-                contextData.lastCallOutcome = 'failed';
-                contextData.lastCallDuration = 0;
-                contextData.lastCallTimestamp = new Date().toISOString();
-                await leadJourney.update({ contextData });
-              }
-            } catch (err) {
-              console.error(`Error updating journey execution for call ${call.id}:`, err);
-            }
-          }
+          await handleCallEnded(call.id, outcome, 0);
+        }
+        
+        const pruned = amiPool.pruneStaleCalls();
+        if (pruned > 0) {
+          console.log(`Dropped ${pruned} stale in-memory AMI call trackers`);
         }
       } catch (error) {
         console.error(`❌ Error in call cleanup task: ${error.message}`);
@@ -1118,11 +1443,13 @@ async function initializeWorker() {
       }
       console.log(`✅ Loaded ${knownContexts.size} contexts to monitor`);
       
-      // Initialize the AMI connection with the first tenant
+      // Open the persistent AMI connection for every tenant PBX
       if (tenants.length > 0) {
-        await initializeAmiConnection(tenants[0]);
+        for (const tenant of tenants) {
+          await initializeAmiConnection(tenant);
+        }
       } else {
-        console.log('⚠️  No tenants found, AMI event listener will be started when first call is made');
+        console.log('⚠️  No tenants found, AMI connections will be opened when the first call is made');
       }
     } catch (error) {
       console.error(`❌ Failed to load tenant contexts: ${error.message}`);
@@ -1151,6 +1478,38 @@ async function initializeWorker() {
       }
     });
 
+    // Reschedule callbacks that were due but never dialed (no agents, outside hours) every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const tenants = await Tenant.findAll();
+        
+        for (const tenant of tenants) {
+          const rescheduled = await callbackService.rescheduleMissedCallbacks(tenant);
+          if (rescheduled > 0) {
+            console.log(`📅 Rescheduled ${rescheduled} missed callbacks for tenant ${tenant.id}`);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error in missed callback cron job: ${error.message}`);
+      }
+    });
+
+    // Rescore DIDs, quarantining collapsed ones and releasing expired quarantines, every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const tenants = await Tenant.findAll();
+
+        for (const tenant of tenants) {
+          const { quarantined, released } = await didSelectionService.refreshHealth(tenant);
+          if (quarantined > 0 || released > 0) {
+            console.log(`📶 DID health for tenant ${tenant.id}: ${quarantined} quarantined, ${released} released`);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error in DID health cron job: ${error.message}`);
+      }
+    });
+
     // Process scheduled journey executions every 30 seconds (more frequent)
     cron.schedule('*/30 * * * * *', async () => {
       try {
@@ -1164,29 +1523,25 @@ async function initializeWorker() {
         console.error('❌ Error in journey execution cron job:', error);
       }
     });
-    
-    // Process auto-enrollments for journeys every 5 minutes (more frequent)
-    cron.schedule('*/5 * * * *', async () => {
+
+    // Pick up queued lead imports and ones whose process stopped reporting progress, every minute
+    cron.schedule('* * * * *', async () => {
       try {
-        console.log('🎯 Running auto-enrollment worker...');
-        
-        if (!journeyModels) {
-          console.log('⚠️  Journey models not initialized, skipping auto-enrollment');
-          return;
+        await leadImportService.resumeInterruptedJobs();
+      } catch (error) {
+        console.error('❌ Error in lead import cron job:', error);
+      }
+    });
+
+    // Enroll leads that came to match an auto-enroll journey without an event (age, bulk updates) every hour
+    cron.schedule('20 * * * *', async () => {
+      try {
+        const count = await journeyTriggerService.sweep();
+        if (count > 0) {
+          console.log(`🎯 Journey sweep enrolled ${count} leads`);
         }
-        
-        // Initialize AutoEnrollmentService
-        const autoEnrollService = new AutoEnrollmentService({
-          ...journeyModels,
-          Lead,
-          Tenant
-        });
-        
-        await autoEnrollService.processAutoEnrollments();
-        
-        console.log('✅ Auto-enrollment worker completed');
       } catch (error) {
-        console.error('❌ Error in auto-enrollment cron job:', error);
+        console.error('❌ Error in journey sweep cron job:', error);
       }
     });
     
@@ -1217,12 +1572,33 @@ async function initializeWorker() {
       }
     });
 
+    // Move leads that have sat in a stage too long (time-in-stage catalysts)
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        await stageAutomationService.evaluateTimeCatalysts();
+      } catch (error) {
+        console.error('❌ Error in stage catalyst cron job:', error);
+      }
+    });
+
+    // Rescore every lead nightly so recency decay and rule changes reach leads with no new activity
+    cron.schedule('30 2 * * *', async () => {
+      try {
+        console.log('📈 Running nightly lead scoring...');
+        await leadScoringService.scoreAllTenants();
+      } catch (error) {
+        console.error('❌ Error in lead scoring cron job:', error);
+      }
+    });
+
     console.log('=== WORKER INITIALIZATION COMPLETE ===');
     console.log('✅ Dialer and Journey worker services started');
-    console.log('🔄 Auto-enrollment worker will run every 5 minutes');
     console.log('🚀 Journey execution processor will run every 30 seconds');
     console.log('🧹 Call cleanup will run every 5 minutes');
+    console.log('📅 Missed callback rescheduling will run every 5 minutes');
     console.log('🧹 Journey cleanup will run daily at midnight');
+    console.log('🧭 Time-in-stage catalysts will run every 15 minutes');
+    console.log('📈 Lead scoring will run nightly at 2:30');
     
   } catch (error) {
     console.error('❌ Failed to start worker service:', error);
@@ -1231,11 +1607,6 @@ async function initializeWorker() {
   }
 }
 
-// Export the AutoEnrollmentService for use in other modules
-module.exports = {
-  AutoEnrollmentService
-};
-
 // Start the worker
 console.log('🚀 Starting Knittt Worker Process...');
 initializeWorker();
\ No newline at end of file